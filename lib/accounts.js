@@ -0,0 +1,832 @@
+/**
+* @fileoverview Player accounts for the tables hosted by server.js. An account
+* keeps a player's bankroll, lifetime stats and settings in a JSON file, so
+* they survive restarts and follow the player to any device using the same
+* server. Passwords are stored only as salted PBKDF2 hashes and sign-in tokens
+* only as SHA-256 hashes.
+*
+* A seated account plays with its whole bankroll, which is written back between
+* rounds. A round cut short by a restart is void: the bankroll is what it was
+* before the deal. Changes are gathered up and written at most once a second,
+* off the event loop, so a busy table never waits on the disk. A crash loses
+* only the last second's changes.
+*
+* Each account also keeps its best results for the current day, the current
+* week and all time, which are rolled up into the leaderboards.
+*
+* @author Scott Shattuck (ss)
+*/
+
+/*jslint anon:true, nomen:true, plusplus:true, node:true, stupid:true */
+
+'use strict';
+
+var crypto = require('crypto'),
+	fs = require('fs'),
+	path = require('path');
+
+
+//  ---------------------------------------------------------------------------
+//  Accounts
+//  ---------------------------------------------------------------------------
+
+/**
+ * Creates and returns a new Accounts store, loading any accounts already
+ * saved in the file.
+ * @param {string} f The path of the JSON file to keep accounts in.
+ * @return {Accounts} A new Accounts instance.
+ * @constructor
+ */
+function Accounts(f) {
+	var accounts,
+		claimed,
+		created,
+		file,
+		timer,
+		waiting,
+		writing;
+
+
+	/**
+	 * The accounts, keyed by lower-cased name.
+	 * @type {Object.<string, object>}
+	 */
+	accounts = {};
+
+
+	/**
+	 * The names of the accounts in use by a client, which can play at only one
+	 * seat at a time.
+	 * @type {Object.<string, boolean>}
+	 */
+	claimed = {};
+
+
+	/**
+	 * When each account created in the last minute was asked for, oldest
+	 * first.
+	 * @type {Array.<number>}
+	 */
+	created = [];
+
+
+	/**
+	 * The path of the JSON file accounts are kept in.
+	 * @type {string}
+	 */
+	file = f;
+
+
+	/**
+	 * The timer for the next save, if one is pending.
+	 * @type {Object}
+	 */
+	timer = null;
+
+
+	/**
+	 * The callbacks waiting on the next save.
+	 * @type {Array.<function(Error)>}
+	 */
+	waiting = [];
+
+
+	/**
+	 * True while the file is being written.
+	 * @type {boolean}
+	 */
+	writing = false;
+
+
+	/**
+	 * Returns the accounts, keyed by lower-cased name. Note that the object
+	 * returned is mutable so accounts can be added.
+	 * @return {Object.<string, object>} The accounts.
+	 */
+	this.getAccounts = function() {
+		return accounts;
+	};
+
+
+	/**
+	 * Returns the names of the accounts in use. Note that the object returned
+	 * is mutable so accounts can be claimed and released.
+	 * @return {Object.<string, boolean>} The claimed names.
+	 */
+	this.getClaimed = function() {
+		return claimed;
+	};
+
+
+	/**
+	 * Returns when each account created in the last minute was asked for.
+	 * Note that the array returned is mutable so times can be added and
+	 * dropped.
+	 * @return {Array.<number>} The times, in milliseconds.
+	 */
+	this.getCreated = function() {
+		return created;
+	};
+
+
+	/**
+	 * Returns the path of the JSON file accounts are kept in.
+	 * @return {string} The path.
+	 */
+	this.getFile = function() {
+		return file;
+	};
+
+
+	/**
+	 * Returns the timer for the next save, if one is pending.
+	 * @return {Object} The timer, or null.
+	 */
+	this.getTimer = function() {
+		return timer;
+	};
+
+
+	/**
+	 * Returns the callbacks waiting on the next save. Note that the array
+	 * returned is mutable so callbacks can be added and taken.
+	 * @return {Array.<function(Error)>} The callbacks.
+	 */
+	this.getWaiting = function() {
+		return waiting;
+	};
+
+
+	/**
+	 * Returns true while the file is being written.
+	 * @return {boolean} True if a write is under way.
+	 */
+	this.isWriting = function() {
+		return writing;
+	};
+
+
+	/**
+	 * Replaces the accounts, as when loading them from the file.
+	 * @param {Object.<string, object>} value The new accounts.
+	 * @private
+	 */
+	this._setAccounts = function(value) {
+		accounts = value;
+	};
+
+
+	/**
+	 * Replaces the timer for the next save, clearing the old one.
+	 * @param {Object} value The new timer, or null.
+	 * @private
+	 */
+	this._setTimer = function(value) {
+		clearTimeout(timer);
+		timer = value;
+	};
+
+
+	/**
+	 * Marks whether the file is being written.
+	 * @param {boolean} value True while a write is under way.
+	 * @private
+	 */
+	this._setWriting = function(value) {
+		writing = value;
+	};
+
+	this.load();
+
+	return this;
+}
+
+
+/**
+ * A Dictionary of default values for the class.
+ * @enum {object}
+ */
+Accounts.DEFAULT = {
+	BANKROLL: 500,			// New accounts start with 500 chips.
+	CREATES: 10,			// New accounts the server makes per minute.
+	ITERATIONS: 100000,		// PBKDF2 rounds for each password.
+	LEADERS: 10,			// Places on each leaderboard.
+	SAVE: 1000,				// Changes are written within a second.
+	SETTINGS: 32,			// The most settings an account may keep.
+	TOKENS: 10				// Sign-ins remembered per account.
+};
+
+
+/**
+ * The leaderboards: the best bankroll, the biggest win on a single Hand, the
+ * longest run of winning Hands, and the most blackjacks.
+ * @type {Array.<string>}
+ */
+Accounts.BOARDS = ['bankroll', 'win', 'streak', 'blackjacks'];
+
+
+/**
+ * The pattern account names must match.
+ * @type {RegExp}
+ */
+Accounts.NAME = /^[\w\-]{2,24}$/;
+
+
+/**
+ * The periods leaderboards cover. Days and weeks are UTC, with weeks starting
+ * on Monday and numbered as in ISO 8601.
+ * @type {Array.<string>}
+ */
+Accounts.PERIODS = ['day', 'week', 'all'];
+
+
+/**
+ * Hashes a password with the salt given. The work is done off the main thread,
+ * so other requests carry on meanwhile.
+ * @param {string} password The password.
+ * @param {string} salt The account's salt, in hex.
+ * @param {function(Error, string)} callback Called with the hash, in hex.
+ */
+Accounts.hash = function(password, salt, callback) {
+	crypto.pbkdf2(String(password), salt, Accounts.DEFAULT.ITERATIONS, 32,
+		'sha256', function(err, key) {
+			callback(err, key && key.toString('hex'));
+		});
+};
+
+
+/**
+ * Returns the key for the period containing a moment, for example
+ * '2012-06-30' for a day or '2012-W26' for a week.
+ * @param {string} period 'day', 'week' or 'all'.
+ * @param {number} time The moment, in milliseconds. Defaults to now.
+ * @return {string} The period's key.
+ */
+Accounts.period = function(period, time) {
+	var date,
+		thursday,
+		week;
+
+	date = new Date(time === undefined ? Date.now() : time);
+
+	switch (period) {
+	case 'day':
+		return date.toISOString().slice(0, 10);
+	case 'week':
+		// An ISO week belongs to the year its Thursday falls in.
+		thursday = new Date(Date.UTC(date.getUTCFullYear(),
+			date.getUTCMonth(), date.getUTCDate() + 3 -
+			(date.getUTCDay() + 6) % 7));
+		week = 1 + Math.floor((thursday - Date.UTC(thursday.getUTCFullYear(),
+			0, 1)) / 86400000 / 7);
+		return thursday.getUTCFullYear() + '-W' + (week < 10 ? '0' : '') + week;
+	default:
+		return 'all';
+	}
+};
+
+
+/**
+ * Returns a fresh set of lifetime stats.
+ * @return {object} The stats, all zero.
+ */
+Accounts.stats = function() {
+	return {
+		hands: 0,			// Hands played, splits counted separately.
+		won: 0,
+		lost: 0,
+		pushed: 0,
+		blackjacks: 0,
+		surrendered: 0,
+		wagered: 0,			// Chips bet, insurance included.
+		net: 0,				// Chips won less chips lost.
+		bought: 0			// Chips bought in.
+	};
+};
+
+
+/**
+ * Returns the account for a sign-in token, if any.
+ * @param {string} token The token given on creating or signing in.
+ * @return {object} The account, or undefined.
+ */
+Accounts.prototype.authenticate = function(token) {
+	var accounts,
+		digest;
+
+	if (!token) {
+		return undefined;
+	}
+
+	digest = crypto.createHash('sha256').update(String(token)).digest('hex');
+	accounts = this.getAccounts();
+
+	return Object.keys(accounts).map(function(key) {
+		return accounts[key];
+	}).filter(function(account) {
+		return account.tokens.indexOf(digest) !== -1;
+	})[0];
+};
+
+
+/**
+ * Marks an account as in use. An account can only be played at one seat at a
+ * time, or its bankroll would be staked twice.
+ * @param {object} account The account.
+ */
+Accounts.prototype.claim = function(account) {
+	var claimed;
+
+	claimed = this.getClaimed();
+	if (claimed[account.name.toLowerCase()]) {
+		throw new Error('InvalidOperation: ' + account.name +
+			' is already playing.');
+	}
+	claimed[account.name.toLowerCase()] = true;
+};
+
+
+/**
+ * Creates an account with the starting bankroll. Anyone may create an
+ * account, so only so many are made each minute.
+ * @param {string} name The player's name.
+ * @param {string} password The player's password.
+ * @param {function(Error, {account: object, token: string})} callback Called
+ *     with the new account, and a token signing the player in to it.
+ */
+Accounts.prototype.create = function(name, password, callback) {
+	var accounts,
+		created,
+		salt,
+		store;
+
+	store = this;
+	accounts = this.getAccounts();
+
+	// Only one minute's worth of requests counts against the limit.
+	created = this.getCreated();
+	while (created.length && Date.now() - created[0] > 60000) {
+		created.shift();
+	}
+
+	try {
+		if (!Accounts.NAME.test(name || '')) {
+			throw new Error('InvalidName: Names are 2 to 24 letters, ' +
+				'digits, - or _.');
+		}
+		if (!password || String(password).length < 8) {
+			throw new Error('InvalidPassword: Passwords are at least 8 ' +
+				'characters.');
+		}
+		if (accounts.hasOwnProperty(name.toLowerCase())) {
+			throw new Error('InvalidOperation: ' + name + ' is taken.');
+		}
+		if (created.length >= Accounts.DEFAULT.CREATES) {
+			throw new Error('InvalidRate: Too many new accounts. Try again ' +
+				'in a minute.');
+		}
+	} catch (e) {
+		return setImmediate(callback, e);
+	}
+	created.push(Date.now());
+
+	salt = crypto.randomBytes(16).toString('hex');
+	Accounts.hash(password, salt, function(err, hash) {
+		var account;
+
+		// The name may have been taken while the password was hashed.
+		if (!err && accounts.hasOwnProperty(name.toLowerCase())) {
+			err = new Error('InvalidOperation: ' + name + ' is taken.');
+		}
+		if (err) {
+			return callback(err);
+		}
+
+		account = {
+			name: name,
+			salt: salt,
+			hash: hash,
+			tokens: [],
+			bankroll: Accounts.DEFAULT.BANKROLL,
+			stats: Accounts.stats(),
+			settings: {},
+			created: Date.now(),
+			updated: Date.now()
+		};
+		accounts[name.toLowerCase()] = account;
+
+		callback(null, {
+			account: account,
+			token: store.issue(account)
+		});
+	});
+};
+
+
+/**
+ * Writes any changes not yet saved now, rather than waiting for the timer, as
+ * when the server is shutting down.
+ * @param {function(Error)} callback Called once the file is written.
+ *     Optional.
+ */
+Accounts.prototype.flush = function(callback) {
+	this.save(callback);
+	if (!this.isWriting()) {
+		this.write();
+	}
+};
+
+
+/**
+ * Returns an account as its player may see it, without the password hash or
+ * tokens. Leaderboard records are included for the periods the player has
+ * played in.
+ * @param {object} account The account.
+ * @return {object} The account, ready for JSON.stringify.
+ */
+Accounts.prototype.describe = function(account) {
+	return {
+		name: account.name,
+		bankroll: account.bankroll,
+		playing: !!this.getClaimed()[account.name.toLowerCase()],
+		stats: account.stats,
+		records: Accounts.PERIODS.reduce(function(records, period) {
+			var record = account.records && account.records[period];
+			if (record && record.key === Accounts.period(period)) {
+				records[period] = record;
+			}
+			return records;
+		}, {}),
+		settings: account.settings,
+		created: account.created,
+		updated: account.updated
+	};
+};
+
+
+/**
+ * Issues a new sign-in token for an account, and saves it. Only the most
+ * recent tokens are kept, so old sign-ins lapse.
+ * @param {object} account The account.
+ * @return {string} The token.
+ */
+Accounts.prototype.issue = function(account) {
+	var token;
+
+	token = crypto.randomBytes(24).toString('hex');
+	account.tokens.push(crypto.createHash('sha256').update(token).
+		digest('hex'));
+	account.tokens = account.tokens.slice(-Accounts.DEFAULT.TOKENS);
+
+	this.save();
+
+	return token;
+};
+
+
+/**
+ * Returns the leaderboards for a period: for each board the accounts with the
+ * best results, best first.
+ * @param {string} period 'day', 'week' or 'all'.
+ * @return {Object.<string, Array.<{name: string, value: number}>>} The
+ *     boards, by name. See Accounts.BOARDS.
+ */
+Accounts.prototype.leaders = function(period) {
+	var accounts,
+		key,
+		records;
+
+	accounts = this.getAccounts();
+	key = Accounts.period(period);
+
+	records = Object.keys(accounts).map(function(name) {
+		var account = accounts[name];
+		return {
+			name: account.name,
+			record: account.records && account.records[period]
+		};
+	}).filter(function(item) {
+		return item.record && item.record.key === key;
+	});
+
+	return Accounts.BOARDS.reduce(function(boards, board) {
+		boards[board] = records.filter(function(item) {
+			return item.record[board] > 0;
+		}).sort(function(a, b) {
+			return b.record[board] - a.record[board] ||
+				(a.name < b.name ? -1 : 1);
+		}).slice(0, Accounts.DEFAULT.LEADERS).map(function(item) {
+			return {
+				name: item.name,
+				value: item.record[board]
+			};
+		});
+		return boards;
+	}, {});
+};
+
+
+/**
+ * Loads the accounts saved in the file, if it exists.
+ */
+Accounts.prototype.load = function() {
+	var text;
+
+	try {
+		text = fs.readFileSync(this.getFile(), 'utf8');
+	} catch (e) {
+		if (e.code === 'ENOENT') {
+			return;
+		}
+		throw e;
+	}
+
+	this._setAccounts(JSON.parse(text).accounts || {});
+};
+
+
+/**
+ * Signs a player in.
+ * @param {string} name The player's name.
+ * @param {string} password The player's password.
+ * @param {function(Error, {account: object, token: string})} callback Called
+ *     with the account, and a token signing the player in to it.
+ */
+Accounts.prototype.login = function(name, password, callback) {
+	var account,
+		accounts,
+		key,
+		store;
+
+	store = this;
+	accounts = this.getAccounts();
+	key = String(name || '').toLowerCase();
+	account = accounts.hasOwnProperty(key) ? accounts[key] : null;
+
+	// Hash regardless so a missing account takes as long as a bad password.
+	Accounts.hash(password || '', account ? account.salt : '00',
+		function(err, hash) {
+			if (err) {
+				return callback(err);
+			}
+			if (!account || !crypto.timingSafeEqual(Buffer.from(hash, 'hex'),
+					Buffer.from(account.hash, 'hex'))) {
+				return callback(new Error('InvalidLogin: Name or password ' +
+					'is wrong.'));
+			}
+
+			callback(null, {
+				account: account,
+				token: store.issue(account)
+			});
+		});
+};
+
+
+/**
+ * Adds a settled Hand to an account's lifetime stats and leaderboard records,
+ * and saves them.
+ * @param {object} account The account.
+ * @param {number} bet The Hand's wager, doubled if it was.
+ * @param {number} insurance The Hand's insurance wager.
+ * @param {object} paid The chips returned to the Hand, by payout reason.
+ * @param {boolean} blackjack True if the Hand was a blackjack.
+ */
+Accounts.prototype.record = function(account, bet, insurance, paid, blackjack) {
+	var net,
+		records,
+		result,
+		returned,
+		stats;
+
+	stats = account.stats;
+	returned = Object.keys(paid).reduce(function(sum, reason) {
+		return sum + paid[reason];
+	}, 0);
+	net = returned - bet - insurance;
+
+	stats.hands++;
+	stats.wagered += bet + insurance;
+	stats.net += net;
+
+	if (paid.surrender !== undefined) {
+		stats.surrendered++;
+		result = 'lost';
+	} else if (paid.win !== undefined) {
+		result = 'won';
+		if (blackjack) {
+			stats.blackjacks++;
+		}
+	} else if (paid.push !== undefined) {
+		result = 'pushed';
+	} else {
+		result = 'lost';
+	}
+	stats[result]++;
+
+	// Roll the Hand into the leaderboard records. A push neither extends nor
+	// breaks a winning streak.
+	records = this.records(account);
+	Accounts.PERIODS.map(function(period) {
+		var record = records[period];
+
+		record.win = Math.max(record.win, net);
+		if (result === 'won') {
+			record.run++;
+			record.streak = Math.max(record.streak, record.run);
+			if (blackjack) {
+				record.blackjacks++;
+			}
+		} else if (result === 'lost') {
+			record.run = 0;
+		}
+	});
+
+	account.updated = Date.now();
+	this.save();
+};
+
+
+/**
+ * Returns an account's leaderboard records, starting a fresh record for any
+ * period which has ended since the account last played.
+ * @param {object} account The account.
+ * @return {Object.<string, {key: string, bankroll: number, win: number,
+ *     streak: number, run: number, blackjacks: number}>} The records, by
+ *     period. run is the current winning streak.
+ */
+Accounts.prototype.records = function(account) {
+	var records;
+
+	records = account.records = account.records || {};
+	Accounts.PERIODS.map(function(period) {
+		var key = Accounts.period(period);
+
+		if (!records[period] || records[period].key !== key) {
+			records[period] = {
+				key: key,
+				bankroll: account.bankroll,
+				win: 0,
+				streak: 0,
+				run: 0,
+				blackjacks: 0
+			};
+		}
+	});
+
+	return records;
+};
+
+
+/**
+ * Marks an account as no longer in use.
+ * @param {object} account The account.
+ */
+Accounts.prototype.release = function(account) {
+	delete this.getClaimed()[account.name.toLowerCase()];
+};
+
+
+/**
+ * Saves every account to the file, soon. Changes made before the timer runs
+ * out are all written together. See Accounts.DEFAULT.SAVE.
+ * @param {function(Error)} callback Called once the changes are written.
+ *     Optional.
+ */
+Accounts.prototype.save = function(callback) {
+	if (callback) {
+		this.getWaiting().push(callback);
+	}
+	if (!this.getTimer()) {
+		this._setTimer(setTimeout(this.write.bind(this),
+			Accounts.DEFAULT.SAVE));
+	}
+};
+
+
+/**
+ * Records an account's bankroll, saving it if it changed. The best bankroll in
+ * each period is kept for the leaderboards.
+ * @param {object} account The account.
+ * @param {number} bankroll The chips the player now has.
+ */
+Accounts.prototype.settle = function(account, bankroll) {
+	var records;
+
+	if (account.bankroll === bankroll) {
+		return;
+	}
+	account.bankroll = bankroll;
+	account.updated = Date.now();
+
+	records = this.records(account);
+	Accounts.PERIODS.map(function(period) {
+		records[period].bankroll = Math.max(records[period].bankroll, bankroll);
+	});
+
+	this.save();
+};
+
+
+/**
+ * Merges new settings into an account's settings and saves them. Settings
+ * are whatever the client likes to keep, for example a preferred rule set,
+ * as long as each is a short string, a number, a boolean, or null to remove
+ * it.
+ * @param {object} account The account.
+ * @param {object} settings The settings to change.
+ */
+Accounts.prototype.update = function(account, settings) {
+	var merged;
+
+	if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+		throw new Error('InvalidSettings: Settings are a JSON object.');
+	}
+
+	merged = Object.create(null);
+	Object.keys(account.settings).map(function(key) {
+		merged[key] = account.settings[key];
+	});
+	Object.keys(settings).map(function(key) {
+		var value;
+
+		value = settings[key];
+		if (value === null) {
+			delete merged[key];
+		} else if (typeof value === 'number' || typeof value === 'boolean' ||
+				(typeof value === 'string' && value.length <= 200)) {
+			merged[key] = value;
+		} else {
+			throw new Error('InvalidSettings: ' + key +
+				' must be a short string, number or boolean.');
+		}
+	});
+
+	if (Object.keys(merged).length > Accounts.DEFAULT.SETTINGS ||
+			Object.keys(settings).some(function(key) {
+				return key.length > 40;
+			})) {
+		throw new Error('InvalidSettings: Too many settings.');
+	}
+
+	account.settings = JSON.parse(JSON.stringify(merged));
+	account.updated = Date.now();
+	this.save();
+};
+
+
+/**
+ * Writes every account to the file now. The file is written whole and then
+ * moved into place, so a crash mid-write never leaves it half written. If a
+ * write is already under way, this one waits for the next timer. A write
+ * which fails is tried again then too.
+ */
+Accounts.prototype.write = function() {
+	var callbacks,
+		file,
+		store,
+		temp;
+
+	this._setTimer(null);
+	if (this.isWriting()) {
+		return this.save();
+	}
+
+	store = this;
+	file = this.getFile();
+	temp = file + '.tmp';
+	callbacks = this.getWaiting().splice(0);
+
+	/**
+	 * Finishes the write, telling everyone waiting on it how it went.
+	 * @param {Error} err The error writing the file, if any.
+	 */
+	function done(err) {
+		store._setWriting(false);
+		if (err) {
+			console.error('Accounts not saved: ' + err.message);
+			store.save();
+		}
+		callbacks.forEach(function(callback) {
+			callback(err || null);
+		});
+	}
+
+	this._setWriting(true);
+	fs.mkdir(path.dirname(file), {recursive: true}, function(err) {
+		if (err) {
+			return done(err);
+		}
+		fs.writeFile(temp, JSON.stringify({
+			accounts: store.getAccounts()
+		}, null, '\t'), function(err) {
+			if (err) {
+				return done(err);
+			}
+			fs.rename(temp, file, done);
+		});
+	});
+};
+
+
+exports.Accounts = Accounts;
@@ -0,0 +1,363 @@
+/**
+* @fileoverview HTTP endpoints for the shared tables in tables.js, for clients
+* which would rather make requests than hold a WebSocket open, and for the
+* player accounts in accounts.js. Every table request goes through the same
+* Table.act() checks as socket messages, so the server's Game stays the only
+* place chips and cards live:
+*
+*   POST /accounts                     Create an account from {name, password}.
+*   POST /accounts/login               Sign in with {name, password}.
+*   GET  /accounts/me                  The signed-in account, with its bankroll
+*                                      and lifetime stats.
+*   POST /accounts/me/settings         Change settings, for example
+*                                      {"rules": "vegas"}.
+*   GET  /leaderboards                 Today's, this week's and all-time
+*                                      leaders, by board.
+*
+*   POST /tables/:id/join              Take a seat, or wait for one. Returns a
+*                                      token for the requests which follow. Join
+*                                      with an account's token to play with its
+*                                      bankroll.
+*   GET  /tables/:id                   The table as the caller may see it, or
+*                                      404 if nobody has joined it.
+*   POST /tables/:id/:action           bet, deal, hit, stand, double, split,
+*                                      surrender, insure, decline, evenmoney,
+*                                      buyin, leave or sit. bet and buyin take
+*                                      a JSON body such as {"amount": 25}.
+*
+* Account and table tokens are sent in an Authorization: Bearer header. Each
+* response is JSON, or {type: 'error', message} with a 4xx status.
+*
+* @author Scott Shattuck (ss)
+*/
+
+/*jslint anon:true, nomen:true, plusplus:true, node:true */
+
+'use strict';
+
+var Accounts = require('./accounts.js').Accounts,
+	Tables = require('./tables.js').Tables;
+
+
+/**
+ * The actions a client may request.
+ * @type {Array.<string>}
+ */
+var ACTIONS = ['bet', 'buyin', 'deal', 'decline', 'double', 'evenmoney',
+	'hit', 'insure', 'leave', 'sit', 'split', 'stand', 'surrender'];
+
+
+/**
+ * The largest request body we'll read. Requests carry an amount at most.
+ * @type {number}
+ */
+var MAXIMUM_BODY = 4096;
+
+
+/**
+ * HTTP statuses for the engine's errors, by the name before the colon.
+ * Anything else invalid is a bad request.
+ * @enum {number}
+ */
+var STATUS = {
+	InvalidLogin: 401,
+	InvalidOperation: 409,
+	InvalidPlayer: 403,
+	InvalidRate: 429,
+	InvalidTable: 404,
+	InvalidToken: 401
+};
+
+
+/**
+ * Reads a request's JSON body, if it has one.
+ * @param {http.IncomingMessage} req The request.
+ * @param {function(Error, object)} callback Called with the parsed body, an
+ *     empty object when there's none.
+ */
+function body(req, callback) {
+	var text;
+
+	text = '';
+	req.setEncoding('utf8');
+	req.on('data', function(chunk) {
+		text += chunk;
+		if (text.length > MAXIMUM_BODY) {
+			callback(new Error('InvalidRequest: Body too large.'));
+			callback = function() {};
+			req.destroy();
+		}
+	});
+	req.on('end', function() {
+		var data;
+
+		try {
+			data = text ? JSON.parse(text) : {};
+		} catch (e) {
+			return callback(new Error('InvalidRequest: Body is not JSON.'));
+		}
+		if (!data || typeof data !== 'object' || Array.isArray(data)) {
+			return callback(new Error('InvalidRequest: Body is not a JSON ' +
+				'object.'));
+		}
+		callback(null, data);
+	});
+}
+
+
+/**
+ * Writes a JSON response.
+ * @param {http.ServerResponse} res The response.
+ * @param {number} status The HTTP status.
+ * @param {object} data The response body.
+ */
+function respond(res, status, data) {
+	res.writeHead(status, {
+		'Content-Type': 'application/json',
+		'Cache-Control': 'no-store'
+	});
+	res.end(JSON.stringify(data));
+}
+
+
+/**
+ * Writes an error response, with a status to match the error.
+ * @param {http.ServerResponse} res The response.
+ * @param {Error} e The error.
+ */
+function fail(res, e) {
+	var name;
+
+	name = e.message.split(':')[0];
+	respond(res, STATUS[name] || (/^Invalid/.test(name) ? 400 : 500), {
+		type: 'error',
+		message: e.message
+	});
+}
+
+
+/**
+ * Returns the Bearer token a request carries, if any.
+ * @param {http.IncomingMessage} req The request.
+ * @return {string} The token, or null.
+ */
+function bearer(req) {
+	var match;
+
+	match = /^Bearer\s+(\S+)$/.exec(req.headers.authorization || '');
+	return match ? match[1] : null;
+}
+
+
+/**
+ * Serves the account endpoints.
+ * @param {Accounts} accounts The accounts to serve.
+ * @param {string} route The path after /accounts, if any.
+ * @param {http.IncomingMessage} req The request.
+ * @param {http.ServerResponse} res The response.
+ * @param {function} next Passes the request along.
+ */
+function serveAccounts(accounts, route, req, res, next) {
+	var account;
+
+	if (!route && req.method === 'POST') {
+		return body(req, function(err, data) {
+			if (err) {
+				return fail(res, err);
+			}
+			accounts.create(data.name, data.password, function(e, created) {
+				if (e) {
+					return fail(res, e);
+				}
+				respond(res, 201, {
+					token: created.token,
+					account: accounts.describe(created.account)
+				});
+			});
+		});
+	}
+
+	if (route === '/login' && req.method === 'POST') {
+		return body(req, function(err, data) {
+			if (err) {
+				return fail(res, err);
+			}
+			accounts.login(data.name, data.password, function(e, session) {
+				if (e) {
+					return fail(res, e);
+				}
+				respond(res, 200, {
+					token: session.token,
+					account: accounts.describe(session.account)
+				});
+			});
+		});
+	}
+
+	if (route !== '/me' && route !== '/me/settings') {
+		return next();
+	}
+
+	account = accounts.authenticate(bearer(req));
+	if (!account) {
+		return fail(res, new Error('InvalidToken: Sign in first.'));
+	}
+
+	if (route === '/me' && req.method === 'GET') {
+		return respond(res, 200, accounts.describe(account));
+	}
+
+	if (route === '/me/settings' && req.method === 'POST') {
+		return body(req, function(err, data) {
+			try {
+				if (err) {
+					throw err;
+				}
+				accounts.update(account, data);
+			} catch (e) {
+				return fail(res, e);
+			}
+			respond(res, 200, accounts.describe(account));
+		});
+	}
+
+	next();
+}
+
+
+/**
+ * Serves the table endpoints.
+ * @param {Tables} tables The tables to serve.
+ * @param {Accounts} accounts The accounts players may sign in with, if any.
+ * @param {string} id The table's id.
+ * @param {string} action The action requested, if any.
+ * @param {http.IncomingMessage} req The request.
+ * @param {http.ServerResponse} res The response.
+ * @param {function} next Passes the request along.
+ */
+function serveTable(tables, accounts, id, action, req, res, next) {
+	var account,
+		client,
+		table,
+		token;
+
+	// Only joining opens a table. Anything else needs one already open.
+	table = action === 'join' && req.method === 'POST' ? tables.open(id) :
+		tables.get(id);
+
+	token = bearer(req);
+	client = token && table && table.find(token);
+	if (client) {
+		client.seen = Date.now();
+	}
+
+	if (!action) {
+		if (req.method !== 'GET') {
+			return next();
+		}
+		if (!table) {
+			return fail(res, new Error('InvalidTable: No table ' + id + '.'));
+		}
+		return respond(res, 200, table.snapshot(client || {
+			player: null,
+			waiting: false
+		}));
+	}
+
+	if (req.method !== 'POST') {
+		return next();
+	}
+
+	if (action === 'join') {
+		// Joining with an account's token stakes the account's bankroll.
+		if (token) {
+			account = accounts && accounts.authenticate(token);
+			if (!account) {
+				return fail(res, new Error('InvalidToken: Sign in first.'));
+			}
+		}
+		try {
+			client = table.join(null, account);
+		} catch (e) {
+			return fail(res, e);
+		}
+		table.refresh();
+		res.setHeader('Location', req.url.replace(/\/join.*$/, ''));
+		return respond(res, 201, {
+			token: client.token,
+			table: table.snapshot(client)
+		});
+	}
+
+	if (ACTIONS.indexOf(action) === -1) {
+		return next();
+	}
+	if (!client) {
+		return fail(res, new Error('InvalidToken: Join the table first.'));
+	}
+
+	body(req, function(err, data) {
+		if (err) {
+			return fail(res, err);
+		}
+		try {
+			table.act(client, {
+				type: action,
+				amount: data.amount
+			});
+		} catch (e) {
+			return fail(res, e);
+		}
+		table.refresh();
+		respond(res, 200, table.snapshot(client));
+	});
+}
+
+
+/**
+ * Returns Connect middleware serving the table, account and leaderboard
+ * endpoints.
+ * Requests for any other path are passed along.
+ * @param {Tables} tables The tables to serve.
+ * @param {Accounts} accounts The accounts to serve. Optional.
+ * @return {function(http.IncomingMessage, http.ServerResponse, function)}
+ *     The middleware.
+ */
+function routes(tables, accounts) {
+
+	return function(req, res, next) {
+		var match,
+			url;
+
+		url = req.url.split('?')[0];
+
+		match = /^\/accounts(\/login|\/me|\/me\/settings)?\/?$/.exec(url);
+		if (match && accounts) {
+			return serveAccounts(accounts, match[1], req, res, next);
+		}
+
+		if (/^\/leaderboards\/?$/.test(url) && accounts &&
+				req.method === 'GET') {
+			return respond(res, 200, Accounts.PERIODS.reduce(
+				function(periods, period) {
+					periods[period] = {
+						key: Accounts.period(period),
+						boards: accounts.leaders(period)
+					};
+					return periods;
+				}, {}));
+		}
+
+		match = /^\/tables\/([^\/]+)(?:\/(\w+))?\/?$/.exec(url);
+		if (match && Tables.ID.test(match[1])) {
+			return serveTable(tables, accounts, match[1], match[2], req, res,
+				next);
+		}
+
+		next();
+	};
+}
+
+
+exports.ACTIONS = ACTIONS;
+exports.routes = routes;
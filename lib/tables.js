@@ -0,0 +1,1023 @@
+/**
+* @fileoverview Shared blackjack tables hosted by server.js. Each Table runs the
+* one authoritative B.Game for everyone at it: clients only ever send requests
+* to act for their own seat, and every client is sent the same picture of the
+* table after each change. Clients connect over a WebSocket, or make requests
+* one at a time over HTTP (see api.js) using the token they're given on joining.
+* A turn timer keeps a slow or departed player from holding up the table by
+* standing (or declining insurance) on their behalf.
+*
+* @author Scott Shattuck (ss)
+*/
+
+/*jslint anon:true, nomen:true, plusplus:true, node:true */
+
+'use strict';
+
+var crypto = require('crypto'),
+	B = require('../src/blackjack.js');
+
+
+//  ---------------------------------------------------------------------------
+//  Table
+//  ---------------------------------------------------------------------------
+
+/**
+ * Creates and returns a new Table. The Table's Game is started when the first
+ * client sits down and put away once the last player leaves.
+ * @param {string} i The table's id.
+ * @param {object} opts Game options for the table (see B.Game), plus turn, the
+ *     milliseconds each player has to act. Optional.
+ * @param {Accounts} accts The player accounts clients may sign in with.
+ *     Optional.
+ * @return {Table} A new Table instance.
+ * @constructor
+ */
+function Table(i, opts, accts) {
+	var accounts,
+		clients,
+		game,
+		id,
+		options,
+		timer,
+		turn;
+
+
+	/**
+	 * The player accounts clients may sign in with, if any.
+	 * @type {Accounts}
+	 */
+	accounts = accts || null;
+
+
+	/**
+	 * The clients connected to the table, seated or not. Each is an object
+	 * holding the client's socket (null over HTTP), their token, when they
+	 * were last heard from, the account they signed in with and whether
+	 * they've claimed it, and the B.Player for their seat, if any. Clients who
+	 * want a seat but arrived mid-round are waiting for one.
+	 * @type {Array.<{socket: Object, token: string, seen: number,
+	 *     gone: boolean, account: object, claimed: boolean,
+	 *     player: B.Player, waiting: boolean}>}
+	 */
+	clients = [];
+
+
+	/**
+	 * The Game being played, or null while nobody is seated.
+	 * @type {B.Game}
+	 */
+	game = null;
+
+
+	/**
+	 * The table's id.
+	 * @type {string}
+	 */
+	id = i;
+
+
+	/**
+	 * Options for the table's Games.
+	 * @type {object}
+	 */
+	options = opts || {};
+
+
+	/**
+	 * The pending turn timer, if any.
+	 * @type {Object}
+	 */
+	timer = null;
+
+
+	/**
+	 * The decision the table is waiting on, if any. See Table.prototype.turn.
+	 * @type {object}
+	 */
+	turn = null;
+
+
+	/**
+	 * Returns the player accounts clients may sign in with, if any.
+	 * @return {Accounts} The accounts.
+	 */
+	this.getAccounts = function() {
+		return accounts;
+	};
+
+
+	/**
+	 * Returns the clients connected to the table. Note that the array returned
+	 * is mutable so clients can come and go.
+	 * @return {Array.<object>} The clients.
+	 */
+	this.getClients = function() {
+		return clients;
+	};
+
+
+	/**
+	 * Returns the Game being played, or null while nobody is seated.
+	 * @return {B.Game} The game.
+	 */
+	this.getGame = function() {
+		return game;
+	};
+
+
+	/**
+	 * Returns the table's id.
+	 * @return {string} The id.
+	 */
+	this.getId = function() {
+		return id;
+	};
+
+
+	/**
+	 * Returns the options for the table's Games.
+	 * @return {object} The options.
+	 */
+	this.getOptions = function() {
+		return options;
+	};
+
+
+	/**
+	 * Returns the decision the table is waiting on, if any, along with when
+	 * the turn timer runs out.
+	 * @return {object} The current turn.
+	 */
+	this.getTurn = function() {
+		return turn;
+	};
+
+
+	/**
+	 * Replaces the Game being played.
+	 * @param {B.Game} value The new game, or null.
+	 * @private
+	 */
+	this._setGame = function(value) {
+		game = value;
+	};
+
+
+	/**
+	 * Replaces the pending turn timer, clearing the old one.
+	 * @param {Object} value The new timer, or null.
+	 * @private
+	 */
+	this._setTimer = function(value) {
+		clearTimeout(timer);
+		timer = value;
+	};
+
+
+	/**
+	 * Replaces the decision the table is waiting on.
+	 * @param {object} value The new turn, or null.
+	 * @private
+	 */
+	this._setTurn = function(value) {
+		turn = value;
+	};
+
+	return this;
+}
+
+
+/**
+ * A Dictionary of default values for the class.
+ * @enum {object}
+ */
+Table.DEFAULT = {
+	DECK_COUNT: 6,			// A shared table deals from a six-deck shoe.
+	IDLE_TIME: 300000,		// HTTP clients are gone after five quiet minutes.
+	TURN_TIME: 20000		// Twenty seconds to act.
+};
+
+
+/**
+ * Carries out a request from a client. Players may only act for their own
+ * seat and only when the Game is waiting on them, so every request is checked
+ * against the Game before anything is done.
+ * @param {object} client The client making the request.
+ * @param {object} message The request, with a type and any arguments.
+ */
+Table.prototype.act = function(client, message) {
+	var fsm,
+		game,
+		hand,
+		player;
+
+	if (message.type === 'sit') {
+		this.claim(client);
+		client.waiting = true;
+		this.update();
+		return;
+	}
+
+	game = this.getGame();
+	player = client.player;
+	if (!game || !player) {
+		throw new Error('InvalidPlayer: Take a seat first.');
+	}
+
+	fsm = game.getFSM();
+	switch (message.type) {
+	case 'bet':
+		if (!fsm.is('pregame') && !fsm.is('postgame')) {
+			throw new Error('InvalidOperation: Bets are placed between rounds.');
+		}
+		if (typeof message.amount !== 'number' || !(message.amount > 0) ||
+				message.amount > player.getHoldings() ||
+				player.getBet() + message.amount > game.getMaximumBet()) {
+			throw new Error('InvalidAmount: Cannot bet ' + message.amount + '.');
+		}
+		player.increaseBet(message.amount);
+		break;
+	case 'deal':
+		game.deal();
+		break;
+	case 'buyin':
+		if (game.getNextBuyer() !== player) {
+			throw new Error('InvalidOperation: No buy-in is needed.');
+		}
+		if (typeof message.amount !== 'number') {
+			throw new Error('InvalidAmount: Cannot buy in for ' +
+				message.amount + '.');
+		}
+		game.buyIn(message.amount);
+		break;
+	case 'leave':
+		this.unseat(client);
+		break;
+	case 'insure':
+	case 'decline':
+	case 'evenmoney':
+		hand = this.getHand(player, 'insurance');
+		if (message.type === 'insure') {
+			if (!hand.canInsure() ||
+					player.getHoldings() < hand.getBet() / 2) {
+				throw new Error('InvalidOperation: Cannot insure.');
+			}
+			hand.insure();
+		} else if (message.type === 'evenmoney') {
+			if (!hand.canEvenMoney()) {
+				throw new Error('InvalidOperation: Even money not offered.');
+			}
+			hand.evenMoney();
+		} else {
+			hand.declineInsurance();
+		}
+		break;
+	case 'surrender':
+		// Early surrender answers the insurance offer.
+		hand = this.getHand(player, game.getInsurable().length ?
+			'insurance' : 'play');
+		if (!hand.canSurrender()) {
+			throw new Error('InvalidOperation: Cannot surrender.');
+		}
+		hand.surrender();
+		break;
+	case 'hit':
+	case 'stand':
+	case 'double':
+	case 'split':
+		hand = this.getHand(player, 'play');
+		if ((message.type === 'hit' && !hand.canHit()) ||
+				(message.type === 'double' && !hand.canDouble()) ||
+				(message.type === 'split' && !hand.canSplit())) {
+			throw new Error('InvalidOperation: Cannot ' + message.type + '.');
+		}
+		hand[message.type]();
+		break;
+	default:
+		throw new Error('InvalidRequest: ' + message.type);
+	}
+};
+
+
+/**
+ * Claims a client's account for as long as they want a seat, so the account's
+ * bankroll can't be staked at two seats at once.
+ * @param {object} client The client.
+ */
+Table.prototype.claim = function(client) {
+	if (client.account && !client.claimed) {
+		this.getAccounts().claim(client.account);
+		client.claimed = true;
+	}
+};
+
+
+/**
+ * Returns the client holding the token given, if any.
+ * @param {string} token The token the client was given on joining.
+ * @return {object} The client, or undefined.
+ */
+Table.prototype.find = function(token) {
+	return this.getClients().filter(function(client) {
+		return !client.gone && client.token === token;
+	})[0];
+};
+
+
+/**
+ * Returns the player's Hand the Game is waiting on for a decision of the kind
+ * given, or throws when it isn't that player's turn.
+ * @param {B.Player} player The player acting.
+ * @param {string} kind 'play' or 'insurance'.
+ * @return {B.Hand} The Hand to act on.
+ */
+Table.prototype.getHand = function(player, kind) {
+	var turn;
+
+	turn = this.turn();
+	if (!turn || turn.kind !== kind || turn.player !== player) {
+		throw new Error('InvalidOperation: Not your turn.');
+	}
+
+	return turn.hand;
+};
+
+
+/**
+ * Connects a client to the table. The client is given a seat as soon as one
+ * can be had. A client with a socket is sent the table after every change;
+ * the socket must emit 'message' with each JSON request and 'close' when
+ * gone, and have send(text). A client without one acts through act() with
+ * the token it's given, and is gone once idle for the table's idle time. A
+ * client signed in to an account plays with the account's bankroll.
+ * @param {Object} socket The client's connection. Optional.
+ * @param {object} account The client's account. Optional.
+ * @return {object} The new client.
+ */
+Table.prototype.join = function(socket, account) {
+	var client,
+		table;
+
+	table = this;
+	client = {
+		socket: socket || null,
+		token: crypto.randomBytes(16).toString('hex'),
+		seen: Date.now(),
+		gone: false,
+		account: account || null,
+		claimed: false,
+		player: null,
+		waiting: true
+	};
+	try {
+		this.claim(client);
+	} catch (e) {
+		// Bring the table up to date anyway, so it closes if nobody's left.
+		this.update();
+		throw e;
+	}
+	this.getClients().push(client);
+
+	if (!socket) {
+		this.update();
+		return client;
+	}
+
+	socket.on('message', function(text) {
+		try {
+			table.act(client, JSON.parse(text));
+		} catch (e) {
+			socket.send(JSON.stringify({
+				type: 'error',
+				message: e.message
+			}));
+		}
+	});
+	socket.on('close', function() {
+		table.part(client);
+	});
+
+	this.update();
+
+	return client;
+};
+
+
+/**
+ * Disconnects a client. A player who leaves mid-round keeps their seat until
+ * the round is over, with the turn timer acting for them at once.
+ * @param {object} client The departing client.
+ */
+Table.prototype.part = function(client) {
+	client.socket = null;
+	client.gone = true;
+	client.waiting = false;
+	this.update();
+};
+
+
+/**
+ * Brings the table up to date now: seats are filled and emptied, the turn
+ * timer is reset when the decision being waited on changes, and every client
+ * with a socket is sent the table.
+ */
+Table.prototype.refresh = function() {
+	var key,
+		last,
+		present,
+		turn,
+		wait;
+
+	this.updating = false;
+	this.seat();
+	this.settle();
+
+	// Once the last client has gone there's nothing left to run.
+	if (!this.getClients().length && !this.getGame()) {
+		this._setTimer(null);
+		this._setTurn(null);
+		if (this.onempty) {
+			this.onempty(this);
+		}
+		return;
+	}
+
+	// A new decision gets a fresh clock. A player who has disconnected gets
+	// none.
+	last = this.getTurn();
+	turn = this.turn();
+	if (turn) {
+		key = [turn.kind, turn.player.getSeat(),
+			turn.hand && turn.hand.getCards().length,
+			turn.hand && turn.hand.getFSM().current].join(':');
+
+		present = this.getClients().some(function(client) {
+			return client.player === turn.player && !client.gone;
+		});
+		wait = present ? (this.getOptions().turn ||
+			Table.DEFAULT.TURN_TIME) : 0;
+
+		if (last && last.key === key && last.hand === turn.hand) {
+			turn.deadline = last.deadline;
+		} else {
+			turn.deadline = Date.now() + wait;
+			this._setTimer(setTimeout(this.timeout.bind(this), wait));
+		}
+		turn.key = key;
+	} else if (this.getClients().some(function(client) {
+			return !client.socket;
+		})) {
+		// With nothing to wait on, look again once HTTP clients could have
+		// gone idle.
+		this._setTimer(setTimeout(this.update.bind(this),
+			this.getOptions().idle || Table.DEFAULT.IDLE_TIME));
+	} else {
+		this._setTimer(null);
+	}
+	this._setTurn(turn);
+
+	this.send();
+};
+
+
+/**
+ * Releases a client's claim on their account, if they hold one.
+ * @param {object} client The client.
+ */
+Table.prototype.release = function(client) {
+	if (client.account && client.claimed) {
+		this.getAccounts().release(client.account);
+		client.claimed = false;
+	}
+};
+
+
+/**
+ * Seats waiting clients and lets departed players go, for as long as the Game
+ * is between rounds. Starts a new Game when nobody is seated.
+ */
+Table.prototype.seat = function() {
+	var clients,
+		fsm,
+		game,
+		options;
+
+	clients = this.getClients();
+
+	// HTTP clients who stop making requests are treated as disconnected.
+	clients.map(function(client) {
+		if (!client.socket && Date.now() - client.seen >
+				(this.getOptions().idle || Table.DEFAULT.IDLE_TIME)) {
+			client.gone = true;
+		}
+	}, this);
+
+	game = this.getGame();
+	if (game && game.getFSM().is('exited')) {
+		clients.map(function(client) {
+			client.player = null;
+		});
+		game = null;
+		this._setGame(null);
+	}
+
+	// Players who disconnected give up their seats as soon as they can.
+	clients.filter(function(client) {
+		return client.gone;
+	}).map(function(client) {
+		if (!game || !client.player) {
+			return;
+		}
+		fsm = game.getFSM();
+		if (fsm.is('pregame') || fsm.is('postgame') || fsm.is('buying')) {
+			this.unseat(client);
+		}
+	}, this);
+	clients.slice().map(function(client) {
+		if (client.gone && !client.player) {
+			clients.splice(clients.indexOf(client), 1);
+			this.release(client);
+		}
+	}, this);
+
+	game = this.getGame();
+	if (game && game.getFSM().is('exited')) {
+		return this.seat();
+	}
+
+	clients.filter(function(client) {
+		return client.waiting && !client.player;
+	}).map(function(client) {
+		var chips;
+
+		chips = client.account ? client.account.bankroll : undefined;
+		if (!game) {
+			options = Object.create(this.getOptions());
+			options.seats = 1;
+			options.decks = options.decks || Table.DEFAULT.DECK_COUNT;
+			if (chips !== undefined) {
+				options.chips = chips;
+			}
+			game = this.start(new B.Game(options));
+			client.player = game.getPlayer();
+		} else if ((game.getFSM().is('pregame') ||
+					game.getFSM().is('postgame')) &&
+				game.getPlayers().length < B.Game.DEFAULT.MAXIMUM_SEATS) {
+			client.player = game.sit(chips);
+		} else {
+			return;
+		}
+		client.waiting = false;
+	}, this);
+};
+
+
+/**
+ * Sends each client the table as they're allowed to see it.
+ */
+Table.prototype.send = function() {
+	this.getClients().map(function(client) {
+		if (client.socket) {
+			client.socket.send(JSON.stringify(this.snapshot(client)));
+		}
+	}, this);
+};
+
+
+/**
+ * Writes the bankroll of each seated account back to its account, for as long
+ * as the Game is between rounds. Mid-round the chips are on the table.
+ */
+Table.prototype.settle = function() {
+	var fsm,
+		game;
+
+	game = this.getGame();
+	if (!game) {
+		return;
+	}
+
+	fsm = game.getFSM();
+	if (!fsm.is('pregame') && !fsm.is('postgame') && !fsm.is('buying')) {
+		return;
+	}
+
+	this.getClients().map(function(client) {
+		if (client.account && client.player) {
+			this.getAccounts().settle(client.account,
+				client.player.getHoldings() + client.player.getBet());
+		}
+	}, this);
+};
+
+
+/**
+ * Returns the table as a client may see it: the seats, the Hands, the dealer
+ * and whose turn it is. The shoe's cards and the dealer's hole card are left
+ * out, so nothing is given away.
+ * @param {object} client The client the picture is for.
+ * @return {object} The table, ready for JSON.stringify.
+ */
+Table.prototype.snapshot = function(client) {
+	var card,
+		commitment,
+		dealer,
+		game,
+		last,
+		seat,
+		turn;
+
+	game = this.getGame();
+	if (!game) {
+		return {
+			type: 'state',
+			table: this.getId(),
+			you: -1,
+			waiting: client.waiting,
+			state: 'empty'
+		};
+	}
+
+	card = function(c) {
+		return c.isHoleCard() ? null : {
+			label: c.getLabel(),
+			symbol: c.getSymbol(),
+			suit: c.getSuitName()
+		};
+	};
+	seat = function(player) {
+		return player.getSeat();
+	};
+
+	commitment = game.getCommitment();
+	last = game.getRevealed()[game.getRevealed().length - 1];
+	dealer = game.getDealer();
+	turn = this.getTurn();
+
+	return {
+		type: 'state',
+		table: this.getId(),
+		you: client.player ? client.player.getSeat() : -1,
+		waiting: client.waiting,
+		state: game.getFSM().current,
+		limits: {
+			min: game.getMinimumBet(),
+			max: game.getMaximumBet(),
+			buyin: game.getMaximumBuyIn()
+		},
+		rules: game.getRules().describe(),
+		fairness: commitment ? {
+			hash: commitment.getHash(),
+			server: last ? last.getServerSeed() : null,
+			client: last ? last.getClientSeed() : null
+		} : null,
+		players: game.getPlayers().map(function(player) {
+			var owner;
+
+			owner = this.getClients().filter(function(item) {
+				return item.player === player && item.account;
+			})[0];
+			return {
+				seat: seat(player),
+				name: owner ? owner.account.name : null,
+				holdings: player.getHoldings(),
+				bet: player.getBet()
+			};
+		}, this),
+		dealer: dealer ? {
+			cards: dealer.getCards().map(card),
+			score: dealer.hasHoleCards() ? null : dealer.getScore()
+		} : null,
+		hands: game.getHands().map(function(hand) {
+			return {
+				seat: seat(hand.getPlayer()),
+				bet: hand.getBet(),
+				insurance: hand.getInsurance(),
+				state: hand.getFSM().current,
+				cards: hand.getCards().map(card),
+				score: hand.hasHoleCards() ? null : hand.getScore()
+			};
+		}),
+		turn: turn ? {
+			seat: seat(turn.player),
+			kind: turn.kind,
+			hand: game.getHands().indexOf(turn.hand),
+			actions: turn.actions,
+			remaining: Math.max(0, turn.deadline - Date.now())
+		} : null
+	};
+};
+
+
+/**
+ * Starts a new Game for the table, following its events so every change
+ * reaches the clients.
+ * @param {B.Game} game The new game.
+ * @return {B.Game} The game, started.
+ */
+Table.prototype.start = function(game) {
+	var paid,
+		table;
+
+	table = this;
+	this._setGame(game);
+
+	Object.keys(B.Game.EVENTS).map(function(key) {
+		game.on(B.Game.EVENTS[key], function() {
+			table.update();
+		});
+	});
+
+	// Each round's payouts are tallied by Hand so accounts can record how
+	// every Hand came out once the round is settled.
+	paid = [];
+	game.on('payout', function(hand, amount, reason) {
+		var entry;
+
+		entry = paid.filter(function(item) {
+			return item.hand === hand;
+		})[0];
+		if (!entry) {
+			entry = {hand: hand, reasons: {}};
+			paid.push(entry);
+		}
+		entry.reasons[reason] = (entry.reasons[reason] || 0) + amount;
+	});
+	game.on('roundEnd', function(hands) {
+		hands.map(function(hand) {
+			var client,
+				entry;
+
+			client = table.getClients().filter(function(item) {
+				return item.account && item.player === hand.getPlayer();
+			})[0];
+			if (!client) {
+				return;
+			}
+			entry = paid.filter(function(item) {
+				return item.hand === hand;
+			})[0];
+			table.getAccounts().record(client.account, hand.getBet(),
+				hand.getInsurance(), entry ? entry.reasons : {},
+				hand.isBlackjack());
+		});
+		paid.length = 0;
+	});
+	game.on('buyin', function(player, amount) {
+		table.getClients().map(function(client) {
+			if (client.account && client.player === player) {
+				client.account.stats.bought += amount;
+			}
+		});
+	});
+
+	game.start();
+
+	return game;
+};
+
+
+/**
+ * Makes the decision the turn timer ran out on: a stand, no insurance, or
+ * leaving rather than buying in.
+ */
+Table.prototype.timeout = function() {
+	var game,
+		turn;
+
+	this._setTimer(null);
+
+	game = this.getGame();
+	turn = this.turn();
+	if (!turn) {
+		return;
+	}
+
+	switch (turn.kind) {
+	case 'play':
+		turn.hand.stand();
+		break;
+	case 'insurance':
+		turn.hand.declineInsurance();
+		break;
+	case 'buying':
+		this.getClients().filter(function(client) {
+			return client.player === turn.player;
+		}).map(this.unseat, this);
+		break;
+	}
+};
+
+
+/**
+ * Works out the decision the Game is waiting on, if any: a Hand to play, an
+ * insurance offer to answer, or a player to buy in. The actions are those the
+ * player could take right now.
+ * @return {{kind: string, player: B.Player, hand: B.Hand,
+ *     actions: Array.<string>}} The decision, or null.
+ */
+Table.prototype.turn = function() {
+	var actions,
+		fsm,
+		game,
+		hand,
+		player;
+
+	game = this.getGame();
+	if (!game) {
+		return null;
+	}
+
+	fsm = game.getFSM();
+	if (fsm.is('buying')) {
+		return {
+			kind: 'buying',
+			player: game.getNextBuyer(),
+			hand: null,
+			actions: ['buyin', 'leave']
+		};
+	}
+
+	hand = game.getInsurable()[0];
+	if (hand) {
+		player = hand.getPlayer();
+		actions = [hand.canEvenMoney() ? 'evenmoney' : 'insure', 'decline'];
+		if (hand.canInsure() && player.getHoldings() < hand.getBet() / 2) {
+			actions.shift();
+		}
+		if (hand.canSurrender()) {
+			actions.push('surrender');
+		}
+		return {
+			kind: 'insurance',
+			player: player,
+			hand: hand,
+			actions: actions
+		};
+	}
+
+	hand = game.getNextHand();
+	if (!fsm.is('player') || !hand) {
+		return null;
+	}
+
+	actions = ['stand'];
+	if (hand.canHit()) {
+		actions.push('hit');
+	}
+	if (hand.canDouble()) {
+		actions.push('double');
+	}
+	if (hand.canSplit()) {
+		actions.push('split');
+	}
+	if (hand.canSurrender()) {
+		actions.push('surrender');
+	}
+
+	return {
+		kind: 'play',
+		player: hand.getPlayer(),
+		hand: hand,
+		actions: actions
+	};
+};
+
+
+/**
+ * Gives up a client's seat, writing the chips they leave with back to their
+ * account.
+ * @param {object} client The client leaving their seat.
+ */
+Table.prototype.unseat = function(client) {
+	var player;
+
+	player = client.player;
+	this.getGame().leave(player);
+
+	client.player = null;
+	client.waiting = false;
+	if (client.account) {
+		this.getAccounts().settle(client.account,
+			player.getHoldings() + player.getBet());
+	}
+	this.release(client);
+};
+
+
+/**
+ * Brings the table up to date after anything happens. The Game publishes
+ * several events for each change, so the work waits until they've all been
+ * heard. See Table.prototype.refresh.
+ */
+Table.prototype.update = function() {
+	if (this.updating) {
+		return;
+	}
+	this.updating = true;
+
+	setTimeout(this.refresh.bind(this), 0);
+};
+
+
+/**
+ * Called with the Table once its last client has left and its Game is put
+ * away, if set.
+ * @type {function(Table)}
+ */
+Table.prototype.onempty = null;
+
+
+/**
+ * Update state. True while an update is waiting to run.
+ * @type {boolean}
+ */
+Table.prototype.updating = false;
+
+
+//  ---------------------------------------------------------------------------
+//  Tables
+//  ---------------------------------------------------------------------------
+
+/**
+ * Creates and returns a new set of Tables, opened on demand by id and closed
+ * once empty.
+ * @param {object} opts Options for every Table. See Table.
+ * @param {Accounts} accts The player accounts clients may sign in with.
+ *     Optional.
+ * @return {Tables} A new Tables instance.
+ * @constructor
+ */
+function Tables(opts, accts) {
+	var accounts,
+		options,
+		tables;
+
+
+	/**
+	 * The player accounts clients may sign in with, if any.
+	 * @type {Accounts}
+	 */
+	accounts = accts || null;
+
+
+	/**
+	 * Options for every Table.
+	 * @type {object}
+	 */
+	options = opts || {};
+
+
+	/**
+	 * The open Tables, keyed by id.
+	 * @type {Object.<string, Table>}
+	 */
+	tables = {};
+
+
+	/**
+	 * Returns the open Table with the given id, if there is one.
+	 * @param {string} id The table's id.
+	 * @return {Table} The table, or null.
+	 */
+	this.get = function(id) {
+		return tables.hasOwnProperty(id) ? tables[id] : null;
+	};
+
+
+	/**
+	 * Returns the Table with the given id, opening it if need be. The Table is
+	 * closed again once its last client has left.
+	 * @param {string} id The table's id.
+	 * @return {Table} The table.
+	 */
+	this.open = function(id) {
+		var table;
+
+		if (!tables.hasOwnProperty(id)) {
+			table = new Table(id, options, accounts);
+			table.onempty = function() {
+				if (tables[id] === table) {
+					delete tables[id];
+				}
+			};
+			tables[id] = table;
+		}
+		return tables[id];
+	};
+
+	return this;
+}
+
+
+/**
+ * The pattern table ids must match. Ids appear in urls so they're kept short
+ * and plain.
+ * @type {RegExp}
+ */
+Tables.ID = /^[\w\-]{1,32}$/;
+
+
+exports.Table = Table;
+exports.Tables = Tables;
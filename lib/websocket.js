@@ -0,0 +1,382 @@
+/**
+* @fileoverview A minimal WebSocket (RFC 6455) server for the table service.
+* It handles the opening handshake on an HTTP server's 'upgrade' event and
+* exchanges text messages, which is all the tables need, so no extension or
+* subprotocol negotiation is supported.
+*
+* @author Scott Shattuck (ss)
+*/
+
+/*jslint anon:true, nomen:true, plusplus:true, bitwise:true, node:true */
+
+'use strict';
+
+var crypto = require('crypto'),
+	events = require('events'),
+	util = require('util');
+
+
+/**
+ * The GUID the protocol appends to the client's key during the handshake.
+ * @type {string}
+ */
+var GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+
+/**
+ * Frame opcodes, per RFC 6455 section 5.2.
+ * @enum {number}
+ */
+var OPCODES = {
+	CONTINUATION: 0x0,
+	TEXT: 0x1,
+	BINARY: 0x2,
+	CLOSE: 0x8,
+	PING: 0x9,
+	PONG: 0xA
+};
+
+
+/**
+ * The largest message we'll accept. Table messages are tiny, so anything
+ * larger is a misbehaving client.
+ * @type {number}
+ */
+var MAXIMUM_MESSAGE = 64 * 1024;
+
+
+//  ---------------------------------------------------------------------------
+//  Socket
+//  ---------------------------------------------------------------------------
+
+/**
+ * Creates and returns a new Socket wrapping an upgraded connection. A Socket
+ * emits 'message' with the text of each message received and 'close' once,
+ * when the connection ends for any reason.
+ * @param {net.Socket} s The connection handed over by the HTTP server.
+ * @return {Socket} A new Socket instance.
+ * @constructor
+ */
+function Socket(s) {
+	var buffer,
+		closed,
+		fragments,
+		stream;
+
+	events.EventEmitter.call(this);
+
+
+	/**
+	 * Bytes received but not yet parsed into complete frames.
+	 * @type {Buffer}
+	 */
+	buffer = Buffer.alloc(0);
+
+
+	/**
+	 * True once the connection has ended.
+	 * @type {boolean}
+	 */
+	closed = false;
+
+
+	/**
+	 * The payloads of a fragmented message received so far.
+	 * @type {Array.<Buffer>}
+	 */
+	fragments = [];
+
+
+	/**
+	 * The underlying connection.
+	 * @type {net.Socket}
+	 */
+	stream = s;
+
+
+	/**
+	 * Returns the bytes received but not yet parsed.
+	 * @return {Buffer} The unparsed bytes.
+	 */
+	this.getBuffer = function() {
+		return buffer;
+	};
+
+
+	/**
+	 * Returns the payloads of the fragmented message in progress. Note that the
+	 * array returned is mutable so frames can be added and cleared.
+	 * @return {Array.<Buffer>} The fragments.
+	 */
+	this.getFragments = function() {
+		return fragments;
+	};
+
+
+	/**
+	 * Returns the underlying connection.
+	 * @return {net.Socket} The connection.
+	 */
+	this.getStream = function() {
+		return stream;
+	};
+
+
+	/**
+	 * Returns true once the connection has ended.
+	 * @return {boolean} True if closed.
+	 */
+	this.isClosed = function() {
+		return closed;
+	};
+
+
+	/**
+	 * Replaces the unparsed bytes.
+	 * @param {Buffer} value The new buffer.
+	 * @private
+	 */
+	this._setBuffer = function(value) {
+		buffer = value;
+	};
+
+
+	/**
+	 * Marks the connection ended and tells listeners, exactly once.
+	 * @private
+	 */
+	this._setClosed = function() {
+		if (!closed) {
+			closed = true;
+			this.emit('close');
+		}
+	};
+
+	stream.on('data', this.receive.bind(this));
+	stream.on('end', this._setClosed.bind(this));
+	stream.on('close', this._setClosed.bind(this));
+	stream.on('error', this._setClosed.bind(this));
+
+	return this;
+}
+
+util.inherits(Socket, events.EventEmitter);
+
+
+/**
+ * Closes the connection, telling the client why first.
+ * @param {number} code The close status code. Defaults to 1000, normal.
+ */
+Socket.prototype.close = function(code) {
+	var payload;
+
+	if (this.isClosed()) {
+		return;
+	}
+
+	payload = Buffer.alloc(2);
+	payload.writeUInt16BE(code || 1000, 0);
+	this.write(OPCODES.CLOSE, payload);
+
+	this.getStream().end();
+	this._setClosed();
+};
+
+
+/**
+ * Handles a complete frame from the client.
+ * @param {number} opcode The frame's opcode.
+ * @param {boolean} fin True if this is the final frame of a message.
+ * @param {Buffer} payload The unmasked payload.
+ */
+Socket.prototype.frame = function(opcode, fin, payload) {
+	var fragments;
+
+	switch (opcode) {
+	case OPCODES.TEXT:
+	case OPCODES.CONTINUATION:
+		fragments = this.getFragments();
+		fragments.push(payload);
+		if (fin) {
+			this.emit('message', Buffer.concat(fragments).toString('utf8'));
+			fragments.length = 0;
+		}
+		break;
+	case OPCODES.PING:
+		this.write(OPCODES.PONG, payload);
+		break;
+	case OPCODES.PONG:
+		break;
+	case OPCODES.CLOSE:
+		this.close();
+		break;
+	default:
+		// Binary data means nothing to a table. Close with 'unsupported'.
+		this.close(1003);
+		break;
+	}
+};
+
+
+/**
+ * Receives bytes from the connection and handles every complete frame among
+ * them. Partial frames wait in the buffer for the rest of their bytes.
+ * @param {Buffer} data The bytes received.
+ */
+Socket.prototype.receive = function(data) {
+	var buffer,
+		fin,
+		i,
+		length,
+		mask,
+		offset,
+		opcode,
+		payload,
+		total;
+
+	buffer = Buffer.concat([this.getBuffer(), data]);
+
+	while (buffer.length >= 2 && !this.isClosed()) {
+		fin = (buffer[0] & 0x80) !== 0;
+		opcode = buffer[0] & 0x0F;
+		length = buffer[1] & 0x7F;
+		offset = 2;
+
+		if (length === 126) {
+			if (buffer.length < 4) {
+				break;
+			}
+			length = buffer.readUInt16BE(2);
+			offset = 4;
+		} else if (length === 127) {
+			if (buffer.length < 10) {
+				break;
+			}
+			// Anything past 32 bits is far beyond our limit anyway.
+			length = buffer.readUInt32BE(2) ? Infinity : buffer.readUInt32BE(6);
+			offset = 10;
+		}
+
+		// Clients must mask every frame. Control frames can't be fragmented
+		// and carry at most 125 bytes (RFC 6455 section 5.5).
+		if ((buffer[1] & 0x80) === 0 ||
+				((opcode & 0x8) !== 0 && (!fin || length > 125))) {
+			this.close(1002);
+			return;
+		}
+
+		// A message must not be huge, however many frames it's split across.
+		total = (opcode & 0x8) !== 0 ? length :
+				this.getFragments().reduce(function(sum, fragment) {
+					return sum + fragment.length;
+				}, length);
+		if (total > MAXIMUM_MESSAGE) {
+			this.close(1009);
+			return;
+		}
+
+		if (buffer.length < offset + 4 + length) {
+			break;
+		}
+
+		mask = buffer.slice(offset, offset + 4);
+		payload = Buffer.from(buffer.slice(offset + 4, offset + 4 + length));
+		for (i = 0; i < payload.length; i++) {
+			payload[i] = payload[i] ^ mask[i % 4];
+		}
+
+		buffer = buffer.slice(offset + 4 + length);
+		this.frame(opcode, fin, payload);
+	}
+
+	this._setBuffer(buffer);
+};
+
+
+/**
+ * Sends a text message to the client.
+ * @param {string} text The message.
+ */
+Socket.prototype.send = function(text) {
+	this.write(OPCODES.TEXT, Buffer.from(String(text), 'utf8'));
+};
+
+
+/**
+ * Writes a single, final, unmasked frame to the connection.
+ * @param {number} opcode The frame's opcode.
+ * @param {Buffer} payload The frame's payload.
+ */
+Socket.prototype.write = function(opcode, payload) {
+	var header;
+
+	if (this.isClosed()) {
+		return;
+	}
+
+	if (payload.length < 126) {
+		header = Buffer.alloc(2);
+		header[1] = payload.length;
+	} else if (payload.length < 65536) {
+		header = Buffer.alloc(4);
+		header[1] = 126;
+		header.writeUInt16BE(payload.length, 2);
+	} else {
+		header = Buffer.alloc(10);
+		header[1] = 127;
+		header.writeUInt32BE(payload.length, 6);
+	}
+	header[0] = 0x80 | opcode;
+
+	this.getStream().write(Buffer.concat([header, payload]));
+};
+
+
+//  ---------------------------------------------------------------------------
+//  Server
+//  ---------------------------------------------------------------------------
+
+/**
+ * Accepts WebSocket connections on an HTTP server. Requests which aren't a
+ * valid version 13 handshake, or which the accept function turns down, are
+ * refused.
+ * @param {http.Server} server The server to listen on.
+ * @param {function(http.IncomingMessage): boolean} accept Decides whether to
+ *     take a request, usually by its url.
+ * @param {function(Socket, http.IncomingMessage)} callback Called with each
+ *     new connection.
+ */
+function listen(server, accept, callback) {
+
+	server.on('upgrade', function(req, stream, head) {
+		var key,
+			socket;
+
+		key = req.headers['sec-websocket-key'];
+		if (!key || req.headers['sec-websocket-version'] !== '13' ||
+				!/websocket/i.test(req.headers.upgrade || '') ||
+				!accept(req)) {
+			stream.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+			return;
+		}
+
+		stream.write('HTTP/1.1 101 Switching Protocols\r\n' +
+			'Upgrade: websocket\r\n' +
+			'Connection: Upgrade\r\n' +
+			'Sec-WebSocket-Accept: ' + crypto.createHash('sha1').
+				update(key + GUID).digest('base64') + '\r\n\r\n');
+
+		socket = new Socket(stream);
+		callback(socket, req);
+
+		// Any bytes which arrived with the handshake are the first frames.
+		if (head && head.length) {
+			socket.receive(head);
+		}
+	});
+}
+
+
+exports.OPCODES = OPCODES;
+exports.Socket = Socket;
+exports.listen = listen;
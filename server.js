@@ -1,8 +1,72 @@
-var Connect = require('connect');
+var Connect = require('connect'),
+  path = require('path'),
+  url = require('url'),
+  accounts = require('./lib/accounts.js'),
+  api = require('./lib/api.js'),
+  tables = require('./lib/tables.js'),
+  websocket = require('./lib/websocket.js');
+
+// Player accounts are kept on disk, in data/ unless DATA_DIR says otherwise.
+var players = new accounts.Accounts(path.join(process.env.DATA_DIR ||
+  path.join(__dirname, 'data'), 'accounts.json'));
+
+// Shared tables live at /tables/<id>. Everyone using the same id plays at the
+// same table, dealt from the same provably fair shoe, over a WebSocket or the
+// HTTP endpoints in lib/api.js.
+var open = new tables.Tables({
+  fair: true,
+  turn: Number(process.env.TURN_TIME) || undefined
+}, players);
+
+// Only the page and what it loads are public. The rest of the directory,
+// data/ included, is never served.
+var PUBLIC = ['css', 'images', 'src', 'deps', 'node_modules/d3'];
+
+var page = Connect.static(__dirname);
 
 var server = Connect.createServer(
   Connect.logger(), // Log responses to the terminal using Common Log Format.
-  Connect.static(__dirname) // Serve all static files in the current dir.
+  api.routes(open, players), // Serve the table and account endpoints.
+  function(req, res, next) { // Serve index.html and nothing else at the root.
+    return /^\/(index\.html)?$/.test(url.parse(req.url).pathname) ?
+      page(req, res, next) : next();
+  }
 );
 
+// Each public directory is served from its own root, so no url can climb out
+// of it.
+PUBLIC.forEach(function(dir) {
+  server.use('/' + dir, Connect.static(path.join(__dirname, dir)));
+});
+
+// Sockets may sign in with an account token: /tables/<id>?account=<token>.
+websocket.listen(server, function(req) {
+  var match = /^\/tables\/([^\/]+)$/.exec(url.parse(req.url).pathname);
+  return !!match && tables.Tables.ID.test(match[1]);
+}, function(socket, req) {
+  var parsed = url.parse(req.url, true),
+    token = parsed.query.account,
+    account = token && players.authenticate(token);
+
+  try {
+    if (token && !account) {
+      throw new Error('InvalidToken: Sign in first.');
+    }
+    open.open(parsed.pathname.split('/').pop()).join(socket, account);
+  } catch (e) {
+    socket.send(JSON.stringify({type: 'error', message: e.message}));
+    socket.close(1008);
+  }
+});
+
 server.listen(process.env.PORT || 5000);
+
+// Account changes are written a second or so after they're made, so write any
+// still waiting before the server goes.
+['SIGINT', 'SIGTERM'].forEach(function(signal) {
+  process.on(signal, function() {
+    players.flush(function() {
+      process.exit(0);
+    });
+  });
+});
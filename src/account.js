@@ -0,0 +1,321 @@
+/**
+* @fileoverview The account panel. A B.Account creates an account on the
+* server.js a page was loaded from, or signs in to one, and keeps the token the
+* server returns under B.Client.ACCOUNT_KEY, where a shared table looks for it.
+* Without a server there are no accounts, so the panel stays hidden.
+*
+* @author Scott Shattuck (ss)
+*/
+
+/*jslint anon:true, nomen:true, plusplus:true */
+/*globals d3, window */
+
+(function(root) {
+
+'use strict';
+
+//  ---------------------------------------------------------------------------
+//	Setup
+//  ---------------------------------------------------------------------------
+
+var B;			// The game namespace, loaded by blackjack.js.
+
+
+B = root.B;
+
+
+/*
+ * Returns the account token kept in localStorage, if any. Storage may be
+ * turned off, in which case there's none.
+ * @return {string} The token, or null.
+ */
+function stored() {
+	try {
+		return root.localStorage.getItem(B.Client.ACCOUNT_KEY);
+	} catch (e) {
+		return null;
+	}
+}
+
+//  ---------------------------------------------------------------------------
+//  Account
+//  ---------------------------------------------------------------------------
+
+/**
+ * Creates and returns a new Account instance, which asks the server who the
+ * stored token belongs to, if anyone.
+ * @param {string} u The url accounts are served from. Defaults to /accounts.
+ * @return {B.Account} A new Account instance.
+ * @constructor
+ */
+B.Account = function(u) {
+	var account,
+		online,
+		token,
+		url;
+
+
+	/**
+	 * The player's account as the server last described it, or null while
+	 * they're signed out.
+	 * @type {object}
+	 */
+	account = null;
+
+
+	/**
+	 * True once the server has answered, so there are accounts to use.
+	 * @type {boolean}
+	 */
+	online = false;
+
+
+	/**
+	 * The token signing the player in, as kept in localStorage.
+	 * @type {string}
+	 */
+	token = stored();
+
+
+	/**
+	 * The url accounts are served from.
+	 * @type {string}
+	 */
+	url = u || '/accounts';
+
+
+	/**
+	 * Returns the player's account, or null while they're signed out.
+	 * @return {object} The account.
+	 */
+	this.getAccount = function() {
+		return account;
+	};
+
+
+	/**
+	 * Returns the token signing the player in, if any.
+	 * @return {string} The token, or null.
+	 */
+	this.getToken = function() {
+		return token;
+	};
+
+
+	/**
+	 * Returns the url accounts are served from.
+	 * @return {string} The url.
+	 */
+	this.getUrl = function() {
+		return url;
+	};
+
+
+	/**
+	 * Returns true once the server has answered.
+	 * @return {boolean} True if there are accounts to use.
+	 */
+	this.isOnline = function() {
+		return online;
+	};
+
+
+	/**
+	 * Replaces the player's account.
+	 * @param {object} value The account, or null.
+	 * @private
+	 */
+	this._setAccount = function(value) {
+		account = value;
+	};
+
+
+	/**
+	 * Marks whether the server has answered.
+	 * @param {boolean} value True if there are accounts to use.
+	 * @private
+	 */
+	this._setOnline = function(value) {
+		online = value;
+	};
+
+
+	/**
+	 * Replaces the token, keeping it in localStorage or removing it from
+	 * there.
+	 * @param {string} value The new token, or null.
+	 * @private
+	 */
+	this._setToken = function(value) {
+		token = value;
+		try {
+			if (value) {
+				root.localStorage.setItem(B.Client.ACCOUNT_KEY, value);
+			} else {
+				root.localStorage.removeItem(B.Client.ACCOUNT_KEY);
+			}
+		} catch (e) {
+			// Without storage the token lasts until the page is closed.
+		}
+	};
+
+	this.wire();
+	this.fetch();
+
+	return this;
+};
+
+
+/**
+ * Fetches the account the token belongs to and renders it. A server which
+ * turns the token down still has accounts, so the player is simply signed
+ * out.
+ */
+B.Account.prototype.fetch = function() {
+	var panel;
+
+	panel = this;
+	this.send('GET', '/me', null, function(status, json) {
+		panel._setOnline(status === 200 || status === 401);
+		panel._setAccount(status === 200 ? json : null);
+		if (status === 401 && panel.getToken()) {
+			panel._setToken(null);
+		}
+		panel.render();
+	});
+};
+
+
+/**
+ * Renders the panel: the player's name and bankroll while they're signed in,
+ * or the sign-in form while they're not.
+ */
+B.Account.prototype.render = function() {
+    var account;
+
+    account = this.getAccount();
+
+    d3.select('#account').
+        style('display', this.isOnline() ? null : 'none').
+        classed('signed', !!account);
+
+    d3.select('#account .toggle').text(account ? account.name : 'sign in');
+    d3.select('#account .bankroll').text(account ?
+        '$' + account.bankroll + (account.playing ? ', playing' : '') : '');
+};
+
+
+/**
+ * Sends a request to the server and calls back with its answer.
+ * @param {string} method The HTTP method.
+ * @param {string} path The path after the url, if any.
+ * @param {object} data The JSON body, if any.
+ * @param {function(number, object)} callback Called with the status, 0 if
+ *     there was no answer, and the parsed body, if any.
+ */
+B.Account.prototype.send = function(method, path, data, callback) {
+	var xhr;
+
+	xhr = new root.XMLHttpRequest();
+	xhr.open(method, this.getUrl() + (path || ''), true);
+	xhr.setRequestHeader('Content-Type', 'application/json');
+	if (this.getToken()) {
+		xhr.setRequestHeader('Authorization', 'Bearer ' + this.getToken());
+	}
+	xhr.onreadystatechange = function() {
+		var json;
+
+		if (xhr.readyState !== 4) {
+			return;
+		}
+		try {
+			json = JSON.parse(xhr.responseText);
+		} catch (e) {
+			json = null;
+		}
+		callback(xhr.status, json);
+	};
+	xhr.send(data ? JSON.stringify(data) : null);
+};
+
+
+/**
+ * Signs the player in with the name and password in the form, creating the
+ * account first if asked. A player already at a table rejoins it to play with
+ * the account.
+ * @param {boolean} create True to create the account.
+ */
+B.Account.prototype.signIn = function(create) {
+	var panel;
+
+	panel = this;
+	d3.select('#account .message').text('');
+
+	this.send('POST', create ? '' : '/login', {
+		name: d3.select('#account .name').property('value'),
+		password: d3.select('#account .password').property('value')
+	}, function(status, json) {
+		if (status !== 200 && status !== 201) {
+			d3.select('#account .message').text(json && json.message ?
+				json.message.replace(/^\w+: /, '') : 'No answer. Try again.');
+			return;
+		}
+
+		panel._setToken(json.token);
+		panel._setAccount(json.account);
+		d3.select('#account .password').property('value', '');
+		d3.select('#account').attr('open', false);
+		panel.render();
+
+		if (B.client) {
+			root.location.reload();
+		}
+	});
+};
+
+
+/**
+ * Signs the player out of the account on this browser. A player at a table
+ * rejoins it without the account.
+ */
+B.Account.prototype.signOut = function() {
+	this._setToken(null);
+	this._setAccount(null);
+	d3.select('#account').attr('open', false);
+	this.render();
+
+	if (B.client) {
+		root.location.reload();
+	}
+};
+
+
+/**
+ * Connects the panel's controls: the toggle which opens and closes it, the
+ * form which signs in or creates an account, and the button signing out.
+ */
+B.Account.prototype.wire = function() {
+    var panel;
+
+    panel = this;
+
+    d3.select('#account .toggle').on('click', function() {
+        var account = d3.select('#account');
+        account.attr('open', account.attr('open') !== 'true');
+    });
+
+    d3.select('#account form').on('submit', function() {
+        d3.event.preventDefault();
+        panel.signIn(false);
+    });
+
+    d3.select('#account .create').on('click', function() {
+        panel.signIn(true);
+    });
+
+    d3.select('#account .signout').on('click', function() {
+        panel.signOut();
+    });
+};
+
+}(this));
@@ -8,7 +8,7 @@
 */
 
 /*jslint anon:true, nomen:true, plusplus:true */
-/*globals d3, $, StateMachine */
+/*globals require, module, exports */
 
 (function(root) {
 
@@ -19,7 +19,8 @@
 //  --------------------------------------------------------------------------- 
 
 var B,			// The global namespace for our game components.
-	DEBUG;		// Debugging state flag. Set via http://{path}/#debug.
+	DEBUG,		// Debugging state flag. Set via http://{path}/#debug.
+	StateMachine;	// The javascript-state-machine library.
 
 
 /**
@@ -40,28 +41,64 @@ B = {};
 DEBUG = false;
 
 
-// Trap uncaught exceptions that might try to slip past us.
-if (window) {
-	window.onerror = function(msg, url, line) {
-		log('ERROR @ ' + url + '[' + (line || 0) + '] - ' + msg);
-		return true;
-	};
-}
+/**
+ * The state machine library. Browsers load it via a script tag ahead of us,
+ * under Node we require it relative to this file.
+ * @type {Object}
+ */
+StateMachine = root.StateMachine ||
+	require('../deps/state-machine.js').StateMachine;
+
+
+/**
+ * Returns the debugging flag, optionally setting it first. Views and
+ * simulators use this rather than reaching into the closure.
+ * @param {boolean} flag The new debugging state. Optional.
+ * @return {boolean} The current debugging state.
+ */
+B.debug = function(flag) {
+	if (flag !== undefined) {
+		DEBUG = !!flag;
+	}
+	return DEBUG;
+};
+
+
+/**
+ * The logging function. The engine has no display of its own so by default
+ * this writes to the JavaScript console. A view can replace it to also show
+ * messages in the application.
+ * @param {String} msg The message to log.
+ */
+B.log = function(msg) {
+	console.log(msg);
+};
 
 
 /*
- * Log to both the JavaScript console and to the application status bar. Logging
- * to the application's web UI assumes an element with an ID of #log.
+ * Log via B.log so the current view, if any, controls where messages go.
  * @param {String} msg The message to log.
  */
 function log(msg) {
-	var elem;
+	B.log(msg);
+}
 
-	console.log(msg);
-	elem = $('#log');
-	if (elem) {
-		elem.html(msg);
+
+/*
+ * Copies the key/value pairs of source onto target. Used to apply mixins.
+ * @param {Object} target The object to copy onto.
+ * @param {Object} source The object to copy from.
+ * @return {Object} The target.
+ */
+function extend(target, source) {
+	var key;
+
+	for (key in source) {
+		if (source.hasOwnProperty(key)) {
+			target[key] = source[key];
+		}
 	}
+	return target;
 }
 
 //  --------------------------------------------------------------------------- 
@@ -96,147 +133,204 @@ B.Printable = {
 };
 
 //  --------------------------------------------------------------------------- 
-//  Shuffler Mixin
+//  Emitter Mixin
 //  --------------------------------------------------------------------------- 
 
-/*
- * The Shuffler mixin is used as a simple way to factor a common shuffle
- * routine out of Deck and Shoe to allow them to share it without inheritance.
- *
- * Consumers of the mixin must implement a getCards() method which returns an
- * array and must manage the shuffled property to ensure it is false whenever
- * they dirty their card array.
- */
-
-
 /**
- * A simple mixin for common shuffling algorithm support. The shuffling
- * algorithm here is a Fisher-Yates shuffle.
- * See http://bost.ocks.org/mike/shuffle for a live example and discussion.
+ * A simple mixin for publishing events. Views, simulators and servers observe
+ * the model by subscribing rather than being called by it, which is what lets
+ * the engine run without a DOM.
+ *
+ * Note that consumers of the mixin must implement a getListeners method
+ * returning an Object used to hold listener arrays keyed by event name.
  */
-B.Shuffler = {
+B.Emitter = {
 
 	/**
-	 * A flag denoting whether the card collection is currently sorted.
-     * @type {boolean}
+	 * Notifies all listeners registered for an event. Any arguments after the
+	 * event name are passed along to each listener.
+	 * @param {string} name The event name.
+	 * @return {B.Emitter} The receiver.
 	 */
-	shuffled: false,
+	emit: function(name) {
+		var args,
+			list,
+			my;
+
+		list = this.getListeners()[name];
+		if (!list || !list.length) {
+			return this;
+		}
+
+		args = Array.prototype.slice.call(arguments, 1);
+		my = this;
+
+		// Iterate over a copy so listeners can unsubscribe while notified.
+		list.slice().map(function(listener) {
+			listener.apply(my, args);
+		});
+
+		return this;
+	},
 
 
 	/**
-	 * Shuffles the card collection to produce a random card order.
-	 * @return {B.Shuffler} The receiver.
+	 * Removes a listener for an event. Without a listener all listeners for
+	 * the event are removed.
+	 * @param {string} name The event name.
+	 * @param {Function} listener The listener to remove. Optional.
+	 * @return {B.Emitter} The receiver.
 	 */
-	shuffle: function() {
-		var cards,
-			m,
-			t,
-			i,
-			start,
-			end;
+	off: function(name, listener) {
+		var listeners,
+			index;
 
-		// Dependency created on the consumer to dirty shuffled as needed.
-		if (this.shuffled) {
+		listeners = this.getListeners();
+		if (!listener) {
+			delete listeners[name];
 			return this;
 		}
 
-		// Dependency created here on the consumer to implement getCards.
-		cards = this.getCards();
-		m = cards.length;
-
-		if (DEBUG) {
-			start = (new Date()).getTime();
+		index = (listeners[name] || []).indexOf(listener);
+		if (index !== -1) {
+			listeners[name].splice(index, 1);
 		}
 
-		// Shuffle in place.
-		while (m) {
-			i = Math.floor(Math.random() * m--);
-			t = cards[m];
-			cards[m] = cards[i];
-			cards[i] = t;
-		}
+		return this;
+	},
 
-		this.shuffled = true;
 
-		if (DEBUG) {
-			end = (new Date()).getTime();
-			log('Shuffled fresh shoe of ' + cards.length + ' cards in ' +
-				(end - start) + 'ms.');
+	/**
+	 * Registers a listener for an event.
+	 * @param {string} name The event name.
+	 * @param {Function} listener The function to call when the event fires.
+	 * @return {B.Emitter} The receiver.
+	 */
+	on: function(name, listener) {
+		var listeners;
+
+		if (typeof listener !== 'function') {
+			throw new Error('InvalidListener: ' + name + ' needs a function.');
 		}
 
+		listeners = this.getListeners();
+		listeners[name] = listeners[name] || [];
+		listeners[name].push(listener);
+
 		return this;
 	}
 };
 
 //  --------------------------------------------------------------------------- 
-//  Cards / Decks / Shoes
+//  Random Numbers
 //  --------------------------------------------------------------------------- 
 
 /*
- * NOTE: The Card object is implemented as a largely encapsulated constructor
- * which has the benefit of making Card values read-only (you can't change
- * the value of a card) at the expense of additional overhead due to each card
- * having its own getter functions. To avoid truly excessive overhead the label
- * and symbol lookup tables are external to the instance. This does make it
- * possible for a card to report incorrect label/symbol information if one were
- * to alter these more exposed lookup tables or the methods which access them.
- * The internal card index values remain unchanged in any event.
+ * NOTE: Math.random can't be seeded, which means no shuffle driven by it can
+ * ever be replayed. Shufflers instead draw from a pluggable random number
+ * generator, any object with a Math-style random() method. Math itself
+ * qualifies, but by default games use a seeded B.Random so the seed can be
+ * reported along with a bug and the exact card order reproduced.
  */
 
 
 /**
- * Constructs a new Card instance and returns it. Normally Card instances are
- * not created directly but are produced from within the context of a Deck.
- * @param {number} i The card index from 1 to 13 (Ace to King).
- * @param {number} s The card suit from 1 to 4 (H, C, D, S).
- * @return {B.Card} A new card instance.
+ * Constructs a new seeded pseudo-random number generator and returns it. The
+ * algorithm is Johannes Baagoe's Alea, which is fast, has a long period, and
+ * accepts arbitrary strings as seeds.
+ * See http://baagoe.com/en/RandomMusings/javascript for details.
+ * @param {string|number} seed The seed. If not provided a new seed is chosen
+ *     via B.Random.newSeed().
+ * @return {B.Random} A new Random instance.
  * @constructor
  */
-B.Card = function(i, s) {
-	var index,
-		suit;
+B.Random = function(seed) {
+	var c,
+		mash,
+		s0,
+		s1,
+		s2,
+		value;
 
-	// Validate index.
-	if (i < 1 || i > 13) {
-		throw new Error('InvalidIndex: ' + i);
+	/**
+	 * The seed the generator was created with.
+	 * @type {string}
+	 */
+	value = String(seed === undefined || seed === null || seed === '' ?
+		B.Random.newSeed() : seed);
+
+	// Initialize the generator state from the seed.
+	mash = B.Random.mash();
+	s0 = mash(' ');
+	s1 = mash(' ');
+	s2 = mash(' ');
+	c = 1;
+
+	s0 -= mash(value);
+	if (s0 < 0) {
+		s0 += 1;
 	}
-
-	// Validate suit.
-	if (s < 1 || s > 4) {
-		throw new Error('InvalidSuit: ' + s);
+	s1 -= mash(value);
+	if (s1 < 0) {
+		s1 += 1;
+	}
+	s2 -= mash(value);
+	if (s2 < 0) {
+		s2 += 1;
 	}
 
 
 	/**
-	 * The index of the card from 1 to 13. This index is used to find the card's
-	 * label and value.
+	 * Returns the seed the generator was created with.
+	 * @return {string} The seed.
 	 */
-	index = i;
+	this.getSeed = function() {
+		return value;
+	};
 
 
 	/**
-	 * The index of the suit from 1 to 4. This index is used to find the card's
-	 * suit name and symbol.
-	 * @type {number}
+	 * Returns the next number in the sequence, from 0 (inclusive) to 1
+	 * (exclusive), just as Math.random does.
+	 * @return {number} The next pseudo-random number.
 	 */
-	suit = s;
+	this.random = function() {
+		var t;
+
+		t = 2091639 * s0 + c * 2.3283064365386963e-10;	// 2^-32
+		s0 = s1;
+		s1 = s2;
+		c = t | 0;
+		s2 = t - c;
+
+		return s2;
+	};
 
 
 	/**
-	 * Return the numerical index of the card.
-	 * @return {number} The index from 1 to 13.
+	 * Returns the seed and current generator state, suitable for
+	 * JSON.stringify. A generator rebuilt from it via B.Random.fromJSON
+	 * continues the sequence exactly where this one is.
+	 * @return {object} The seed and state.
 	 */
-	this.getIndex = function() {
-		return index;
+	this.toJSON = function() {
+		return {
+			seed: value,
+			state: [s0, s1, s2, c]
+		};
 	};
 
 
 	/**
-	 * Return the numerical suit index of the card from 0 to 3.
-	 * @return {number} The suit index.
+	 * Replaces the generator state.
+	 * @param {Array.<number>} state The state, as produced by toJSON.
+	 * @private
 	 */
-	this.getSuit = function() {
-		return suit;
+	this._setState = function(state) {
+		s0 = state[0];
+		s1 = state[1];
+		s2 = state[2];
+		c = state[3];
 	};
 
 	return this;
@@ -244,629 +338,5016 @@ B.Card = function(i, s) {
 
 
 /**
- * Constant used for hole card display and score display when a hole card is
- * present in a Hand.
- * @type {string}
+ * Rebuilds a generator from the output of toJSON.
+ * @param {object} json The saved generator.
+ * @return {B.Random} A new Random instance.
  */
-B.Card.HOLE_CARD = '\u2300';		// 'not' symbol 
+B.Random.fromJSON = function(json) {
+	var random;
 
+	random = new B.Random(json.seed);
+	random._setState(json.state);
 
-/**
- * The labels of the various cards by value index.
- * @type {Array.<string>}
- */
-B.Card.LABELS = [null,	// Don't use 0 index.
-	'A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'
-];
+	return random;
+};
 
 
 /**
- * The names and Unicode symbols for the various suits in 'new deck order',
- * Hearts, Clubs, Diamonds, Spades (aka suit index). For text output we use the
- * black symbols for Spades and Clubs and white symbols for Hearts and Diamonds.
- * @type {Array.<object>}
+ * Returns Alea's string hashing function, used to turn seeds into generator
+ * state. Each returned function carries its own running hash state.
+ * @return {Function} The hashing function.
  */
-B.Card.SUITS = [null,	// Don't use 0 index.
-	{ name: 'Hearts', symbol: '\u2661' },
-	{ name: 'Clubs', symbol: '\u2663' },
-	{ name: 'Diamonds', symbol: '\u2662' },
-	{ name: 'Spades', symbol: '\u2660' }
-];
-
+B.Random.mash = function() {
+	var n;
 
-/**
- * Hole card state. By default cards deal face-up, but not hole cards.
- * @type {boolean}
- */
-B.Card.prototype.holeCard = false;
+	n = 0xefc8249d;
 
+	return function(data) {
+		var h,
+			i,
+			str;
+
+		str = String(data);
+		for (i = 0; i < str.length; i++) {
+			n += str.charCodeAt(i);
+			h = 0.02519603282416938 * n;
+			n = h >>> 0;
+			h -= n;
+			h *= n;
+			n = h >>> 0;
+			h -= n;
+			n += h * 0x100000000;	// 2^32
+		}
 
-/**
- * Return the text label for the card, such as 'A' for an Ace.
- * @return {string} The string label of the card.
- */
-B.Card.prototype.getLabel = function() {
-	return B.Card.LABELS[this.getIndex()];
+		return (n >>> 0) * 2.3283064365386963e-10;	// 2^-32
+	};
 };
 
 
 /**
- * Return the suit name, ie. Hearts, Diamonds, etc.
- * @return {string} The suit name.
+ * Returns a new, short, random seed suitable for display and bug reports.
+ * @return {string} The seed.
  */
-B.Card.prototype.getSuitName = function() {
-	return B.Card.SUITS[this.getSuit()].name;
+B.Random.newSeed = function() {
+	return Math.floor(Math.random() * 0x7fffffff).toString(36);
 };
 
 
-/**
- * Return the suit symbol, the Unicode value for the suit name.
- * @return {string} The suit symbol.
+//  --------------------------------------------------------------------------- 
+//  Provable Fairness
+//  --------------------------------------------------------------------------- 
+
+/*
+ * NOTE: A seeded shuffle is only as trustworthy as whoever picks the seed. In
+ * provably fair mode each shoe is shuffled from the combination of a server
+ * seed, chosen by the house, and a client seed, chosen by the player. The
+ * house commits to its seed up front by publishing the seed's SHA-256 hash
+ * before the first card of the shoe is dealt, then reveals the seed itself
+ * once the shoe is finished. With both seeds in hand anyone can rebuild the
+ * shoe via B.Commitment.verify and confirm it wasn't changed mid-shoe.
  */
-B.Card.prototype.getSymbol = function() {
-	return B.Card.SUITS[this.getSuit()].symbol;
-};
 
 
 /**
- * Return the value of the card. Note that Aces will always return 11 while
- * face cards (J, Q, K) all return 10. During scoring of Hand instances the
- * Ace values are adjusted to 'soft' (1) values as needed.
- * @return {number} The numerical value of the card from 2 to 11.
+ * Returns the SHA-256 hash of a string as 64 hex characters. Strings are UTF-8
+ * encoded before hashing, matching the output of common sha256sum tools.
+ * @param {string} message The string to hash.
+ * @return {string} The hex-encoded hash.
  */
-B.Card.prototype.getValue = function() {
-	var i;
-
-	i = this.getIndex();
+B.sha256 = function(message) {
+	var a, b, c, d, e, f, g, h,
+		bytes,
+		hash,
+		hex,
+		i,
+		j,
+		len,
+		ror,
+		s0,
+		s1,
+		t1,
+		t2,
+		w,
+		words;
+
+	// Rotate right for 32-bit words.
+	ror = function(x, n) {
+		return (x >>> n) | (x << (32 - n));
+	};
 
-	if (i === 1) {
-		return 11;
-	} else if (i > 10) {
-		return 10;
-	} else {
-		return i;
+	// Encode as UTF-8, one byte per character, then pack big-endian words
+	// with the standard padding and bit length.
+	bytes = unescape(encodeURIComponent(String(message)));
+	len = bytes.length;
+	words = [];
+	for (i = 0; i < len; i++) {
+		words[i >> 2] |= bytes.charCodeAt(i) << (24 - (i % 4) * 8);
 	}
-};
+	words[len >> 2] |= 0x80 << (24 - (len % 4) * 8);
+	words[(((len + 8) >> 6) << 4) + 15] = len * 8;
+
+	hash = B.sha256.H.slice(0);
+	w = [];
+
+	for (i = 0; i < words.length; i += 16) {
+		a = hash[0];
+		b = hash[1];
+		c = hash[2];
+		d = hash[3];
+		e = hash[4];
+		f = hash[5];
+		g = hash[6];
+		h = hash[7];
+
+		for (j = 0; j < 64; j++) {
+			if (j < 16) {
+				w[j] = words[i + j] | 0;
+			} else {
+				s0 = ror(w[j - 15], 7) ^ ror(w[j - 15], 18) ^ (w[j - 15] >>> 3);
+				s1 = ror(w[j - 2], 17) ^ ror(w[j - 2], 19) ^ (w[j - 2] >>> 10);
+				w[j] = (w[j - 16] + s0 + w[j - 7] + s1) | 0;
+			}
 
+			t1 = (h + (ror(e, 6) ^ ror(e, 11) ^ ror(e, 25)) +
+				((e & f) ^ (~e & g)) + B.sha256.K[j] + w[j]) | 0;
+			t2 = ((ror(a, 2) ^ ror(a, 13) ^ ror(a, 22)) +
+				((a & b) ^ (a & c) ^ (b & c))) | 0;
+
+			h = g;
+			g = f;
+			f = e;
+			e = (d + t1) | 0;
+			d = c;
+			c = b;
+			b = a;
+			a = (t1 + t2) | 0;
+		}
 
-/**
- * Combined setter/getter for the hole card flag.
- * @param {boolean} flag The new value for the holdCard property.
- * @return {boolean} The current setting, after optional flag update.
- */
-B.Card.prototype.isHoleCard = function(flag) {
-	if (flag !== undefined) {
-		this.holeCard = flag;
+		hash[0] = (hash[0] + a) | 0;
+		hash[1] = (hash[1] + b) | 0;
+		hash[2] = (hash[2] + c) | 0;
+		hash[3] = (hash[3] + d) | 0;
+		hash[4] = (hash[4] + e) | 0;
+		hash[5] = (hash[5] + f) | 0;
+		hash[6] = (hash[6] + g) | 0;
+		hash[7] = (hash[7] + h) | 0;
 	}
 
-	return this.holeCard;
+	hex = '';
+	for (i = 0; i < 8; i++) {
+		hex += ('0000000' + (hash[i] >>> 0).toString(16)).slice(-8);
+	}
+
+	return hex;
 };
 
 
 /**
- * Prints the card's label/symbol pair to the console.
- * @return {B.Card} The receiver.
+ * The SHA-256 initial hash values.
+ * @type {Array.<number>}
  */
-B.Card.prototype.print = function() {
-	if (this.isHoleCard()) {
-		return B.Card.HOLE_CARD;
-	} else {
-		return this.getLabel() + this.getSymbol();
-	}
-};
-
+B.sha256.H = [
+	0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+	0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+];
 
-//  --------------------------------------------------------------------------- 
 
-/*
- * NOTE: The Deck object is a fully-encapsulated constructor function. The
- * actual card instance creation as well as the card array itself are protected
- * from tampering except through methods on the Deck. Deck mixes in Shuffler to
- * provide a means for shuffling a Deck and Printable to support printing.
- *
- * Why a true Deck of Card instances? Admittedly there's a bit of overhead in
- * creating objects rather than just driving things from a random number
- * generator. Still, for the game to function properly it's important that no
- * card be used twice in a single-deck game, but could be if the game were
- * changed to a multi-deck game. The most sensible thing that allows for future
- * expansion is to accept real Card instances since 52 objects * a deck count
- * shouldn't overburden modern web browsers. Card instances also make some of
- * the computations for card values, printing, etc. far more encapsulated.
+/**
+ * The SHA-256 round constants.
+ * @type {Array.<number>}
  */
+B.sha256.K = [
+	0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1,
+	0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+	0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+	0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+	0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+	0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+	0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b,
+	0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+	0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+	0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+	0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
 
 
 /**
- * Constructs a new, unshuffled, deck of Card instances. Note that the default
- * order of cards in the deck matches that of a physical deck of cards. In
- * particular, the card order from top to bottom (aka first to last card in the
- * deck) is Ace through King of Hearts, Ace through King of Clubs, King through
- * Ace of Diamonds, and King through Ace of Spades. Note that the order of suits
- * changes in mid-deck.
- * @return {B.Deck} A new Deck instance.
+ * Constructs a new Commitment instance and returns it. A Commitment pairs a
+ * hidden server seed with a client seed. Only the hash of the server seed is
+ * available until the commitment is revealed, and the client seed can only
+ * change until the commitment is locked by the shuffle it seeds.
+ * @param {string} clientSeed The player's seed. Optional.
+ * @param {string} serverSeed The house seed. The default is a new seed from
+ *     B.Commitment.newServerSeed().
+ * @return {B.Commitment} A new Commitment instance.
  * @constructor
  */
-B.Deck = function() {
-	var i,
-		j,
-		n,
-		cards;
+B.Commitment = function(clientSeed, serverSeed) {
+	var client,
+		hash,
+		locked,
+		revealed,
+		server;
 
-	cards = [];
+	/**
+	 * The house seed, hidden until the commitment is revealed.
+	 * @type {string}
+	 */
+	server = serverSeed || B.Commitment.newServerSeed();
 
-	// First two suits run from Ace to King. Last two suits run from King to
-	// Ace.
-	for (i = 1; i < 5; i++) {
-		for (j = 1; j < 14; j++) {
-			n = i < 3 ? j : 14 - j;
-			cards.push(new B.Card(n, i));
-		}
-	}
 
 	/**
-	 * Return the array of Card instances which make up the deck. Note that the
-	 * array returned is mutable, which is necessary for shuffling in place.
-	 * @return {Array.<B.Card>} The card array.
+	 * The published SHA-256 hash of the server seed.
+	 * @type {string}
 	 */
-	this.getCards = function() {
-		return cards;
-	};
+	hash = B.sha256(server);
 
-	return this;
-};
 
+	/**
+	 * The player's seed.
+	 * @type {string}
+	 */
+	client = clientSeed || '';
 
-// Mix in Printable so we can print our card array on demand.
-$.extend(B.Deck.prototype, B.Printable);
 
-// Mix in Shuffler so we get 'shuffled' and 'shuffle' behavior.
-$.extend(B.Deck.prototype, B.Shuffler);
+	/**
+	 * True once the commitment has seeded a shuffle.
+	 * @type {boolean}
+	 */
+	locked = false;
 
-//  --------------------------------------------------------------------------- 
 
-/*
- * NOTE: The Shoe object is responsible for dealing the cards. Like a Deck, a
- * Shoe is a collection of cards so we mix in both print and shuffle ability.
- * Like our other constructors we have a mix of private vars/getters and more
- * public methods. The reason for the mix is to help minimize how many copies of
- * functions we're creating as a side-effect of instance creation.
- */
+	/**
+	 * True once the server seed has been revealed.
+	 * @type {boolean}
+	 */
+	revealed = false;
 
 
-/**
- * Constructs a new Shoe instance and returns it. A 'shoe' is the container for
- * one or more decks of cards which are shuffled and dealt for the game.
- * @param {number} size The number of decks in the shoe. The default is
- *     B.Shoe.DEFAULT_SIZE.
- * @return {B.Shoe} A new Shoe instance.
- * @constructor
- */
-B.Shoe = function(size) {
-	var cards,
-		decks;
+	/**
+	 * Returns the player's seed.
+	 * @return {string} The client seed.
+	 */
+	this.getClientSeed = function() {
+		return client;
+	};
+
 
 	/**
-	 * The array of Cards in the shoe. The card list is built from the
-	 * individual decks which are added to the shoe.
-	 * @type {Array.<B.Card>}
+	 * Returns the published hash of the server seed.
+	 * @return {string} The hash.
 	 */
-	cards = [];
+	this.getHash = function() {
+		return hash;
+	};
 
 
 	/**
-     * The number of Decks this Shoe holds.
-	 * @type {number}
+	 * Returns the server seed, provided it has been revealed.
+	 * @return {string} The server seed.
 	 */
-	decks = size || B.Shoe.DEFAULT_SIZE;
+	this.getServerSeed = function() {
+		if (!revealed) {
+			throw new Error('InvalidOperation: Server seed not yet revealed.');
+		}
+		return server;
+	};
 
 
 	/**
-	 * Returns the internal cards array. Note that since the array is
-	 * mutable and passed by reference its contents can be modified by
-	 * consumers. This is a necessary requirement for shuffling.
-	 * @return {Array.<B.Card>} The cards in the shoe.
+	 * Returns true once the commitment has seeded a shuffle.
+	 * @return {boolean}
 	 */
-	this.getCards = function() {
-		return cards;
+	this.isLocked = function() {
+		return locked;
 	};
 
 
 	/**
-     * Returns the number of decks this shoe holds. 
-	 * @return {number}
+	 * Returns true once the server seed has been revealed.
+	 * @return {boolean}
 	 */
-	this.getSize = function() {
-		return decks;
+	this.isRevealed = function() {
+		return revealed;
 	};
 
 
-	// Force the shoe to fill.
-	this.fill();
+	/**
+	 * Locks the commitment and returns the combined seed for the shuffle.
+	 * @return {string} The shuffle seed.
+	 */
+	this.lock = function() {
+		locked = true;
+		return B.Commitment.combine(server, client);
+	};
 
-	return this;
-};
 
+	/**
+	 * Reveals the server seed.
+	 * @return {string} The server seed.
+	 */
+	this.reveal = function() {
+		revealed = true;
+		return server;
+	};
 
-// Mix in Printable so we can print our card array on demand.
-$.extend(B.Shoe.prototype, B.Printable);
 
+	/**
+	 * Sets the player's seed. Once the commitment is locked the seed can't
+	 * change.
+	 * @param {string} seed The new client seed.
+	 */
+	this.setClientSeed = function(seed) {
+		if (locked) {
+			throw new Error('InvalidOperation: Commitment is locked.');
+		}
+		client = String(seed);
+	};
 
-// Mix in Shuffler so we get 'shuffled' and 'shuffle' behavior.
-$.extend(B.Shoe.prototype, B.Shuffler);
 
+	/**
+	 * Returns the commitment's seeds and state, suitable for JSON.stringify.
+	 * NOTE the server seed is included whether or not it has been revealed,
+	 * so saved games must be kept wherever the house keeps its seeds.
+	 * @return {object} The seeds and state.
+	 */
+	this.toJSON = function() {
+		return {
+			client: client,
+			server: server,
+			locked: locked,
+			revealed: revealed
+		};
+	};
 
-/**
- * The default number of decks in a new Shoe.
- * @type {number}
- */
-B.Shoe.DEFAULT_SIZE = 1;
+	return this;
+};
 
 
 /**
- * Adds a deck to the shoe. This operation does not instantly result in a
- * shuffle. The shoe will only shuffle if it is unshuffled and is asked to
- * deal a card.
- * @param {B.Deck} deck A deck of cards.
- * @return {B.Shoe} The receiver.
+ * Combines the server and client seeds into the seed for the shuffle.
+ * @param {string} serverSeed The house seed.
+ * @param {string} clientSeed The player's seed.
+ * @return {string} The shuffle seed.
  */
-B.Shoe.prototype.addDeck = function(deck) {
-	var cards;
+B.Commitment.combine = function(serverSeed, clientSeed) {
+	return B.sha256(serverSeed + ':' + clientSeed);
+};
 
-	// Note the mixin property update here for B.Shuffler.
-	this.shuffled = false;
 
-	cards = this.getCards();
+/**
+ * Rebuilds a commitment from the output of toJSON.
+ * @param {object} json The saved commitment.
+ * @return {B.Commitment} A new Commitment instance.
+ */
+B.Commitment.fromJSON = function(json) {
+	var commitment;
 
-	// Use apply here to flatten the incoming deck's cards into the
-	// receiver, otherwise we'll end up with an array of array of cards.
-	cards.push.apply(cards, deck.getCards());
+	commitment = new B.Commitment(json.client, json.server);
+	if (json.locked) {
+		commitment.lock();
+	}
+	if (json.revealed) {
+		commitment.reveal();
+	}
 
-	return this;
+	return commitment;
 };
 
 
 /**
- * Deals a single card from the shoe. This reduces the number of cards in the
- * shoe by one. If the shoe is empty when this method is called the shoe is
- * filled, shuffled, and a new card is vended from the resulting card stack.
- * @param {boolean} holeCard True if the vended card is meant as a hole card.
+ * Returns a new server seed of 64 hex characters. A cryptographic source is
+ * used when one is available. A generator may be passed instead, so that a
+ * game replayed from its seed also replays its server seeds.
+ * @param {object} rng A random number generator. Optional.
+ * @return {string} The server seed.
  */
-B.Shoe.prototype.deal = function(holeCard) {
-	var cards,
-		card;
-
-	// Shuffle won't actually shuffle if the receiver is already shuffled.
-	this.shuffle();
-
-	cards = this.getCards();
+B.Commitment.newServerSeed = function(rng) {
+	var bytes,
+		crypto,
+		i,
+		seed;
 
-	// Return the first card in the cards collection, reducing the cards in
-	// the shoe by one.
-	card = cards.shift();
+	seed = '';
 
-	// If we're out of cards we have to fill and vend from the fresh list.
-	if (!card) {
-		this.fill();
-		return this.deal(holeCard);		// Pass along holeCard state flag.
+	if (!rng) {
+		crypto = typeof window !== 'undefined' && window.crypto;
+		if (crypto && crypto.getRandomValues) {
+			bytes = new Uint8Array(32);
+			crypto.getRandomValues(bytes);
+		} else if (typeof require === 'function') {
+			bytes = require('crypto').randomBytes(32);
+		}
 	}
 
-	// Update state of card if this is supposed to be a hole card (face down).
-	if (holeCard) {
-		card.isHoleCard(true);
+	for (i = 0; i < 32; i++) {
+		seed += ('0' + (bytes ? bytes[i] :
+			Math.floor((rng || Math).random() * 256)).toString(16)).slice(-2);
 	}
 
-	return card;
+	return seed;
 };
 
 
 /**
- * Fills the shoe. An extension here to provide incoming cards as a
- * parameter might allow this type to support Continuous Shuffle by adding
- * the discard pile after each Hand and allowing deal()'s natural shuffle
- * triggering to run.
- * @return {B.Shoe} The receiver.
+ * Rebuilds the order of a provably fair shoe from its seeds. The first card of
+ * the returned shoe is the burn card.
+ * @param {string} serverSeed The revealed house seed.
+ * @param {string} clientSeed The player's seed.
+ * @param {number} decks The number of decks in the shoe.
+ * @param {string} hash The hash published before the shoe was dealt. If
+ *     provided the server seed is checked against it.
+ * @return {B.Shoe} The shuffled shoe.
  */
-B.Shoe.prototype.fill = function() {
-	var i,
-		count,
-		cards;
+B.Commitment.verify = function(serverSeed, clientSeed, decks, hash) {
+	var shoe;
 
-	// For continuous shuffling we'd remove this check and perhaps add cards
-	// from an array of passed in discards.
-	cards = this.getCards();
-	if (cards.length !== 0) {
-		throw new Error('InvalidOperation: Cannot fill unless empty.');
+	if (hash && B.sha256(serverSeed) !== hash) {
+		throw new Error('InvalidServerSeed: Hash does not match ' + hash);
 	}
 
-	count = this.getSize();
-	for (i = 0; i < count; i++) {
-		this.addDeck(new B.Deck());
-	}
+	shoe = new B.Shoe(decks, {
+		random: new B.Random(B.Commitment.combine(serverSeed, clientSeed || ''))
+	});
+	shoe.shuffle();
 
-	return this;
+	return shoe;
 };
 
 
 //  --------------------------------------------------------------------------- 
-//  Players / Hands
+//  Shuffler Mixin
 //  --------------------------------------------------------------------------- 
 
 /*
- * NOTE: Player instances associate a set of holdings with a set of Hands. The
- * player manages holdings while Hands escrow bets. If a Hand wins, pushes,
- * pays insurance, or is surrendered, the payout is added to the player's
- * holdings. If a Hand busts or loses the escrowed amount of the bet is simply
- * discarded along with the Hand (we don't track House winnings).
+ * The Shuffler mixin is used as a simple way to factor a common shuffle
+ * routine out of Deck and Shoe to allow them to share it without inheritance.
+ *
+ * Consumers of the mixin must implement a getCards() method which returns an
+ * array and must manage the shuffled property to ensure it is false whenever
+ * they dirty their card array. Consumers may override getRandom() to supply a
+ * seeded random number generator.
  */
 
 
 /**
- * Constructs a new Player instance and returns it. Player instances manage
- * holdings and are associated with one or more Hands which manage a set of
- * cards and the bets related to those cards.
- * @param {B.Game} g The game the player is in.
- * @param {number} h The holdings the player starts with.
- * @return {B.Player} A new Player instance.
- * @constructor
+ * A simple mixin for common shuffling algorithm support. The shuffling
+ * algorithm here is a Fisher-Yates shuffle.
+ * See http://bost.ocks.org/mike/shuffle for a live example and discussion.
  */
-B.Player = function(g, h) {
-	var bet,
-        game,
-		holdings;
-
-	// Validate game instance.
-	if (!g) {
-		throw new Error('InvalidGame');
-	}
-
-	// Validate holdings.
-	if (!h) {
-		throw new Error('InvalidHoldings');
-	}
-
-
-    /**
-     * The amount of the player's initial bet, prior to a hand being dealt. Once
-     * a hand is dealt this value is transferred to the hand. From that point
-     * forward bets are specific to the hand(s) being played.
-     * @type {number}
-     */
-    bet = 0;
-
+B.Shuffler = {
 
 	/**
-	 * The game this player is a part of.
-	 * @type {B.Game}
+	 * A flag denoting whether the card collection is currently sorted.
+     * @type {boolean}
 	 */
-	game = g;
+	shuffled: false,
 
 
 	/**
-	 * The number of chips the player has left.
-	 * @type {number}
+	 * Returns the random number generator used to shuffle, any object with a
+	 * Math-style random() method. The default is Math itself.
+	 * @return {object} The random number generator.
 	 */
-	holdings = h;
+	getRandom: function() {
+		return Math;
+	},
 
 
 	/**
-	 * Adjusts the receiver's holdings up or down by the amount provided.
-	 * @param {number} amount The amount to adjust holdings by.
+	 * Shuffles the card collection to produce a random card order.
+	 * @return {B.Shuffler} The receiver.
 	 */
-	this.adjustHoldings = function(amount) {
-		holdings = this.getHoldings() + amount;
-	};
+	shuffle: function() {
+		var cards,
+			m,
+			t,
+			i,
+			rng,
+			start,
+			end;
 
+		// Dependency created on the consumer to dirty shuffled as needed.
+		if (this.shuffled) {
+			return this;
+		}
 
-    /**
-     * Returns the initial bet for the player used to define the initial bet for
-     * any hands which may be split, doubled, etc.
-     */
-    this.getBet = function() {
-        return bet;
-    };
+		// Dependency created here on the consumer to implement getCards.
+		cards = this.getCards();
+		m = cards.length;
+		rng = this.getRandom();
 
+		if (DEBUG) {
+			start = (new Date()).getTime();
+		}
 
-	/**
-	 * Returns the game this Player is part of.
-	 * @return {B.Game} The game.
-	 */
-	this.getGame = function() {
-		return game;
-	};
+		// Shuffle in place.
+		while (m) {
+			i = Math.floor(rng.random() * m--);
+			t = cards[m];
+			cards[m] = cards[i];
+			cards[i] = t;
+		}
 
+		this.shuffled = true;
 
-	/**
-	 * Returns the number of chips the player has left.
-	 * @return {number} The number of chips.
-	 */
-	this.getHoldings = function() {
-		return holdings;
-	};
+		if (DEBUG) {
+			end = (new Date()).getTime();
+			log('Shuffled fresh shoe of ' + cards.length + ' cards in ' +
+				(end - start) + 'ms.');
+		}
 
+		return this;
+	}
+};
 
-    /**
+//  --------------------------------------------------------------------------- 
+//  Cards / Decks / Shoes
+//  --------------------------------------------------------------------------- 
+
+/*
+ * NOTE: The Card object is implemented as a largely encapsulated constructor
+ * which has the benefit of making Card values read-only (you can't change
+ * the value of a card) at the expense of additional overhead due to each card
+ * having its own getter functions. To avoid truly excessive overhead the label
+ * and symbol lookup tables are external to the instance. This does make it
+ * possible for a card to report incorrect label/symbol information if one were
+ * to alter these more exposed lookup tables or the methods which access them.
+ * The internal card index values remain unchanged in any event.
+ */
+
+
+/**
+ * Constructs a new Card instance and returns it. Normally Card instances are
+ * not created directly but are produced from within the context of a Deck.
+ * @param {number} i The card index from 1 to 13 (Ace to King).
+ * @param {number} s The card suit from 1 to 4 (H, C, D, S).
+ * @return {B.Card} A new card instance.
+ * @constructor
+ */
+B.Card = function(i, s) {
+	var index,
+		suit;
+
+	// Validate index.
+	if (i < 1 || i > 13) {
+		throw new Error('InvalidIndex: ' + i);
+	}
+
+	// Validate suit.
+	if (s < 1 || s > 4) {
+		throw new Error('InvalidSuit: ' + s);
+	}
+
+
+	/**
+	 * The index of the card from 1 to 13. This index is used to find the card's
+	 * label and value.
+	 */
+	index = i;
+
+
+	/**
+	 * The index of the suit from 1 to 4. This index is used to find the card's
+	 * suit name and symbol.
+	 * @type {number}
+	 */
+	suit = s;
+
+
+	/**
+	 * Return the numerical index of the card.
+	 * @return {number} The index from 1 to 13.
+	 */
+	this.getIndex = function() {
+		return index;
+	};
+
+
+	/**
+	 * Return the numerical suit index of the card from 0 to 3.
+	 * @return {number} The suit index.
+	 */
+	this.getSuit = function() {
+		return suit;
+	};
+
+	return this;
+};
+
+
+/**
+ * Constant used for hole card display and score display when a hole card is
+ * present in a Hand.
+ * @type {string}
+ */
+B.Card.HOLE_CARD = '\u2300';		// 'not' symbol 
+
+
+/**
+ * The labels of the various cards by value index.
+ * @type {Array.<string>}
+ */
+B.Card.LABELS = [null,	// Don't use 0 index.
+	'A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'
+];
+
+
+/**
+ * The names and Unicode symbols for the various suits in 'new deck order',
+ * Hearts, Clubs, Diamonds, Spades (aka suit index). For text output we use the
+ * black symbols for Spades and Clubs and white symbols for Hearts and Diamonds.
+ * @type {Array.<object>}
+ */
+B.Card.SUITS = [null,	// Don't use 0 index.
+	{ name: 'Hearts', symbol: '\u2661' },
+	{ name: 'Clubs', symbol: '\u2663' },
+	{ name: 'Diamonds', symbol: '\u2662' },
+	{ name: 'Spades', symbol: '\u2660' }
+];
+
+
+/**
+ * Rebuilds a Card from the output of toJSON.
+ * @param {object} json The saved card.
+ * @return {B.Card} A new Card instance.
+ */
+B.Card.fromJSON = function(json) {
+	var card;
+
+	card = new B.Card(json.index, json.suit);
+	if (json.hole) {
+		card.isHoleCard(true);
+	}
+
+	return card;
+};
+
+
+/**
+ * Hole card state. By default cards deal face-up, but not hole cards.
+ * @type {boolean}
+ */
+B.Card.prototype.holeCard = false;
+
+
+/**
+ * Return the text label for the card, such as 'A' for an Ace.
+ * @return {string} The string label of the card.
+ */
+B.Card.prototype.getLabel = function() {
+	return B.Card.LABELS[this.getIndex()];
+};
+
+
+/**
+ * Return the suit name, ie. Hearts, Diamonds, etc.
+ * @return {string} The suit name.
+ */
+B.Card.prototype.getSuitName = function() {
+	return B.Card.SUITS[this.getSuit()].name;
+};
+
+
+/**
+ * Return the suit symbol, the Unicode value for the suit name.
+ * @return {string} The suit symbol.
+ */
+B.Card.prototype.getSymbol = function() {
+	return B.Card.SUITS[this.getSuit()].symbol;
+};
+
+
+/**
+ * Return the value of the card. Note that Aces will always return 11 while
+ * face cards (J, Q, K) all return 10. During scoring of Hand instances the
+ * Ace values are adjusted to 'soft' (1) values as needed.
+ * @return {number} The numerical value of the card from 2 to 11.
+ */
+B.Card.prototype.getValue = function() {
+	var i;
+
+	i = this.getIndex();
+
+	if (i === 1) {
+		return 11;
+	} else if (i > 10) {
+		return 10;
+	} else {
+		return i;
+	}
+};
+
+
+/**
+ * Combined setter/getter for the hole card flag.
+ * @param {boolean} flag The new value for the holdCard property.
+ * @return {boolean} The current setting, after optional flag update.
+ */
+B.Card.prototype.isHoleCard = function(flag) {
+	if (flag !== undefined) {
+		this.holeCard = flag;
+	}
+
+	return this.holeCard;
+};
+
+
+/**
+ * Prints the card's label/symbol pair to the console.
+ * @return {B.Card} The receiver.
+ */
+B.Card.prototype.print = function() {
+	if (this.isHoleCard()) {
+		return B.Card.HOLE_CARD;
+	} else {
+		return this.getLabel() + this.getSymbol();
+	}
+};
+
+
+/**
+ * Returns a plain object describing the Card, suitable for JSON.stringify.
+ * @return {object} The card's index, suit, and hole card state.
+ */
+B.Card.prototype.toJSON = function() {
+	return {
+		index: this.getIndex(),
+		suit: this.getSuit(),
+		hole: this.isHoleCard()
+	};
+};
+
+
+//  --------------------------------------------------------------------------- 
+
+/*
+ * NOTE: The Deck object is a fully-encapsulated constructor function. The
+ * actual card instance creation as well as the card array itself are protected
+ * from tampering except through methods on the Deck. Deck mixes in Shuffler to
+ * provide a means for shuffling a Deck and Printable to support printing.
+ *
+ * Why a true Deck of Card instances? Admittedly there's a bit of overhead in
+ * creating objects rather than just driving things from a random number
+ * generator. Still, for the game to function properly it's important that no
+ * card be used twice in a single-deck game, but could be if the game were
+ * changed to a multi-deck game. The most sensible thing that allows for future
+ * expansion is to accept real Card instances since 52 objects * a deck count
+ * shouldn't overburden modern web browsers. Card instances also make some of
+ * the computations for card values, printing, etc. far more encapsulated.
+ */
+
+
+/**
+ * Constructs a new, unshuffled, deck of Card instances. Note that the default
+ * order of cards in the deck matches that of a physical deck of cards. In
+ * particular, the card order from top to bottom (aka first to last card in the
+ * deck) is Ace through King of Hearts, Ace through King of Clubs, King through
+ * Ace of Diamonds, and King through Ace of Spades. Note that the order of suits
+ * changes in mid-deck.
+ * @param {object} rng The random number generator used to shuffle the deck.
+ *     Optional. See B.Shuffler.getRandom.
+ * @return {B.Deck} A new Deck instance.
+ * @constructor
+ */
+B.Deck = function(rng) {
+	var i,
+		j,
+		n,
+		cards,
+		random;
+
+	cards = [];
+	random = rng || Math;
+
+	// First two suits run from Ace to King. Last two suits run from King to
+	// Ace.
+	for (i = 1; i < 5; i++) {
+		for (j = 1; j < 14; j++) {
+			n = i < 3 ? j : 14 - j;
+			cards.push(new B.Card(n, i));
+		}
+	}
+
+	/**
+	 * Return the array of Card instances which make up the deck. Note that the
+	 * array returned is mutable, which is necessary for shuffling in place.
+	 * @return {Array.<B.Card>} The card array.
+	 */
+	this.getCards = function() {
+		return cards;
+	};
+
+
+	/**
+	 * Returns the random number generator used to shuffle the deck.
+	 * @return {object} The random number generator.
+	 */
+	this.getRandom = function() {
+		return random;
+	};
+
+	return this;
+};
+
+
+// Mix in Printable so we can print our card array on demand.
+extend(B.Deck.prototype, B.Printable);
+
+// Mix in Shuffler so we get 'shuffled' and 'shuffle' behavior.
+extend(B.Deck.prototype, B.Shuffler);
+
+//  --------------------------------------------------------------------------- 
+
+/*
+ * NOTE: The Shoe object is responsible for dealing the cards. Like a Deck, a
+ * Shoe is a collection of cards so we mix in both print and shuffle ability.
+ * Like our other constructors we have a mix of private vars/getters and more
+ * public methods. The reason for the mix is to help minimize how many copies of
+ * functions we're creating as a side-effect of instance creation.
+ */
+
+
+/**
+ * Constructs a new Shoe instance and returns it. A 'shoe' is the container for
+ * one or more decks of cards which are shuffled and dealt for the game. As in a
+ * casino a cut card is placed in the shoe after each shuffle. Once the cut card
+ * comes out the shoe is reshuffled before the next round. Cards which have been
+ * played are tracked in a discard tray until then.
+ * @param {number} size The number of decks in the shoe. The default is
+ *     B.Shoe.DEFAULT_SIZE. Legal sizes are found in B.Shoe.SIZES.
+ * @param {object} opts Optional shoe parameters. The penetration key sets
+ *     how far into the shoe the cut card is placed, as a fraction of the
+ *     total cards. The default is B.Shoe.DEFAULT_PENETRATION. A true value
+ *     for the continuous key makes the shoe a continuous shuffling machine.
+ *     The random key supplies the random number generator used to shuffle.
+ * @return {B.Shoe} A new Shoe instance.
+ * @constructor
+ */
+B.Shoe = function(size, opts) {
+	var cards,
+		continuous,
+		decks,
+		discards,
+		listeners,
+		options,
+		penetration,
+		random;
+
+	options = opts || {};	// Simplify lookup/defaulting syntax below.
+
+	/**
+	 * The array of Cards in the shoe. The card list is built from the
+	 * individual decks which are added to the shoe.
+	 * @type {Array.<B.Card>}
+	 */
+	cards = [];
+
+
+	/**
+     * The number of Decks this Shoe holds.
+	 * @type {number}
+	 */
+	decks = size || B.Shoe.DEFAULT_SIZE;
+	if (B.Shoe.SIZES.indexOf(decks) === -1) {
+		throw new Error('InvalidSize: ' + decks);
+	}
+
+
+	/**
+	 * Continuous shuffling machine (CSM) mode. A CSM has no cut card. Each
+	 * round's cards go straight back into the machine to be shuffled in with
+	 * the rest before the next deal.
+	 * @type {boolean}
+	 */
+	continuous = !!options.continuous;
+
+
+	/**
+	 * The discard tray. Cards from finished rounds, as well as burn cards, sit
+	 * here until the shoe is reshuffled.
+	 * @type {Array.<B.Card>}
+	 */
+	discards = [];
+
+
+	/**
+	 * Event listeners keyed by event name. See B.Emitter.
+	 * @type {Object.<string, Array.<Function>>}
+	 */
+	listeners = {};
+
+
+	/**
+	 * The fraction of the shoe dealt before the cut card comes out.
+	 * @type {number}
+	 */
+	penetration = options.penetration || B.Shoe.DEFAULT_PENETRATION;
+	if (penetration <= 0 || penetration > 1) {
+		throw new Error('InvalidPenetration: ' + penetration);
+	}
+
+
+	/**
+	 * The random number generator used to shuffle the shoe.
+	 * @type {object}
+	 */
+	random = options.random || Math;
+
+
+	/**
+	 * Returns the internal cards array. Note that since the array is
+	 * mutable and passed by reference its contents can be modified by
+	 * consumers. This is a necessary requirement for shuffling.
+	 * @return {Array.<B.Card>} The cards in the shoe.
+	 */
+	this.getCards = function() {
+		return cards;
+	};
+
+
+	/**
+	 * Returns the discard tray. As with the card array the tray is mutable so
+	 * the shoe can move cards in and out of it.
+	 * @return {Array.<B.Card>} The discarded cards.
+	 */
+	this.getDiscards = function() {
+		return discards;
+	};
+
+
+	/**
+	 * Returns the event listeners registered with the Shoe.
+	 * @return {Object.<string, Array.<Function>>} Listeners by event name.
+	 */
+	this.getListeners = function() {
+		return listeners;
+	};
+
+
+	/**
+	 * Returns the fraction of the shoe dealt before the cut card comes out.
+	 * @return {number}
+	 */
+	this.getPenetration = function() {
+		return penetration;
+	};
+
+
+	/**
+	 * Returns the random number generator used to shuffle the shoe.
+	 * @return {object} The random number generator.
+	 */
+	this.getRandom = function() {
+		return random;
+	};
+
+
+	/**
+	 * Replaces the random number generator used to shuffle the shoe. This is
+	 * how provably fair games seed each shoe from its own commitment.
+	 * @param {object} rng The new random number generator.
+	 */
+	this.setRandom = function(rng) {
+		random = rng;
+	};
+
+
+	/**
+     * Returns the number of decks this shoe holds. 
+	 * @return {number}
+	 */
+	this.getSize = function() {
+		return decks;
+	};
+
+
+	/**
+	 * Returns true if the shoe is a continuous shuffling machine.
+	 * @return {boolean}
+	 */
+	this.isContinuous = function() {
+		return continuous;
+	};
+
+
+	// Force the shoe to fill.
+	this.fill();
+
+	return this;
+};
+
+
+// Mix in Printable so we can print our card array on demand.
+extend(B.Shoe.prototype, B.Printable);
+
+
+// Mix in Shuffler so we get 'shuffled' and 'shuffle' behavior.
+extend(B.Shoe.prototype, B.Shuffler);
+
+
+// Mix in Emitter so the Game can learn when the shoe is shuffled.
+extend(B.Shoe.prototype, B.Emitter);
+
+
+/**
+ * The default fraction of the shoe dealt before reshuffling.
+ * @type {number}
+ */
+B.Shoe.DEFAULT_PENETRATION = 0.75;
+
+
+/**
+ * The default number of decks in a new Shoe.
+ * @type {number}
+ */
+B.Shoe.DEFAULT_SIZE = 1;
+
+
+/**
+ * The number of decks a Shoe may hold.
+ * @type {Array.<number>}
+ */
+B.Shoe.SIZES = [1, 2, 4, 6, 8];
+
+
+/**
+ * Rebuilds a Shoe from the output of toJSON, with its cards, discard tray, and
+ * random number generator exactly as they were.
+ * @param {object} json The saved shoe.
+ * @return {B.Shoe} A new Shoe instance.
+ */
+B.Shoe.fromJSON = function(json) {
+	var cards,
+		discards,
+		shoe;
+
+	shoe = new B.Shoe(json.decks, {
+		continuous: json.continuous,
+		penetration: json.penetration,
+		random: json.random ? B.Random.fromJSON(json.random) : undefined
+	});
+
+	// Replace the freshly filled decks with the saved order.
+	cards = shoe.getCards();
+	cards.length = 0;
+	cards.push.apply(cards, json.cards.map(B.Card.fromJSON));
+
+	discards = shoe.getDiscards();
+	discards.push.apply(discards, json.discards.map(B.Card.fromJSON));
+
+	shoe.shuffled = json.shuffled;
+
+	return shoe;
+};
+
+
+/**
+ * Adds a deck to the shoe. This operation does not instantly result in a
+ * shuffle. The shoe will only shuffle if it is unshuffled and is asked to
+ * deal a card.
+ * @param {B.Deck} deck A deck of cards.
+ * @return {B.Shoe} The receiver.
+ */
+B.Shoe.prototype.addDeck = function(deck) {
+	var cards;
+
+	// Note the mixin property update here for B.Shuffler.
+	this.shuffled = false;
+
+	cards = this.getCards();
+
+	// Use apply here to flatten the incoming deck's cards into the
+	// receiver, otherwise we'll end up with an array of array of cards.
+	cards.push.apply(cards, deck.getCards());
+
+	return this;
+};
+
+
+/**
+ * Burns the top card of the shoe, moving it face down to the discard tray.
+ * @return {B.Shoe} The receiver.
+ */
+B.Shoe.prototype.burn = function() {
+	var card;
+
+	card = this.getCards().shift();
+	if (card) {
+		this.getDiscards().push(card);
+	}
+
+	return this;
+};
+
+
+/**
+ * Deals a single card from the shoe. This reduces the number of cards in the
+ * shoe by one. A freshly shuffled shoe burns its top card before dealing. If
+ * the shoe runs dry mid-round an 'empty' event gives listeners the chance to
+ * refill it. Otherwise the discard tray is shuffled and dealt from, and if the
+ * tray is empty as well the shoe is filled with fresh decks. Each shuffle is
+ * published as a 'shuffle' event.
+ * @param {boolean} holeCard True if the vended card is meant as a hole card.
+ */
+B.Shoe.prototype.deal = function(holeCard) {
+	var cards,
+		card,
+		discards;
+
+	// Every shuffle of a hand-shuffled shoe is followed by a burn card.
+	if (!this.shuffled) {
+		this.shuffle();
+		if (!this.isContinuous()) {
+			this.burn();
+		}
+		this.emit('shuffle', this);
+	}
+
+	cards = this.getCards();
+
+	// Return the first card in the cards collection, reducing the cards in
+	// the shoe by one.
+	card = cards.shift();
+
+	// If we're out of cards we have to refill and vend from the fresh list.
+	if (!card) {
+		this.emit('empty', this);
+		discards = this.getDiscards();
+		if (cards.length) {
+			// A listener has already refilled the shoe.
+		} else if (discards.length) {
+			cards.push.apply(cards, discards);
+			discards.length = 0;
+			this.shuffled = false;
+		} else {
+			this.fill();
+		}
+		return this.deal(holeCard);		// Pass along holeCard state flag.
+	}
+
+	// Update state of card if this is supposed to be a hole card (face down).
+	// Cards coming back around from the discard tray may still be flagged.
+	card.isHoleCard(!!holeCard);
+
+	return card;
+};
+
+
+/**
+ * Moves cards from a finished round into the discard tray. A continuous
+ * shuffling machine takes the cards straight back into the shoe instead,
+ * where they're shuffled in before the next card is dealt.
+ * @param {Array.<B.Card>} used The cards to discard.
+ * @return {B.Shoe} The receiver.
+ */
+B.Shoe.prototype.discard = function(used) {
+	var target;
+
+	if (this.isContinuous()) {
+		target = this.getCards();
+
+		// Note the mixin property update here for B.Shuffler.
+		this.shuffled = false;
+	} else {
+		target = this.getDiscards();
+	}
+
+	used.map(function(card) {
+		card.isHoleCard(false);
+		target.push(card);
+	});
+
+	return this;
+};
+
+
+/**
+ * Fills the shoe with fresh decks. Note that continuous shuffling doesn't
+ * refill the shoe, it feeds each round's discards back in via discard() and
+ * lets deal()'s natural shuffle triggering run.
+ * @return {B.Shoe} The receiver.
+ */
+B.Shoe.prototype.fill = function() {
+	var i,
+		count,
+		cards;
+
+	cards = this.getCards();
+	if (cards.length !== 0) {
+		throw new Error('InvalidOperation: Cannot fill unless empty.');
+	}
+
+	count = this.getSize();
+	for (i = 0; i < count; i++) {
+		this.addDeck(new B.Deck(this.getRandom()));
+	}
+
+	return this;
+};
+
+
+/**
+ * Returns the number of cards dealt before the cut card comes out.
+ * @return {number} The position of the cut card.
+ */
+B.Shoe.prototype.getCut = function() {
+	return Math.round(this.getSize() * 52 * this.getPenetration());
+};
+
+
+/**
+ * Returns true once the cut card has come out, meaning the shoe should be
+ * reshuffled before the next round. A continuous shuffling machine never
+ * needs a separate reshuffle.
+ * @return {boolean} True if the shoe needs a reshuffle.
+ */
+B.Shoe.prototype.needsShuffle = function() {
+	if (this.isContinuous()) {
+		return false;
+	}
+
+	return this.getSize() * 52 - this.getCards().length >= this.getCut();
+};
+
+
+/**
+ * Reshuffles the shoe. The remaining cards and the discard tray are gathered
+ * up and the shoe is rebuilt from its decks. The shuffle itself, along with
+ * the burn card, happens on the next deal.
+ * @return {B.Shoe} The receiver.
+ */
+B.Shoe.prototype.reshuffle = function() {
+
+	this.getCards().length = 0;
+	this.getDiscards().length = 0;
+
+	this.fill();
+
+	log('Shuffling a fresh shoe of ' + this.getSize() + ' deck(s).');
+
+	return this;
+};
+
+
+/**
+ * Returns a plain object describing the Shoe, including the order of the
+ * cards still to be dealt, suitable for JSON.stringify. A generator without
+ * saveable state, such as Math, is left out.
+ * @return {object} The shoe's settings, cards, and discard tray.
+ */
+B.Shoe.prototype.toJSON = function() {
+	var random,
+		serialize;
+
+	serialize = function(card) {
+		return card.toJSON();
+	};
+
+	random = this.getRandom();
+
+	return {
+		decks: this.getSize(),
+		penetration: this.getPenetration(),
+		continuous: this.isContinuous(),
+		shuffled: this.shuffled,
+		cards: this.getCards().map(serialize),
+		discards: this.getDiscards().map(serialize),
+		random: typeof random.toJSON === 'function' ? random.toJSON() : null
+	};
+};
+
+
+//  --------------------------------------------------------------------------- 
+//  Rules
+//  --------------------------------------------------------------------------- 
+
+/*
+ * NOTE: House rules vary from casino to casino and even table to table. Rather
+ * than scatter those choices across the Hand and Game logic as constants, a
+ * Rules instance holds the table's profile and Hands and the Game consult it
+ * whenever an action's legality or a payout depends on the house.
+ */
+
+
+/**
+ * Constructs a new Rules instance and returns it. The profile may be the name
+ * of one of the B.Rules.PROFILES or an object whose keys override the values
+ * found in B.Rules.DEFAULT. Payouts may be given as a multiplier (1.5) or as
+ * odds ('3:2').
+ * @param {object|string} profile The rules profile. Optional.
+ * @return {B.Rules} A new Rules instance.
+ * @constructor
+ */
+B.Rules = function(profile) {
+	var key,
+		odds,
+		overrides,
+		settings;
+
+	if (typeof profile === 'string') {
+		overrides = B.Rules.PROFILES[profile];
+		if (!overrides) {
+			throw new Error('InvalidProfile: ' + profile);
+		}
+	} else {
+		overrides = profile || {};
+	}
+
+
+	/**
+	 * The rule settings, built from the defaults and any overrides.
+	 * @type {object}
+	 */
+	settings = {};
+
+	for (key in B.Rules.DEFAULT) {
+		if (B.Rules.DEFAULT.hasOwnProperty(key)) {
+			settings[key] = B.Rules.DEFAULT[key];
+		}
+	}
+
+	for (key in overrides) {
+		if (overrides.hasOwnProperty(key)) {
+			if (!B.Rules.DEFAULT.hasOwnProperty(key)) {
+				throw new Error('InvalidRule: ' + key);
+			}
+			settings[key] = overrides[key];
+		}
+	}
+
+	// Convert odds such as '6:5' into a payout multiplier.
+	if (typeof settings.payout === 'string') {
+		odds = settings.payout.split(':');
+		settings.payout = parseInt(odds[0], 10) / parseInt(odds[1], 10);
+	}
+
+	// Validate the settings which have a fixed set of legal values.
+	if (!(settings.payout > 0)) {
+		throw new Error('InvalidPayout: ' + settings.payout);
+	}
+	if (B.Rules.DOUBLE_ON[settings.doubleOn] === undefined) {
+		throw new Error('InvalidDoubleOn: ' + settings.doubleOn);
+	}
+	if (B.Rules.SURRENDER.indexOf(settings.surrender) === -1) {
+		throw new Error('InvalidSurrender: ' + settings.surrender);
+	}
+	if (!(settings.maxSplitHands >= 1)) {
+		throw new Error('InvalidMaxSplitHands: ' + settings.maxSplitHands);
+	}
+
+
+	/**
+	 * Returns the value of a single rule setting.
+	 * @param {string} key The name of the rule, such as 'hitSoft17'.
+	 * @return {object} The rule's value.
+	 */
+	this.get = function(key) {
+		return settings[key];
+	};
+
+	return this;
+};
+
+
+/**
+ * The house rules used when a profile doesn't specify a value. These match a
+ * typical Las Vegas Strip shoe game.
+ * @enum {object}
+ */
+B.Rules.DEFAULT = {
+	hitSoft17: false,			// Dealer stands on all 17s.
+	doubleAfterSplit: true,		// Split Hands may be doubled.
+	doubleOn: 'any',			// Any two cards. See B.Rules.DOUBLE_ON.
+	doubleFaceDown: false,		// The double card is dealt face up.
+	maxSplitHands: 4,			// A pair may be split into up to 4 Hands.
+	resplitAces: false,			// Split Aces may not be split again.
+	hitSplitAces: false,		// Split Aces get one card each.
+	surrender: 'late',			// Surrender after the peek. See SURRENDER.
+	payout: 1.5,				// 3:2 on blackjack wins.
+	noHoleCard: false,			// Dealer takes a hole card and peeks.
+	originalBetsOnly: false		// No hole card: doubles/splits lost too.
+};
+
+
+/**
+ * The totals a Hand may double on for each legal doubleOn setting. A null
+ * entry means there is no restriction on the total.
+ * @type {object}
+ */
+B.Rules.DOUBLE_ON = {
+	'any': null,
+	'9-11': [9, 10, 11],
+	'10-11': [10, 11]
+};
+
+
+/**
+ * Named rule profiles for common table types.
+ * @type {object}
+ */
+B.Rules.PROFILES = {
+	'vegas-strip': {},
+	'downtown': {
+		hitSoft17: true
+	},
+	'atlantic-city': {
+		resplitAces: false,
+		maxSplitHands: 4,
+		surrender: 'late'
+	},
+	'reno': {
+		hitSoft17: true,
+		doubleOn: '10-11',
+		surrender: 'none'
+	},
+	'six-five': {
+		hitSoft17: true,
+		doubleAfterSplit: false,
+		surrender: 'none',
+		payout: '6:5'
+	},
+	'european': {
+		doubleOn: '9-11',
+		surrender: 'none',
+		noHoleCard: true
+	}
+};
+
+
+/**
+ * The legal surrender settings. Early surrender is offered before the dealer
+ * peeks for blackjack, late surrender only after the peek, and 'none'
+ * disallows surrender entirely.
+ * @type {Array.<string>}
+ */
+B.Rules.SURRENDER = ['late', 'early', 'none'];
+
+
+/**
+ * Returns a short description of the rules suitable for printing on the felt.
+ * @return {string} The description.
+ */
+B.Rules.prototype.describe = function() {
+	var payout,
+		parts;
+
+	payout = this.get('payout');
+	parts = [];
+	parts.push('Blackjack pays ' +
+		(payout === 1.5 ? '3:2' : payout === 1.2 ? '6:5' : payout + ':1'));
+	parts.push(this.get('hitSoft17') ? 'Dealer hits soft 17' :
+		'Dealer stands on all 17s');
+
+	if (this.get('surrender') !== 'none') {
+		parts.push(this.get('surrender') + ' surrender');
+	}
+
+	if (this.get('doubleFaceDown')) {
+		parts.push('Doubles dealt face down');
+	}
+
+	if (this.get('noHoleCard')) {
+		parts.push('No hole card' +
+			(this.get('originalBetsOnly') ? ', original bets only' : ''));
+	}
+
+	return parts.join(' \u2022 ');
+};
+
+
+//  --------------------------------------------------------------------------- 
+//  Players / Hands
+//  --------------------------------------------------------------------------- 
+
+/*
+ * NOTE: Player instances associate a set of holdings with a set of Hands. The
+ * player manages holdings while Hands escrow bets. If a Hand wins, pushes,
+ * pays insurance, or is surrendered, the payout is added to the player's
+ * holdings. If a Hand busts or loses the escrowed amount of the bet is simply
+ * discarded along with the Hand (we don't track House winnings).
+ */
+
+
+/**
+ * Constructs a new Player instance and returns it. Player instances manage
+ * holdings and are associated with one or more Hands which manage a set of
+ * cards and the bets related to those cards.
+ * @param {B.Game} g The game the player is in.
+ * @param {number} h The holdings the player starts with.
+ * @return {B.Player} A new Player instance.
+ * @constructor
+ */
+B.Player = function(g, h) {
+	var bet,
+        game,
+		holdings;
+
+	// Validate game instance.
+	if (!g) {
+		throw new Error('InvalidGame');
+	}
+
+	// Validate holdings. A player may sit down broke and buy in.
+	if (typeof h !== 'number' || !(h >= 0)) {
+		throw new Error('InvalidHoldings');
+	}
+
+
+    /**
+     * The amount of the player's initial bet, prior to a hand being dealt. Once
+     * a hand is dealt this value is transferred to the hand. From that point
+     * forward bets are specific to the hand(s) being played.
+     * @type {number}
+     */
+    bet = 0;
+
+
+	/**
+	 * The game this player is a part of.
+	 * @type {B.Game}
+	 */
+	game = g;
+
+
+	/**
+	 * The number of chips the player has left.
+	 * @type {number}
+	 */
+	holdings = h;
+
+
+	/**
+	 * Adjusts the receiver's holdings up or down by the amount provided.
+	 * @param {number} amount The amount to adjust holdings by.
+	 */
+	this.adjustHoldings = function(amount) {
+		holdings = this.getHoldings() + amount;
+	};
+
+
+    /**
+     * Returns the initial bet for the player used to define the initial bet for
+     * any hands which may be split, doubled, etc.
+     */
+    this.getBet = function() {
+        return bet;
+    };
+
+
+	/**
+	 * Returns the game this Player is part of.
+	 * @return {B.Game} The game.
+	 */
+	this.getGame = function() {
+		return game;
+	};
+
+
+	/**
+	 * Returns the number of chips the player has left.
+	 * @return {number} The number of chips.
+	 */
+	this.getHoldings = function() {
+		return holdings;
+	};
+
+
+    /**
      * Increases the receiver's initial bet value by amount.
      * @param {number} amount The amount of increase.
      */
-    this.increaseBet = function(amount) {
-        this.adjustHoldings(amount * -1);
-        bet += amount;
-        game.renderBet();
-    };
+    this.increaseBet = function(amount) {
+        this.adjustHoldings(amount * -1);
+        bet += amount;
+        game.emit('bet', this);
+    };
+
+
+    /**
+     * Places an initial bet.
+     * @param {number} amount The amount being bet.
+     */
+    this.placeBet = function(amount) {
+        this.adjustHoldings(amount * -1);
+        bet = amount;
+    };
+
+	return this;
+};
+
+
+/**
+ * Rebuilds a Player from the output of toJSON. The chips are replayed through
+ * the Player's own methods so holdings and the pending bet come out as saved.
+ * A computer-controlled Player gets a new Companion following the same
+ * strategy.
+ * @param {object} json The saved player.
+ * @param {B.Game} game The game the player is in.
+ * @return {B.Player} A new Player instance.
+ */
+B.Player.fromJSON = function(json, game) {
+	var player;
+
+	player = new B.Player(game, B.Game.DEFAULT.HOLDINGS);
+	player.adjustHoldings(json.holdings + json.bet - player.getHoldings());
+	player.placeBet(json.bet);
+
+	if (json.companion) {
+		player.companion = B.Companion.fromJSON(json.companion, game, player);
+	}
+
+	return player;
+};
+
+
+/**
+ * The Companion playing this Player's seat, or null when a person is.
+ * @type {B.Companion}
+ */
+B.Player.prototype.companion = null;
+
+
+/**
+ * Returns the Player's seat at the table, counting from the dealer's left.
+ * @return {number} The zero-based seat index, or -1 once the Player has left.
+ */
+B.Player.prototype.getSeat = function() {
+	return this.getGame().getPlayers().indexOf(this);
+};
+
+
+/**
+ * Returns true if the Player's seat is played by a Companion.
+ * @return {boolean} True for a computer-controlled player.
+ */
+B.Player.prototype.isComputer = function() {
+	return !!this.companion;
+};
+
+
+/**
+ * Returns a plain object describing the Player, suitable for JSON.stringify.
+ * @return {object} The player's holdings, pending bet and any Companion.
+ */
+B.Player.prototype.toJSON = function() {
+	return {
+		holdings: this.getHoldings(),
+		bet: this.getBet(),
+		companion: this.companion ? this.companion.toJSON() : null
+	};
+};
+
+
+//  --------------------------------------------------------------------------- 
+
+/*
+ * NOTE: 
+ *
+ * The Game interacts primarily with Hands and only indirectly with the Player.
+ * The link between a Hand and a Player is maintained by the Hand instance, not
+ * the Player instance, and most operations affecting a Player are driven from
+ * methods/events invoked on a specific Hand.
+ */
+
+
+/**
+ * Creates a new Hand of Cards and returns it. The Hand actually owns the cards
+ * and bet, while the Hand's player is responsible for activity related to
+ * managing the player's chips. Each change in the state of the Hand is
+ * published as an event to the Hand's listeners and then to the Game's, with
+ * the Hand as the first argument. See B.Game.EVENTS for the list. Only once
+ * listeners have heard about a change does the Game itself react to it.
+ * @param {B.Game} g The Game this Hand of cards is a part of.
+ * @param {B.Player} p The Player of this particular Hand of cards. Optional.
+ * @return {B.Hand} A new Hand instance.
+ * @constructor
+ */
+B.Hand = function(g, p) {
+	var bet,
+		cards,
+		fsm,
+		game,
+		insurance,
+		listeners,
+		player,
+		playerOnly;
+
+
+	// Validate game instance.
+	if (!g) {
+		throw new Error('InvalidGame');
+	}
+
+	/**
+     * The current bet amount.
+     * @type {number}
+     */
+	bet = 0;
+
+
+	/**
+     * The array of cards in the Hand.
+	 * @type {Array.<B.Card>}
+     */
+	cards = [];
+
+
+	/**
+	 * The state machine which controls overall hand logic.
+	 * @type {StateMachine}
+	 */
+	fsm = StateMachine.create({
+		initial: 'empty',
+		error: function(evt, from, to, args, code, msg) {
+			var str = 'Hand cannot transition from: ' +
+				from + ' state to: ' + to + ' state. ' + msg;
+			throw new Error('InvalidStateTransition: ' + str);
+		},
+		events: [
+			// Each hit changes the state to help us know what options are
+			// available. A Hand which is 'doubling' takes exactly one more
+			// card, after which you can't hit() on doubled.
+			{ name: 'hit', from: 'empty', to: 'single' },
+			{ name: 'hit', from: 'single', to: 'pair' },
+			{ name: 'hit', from: 'pair', to: 'hit' },
+			{ name: 'hit', from: 'hit', to: 'hit' },
+			{ name: 'hit', from: 'doubling', to: 'doubled' },
+
+			// Stand from opening pair or after a hit. Doubled is already
+			// standing as is 'blackjack'. Surrendered and busted are failure
+			// states, not possible success states.
+			{ name: 'stand', from: ['pair', 'hit'], to: 'standing' },
+
+			// True blackjack only happens with a pair.
+			{ name: 'blackjack', from: 'pair', to: 'blackjack' },
+
+			// Many events are only legal when the Hand is in the initial
+			// pair state with two cards.
+			{ name: 'split', from: 'pair', to: 'single' },
+			{ name: 'double', from: 'pair', to: 'doubling' },
+			{ name: 'surrender', from: 'pair', to: 'surrendered' },
+
+			// You can bust from hit or doubled states.
+			{ name: 'bust', from: ['doubled', 'hit'], to: 'busted' },
+
+			// A blackjack taking even money against a dealer Ace is paid
+			// on the spot and takes no further part in scoring.
+			{ name: 'evenmoney', from: 'blackjack', to: 'paid' }
+		]});
+
+	// Set up 'return false' handlers for states you can't get to for Dealer
+	// Hands.
+	playerOnly = function() {
+		return player !== null && player !== undefined;
+	};
+	fsm.onbeforedouble = playerOnly;
+	fsm.onbeforesplit = playerOnly;
+	fsm.onbeforesurrender = playerOnly;
+	// NOTE canDouble, canSplit, and canSurrender consult the house rules.
+
+	// Configure a nice debugging log function to observe state transitions.
+	fsm.onchangestate = function(evt, from, to) {
+        if (DEBUG) {
+            log('Hand event: ' + evt + ' from: ' +
+                from + ' to: ' + to + '.');
+        }
+	};
+
+	if (DEBUG) {
+		log('Initialized ' + (p ? 'player' : 'dealer') + ' hand state.');
+	}
+
+
+	/**
+	 * The game this Hand is a part of.
+	 * @type {B.Game}
+	 */
+	game = g;
+
+
+	/**
+	 * The amount of the insurance side bet, if any, taken against a dealer
+	 * Ace.
+	 * @type {number}
+	 */
+	insurance = 0;
+
+
+	/**
+	 * Event listeners keyed by event name. See B.Emitter.
+	 * @type {Object.<string, Array.<Function>>}
+	 */
+	listeners = {};
+
+
+	/**
+     * The player of the Hand, where funds for the Hand's bets are managed. Note
+	 * that the Hand played on behalf of the Dealer has no player assigned.
+	 * @type {B.Player}
+	 */
+	player = p;
+
+
+	/**
+	 * Returns the current bet amount.
+	 * @return {number}
+	 */
+	this.getBet = function() {
+		return bet;
+	};
+
+
+	/**
+	 * Return the array of Card instances which make up the Hand. Note that the
+	 * array returned is mutable, which is necessary for operations like hit()
+	 * and split() to function. This could be altered for more security.
+	 * @return {Array.<B.Card>} The card array.
+	 */
+	this.getCards = function() {
+		return cards;
+	};
+
+
+	/**
+     * Returns the state machine which controls the state of the Hand.
+	 * @return {StateMachine} The StateMachine which controls the state of this
+	 *     Hand.
+	 */
+	this.getFSM = function() {
+		return fsm;
+	};
+
+
+	/**
+	 * Returns the game this Player is part of.
+	 * @return {B.Game} The game.
+	 */
+	this.getGame = function() {
+		return game;
+	};
+
+
+	/**
+	 * Returns the amount of the insurance side bet.
+	 * @return {number}
+	 */
+	this.getInsurance = function() {
+		return insurance;
+	};
+
+
+	/**
+	 * Returns the event listeners registered with the Hand.
+	 * @return {Object.<string, Array.<Function>>} Listeners by event name.
+	 */
+	this.getListeners = function() {
+		return listeners;
+	};
+
+
+	/**
+	 * Returns the Player whose holdings are backing this Hand.
+	 * @return {B.Player} The player.
+	 */
+	this.getPlayer = function() {
+		return player;
+	};
+
+
+	/**
+	 * Sets the bet amount for the Hand.
+	 * @param {number} amount The value of the bet.
+	 * @private
+	 */
+	this._setBet = function(amount) {
+		bet = amount;
+	};
+
+
+	/**
+	 * Sets the insurance amount for the Hand.
+	 * @param {number} amount The value of the insurance side bet.
+	 * @private
+	 */
+	this._setInsurance = function(amount) {
+		insurance = amount;
+	};
+
+	// Connect the various FSM transition hooks to Hand methods.
+	fsm.onpair = this.onpair.bind(this);
+
+    // initial bet amount.
+	if (player) {
+		bet = player.getBet();
+	}
+
+	return this;
+};
+
+
+// Mix in Printable so we can print our card array on demand.
+extend(B.Hand.prototype, B.Printable);
+
+
+// Mix in Emitter so outside code can follow an individual Hand. Note that
+// emit is specialized below to pass events on to the Game.
+extend(B.Hand.prototype, B.Emitter);
+
+
+/**
+ * A list of the states a Hand can be in which are 'playable', meaning they can
+ * still accept new cards or other actions.
+ * @type Array.<string>
+ */
+B.Hand.PLAYABLES = ['pair', 'hit'];
+
+
+/**
+ * A list of the states a Hand can be in which are 'scoreable', meaning they
+ * should be checked during scoring as a possible winning hand.
+ * @type Array.<string>
+ */
+B.Hand.SCOREABLES = ['standing', 'doubled', 'blackjack'];
+
+
+/**
+ * Rebuilds a Hand from the output of toJSON. The Hand's state machine is put
+ * straight into the saved state without firing any transitions.
+ * @param {object} json The saved hand.
+ * @param {B.Game} game The Game the Hand is part of.
+ * @param {B.Player} player The Player of the Hand. Omit for the dealer.
+ * @return {B.Hand} A new Hand instance.
+ */
+B.Hand.fromJSON = function(json, game, player) {
+	var cards,
+		hand;
+
+	hand = new B.Hand(game, player);
+	hand._setBet(json.bet);
+	hand._setInsurance(json.insurance);
+	hand.isDoubled(!!json.doubled);
+	hand.isSplit(json.split);
+
+	cards = hand.getCards();
+	cards.push.apply(cards, json.cards.map(B.Card.fromJSON));
+
+	hand.getFSM().current = json.state;
+
+	return hand;
+};
+
+
+/**
+ * Double state. A doubled Hand carries two wagers, the original and the double,
+ * even once it has busted.
+ * @type {boolean}
+ */
+B.Hand.prototype.doubledHand = false;
+
+
+/**
+ * Split state. Hands produced by splitting a pair are never true blackjacks,
+ * even when they end up holding an Ace and a ten-value card.
+ * @type {boolean}
+ */
+B.Hand.prototype.splitHand = false;
+
+
+/**
+ * This Hand just went over 21. The player immediately loses any bet
+ * associated with this Hand and the Hand is marked 'busted'.
+ */
+B.Hand.prototype.bust = function() {
+	var fsm;
+
+	fsm = this.getFSM();
+	fsm.bust();
+
+	this.emit('bust');
+	this.getGame().bust(this);
+};
+
+
+/**
+ * Returns true if the Hand may double according to the house rules. Only a
+ * player's opening pair may double, split Hands only when double-after-split
+ * is allowed, and some houses restrict doubling to totals of 9-11 or 10-11.
+ * The player must also be able to cover a second bet equal to the first.
+ * @return {boolean} Whether the Hand may double.
+ */
+B.Hand.prototype.canDouble = function() {
+	var rules,
+		totals;
+
+	if (!this.getPlayer() || !this.getFSM().can('double')) {
+		return false;
+	}
+
+	rules = this.getGame().getRules();
+
+	if (this.isSplit() && !rules.get('doubleAfterSplit')) {
+		return false;
+	}
+
+	// Split Aces which can't be hit can't be doubled either.
+	if (this.isSplitAces() && !rules.get('hitSplitAces')) {
+		return false;
+	}
+
+	totals = B.Rules.DOUBLE_ON[rules.get('doubleOn')];
+	if (totals && totals.indexOf(this.getScore()) === -1) {
+		return false;
+	}
+
+	return this.getPlayer().getHoldings() >= this.getBet();
+};
+
+
+/**
+ * Returns true if the Hand can take even money, meaning it is a player
+ * blackjack still waiting on its insurance decision.
+ * @return {boolean} Whether even money may be taken.
+ */
+B.Hand.prototype.canEvenMoney = function() {
+	return this.isOffered() && this.getGame().isInsurable() &&
+		this.getFSM().can('evenmoney');
+};
+
+
+/**
+ * Returns true if the Hand may take another card. Split Aces are dealt their
+ * second card and, house rules permitting, no more.
+ * @return {boolean} Whether the Hand may hit.
+ */
+B.Hand.prototype.canHit = function() {
+	if (!this.getFSM().can('hit')) {
+		return false;
+	}
+
+	return !(this.isSplitAces() && this.getFSM().current === 'pair' &&
+		!this.getGame().getRules().get('hitSplitAces'));
+};
+
+
+/**
+ * Returns true if the Hand can take insurance, meaning the dealer is showing
+ * an Ace and the Hand is a non-blackjack still waiting on its decision.
+ * @return {boolean} Whether insurance may be taken.
+ */
+B.Hand.prototype.canInsure = function() {
+	return this.isOffered() && this.getGame().isInsurable() &&
+		!this.getFSM().can('evenmoney');
+};
+
+
+/**
+ * Returns true if the Hand is truly splittable, meaning it is a pair of cards
+ * which have the same value.
+ * @return {boolean} Whether the hand is truly splittable.
+ */
+B.Hand.prototype.canSplit = function() {
+	var fsm,
+		cards,
+		count,
+		player,
+		rules;
+
+	// Dealer can't split.
+	player = this.getPlayer();
+	if (!player) {
+		return false;
+	}
+
+	fsm = this.getFSM();
+	cards = this.getCards();
+	rules = this.getGame().getRules();
+
+	// The house limits how many Hands a single pair can become.
+	count = 0;
+	this.getGame().getHands().map(function(hand) {
+		if (hand.getPlayer() === player) {
+			count++;
+		}
+	});
+	if (count >= rules.get('maxSplitHands')) {
+		return false;
+	}
+
+	// Aces are often split only once.
+	if (this.isSplitAces() && !rules.get('resplitAces')) {
+		return false;
+	}
+
+	// If we're in the right state to be able to split the other question is do
+	// we have two Cards of the same index from 1 to 13 ? 
+	if (fsm.can('split')) {
+		if (cards[0].getIndex() === cards[1].getIndex()) {
+			// The new Hand needs a matching bet the player has to cover.
+			return this.getPlayer().getHoldings() >= this.getBet();
+		}
+	}
+	return false;
+};
+
+
+/**
+ * Returns true if the Hand may surrender according to the house rules. Only a
+ * player's original two cards may surrender. Late surrender waits until the
+ * dealer has peeked while early surrender is offered before the peek.
+ * @return {boolean} Whether the Hand may surrender.
+ */
+B.Hand.prototype.canSurrender = function() {
+	var surrender;
+
+	if (!this.getPlayer() || this.isSplit() ||
+			!this.getFSM().can('surrender')) {
+		return false;
+	}
+
+	surrender = this.getGame().getRules().get('surrender');
+	if (surrender === 'none') {
+		return false;
+	}
+
+	// Before the peek only early surrender is on offer.
+	if (this.isOffered()) {
+		return surrender === 'early';
+	}
+
+	return true;
+};
+
+
+/**
+ * Declines insurance (or even money) for the Hand.
+ */
+B.Hand.prototype.declineInsurance = function() {
+	if (!this.isOffered()) {
+		throw new Error('InvalidOperation: Insurance is not on offer.');
+	}
+
+	this.emit('insurance', 0, 'decline');
+	this.getGame().insure(this);
+};
+
+
+/**
+ * The bet for this Hand should be doubled and a single card should be added
+ * to the Hand. Once the Hand receives that card no additional cards may be
+ * added to the Hand. House rules decide whether the card is dealt face down,
+ * in which case it stays hidden until the Hands are scored.
+ */
+B.Hand.prototype.double = function() {
+	var bet,
+		fsm,
+		game,
+		player;
+
+	if (!this.canDouble()) {
+		throw new Error('InvalidOperation: Hand cannot be doubled.');
+	}
+
+	// The double is a second wager equal to the first. The table maximum
+	// applies to each wager, not their total, so we escrow the chips here
+	// rather than going through increaseBet.
+	bet = this.getBet();
+	player = this.getPlayer();
+	player.adjustHoldings(bet * -1);
+	this._setBet(bet * 2);
+	this.isDoubled(true);
+
+	game = this.getGame();
+	game.emit('bet', player);
+
+	fsm = this.getFSM();
+	fsm.double();
+	this.emit('double');
+
+	// The one card goes through the normal hit path, which checks for a bust
+	// and lets listeners know the Hand changed.
+	this.hit(game.getShoe().deal(game.getRules().get('doubleFaceDown')));
+	if (fsm.current === 'busted') {
+		return;
+	}
+
+	game.double(this);
+};
+
+
+/**
+ * Publishes an event to the Hand's listeners and then to the Game's. Game
+ * listeners receive the Hand ahead of any other arguments so they can tell
+ * which Hand the event concerns.
+ * @param {string} name The event name.
+ * @return {B.Hand} The receiver.
+ */
+B.Hand.prototype.emit = function(name) {
+	var args,
+		game;
+
+	B.Emitter.emit.apply(this, arguments);
+
+	args = Array.prototype.slice.call(arguments, 1);
+	game = this.getGame();
+	game.emit.apply(game, [name, this].concat(args));
+
+	return this;
+};
+
+
+/**
+ * Takes even money on a blackjack facing a dealer Ace. The Hand is paid 1:1
+ * immediately rather than risking a push against a dealer blackjack.
+ */
+B.Hand.prototype.evenMoney = function() {
+	var fsm;
+
+	if (!this.canEvenMoney()) {
+		throw new Error('InvalidOperation: Even money is not on offer.');
+	}
+
+	fsm = this.getFSM();
+	fsm.evenmoney();
+
+	this.emit('insurance', 0, 'evenmoney');
+	this.pay(B.Game.DEFAULT.PAYOUT_WINNER);
+
+	this.getGame().insure(this);
+};
+
+
+/**
+ * Returns the maximum bet for a Hand.
+ * @return {number} The maximum bet amount.
+ */
+B.Hand.prototype.getMaximumBet = function() {
+	return this.getGame().getMaximumBet();
+};
+
+
+/**
+ * Returns the minimum bet for a Hand. This represents 'table stakes'.
+ * @return {number} The minimum bet.
+ */
+B.Hand.prototype.getMinimumBet = function() {
+	return this.getGame().getMinimumBet();
+};
+
+
+/**
+ * Returns the score of the Hand. When aces are included in the Hand they
+ * are counted as 11 unless such a count would cause the Hand to bust, in
+ * which case they are counted as 1. NOTE that the current version of this
+ * method exposes hole-card values.
+ * @return {number} The score.
+ */
+B.Hand.prototype.getScore = function() {
+	var s,
+		aces,
+		cards;
+
+	s = 0;
+	aces = 0;
+	cards = this.getCards();
+
+	// Iterate over cards, summing the values of all non-Aces and counting aces.
+	// We'll add Ace values in a second phase.
+	cards.map(function(card) {
+		var value;
+
+		value = card.getValue();
+		if (value === 11) {
+			aces++;
+			return;
+		}
+		s += value;
+	});
+
+	// Process Aces. The approach here is that if the Ace as an 11 plus any
+	// other Aces as 1's works we keep the 11, otherwise we use 1 for value.
+	while (aces--) {
+		if (s + 11 + aces > 21) {
+			s += 1;
+		} else {
+			s += 11;
+		}
+	}
+
+	return s;
+};
+
+
+/**
+ * Returns true if the Hand has at least one hole card, a Card whose value
+ * should not be shown or otherwise disclosed.
+ * @return {boolean} True if the Hand has a hole card.
+ */
+B.Hand.prototype.hasHoleCards = function() {
+	var cards,
+		i,
+		len;
+
+	cards = this.getCards();
+	len = cards.length;
+	for (i = 0; i < len; i++) {
+		if (cards[i].isHoleCard()) {
+			return true;
+		}
+	}
+
+	return false;
+};
+
+
+/**
+ * Adds a card to the Hand, provided that the current state allows it.
+ * @param {B.Card} card The new card to add to the Hand.
+ */
+B.Hand.prototype.hit = function(card) {
+	var c,
+        fsm,
+		cards,
+        game;
+
+    game = this.getGame();
+
+	// Split Aces are dealt their second card and, house rules permitting, no
+	// more.
+	if (this.isSplitAces() && this.getFSM().current === 'pair' &&
+			!game.getRules().get('hitSplitAces')) {
+		throw new Error('InvalidOperation: Split Aces cannot be hit.');
+	}
+    c = card || game.getShoe().deal();
+
+	cards = this.getCards();
+	cards.push(c);
+
+	fsm = this.getFSM();
+	fsm.hit();
+
+	// Every card is published. Only cards past the first two, other than the
+	// second card of a split Hand, count as the Hand taking a hit.
+	this.emit('card', c);
+	if (cards.length > 2) {
+		this.emit('hit', c);
+	}
+
+	// With every new card we test and invoke the bust() event if the card
+	// has pushed us over our limit. A face-down card waits until it's shown.
+	if (!c.isHoleCard() && this.getScore() > 21) {
+		this.bust();
+	}
+
+    game.emit('change');
+};
+
+
+/**
+ * Places an insurance side bet on the Hand. Insurance may be up to half of the
+ * Hand's current bet and pays 2:1 if the dealer turns out to have blackjack.
+ * @param {number} amount The amount to insure. Defaults to half the bet.
+ */
+B.Hand.prototype.insure = function(amount) {
+	var player,
+		value;
+
+	if (!this.canInsure()) {
+		throw new Error('InvalidOperation: Insurance is not on offer.');
+	}
+
+	value = amount === undefined ? this.getBet() / 2.0 : amount;
+	if (value <= 0 || value > this.getBet() / 2.0) {
+		throw new Error('Insurance of ' + value + ' exceeds half the bet.');
+	}
+
+	player = this.getPlayer();
+	if (player.getHoldings() < value) {
+		throw new Error('Insurance of ' + value + ' exceeds player holdings.');
+	}
+
+	// Escrow the side bet with the Hand until the dealer peeks.
+	player.adjustHoldings(value * -1);
+	this._setInsurance(value);
+
+	this.emit('insurance', value, 'insure');
+	this.getGame().insure(this);
+};
+
+
+/**
+ * Increases the amount bet on this Hand. The final amount must not exceed
+ * the maximum bet limit for the current Game.
+ * @param {number} amount The amount to increase the bet.
+ */
+B.Hand.prototype.increaseBet = function(amount) {
+	var player,
+		newBet,
+		bet;
+
+	newBet = this.getBet() + amount;
+	if (newBet > this.getMaximumBet()) {
+		throw new Error('Bet of ' + newBet +  ' exceeds maximum.');
+	}
+
+	player = this.getPlayer();
+	if (player.getHoldings() < amount) {
+		throw new Error('Bet of ' + amount + ' exceeds player holdings.');
+	}
+
+	// Remove funds from the player and escrow them with the Hand. NOTE we set
+	// the amount negative since the adjustHoldings call is used for both
+	// increasing and decreasing holdings.
+	player.adjustHoldings(amount * -1);
+	this._setBet(newBet);
+
+    this.getGame().emit('bet', player);
+};
+
+
+/**
+ * Officially 'Blackjack' only occurs when there are two cards, an Ace and a
+ * card with a value of 10. Other combinations which score 21 are 'twenty-one'
+ * but not 'blackjack'. Two blackjacks are a push but blackjack wins over 21.
+ * @return {boolean} True if the Hand represents a blackjack.
+ */
+B.Hand.prototype.isBlackjack = function() {
+	var fsm,
+        cards,
+		bjack;
+
+    fsm = this.getFSM();
+    if (fsm.current === 'blackjack') {
+        // We check in multiple pathways. Do work once.
+        return true;
+    }
+
+	// Twenty-one on a split Hand is just a very good score.
+	if (this.isSplit()) {
+		return false;
+	}
+
+	if (DEBUG) {
+		log('Checking ' + (this.getPlayer() ? 'player ' : 'dealer ') +
+            this.print() + ' for blackjack.');
+	}
+
+	cards = this.getCards();
+
+	// Two cards and score must equal 21.
+	bjack = cards.length === 2 && this.getScore() === 21;
+	if (bjack) {
+		fsm.blackjack();
+		this.emit('blackjack');
+		this.getGame().blackjack(this);
+	}
+
+	return bjack;
+};
+
+
+/**
+ * Combined setter/getter for the double flag, true once the Hand has doubled.
+ * @param {boolean} flag The new value for the doubledHand property.
+ * @return {boolean} The current setting, after optional flag update.
+ */
+B.Hand.prototype.isDoubled = function(flag) {
+	if (flag !== undefined) {
+		this.doubledHand = flag;
+	}
+
+	return this.doubledHand;
+};
+
+
+/**
+ * Returns true if the Hand is still waiting on its insurance decision.
+ * @return {boolean} True if insurance (or even money) is on offer.
+ */
+B.Hand.prototype.isOffered = function() {
+	return this.getGame().getInsurable().indexOf(this) !== -1;
+};
+
+
+/**
+ * Returns true if the hand is in a state that allows further actions. For
+ * example, 'busted', 'doubled', or 'surrendered' are non-playable states while
+ * 'pair' and 'hit' are playable.
+ * @return {boolean} True if the Hand supports additional cards/actions.
+ */
+B.Hand.prototype.isPlayable = function() {
+	return B.Hand.PLAYABLES.indexOf(this.getFSM().current) !== -1;
+};
+
+
+/**
+ * True is the Hand is in a state that means it's worth scoring. For example,
+ * 'busted' and 'surrendered' are not worth scoring.
+ * @return {boolean} True if the Hand is worth scoring.
+ */
+B.Hand.prototype.isScoreable = function() {
+	return B.Hand.SCOREABLES.indexOf(this.getFSM().current) !== -1;
+};
+
+
+/**
+ * Returns true if the Hand is 'soft', meaning it holds an Ace currently being
+ * counted as 11.
+ * @return {boolean} True if the Hand is soft.
+ */
+B.Hand.prototype.isSoft = function() {
+	var hard,
+		aces;
+
+	hard = 0;
+	aces = 0;
+	this.getCards().map(function(card) {
+		if (card.getIndex() === 1) {
+			aces++;
+			hard += 1;
+		} else {
+			hard += card.getValue();
+		}
+	});
+
+	return aces > 0 && hard + 10 <= 21;
+};
+
+
+/**
+ * Combined setter/getter for the split flag, true when the Hand was created or
+ * rebuilt by splitting a pair.
+ * @param {boolean} flag The new value for the splitHand property.
+ * @return {boolean} The current setting, after optional flag update.
+ */
+B.Hand.prototype.isSplit = function(flag) {
+	if (flag !== undefined) {
+		this.splitHand = flag;
+	}
+
+	return this.splitHand;
+};
+
+
+/**
+ * Returns true if the Hand is a pair of Aces produced by splitting.
+ * @return {boolean} True for split Aces.
+ */
+B.Hand.prototype.isSplitAces = function() {
+	return this.isSplit() && this.getCards()[0].getIndex() === 1;
+};
+
+
+/**
+ * Responds to notifications that the Hand has a pair of cards. This state is
+ * interesting due to a need to check for blackjack etc.
+ */
+B.Hand.prototype.onpair = function() {
+	// The Game decides when the dealer peeks at the hole card, since an Ace
+	// showing means insurance has to be offered first.
+	if (!this.getPlayer()) {
+		return;
+	}
+
+	// Test for blackjack status. This call will notify the Game as
+	// needed if that status is true.
+	this.isBlackjack();
+};
+
+
+/**
+ * Instructs the Hand to pay out. This is invoked on Hands whose score is higher
+ * than that of the Dealer's Hand without busting.
+ * @param {number} odds A multipler for odds. 3:2 would be 1.5 for example.
+ */
+B.Hand.prototype.pay = function(odds) {
+	var player,
+		bet,
+		winnings;
+
+	player = this.getPlayer();
+	if (player) {
+		bet = this.getBet();
+		winnings = bet + (bet * odds);
+		player.adjustHoldings(winnings);
+		this.emit('payout', winnings, 'win');
+
+		// Note the use of _print here to leave off score.
+		log('Hand ' + this._print() + ' paying ' + odds +
+			' to 1 odds, or ' + winnings + '.');
+	}
+};
+
+
+// Highjack our mixin version of print so we can augment it.
+B.Hand.prototype._print = B.Hand.prototype.print;
+
+
+/**
+ * Prints the Hand. Hands print their values/suits as well as their score, with
+ * the exception that hole cards print as a 'not' or 'null' symbol and the score
+ * is likewise disguised to keep from exposing the true value of the hand.
+ * @return {string} The print string.
+ */
+B.Hand.prototype.print = function() {
+	return this._print() + ' => ' +
+		(this.hasHoleCards() ? B.Card.HOLE_CARD : this.getScore());
+};
+
+
+/**	
+ * The Hand was a tie. No change in holdings, but the current bets are
+ * returned to the player's holdings.
+ */
+B.Hand.prototype.push = function() {
+	var player,
+		bet;
+
+	player = this.getPlayer();
+	if (player) {
+		// The bet returns to the player on a tie.
+		bet = this.getBet();
+		player.adjustHoldings(bet);
+		this.emit('payout', bet, 'push');
+
+		// Note the use of _print here to leave off score.
+		log('Hand ' + this._print() + ' pushed. Returning ' +
+			'bet of ' + bet + '.');
+	}
+};
+
+
+/**
+ * Returns part of the Hand's wager to the player without the Hand winning.
+ * Used when rules limit a loss to the original bet.
+ * @param {number} amount The number of chips to return.
+ */
+B.Hand.prototype.refund = function(amount) {
+	var player;
+
+	player = this.getPlayer();
+	if (player) {
+		player.adjustHoldings(amount);
+		this.emit('payout', amount, 'refund');
+
+		// Note the use of _print here to leave off score.
+		log('Hand ' + this._print() + ' refunded ' + amount + '.');
+	}
+};
+
+
+/**
+ * Settles the Hand's insurance side bet once the dealer has peeked. Insurance
+ * pays 2:1 against a dealer blackjack and is lost otherwise.
+ * @param {boolean} won True if the dealer has blackjack.
+ */
+B.Hand.prototype.settleInsurance = function(won) {
+	var player,
+		insurance,
+		winnings;
+
+	player = this.getPlayer();
+	insurance = this.getInsurance();
+	if (!player || !insurance) {
+		return;
+	}
+
+	if (won) {
+		winnings = insurance + (insurance * B.Game.DEFAULT.PAYOUT_INSURED);
+		player.adjustHoldings(winnings);
+		this.emit('payout', winnings, 'insurance');
+		log('Hand ' + this._print() + ' insurance paying ' + winnings + '.');
+	} else {
+		log('Hand ' + this._print() + ' insurance of ' + insurance +
+			' lost.');
+	}
+};
+
+
+/**
+ * Displays the hand's hole cards, if any. A player's face-down double card
+ * may turn out to bust the Hand, which is only checked once it's shown.
+ * @return {B.Hand} The receiver.
+ */
+B.Hand.prototype.show = function() {
+	var cards,
+		holes;
+
+	holes = 0;
+	cards = this.getCards();
+
+	cards.map(function(card) {
+		if (card.isHoleCard()) {
+			holes++;
+			card.isHoleCard(false);
+		}
+	});
+
+	if (holes && this.getPlayer() && this.getScore() > 21) {
+		this.bust();
+	}
+
+    return this;
+};
+
+
+/**
+ * Splits the Hand, creating a second Hand with the same player as the owner
+ * and one of the two current cards as its first card.
+ */
+B.Hand.prototype.split = function() {
+	if (!this.canSplit()) {
+		if (!this.getPlayer()) {
+			throw new Error('InvalidOperation: Dealer hand cannot be split.');
+		}
+		throw new Error('InvalidOperation: Hand cannot be split.');
+	}
+
+	// Request help from the Game, where the new Hand must be registered.
+	this.getGame().split(this);
+};
+
+
+/**
+ * Stands, meaning the Hand transitions to a state where no more cards will be
+ * accepted.
+ */
+B.Hand.prototype.stand = function() {
+	var fsm;
+
+	fsm = this.getFSM();
+	fsm.stand();
+
+	this.emit('stand');
+	this.getGame().stand(this);
+};
+
+
+/**	
+ * Surrenders the Hand. The player's holdings are adjusted such that they
+ * forfeit half of their current bet.
+ */
+B.Hand.prototype.surrender = function() {
+	var fsm,
+		player;
+
+	if (!this.canSurrender()) {
+		throw new Error('InvalidOperation: Hand cannot be surrendered.');
+	}
+
+	fsm = this.getFSM();
+	fsm.surrender();
+
+	// Surrendering a Hand should return half the bet to the player.
+	player = this.getPlayer();
+	player.adjustHoldings(this.getBet() / 2.0);
+
+	this.emit('surrender');
+	this.emit('payout', this.getBet() / 2.0, 'surrender');
+	this.getGame().surrender(this);
+};
+
+
+/**
+ * Returns a plain object describing the Hand, suitable for JSON.stringify.
+ * @return {object} The hand's cards, bets, double and split flags, and state.
+ */
+B.Hand.prototype.toJSON = function() {
+	return {
+		cards: this.getCards().map(function(card) {
+			return card.toJSON();
+		}),
+		bet: this.getBet(),
+		insurance: this.getInsurance(),
+		doubled: this.isDoubled(),
+		split: this.isSplit(),
+		state: this.getFSM().current
+	};
+};
+
+
+//  --------------------------------------------------------------------------- 
+//  Game
+//  --------------------------------------------------------------------------- 
+
+/**
+ * Creates and returns a new Game instance. The Game is responsible for overall
+ * flow between dealing, processing the player's Hand(s), and scoring the final
+ * result after the dealer's Hand has been filled.
+ * @param {object} opts Optional game control parameters. Common keys are
+ *	   decks (how many decks), penetration (where the cut card goes), csm
+ *	   (true for a continuous shuffling machine), min (minimum bet), max
+ *	   (maximum bet), chips (initial player holdings), rules (a B.Rules
+ *	   profile name or object), seed (the shuffle seed), fair (true for
+ *	   provably fair shoes), clientSeed (the player's fairness seed),
+ *	   buyin (the most chips a player may buy at once), seats (how many
+ *	   players, 1 to 7, each with their own chips and bet), companions (a
+ *	   strategy name from B.Strategies for each seat a computer plays, by
+ *	   seat, null for people), pace (milliseconds computer players wait
+ *	   before each move), advisor (true to have a B.Advisor give basic
+ *	   strategy advice on each Hand a person plays), and trainer (a key of
+ *	   B.Trainer.SYSTEMS, or true for Hi-Lo, to have a B.Trainer keep the
+ *	   count and quiz the player on it).
+ * @return {B.Game} A new Game instance.
+ * @constructor
+ */
+B.Game = function(opts) {
+	var advisor,
+		clientSeed,
+		commitment,
+		companions,
+		dealer,
+		decks,
+		fsm,
+		hands,
+		history,
+		holdings,
+		insurable,
+		listeners,
+		maxBet,
+		maxBuyIn,
+		minBet,
+		players,
+		options,
+		random,
+		revealed,
+		rules,
+		shoe,
+		stats,
+		trainer;
+
+	/**
+	 * An optional object whose key/value pairs provide configuration data.
+	 * @type {object}
+	 */
+	options = opts || {};	// Simplify lookup/defaulting syntax below.
+
+	// A continuous shuffling machine never finishes a shoe, so there would be
+	// no point at which to reveal a provably fair commitment.
+	if (options.fair && options.csm) {
+		throw new Error('InvalidOptions: Provably fair games cannot use a CSM.');
+	}
+
+	if (options.seats !== undefined && !(options.seats >= 1 &&
+			options.seats <= B.Game.DEFAULT.MAXIMUM_SEATS)) {
+		throw new Error('InvalidOptions: A table seats 1 to ' +
+			B.Game.DEFAULT.MAXIMUM_SEATS + ' players.');
+	}
+
+
+	/**
+	 * The basic strategy advisor, if the game has one.
+	 * @type {B.Advisor}
+	 */
+	advisor = null;
+
+
+	/**
+	 * The strategy for each seat played by a computer, by seat. Seats without
+	 * one are played by people. Without a seats option the table is sized to
+	 * fit the list.
+	 * @type {Array.<string>}
+	 */
+	companions = options.companions || [];
+	if (companions.length > (options.seats || B.Game.DEFAULT.MAXIMUM_SEATS)) {
+		throw new Error('InvalidOptions: More companions than seats.');
+	}
+
+
+	/**
+	 * The player's seed for provably fair shoes.
+	 * @type {string}
+	 */
+	clientSeed = options.clientSeed || '';
+
+
+	/**
+	 * The commitment for the current shoe in provably fair mode.
+	 * @type {B.Commitment}
+	 */
+	commitment = null;
+
+
+	/**
+	 * The dealer's Hand. We hold this Hand separate for easy comparison with
+	 * player Hands which are kept in the hands[] array.
+	 * @type {B.Hand}
+	 */
+	dealer = null;
+
+
+	/**
+	 * The number of decks in the Shoe.
+	 * @type {number}
+	 */
+	decks = options.decks || B.Game.DEFAULT.DECK_COUNT;
+
+
+	/**
+	 * The state machine which embodies the game state and transitions.
+	 * Effectively the game goes from a pregame state to dealing the initial
+	 * hands. If the dealer's up-card is an Ace the game first moves to an
+	 * insurance phase where each Hand can take insurance (or even money on a
+	 * blackjack) before the dealer peeks at the hole card. From there all
+	 * player hands are managed until no hands remain 'playable'. Once that's
+	 * true the game moves to the dealer. The dealer's hand is managed using
+	 * the rules for stay/hit until the dealer's hand is no longer 'playable'.
+	 * If the dealer doesn't bust a final scoring/payout phase is done and the
+	 * game ends, resetting to allow a new deal to begin or for the entire game
+	 * to be exited.
+     * @type {StateMachine} The newly created/initialized state machine.
+	 */
+	fsm = StateMachine.create({
+		initial: 'pregame',
+		error: function(evt, from, to, args, code, msg) {
+			var str = 'Game cannot transition from: ' +
+				from + ' state to: ' + to + ' state. ' + msg;
+			throw new Error('InvalidStateTransition: ' + str);
+		},
+		events: [
+			{ name: 'deal', from: ['pregame', 'postgame'], to: 'dealing' },
+
+			// A dealer Ace means insurance is offered before anyone plays.
+			{ name: 'insure', from: 'dealing', to: 'insurance' },
+
+            // Normal flow is players, then dealer.
+			{ name: 'player', from: ['dealing', 'insurance'], to: 'player' },
+			{ name: 'dealer', from: 'player', to: 'dealer' },
+
+			// If a player is low on chips before the deal no hands are
+			// dealt and the state moves to 'buying'. Once every seat can
+			// cover the minimum, by buying more chips or by leaving, the
+			// game returns to 'pregame'. The last player to leave quits.
+			{ name: 'buyin', from: 'dealing', to: 'buying' },
+			{ name: 'bought', from: 'buying', to: 'pregame' },
+
+			// Blackjack for dealer will mean straight to scoring. Without a
+			// hole card the dealer only finds out after the players act.
+			{ name: 'blackjack', from: ['dealing', 'insurance', 'dealer'],
+				to: 'scoring' },
+
+            // Dealer bust takes us straight to scoring.
+			{ name: 'bust', from: 'dealer', to: 'scoring'},
+
+            // Scoring can happen directly from dealing if either the player or
+            // the dealer has a blackjack.
+			{ name: 'score', from: ['dealing', 'insurance', 'dealer'],
+				to: 'scoring' },
+
+            // We can move properly to 'done' once we've scored the game.
+			{ name: 'done', from:
+                ['dealer', 'scoring', 'postgame'], to: 'postgame' },
+
+            // We can quit from anywhere.
+			{ name: 'quit', from: '*', to: 'exited' }
+		]});
+
+	// Configure a nice debugging log function to observe state transitions.
+	fsm.onchangestate = function(evt, from, to) {
+        if (DEBUG) {
+            log('Game event: ' + evt + ' from: ' +
+                from + ' to: ' + to + '.');
+        }
+	};
+
+	if (DEBUG) {
+		log('Initialized Game state.');
+	}
+
+	/**
+	 * A list of all player Hands currently active.  This is an array to support a
+	 * player having multiple Hands due to splitting, and several seats. Hands
+	 * are kept in seat order, which is also the order they are dealt and played.
+	 * @type {Array.<B.Hand>}
+	 */
+	hands = [];
+
+
+	/**
+	 * The record of every round played, kept from the Game's own events.
+	 * @type {B.History}
+	 */
+	history = null;
+
+
+	/**
+	 * The default starting holdings for each player.
+	 * @type {number}
+	 */
+	holdings = options.chips !== undefined ? options.chips :
+		B.Game.DEFAULT.HOLDINGS;
+
+
+	/**
+	 * The Hands still waiting on an insurance decision. The dealer won't peek
+	 * at the hole card until this list is empty.
+	 * @type {Array.<B.Hand>}
+	 */
+	insurable = [];
+
+
+	/**
+	 * Event listeners keyed by event name. See B.Emitter.
+	 * @type {Object.<string, Array.<Function>>}
+	 */
+	listeners = {};
+
+
+	/**
+	 * The maximum bet for this game instance.
+	 * @type {number}
+	 */
+	maxBet = options.max || B.Game.DEFAULT.MAXIMUM_BET;
+
+
+	/**
+	 * The most chips a player may buy in for at one time.
+	 * @type {number}
+	 */
+	maxBuyIn = options.buyin || B.Game.DEFAULT.MAXIMUM_BUY_IN;
+
+
+	/**
+	 * The minimum bet for this game instance.
+	 * @type {number}
+	 */
+	minBet = options.min || B.Game.DEFAULT.MINIMUM_BET;
+
+
+	/**
+	 * The players at the table, one per seat, starting from the dealer's left.
+	 * @type {Array.<B.Player>}
+	 */
+	players = [];
+	while (players.length < (options.seats || companions.length ||
+			B.Game.DEFAULT.PLAYER_COUNT)) {
+		players.push(new B.Player(this, holdings));
+	}
+
+
+	/**
+	 * The seeded random number generator behind every shuffle. Games given
+	 * the same seed, and played the same way, see the same cards.
+	 * @type {B.Random}
+	 */
+	random = new B.Random(options.seed);
+
+
+	/**
+	 * Commitments for finished shoes, most recent last, whose server seeds
+	 * have been revealed.
+	 * @type {Array.<B.Commitment>}
+	 */
+	revealed = [];
+
+
+	/**
+	 * The house rules for the game, built from the optional rules profile.
+	 * @type {B.Rules}
+	 */
+	rules = new B.Rules(options.rules);
+
+
+	/**
+	 * The Shoe used to deal cards for the game.
+	 * @type {B.Shoe}
+	 */
+	shoe = new B.Shoe(decks, {
+		continuous: options.csm,
+		penetration: options.penetration || B.Game.DEFAULT.PENETRATION,
+		random: random
+	});
+
+
+	/**
+	 * Statistics for the current session. Every buy-in is recorded with the
+	 * seat, the amount, the holdings it brought the player to, and when it
+	 * happened.
+	 * @type {{buyIns: Array.<object>}}
+	 */
+	stats = {
+		buyIns: []
+	};
+
+
+	/**
+	 * The count trainer, if the game has one.
+	 * @type {B.Trainer}
+	 */
+	trainer = null;
+
+
+	/**
+	 * Returns the basic strategy advisor.
+	 * @return {B.Advisor} The advisor, or null if the game has none.
+	 */
+	this.getAdvisor = function() {
+		return advisor;
+	};
+
+
+	/**
+	 * Returns the player's seed for provably fair shoes.
+	 * @return {string} The client seed.
+	 */
+	this.getClientSeed = function() {
+		return clientSeed;
+	};
+
+
+	/**
+	 * Returns the commitment for the current shoe, or null when the game is
+	 * not in provably fair mode.
+	 * @return {B.Commitment} The current commitment.
+	 */
+	this.getCommitment = function() {
+		return commitment;
+	};
+
+
+	/**
+	 * Returns the dealer's Hand.
+	 * @return {B.Hand} The dealer's Hand.
+	 */
+	this.getDealer = function() {
+		return dealer;
+	};
+
+
+	/**
+     * Returns the state machine which controls the state of the Hand.
+	 * @return {StateMachine} The StateMachine which controls the state of this
+	 *     Hand.
+	 */
+	this.getFSM = function() {
+		return fsm;
+	};
+
+
+	/**
+	 * Returns the Player's Hands.
+	 * @return {Array.<B.Hand>} The player's Hands.
+	 */
+	this.getHands = function() {
+		return hands;
+	};
+
+
+	/**
+	 * Returns the record of every round played.
+	 * @return {B.History} The game's history.
+	 */
+	this.getHistory = function() {
+		return history;
+	};
+
+
+	/**
+	 * Returns the Hands still waiting on an insurance decision.
+	 * @return {Array.<B.Hand>} The Hands being offered insurance.
+	 */
+	this.getInsurable = function() {
+		return insurable;
+	};
+
+
+	/**
+	 * Returns the event listeners registered with the Game.
+	 * @return {Object.<string, Array.<Function>>} Listeners by event name.
+	 */
+	this.getListeners = function() {
+		return listeners;
+	};
+
+
+	/**
+	 * Returns the maximum value a player can bet for this game.
+	 * @return {number} The maximum bet.
+	 */
+	this.getMaximumBet = function() {
+		return maxBet;
+	};
+
+
+	/**
+	 * Returns the most chips a player may buy in for at one time.
+	 * @return {number} The maximum buy-in.
+	 */
+	this.getMaximumBuyIn = function() {
+		return maxBuyIn;
+	};
+
+
+	/**
+	 * Returns the minimum value a player can bet for this game.
+	 * @return {number} The minimum bet.
+	 */
+	this.getMinimumBet = function() {
+		return minBet;
+	};
+
+
+	/**
+	 * Returns any startup configuration options for the game. Note that the
+	 * options are mutable so they can be modified by callers.
+	 * @return {object} Startup options.
+	 */
+	this.getOptions = function() {
+		return options;
+	};
+
+
+	/**
+	 * Returns the Player in a seat, by default the first.
+	 * @param {number} seat The zero-based seat index. Optional.
+	 * @return {B.Player} The player.
+	 */
+	this.getPlayer = function(seat) {
+		return players[seat || 0];
+	};
+
+
+	/**
+	 * Returns the Players at the table in seat order. Note that the array
+	 * returned is mutable so players can leave the table.
+	 * @return {Array.<B.Player>} The players.
+	 */
+	this.getPlayers = function() {
+		return players;
+	};
+
+
+	/**
+	 * Returns the seeded random number generator used for shuffling.
+	 * @return {B.Random} The game's random number generator.
+	 */
+	this.getRandom = function() {
+		return random;
+	};
+
+
+	/**
+	 * Returns the commitments for finished shoes, most recent last.
+	 * @return {Array.<B.Commitment>} The revealed commitments.
+	 */
+	this.getRevealed = function() {
+		return revealed;
+	};
+
+
+	/**
+	 * Returns the house rules for the game.
+	 * @return {B.Rules} The game's rules.
+	 */
+	this.getRules = function() {
+		return rules;
+	};
+
+
+	/**
+	 * Returns the shoe being used to deal cards.
+	 * @return {B.Shoe} The game's shoe.
+	 */
+	this.getShoe = function() {
+		return shoe;
+	};
+
+
+	/**
+	 * Returns the statistics for the current session.
+	 * @return {{buyIns: Array.<object>}} The session statistics.
+	 */
+	this.getStats = function() {
+		return stats;
+	};
+
+
+	/**
+	 * Returns the count trainer.
+	 * @return {B.Trainer} The trainer, or null if the game has none.
+	 */
+	this.getTrainer = function() {
+		return trainer;
+	};
+
+
+	/**
+	 * Sets the player's seed. The seed applies to the current shoe if it
+	 * hasn't been dealt from yet, otherwise to the next shoe.
+	 * @param {string} seed The new client seed.
+	 */
+	this.setClientSeed = function(seed) {
+		clientSeed = String(seed);
+		if (commitment && !commitment.isLocked()) {
+			commitment.setClientSeed(clientSeed);
+		}
+	};
+
+
+	/**
+	 * Sets the commitment for the current shoe.
+	 * @param {B.Commitment} value The new commitment.
+	 * @private
+	 */
+	this._setCommitment = function(value) {
+		commitment = value;
+	};
+
+
+	/**
+	 * Defines the Hand played by the Dealer.
+	 * @param {B.Hand} hand The new Hand for the dealer.
+	 * @return {B.Hand} The new hand.
+	 * @private
+	 */
+	this._setDealer = function(hand) {
+		dealer = hand;
+		return dealer;
+	};
+
+
+	/**
+	 * Replaces the Players, as when resuming a saved game.
+	 * @param {Array.<B.Player>} value The new players, in seat order.
+	 * @return {Array.<B.Player>} The new players.
+	 * @private
+	 */
+	this._setPlayers = function(value) {
+		players = value;
+		return players;
+	};
+
+
+	/**
+	 * Replaces the game's random number generator.
+	 * @param {B.Random} value The new generator.
+	 * @private
+	 */
+	this._setRandom = function(value) {
+		random = value;
+	};
+
+
+	/**
+	 * Replaces the shoe, passing its shuffles along to our own listeners.
+	 * @param {B.Shoe} value The new shoe.
+	 * @private
+	 */
+	this._setShoe = function(value) {
+		shoe = value;
+		shoe.on('empty', this.refill.bind(this));
+		shoe.on('shuffle', this.emit.bind(this, 'shuffle'));
+	};
+
+
+	// Connect the various FSM transition hooks to game methods.
+	fsm.onafterdealer = this.onafterdealer.bind(this);
+	fsm.onafterdone = this.onafterdone.bind(this);
+
+	// Register with the shoe for its events.
+	this._setShoe(shoe);
+
+	// Publish the first shoe's commitment before anything is dealt.
+	if (options.fair) {
+		this.commit();
+	}
+
+	// Start recording, advising and counting ahead of any other listener so
+	// each round's record is complete by the time they hear the round has
+	// ended, and each Hand's advice and the count are ready by the time
+	// they're rendered.
+	history = new B.History(this);
+	if (options.advisor) {
+		advisor = new B.Advisor(this);
+	}
+	if (options.trainer) {
+		trainer = new B.Trainer(this, options.trainer === true ? null :
+			options.trainer);
+	}
+
+	// Players who can't cover the minimum are sent to buy in on the first deal.
+	players.map(function(player, seat) {
+		player.placeBet(player.getHoldings() >= this.getMinimumBet() ?
+			this.getMinimumBet() : 0);
+		if (companions[seat]) {
+			player.companion = new B.Companion(this, player, companions[seat]);
+		}
+	}, this);
+
+	return this;
+};
+
+
+// Mix in event support. Views subscribe to the Game rather than the Game
+// rendering itself.
+extend(B.Game.prototype, B.Emitter);
+
+
+/**
+ * The events a Game publishes, in the order they typically occur. Events about
+ * a Hand are published to the Hand first and then to the Game, where
+ * listeners receive the Hand as their first argument. Subscribe with on().
+ * Insurance decisions are 'insure', 'decline' or 'evenmoney'. Payout reasons
+ * are 'win', 'push', 'surrender', 'insurance' or 'refund'.
+ * @enum {string}
+ */
+B.Game.EVENTS = {
+	START: 'start',				// The table is ready. ()
+	DEAL: 'deal',				// A new round begins. ()
+	SHUFFLE: 'shuffle',			// The shoe was shuffled. (shoe)
+	FAIRNESS: 'fairness',		// Commitment published. (commitment)
+	CARD: 'card',				// Any card added to a Hand. (hand, card)
+	INSURANCE: 'insurance',		// Decision. (hand, amount, decision)
+	PEEK: 'peek',				// Dealer checked. (dealer, blackjack)
+	BLACKJACK: 'blackjack',		// Natural 21, dealer too. (hand)
+	HIT: 'hit',					// A Hand drew a card. (hand, card)
+	STAND: 'stand',				// (hand)
+	DOUBLE: 'double',			// Bet doubled, card follows. (hand)
+	SPLIT: 'split',				// (hand, newHand)
+	SURRENDER: 'surrender',		// (hand)
+	BUST: 'bust',				// (hand)
+	PAYOUT: 'payout',			// Chips returned. (hand, amount, reason)
+	ROUND_END: 'roundEnd',		// Round settled. (hands, dealer)
+	BET: 'bet',					// A bet was raised. (player)
+	BUYING: 'buying',			// Out of chips, buy in or leave. (player)
+	BUY_IN: 'buyin',			// Chips bought. (player, amount)
+	SIT: 'sit',					// A player took a seat. (player)
+	LEAVE: 'leave',				// A player gave up their seat. (player)
+	CHANGE: 'change',			// Anything visible changed. ()
+	QUIT: 'quit'				// The table closed. ()
+};
+
+
+/**
+ * A list of the states a Game can be saved in and later resumed from. Other
+ * states only last while the Game is in the middle of acting on its own.
+ * @type Array.<string>
+ */
+B.Game.RESUMABLES = ['pregame', 'insurance', 'player', 'postgame', 'buying'];
+
+
+/**
+ * Rebuilds a Game from the output of toJSON, ready to carry on exactly where
+ * the saved game stopped, down to the order of the cards left in the shoe.
+ * @param {object} json The saved game.
+ * @return {B.Game} A new Game instance.
+ */
+B.Game.fromJSON = function(json) {
+	var buyIns,
+		game,
+		hands,
+		insurable,
+		players,
+		restored,
+		revealed,
+		seats,
+		shoe;
+
+	if (B.Game.RESUMABLES.indexOf(json.state) === -1) {
+		throw new Error('InvalidState: A game cannot resume from ' +
+			json.state + '.');
+	}
+
+	// Games saved before the table had seats hold a single player.
+	game = new B.Game(json.options);
+	players = game._setPlayers((json.players || [json.player]).map(
+		function(player) {
+			return B.Player.fromJSON(player, game);
+		}));
+	game._setRandom(B.Random.fromJSON(json.random));
+
+	// The shoe may draw from the Game's own generator rather than a copy.
+	shoe = B.Shoe.fromJSON(json.shoe);
+	if (json.sharedRandom) {
+		shoe.setRandom(game.getRandom());
+	}
+	game._setShoe(shoe);
+
+	game.setClientSeed(json.clientSeed);
+	game._setCommitment(json.commitment ?
+		B.Commitment.fromJSON(json.commitment) : null);
+	revealed = game.getRevealed();
+	revealed.push.apply(revealed, json.revealed.map(B.Commitment.fromJSON));
+
+	// Older saves may hold the Hands of a player who has since left, with a
+	// seat of -1. There's no one to give them to, so they're dropped.
+	seats = json.seats || [];
+	restored = json.hands.map(function(hand, i) {
+		var player = players[seats[i] || 0];
+		return player ? B.Hand.fromJSON(hand, game, player) : null;
+	});
+	hands = game.getHands();
+	hands.push.apply(hands, restored.filter(Boolean));
+	game._setDealer(json.dealer ? B.Hand.fromJSON(json.dealer, game) : null);
+
+	insurable = game.getInsurable();
+	insurable.push.apply(insurable, json.insurable.map(function(index) {
+		return restored[index];
+	}).filter(Boolean));
+
+	buyIns = game.getStats().buyIns;
+	buyIns.push.apply(buyIns, json.stats.buyIns);
+
+	// Games saved before rounds were recorded have no history.
+	if (json.history) {
+		game.getHistory().load(json.history);
+	}
+	if (json.advisor && game.getAdvisor()) {
+		game.getAdvisor().load(json.advisor);
+	}
+	if (json.trainer && game.getTrainer()) {
+		game.getTrainer().load(json.trainer);
+	}
+
+	game.getFSM().current = json.state;
+
+	return game;
+};
+
+
+/**
+ * A Dictionary of default values for the class.
+ * @enum {object}
+ */
+B.Game.DEFAULT = {
+	DECK_COUNT: 1,			// Default is a single-deck game.
+	HOLDINGS: 500,			// Default is 500 chips.
+	MAXIMUM_BET: 100,		// No more than 100 chips per Hand.
+	MAXIMUM_BUY_IN: 500,	// Buy back in for up to the starting stake.
+	MAXIMUM_SEATS: 7,		// A full table.
+	MINIMUM_BET: 5,			// 1 chip minimum.
+	PENETRATION: 0.75,		// Cut card 3/4 of the way into the shoe.
+	PAYOUT_BLACKJACK: 1.5,  // 3:2 on blackjack wins.
+	PAYOUT_INSURED: 2.0,    // 2:1 on insurance.
+	PAYOUT_WINNER: 1.0,     // 1:1 on normal wins.
+	PLAYER_COUNT: 1			// 1 seat by default.
+};
+
+
+/**
+ * Invoked when a Hand has a blackjack (Ace and ten-value).
+ */
+B.Game.prototype.blackjack = function(hand) {
+	var prefix,
+        my;
+
+	hand.show();
+
+	if (DEBUG) {
+		prefix = (hand === this.getDealer()) ? 'Dealer' : 'Player';
+		log(prefix + ' Blackjack!: ' + hand.print());
+	}
+
+    my = this;
+
+	// If it's the dealer's hand we show it immediately. Only another hand with
+	// a Blackjack will avoid a loss, and those hands merely tie/push.
+	if (hand === this.getDealer()) {
+		// When it's the dealers hand we move immediately to scoring/payout.	
+		this.getFSM().blackjack();
+        setTimeout(function() {
+		    my.score();
+        }, 0);
+
+	} else {
+        // For player hands which transition to blackjack status we may have no
+        // remaining playable hands and need to transition. The tricky part here
+        // is that the dealer's hand is dealt to last, so any true blackjack on
+        // the part of a player hand will cause scoring against an incomplete
+        // dealer hand. We use a setTimeout to let the deal finish first.
+        setTimeout(function() {
+            my.checkHands();
+        }, 0);
+    }
+};
+
+
+/**
+ * Invoked when a Hand busts. If the Hand was the dealer's Hand then any active
+ * hands remaining are winners. If the Hand was a player's Hand then it is
+ * discarded from the Game. If no active player Hands remain the Game ends and
+ * the option to deal a new set of Hands is provided.
+ * @param {B.Hand} hand The hand which busted.
+ */
+B.Game.prototype.bust = function(hand) {
+	var prefix;
+
+	if (DEBUG) {
+		prefix = (hand === this.getDealer()) ? 'Dealer' : 'Hand';
+		log(prefix + ' busted: ' + hand.print());
+	}
+
+	this.checkHands();
+};
+
+
+/**
+ * Buys the player more chips so play can continue. Only a player who could not
+ * cover the minimum bet is asked to buy in, and the purchase must be enough to
+ * cover it. The buy-in is recorded in the session statistics. With several
+ * seats short of chips each is asked in turn before play resumes.
+ * @param {number} amount The number of chips to buy, up to the maximum buy-in.
+ */
+B.Game.prototype.buyIn = function(amount) {
+	var fsm,
+		next,
+		player;
+
+	fsm = this.getFSM();
+	if (!fsm.is('buying')) {
+		throw new Error('InvalidOperation: No buy-in is needed.');
+	}
+
+	player = this.getNextBuyer();
+	if (!(amount > 0) || amount > this.getMaximumBuyIn() ||
+			player.getHoldings() + amount < this.getMinimumBet()) {
+		throw new Error('InvalidAmount: Cannot buy in for ' + amount + '.');
+	}
+
+	player.adjustHoldings(amount);
+	this.getStats().buyIns.push({
+		seat: player.getSeat(),
+		amount: amount,
+		holdings: player.getHoldings(),
+		time: Date.now()
+	});
+
+	log('Seat ' + (player.getSeat() + 1) + ' bought in for ' + amount + '.');
+
+	player.placeBet(this.getMinimumBet());
+	next = this.getNextBuyer();
+	if (!next) {
+		fsm.bought();
+	}
+
+	this.emit('buyin', player, amount);
+	this.emit('bet', player);
+	if (next) {
+		this.emit('buying', next);
+	}
+};
+
+
+/**
+ * Returns true if the dealer peeks under the up-card for blackjack. Only an
+ * Ace or ten-value card showing calls for a peek, and never without a hole
+ * card.
+ * @return {boolean} True if the dealer should peek.
+ */
+B.Game.prototype.canPeek = function() {
+	var dealer;
+
+	dealer = this.getDealer();
+	return !!dealer && !this.getRules().get('noHoleCard') &&
+		dealer.getCards()[0].getValue() >= 10;
+};
+
+
+/**
+ * Checks all player hands to see if any remain playable. If not this method
+ * will transition the game to the dealer state.
+ */
+B.Game.prototype.checkHands = function() {
+	var fsm,
+		hands,
+		done;
+
+	// Nothing moves until every Hand has answered the insurance offer.
+	if (this.getInsurable().length) {
+		return;
+	}
+
+	done = true;
+	hands = this.getHands();
+	hands.map(function(hand) {
+		if (hand.isPlayable()) {
+			done = false;
+		}
+	});
+
+	fsm = this.getFSM();
+	if (done) {
+        // No remaining playable hands. Without a hole card the dealer still
+        // needs a second card to know if a player blackjack pushes.
+        if (fsm.can('dealer')) {
+            fsm.dealer();
+        } else if (fsm.can('score') && !this.dealSecondCard()) {
+            this.score();
+        }
+	} else {
+        if (fsm.can('player')) {
+            this.play();
+        }
+    }
+};
+
+
+/**
+ * Collects the cards from every Hand, player and dealer, into the shoe's
+ * discard tray.
+ */
+B.Game.prototype.collect = function() {
+	var dealer,
+		shoe;
+
+	shoe = this.getShoe();
+	this.getHands().map(function(hand) {
+		shoe.discard(hand.getCards());
+	});
+
+	dealer = this.getDealer();
+	if (dealer) {
+		shoe.discard(dealer.getCards());
+	}
+};
+
+
+/**
+ * Commits to a server seed for the next shoe, publishing its hash. If the game
+ * was given an explicit seed the server seed is drawn from the game's random
+ * number generator so a replay reproduces it.
+ * @return {B.Commitment} The new commitment.
+ */
+B.Game.prototype.commit = function() {
+	var commitment,
+		rng;
+
+	rng = this.getOptions().seed ? this.getRandom() : null;
+	commitment = new B.Commitment(this.getClientSeed(),
+		B.Commitment.newServerSeed(rng));
+	this._setCommitment(commitment);
+
+	log('Shoe commitment: ' + commitment.getHash());
+
+	return commitment;
+};
+
+
+/**
+ * Handles state transition after the initial deal for a new game is done. While
+ * the first two cards are being dealt to each player no UI actions are allowed.
+ * Once the initial deal has completed the game moves into 'player' mode in
+ * which the player's state machine is in control of one or more Hands.
+ */
+B.Game.prototype.deal = function() {
+	var commitment,
+		fsm,
+		dealer,
+		hands,
+		insurable,
+		player,
+		shoe;
+
+	fsm = this.getFSM();
+	fsm.deal();
+
+    // Let any view clear the table for fresh visuals.
+    this.emit('deal');
+
+	// If a player can't cover the minimum bet we can't continue.
+	player = this.getNextBuyer();
+	if (player) {
+		fsm.buyin();
+		this.emit('buying', player);
+		return;
+	}
+
+	// Clear the last round's cards into the discard tray. If the cut card came
+	// out during that round this is when the dealer reshuffles.
+	this.collect();
+	shoe = this.getShoe();
+	if (shoe.needsShuffle()) {
+		this.reveal();
+		shoe.reshuffle();
+		if (this.getOptions().fair) {
+			this.commit();
+		}
+	}
+
+	// In provably fair mode the shoe is shuffled from the commitment, which
+	// locks the client seed for the rest of the shoe.
+	commitment = this.getCommitment();
+	if (commitment && !commitment.isLocked()) {
+		shoe.setRandom(new B.Random(commitment.lock()));
+	}
+	this.emit('fairness', commitment);
+
+	// Clear and/or replace the hands for players and dealer, one Hand for each
+	// seat in order from the dealer's left.
+	hands = this.getHands();
+	hands.length = 0;
+	this.getPlayers().map(function(player) {
+		hands.push(new B.Hand(this, player));
+	}, this);
+	dealer = this._setDealer(new B.Hand(this));
+
+	// Now that we have the Hands built we need to deal Cards in the proper
+	// order. One card to each player hand, then to dealer, then one more to
+	// each player, and a hole card to the dealer. Without a hole card the
+	// dealer's second card waits until the players have acted.
+
+	hands.map(function(hand) {
+		hand.hit(shoe.deal());
+	});
+	dealer.hit(shoe.deal());
+	hands.map(function(hand) {
+		hand.hit(shoe.deal());
+	});
+	if (!this.getRules().get('noHoleCard')) {
+		dealer.hit(shoe.deal(true));	// Hole card.
+	}
+
+	// With an Ace showing the dealer offers insurance before peeking, and
+	// early surrender is offered against any card the dealer will peek under.
+	// Play resumes once every Hand has made its decision.
+	if (this.isInsurable() || (this.getRules().get('surrender') === 'early' &&
+			dealer.getCards()[0].getValue() >= 10)) {
+		insurable = this.getInsurable();
+		insurable.length = 0;
+		insurable.push.apply(insurable, hands);
+		fsm.insure();
+		this.emit('change');
+		return;
+	}
+
+	this.peek();
+
+	// Publish the dealt Hands before we check the FSM state and decide whether
+	// to invoke a state transition.
+	this.emit('change');
+	this.checkHands();
+};
+
+
+/**
+ * Deals the dealer's second card when playing without a hole card. Only then
+ * can the dealer turn out to have blackjack, so insurance is settled here.
+ * Does nothing when the dealer already holds two cards.
+ * @return {boolean} True if the second card gave the dealer blackjack.
+ */
+B.Game.prototype.dealSecondCard = function() {
+	var dealer;
+
+	dealer = this.getDealer();
+	if (dealer.getCards().length !== 1) {
+		return false;
+	}
+
+	// Note that isBlackjack() notifies the Game when the dealer has one.
+	dealer.hit(this.getShoe().deal());
+	return this.settleInsurance(dealer.isBlackjack());
+};
+
+
+/**
+ * Responds to notifications that a Hand doubled.
+ * @param {B.Hand} hand The hand which doubled.
+ */
+B.Game.prototype.double = function(hand) {
+
+	if (DEBUG) {
+		log('Hand doubled: ' + hand.print());
+	}
+
+	this.checkHands();
+};
+
+
+/**
+ * Returns the first Player, in seat order, who can't cover the minimum bet and
+ * so must buy more chips before the next deal.
+ * @return {B.Player} The next player to buy in, if any.
+ */
+B.Game.prototype.getNextBuyer = function() {
+	var min;
+
+	min = this.getMinimumBet();
+	return this.getPlayers().filter(function(player) {
+		return player.getBet() < min;
+	})[0];
+};
+
+
+/**
+ * Returns a handle to the next playable hand in the game. This is a useful way
+ * to interact with the hands in order, ignoring those which are complete.
+ * @return {B.Hand} The next playable hand.
+ */
+B.Game.prototype.getNextHand = function() {
+    var hands,
+        i,
+        len,
+        hand;
+
+    hands = this.getHands();
+    len = hands.length;
+    for (i = 0; i < len; i++) {
+        hand = hands[i];
+        if (hand.isPlayable()) {
+            return hand;
+        }
+    }
+
+    return;
+};
+
+
+/**
+ * Responds to notifications that a Hand has made its insurance decision, be it
+ * insurance, even money, or neither. Once the last Hand has decided the dealer
+ * peeks and play continues.
+ * @param {B.Hand} hand The hand which decided.
+ */
+B.Game.prototype.insure = function(hand) {
+	var insurable;
+
+	if (DEBUG) {
+		log('Hand insurance: ' + hand.getInsurance() + ' on ' + hand.print());
+	}
+
+	insurable = this.getInsurable();
+	insurable.splice(insurable.indexOf(hand), 1);
+
+	if (insurable.length) {
+		this.emit('change');
+		return;
+	}
+
+	this.peek();
+	this.checkHands();
+	this.emit('change');
+};
+
+
+/**
+ * Returns true if the dealer's up-card is an Ace, meaning insurance (and even
+ * money) is offered before the dealer peeks.
+ * @return {boolean} True if insurance is offered.
+ */
+B.Game.prototype.isInsurable = function() {
+	var dealer;
+
+	dealer = this.getDealer();
+	return !!dealer && dealer.getCards()[0].getIndex() === 1;
+};
+
+
+/**
+ * Gives up a player's seat, returning any bet not yet dealt to the player's
+ * holdings. Players may leave between rounds, or rather than buy more chips.
+ * When the last player leaves the table closes, as with quit().
+ * @param {B.Player} player The player leaving. While buying, defaults to
+ *     the player being asked to buy in.
+ */
+B.Game.prototype.leave = function(player) {
+	var fsm,
+		next,
+		players;
+
+	fsm = this.getFSM();
+	if (!fsm.is('pregame') && !fsm.is('postgame') && !fsm.is('buying')) {
+		throw new Error('InvalidOperation: Players leave between rounds.');
+	}
+
+	player = player || this.getNextBuyer();
+	players = this.getPlayers();
+	if (players.indexOf(player) === -1) {
+		throw new Error('InvalidPlayer: Not seated at this table.');
+	}
+
+	if (players.length === 1) {
+		this.quit();
+		return;
+	}
+
+	log('Seat ' + (player.getSeat() + 1) + ' left the table.');
+
+	player.adjustHoldings(player.getBet());
+	player.placeBet(0);
+	players.splice(players.indexOf(player), 1);
+
+	next = this.getNextBuyer();
+	if (fsm.is('buying') && !next) {
+		fsm.bought();
+	}
+
+	this.emit('leave', player);
+	if (fsm.is('buying')) {
+		this.emit('buying', next);
+	}
+};
+
+
+/**
+ * Responds to state changes into the dealer state. Once we enter this state we
+ * play out the dealer's hand according to the 'hit rules' and then score the
+ * various Player hands.
+ */
+B.Game.prototype.onafterdealer = function() {
+	var dealer,
+		soft17,
+		shoe;
+
+	dealer = this.getDealer();
+	dealer.show();
+	shoe = this.getShoe();
+
+	// Without a hole card the dealer's second card comes now. A blackjack is
+	// already on its way to scoring.
+	if (this.dealSecondCard()) {
+		return;
+	}
+
+	// Some houses have the dealer hit a soft 17 rather than stand.
+	soft17 = this.getRules().get('hitSoft17');
+
+    // Dealer must play out.
+	while (dealer.getScore() < 17 ||
+			(soft17 && dealer.getScore() === 17 && dealer.isSoft())) {
+		dealer.hit(shoe.deal());
+	}
+
+    // If the hand busted over the hit() it'll already be on its way to scoring.
+    if (dealer.getScore() <= 21) {
+	    this.score();
+    }
+};
+
+
+/**
+ * Processes the final done state transition.
+ */
+B.Game.prototype.onafterdone = function() {
+
+    this.emit('roundEnd', this.getHands().slice(), this.getDealer());
+    this.emit('change');
+	log('Game over.');
+};
+
+
+/**
+ * The dealer peeks at the hole card when the up-card is an Ace or ten-value,
+ * the only cards which can make a blackjack. A dealer blackjack moves the game
+ * straight to scoring. Either way any insurance taken is settled here.
+ * @return {boolean} True if the dealer has blackjack.
+ */
+B.Game.prototype.peek = function() {
+	var bjack,
+		dealer;
+
+	if (!this.canPeek()) {
+		return false;
+	}
+
+	// Note that isBlackjack() notifies the Game when the dealer has one.
+	dealer = this.getDealer();
+	bjack = dealer.isBlackjack();
+	this.emit('peek', dealer, bjack);
+
+	return this.settleInsurance(bjack);
+};
+
+
+/**
+ * Transitions the game to the player state. This state remains in effect until
+ * all Hands have been played. Then the dealer's hand is played out.
+ */
+B.Game.prototype.play = function() {
+	var fsm;
+
+	fsm = this.getFSM();
+	fsm.player();
+};
+
+
+/**
+ * Quits the game. Any chips in the pot go back to the player and views are
+ * notified so they can shut down their controls.
+ */
+B.Game.prototype.quit = function() {
+	var fsm;
+
+	fsm = this.getFSM();
+	fsm.quit();
+
+	// Leaving the table finishes the shoe.
+	this.reveal();
+
+    // Put any chips in the pot back in each player's holdings.
+    this.getPlayers().map(function(player) {
+        player.adjustHoldings(player.getBet());
+        player.placeBet(0);
+    });
+
+    this.emit('quit');
+};
+
+
+/**
+ * Responds to the shoe running dry mid-round. In provably fair mode the
+ * discard tray can't simply be reshuffled, since its order isn't part of any
+ * commitment. Instead the finished shoe is revealed and a fresh one, committed
+ * to before its first card, takes its place.
+ * @param {B.Shoe} shoe The empty shoe.
+ */
+B.Game.prototype.refill = function(shoe) {
+	var commitment;
+
+	if (!this.getOptions().fair) {
+		return;
+	}
+
+	this.reveal();
+	shoe.reshuffle();
+	commitment = this.commit();
+	shoe.setRandom(new B.Random(commitment.lock()));
+	this.emit('fairness', commitment);
+};
+
+
+/**
+ * Reveals the server seed of the current shoe's commitment, provided the shoe
+ * has been dealt from. Revealed commitments are kept so finished shoes can
+ * be verified with B.Commitment.verify.
+ * @return {B.Commitment} The revealed commitment, if any.
+ */
+B.Game.prototype.reveal = function() {
+	var commitment;
+
+	commitment = this.getCommitment();
+	if (!commitment || !commitment.isLocked() || commitment.isRevealed()) {
+		return;
+	}
+
+	commitment.reveal();
+	this.getRevealed().push(commitment);
+
+	log('Shoe finished. Server seed: ' + commitment.getServerSeed() +
+		' client seed: ' + commitment.getClientSeed());
+
+	return commitment;
+};
+
+
+/**
+ * Score each Hand and pay any winners, notify losers, and clean up the round.
+ */
+B.Game.prototype.score = function() {
+	var fsm,
+		hands,
+		dealer,
+		house,
+		busted,
+		bjack,
+		lost,
+		min,
+		payout,
+		rules;
+
+	fsm = this.getFSM();
+    if (fsm.can('score')) {
+	    fsm.score();
+    }
+
+	log('Scoring hands.');
+
+	dealer = this.getDealer();
+    dealer.show();
+	house = dealer.getScore();
+
+	// Turn over any face-down doubles. Those that bust are out of the scoring.
+	hands = this.getHands();
+	hands.map(function(hand) {
+		hand.show();
+	});
+	busted = house > 21;
+	bjack = dealer.isBlackjack();
+	rules = this.getRules();
+	payout = rules.get('payout');
+
+    this.emit('change');
+
+    log('Dealer has: ' + dealer.print());
+
+	// Without a hole card a dealer blackjack turns up after doubles and splits
+	// are already on the table. Under original-bets-only rules each player
+	// loses just the original wager and the rest goes back, including the
+	// doubles and splits of hands already lost to a bust.
+	if (bjack && rules.get('noHoleCard') && rules.get('originalBetsOnly')) {
+		lost = [];
+		hands.map(function(hand) {
+			var bet,
+				refund;
+
+			if ((!hand.isScoreable() && hand.getFSM().current !== 'busted') ||
+					hand.isBlackjack()) {
+				return;
+			}
+
+			bet = hand.getBet();
+			refund = 0;
+			if (hand.isDoubled()) {
+				bet = bet / 2;
+				refund = bet;
+			}
+
+			if (lost.indexOf(hand.getPlayer()) !== -1) {
+				refund += bet;
+			}
+			lost.push(hand.getPlayer());
+
+			if (refund) {
+				hand.refund(refund);
+			}
+		});
+	}
+
+	hands.map(function(hand) {
+		var score;
+
+        log('Player has: ' + hand.print());
+
+		if (!hand.isScoreable()) {
+			return;
+		}
+
+		if (hand.isBlackjack()) {
+			if (bjack) {
+				hand.push();
+			} else {
+				hand.pay(payout);
+			}
+			return;
+		}
+
+		// All other non-blackjack hands lose if the house has blackjack. We're
+		// only interested in hands that won.
+		if (!bjack) {
+			score = hand.getScore();
+			if (score === house) {
+				hand.push();
+			} else if (busted || (score > house)) {
+				hand.pay(B.Game.DEFAULT.PAYOUT_WINNER);
+			}
+		}
+	});
+
+    // Reset each player's initial bet, provided they can still cover it. If
+    // not the next deal sends them to buy more chips.
+    min = this.getMinimumBet();
+    this.getPlayers().map(function(player) {
+        player.placeBet(player.getHoldings() >= min ? min : 0);
+    });
+
+	// Transition to 'postgame' state.
+	setTimeout(fsm.done.bind(fsm), 0);
+};
+
+
+/**
+ * Settles any insurance taken once the dealer's blackjack is known, either
+ * from the peek or, without a hole card, from the dealer's second card.
+ * @param {boolean} bjack True if the dealer has blackjack.
+ * @return {boolean} The bjack flag, for convenience.
+ */
+B.Game.prototype.settleInsurance = function(bjack) {
+	this.getHands().map(function(hand) {
+		hand.settleInsurance(bjack);
+	});
+
+	return bjack;
+};
+
+
+/**
+ * Seats a new player, with the minimum bet if they can cover it, at the next
+ * open seat. Players sit down between rounds, as at a casino table.
+ * @param {number} chips The player's chips. Defaults to the game's starting
+ *     chips.
+ * @return {B.Player} The new player.
+ */
+B.Game.prototype.sit = function(chips) {
+	var fsm,
+		min,
+		player,
+		players;
+
+	fsm = this.getFSM();
+	if (!fsm.is('pregame') && !fsm.is('postgame')) {
+		throw new Error('InvalidOperation: Players sit down between rounds.');
+	}
+
+	players = this.getPlayers();
+	if (players.length >= B.Game.DEFAULT.MAXIMUM_SEATS) {
+		throw new Error('InvalidOperation: The table is full.');
+	}
+
+	if (chips === undefined) {
+		chips = this.getOptions().chips !== undefined ?
+			this.getOptions().chips : B.Game.DEFAULT.HOLDINGS;
+	}
+
+	min = this.getMinimumBet();
+	player = new B.Player(this, chips);
+	player.placeBet(chips >= min ? min : 0);
+	players.push(player);
+
+	log('Seat ' + (player.getSeat() + 1) + ' sat down.');
+
+	this.emit('sit', player);
+
+	return player;
+};
+
+
+/**
+ * Responds to notifications that a Hand wants to split. NOTE that unlike the
+ * other Hand-related notifications, this one uses the Game to do the work.
+ * @param {B.Hand} hand The hand which split.
+ */
+B.Game.prototype.split = function(hand) {
+	var cards,
+		card,
+		hand2,
+		hands,
+		shoe;
+
+	if (DEBUG) {
+		log('Hand split: ' + hand.print());
+	}
+
+	// Create the new hand and add it to our list directly after the original
+	// so the Hands play (and render) from left to right.
+	hands = this.getHands();
+	hand2 = new B.Hand(this, hand.getPlayer());
+	hands.splice(hands.indexOf(hand) + 1, 0, hand2);
+
+	// The new Hand carries a bet equal to the original, drawn from the same
+	// player's holdings.
+	hand2._setBet(0);
+	hand2.increaseBet(hand.getBet());
+
+	// Split the cards between the two hands.
+	cards = hand.getCards();
+	card = cards.pop();
+	hand2.getCards().push(card);
+
+	// Neither Hand can be a true blackjack from here on.
+	hand.isSplit(true);
+	hand2.isSplit(true);
+
+	hand.emit('split', hand2);
+
+	// Set old hand from 'pair' to 'single'
+	hand.getFSM().split();
+	// Set new hand to 'single' from 'empty'.
+	hand2.getFSM().hit();
+
+	// Add a new card to both hands to return them to 'pair' state.
+	shoe = this.getShoe();
+	hand.hit(shoe.deal());
+	hand2.hit(shoe.deal());
+
+	// Split Aces normally get just the one card each. Aces which may be split
+	// again are left for the player to decide.
+	if (hand.isSplitAces() && !this.getRules().get('hitSplitAces')) {
+		[hand, hand2].map(function(split) {
+			if (!split.canSplit()) {
+				split.getFSM().stand();
+			}
+		});
+	}
 
+	// Once the hands are split and rebuilt we check them. In the off chance
+	// they're both now Blackjack values we'd want to move directly to scoring.
+	this.checkHands();
+};
 
-    /**
-     * Places an initial bet.
-     * @param {number} amount The amount being bet.
-     */
-    this.placeBet = function(amount) {
-        this.adjustHoldings(amount * -1);
-        bet = amount;
-    };
 
-	return this;
+/**
+ * Responds to notifications that a Hand is standing pat.
+ * @param {B.Hand} hand The hand which is standing pat.
+ */
+B.Game.prototype.stand = function(hand) {
+
+	if (DEBUG) {
+		log('Hand stands: ' + hand.print());
+	}
+
+	this.checkHands();
+
+    // Publish because once a hand stands() it's likely the Dealer will show()
+    // and begin updating their hand.
+    this.emit('change');
+};
+
+
+/**
+ * Start a new game, notifying any view so it can render the table baseline. A
+ * resumed game with a round on the table publishes its Hands as well.
+ */
+B.Game.prototype.start = function() {
+
+	log('Game on.');
+
+	this.emit('start');
+	if (this.getDealer()) {
+		this.emit('change');
+	}
+};
+
+
+/**
+ * Responds to notifications that a Hand surrenders.
+ * @param {B.Hand} hand The hand which surrendered.
+ */
+B.Game.prototype.surrender = function(hand) {
+
+	if (DEBUG) {
+		log('Hand surrenders: ' + hand.print());
+	}
+
+	// An early surrender also answers the offer made before the peek.
+	if (hand.isOffered()) {
+		this.insure(hand);
+		return;
+	}
+
+	this.checkHands();
+};
+
+
+/**
+ * Returns a plain object describing the Game, suitable for JSON.stringify. The
+ * result holds everything B.Game.fromJSON needs to resume play, including the
+ * shoe's remaining cards and the state of every Hand on the table.
+ * @return {object} The game's state.
+ */
+B.Game.prototype.toJSON = function() {
+	var advisor,
+		commitment,
+		dealer,
+		hands,
+		serialize,
+		trainer;
+
+	serialize = function(item) {
+		return item.toJSON();
+	};
+
+	advisor = this.getAdvisor();
+	commitment = this.getCommitment();
+	dealer = this.getDealer();
+	trainer = this.getTrainer();
+
+	// A player who left after the round keeps their Hands on the table until
+	// the next deal, but has no seat to restore them to.
+	hands = this.getHands().filter(function(hand) {
+		return hand.getPlayer().getSeat() !== -1;
+	});
+
+	return {
+		options: this.getOptions(),
+		state: this.getFSM().current,
+		players: this.getPlayers().map(serialize),
+		hands: hands.map(serialize),
+		seats: hands.map(function(hand) {
+			return hand.getPlayer().getSeat();
+		}),
+		dealer: dealer ? dealer.toJSON() : null,
+		insurable: this.getInsurable().filter(function(hand) {
+			return hands.indexOf(hand) !== -1;
+		}).map(function(hand) {
+			return hands.indexOf(hand);
+		}),
+		random: this.getRandom().toJSON(),
+		shoe: this.getShoe().toJSON(),
+		sharedRandom: this.getShoe().getRandom() === this.getRandom(),
+		clientSeed: this.getClientSeed(),
+		commitment: commitment ? commitment.toJSON() : null,
+		revealed: this.getRevealed().map(serialize),
+		stats: this.getStats(),
+		history: this.getHistory().toJSON(),
+		advisor: advisor ? advisor.toJSON() : null,
+		trainer: trainer ? trainer.toJSON() : null
+	};
 };
 
 
+//  --------------------------------------------------------------------------- 
+//  Strategies
 //  --------------------------------------------------------------------------- 
 
 /*
- * NOTE: 
+ * NOTE:
  *
- * The Game interacts primarily with Hands and only indirectly with the Player.
- * The link between a Hand and a Player is maintained by the Hand instance, not
- * the Player instance, and most operations affecting a Player are driven from
- * methods/events invoked on a specific Hand.
+ * A strategy is a function which looks at a playable Hand and names the next
+ * action for it: 'hit', 'stand', 'double', 'split' or 'surrender'. Strategies
+ * only name actions the Hand can take right now, so a chart which calls for a
+ * double falls back to a hit (or a stand) when doubling isn't allowed.
  */
 
 
 /**
- * Creates a new Hand of Cards and returns it. The Hand actually owns the cards
- * and bet, while the Hand's player is responsible for activity related to
- * managing the player's chips. The Game instance provides each Hand with an
- * object to notify when the state of the Hand changes in lieu of pub/sub.
- * @param {B.Game} g The Game this Hand of cards is a part of.
- * @param {B.Player} p The Player of this particular Hand of cards. Optional.
- * @return {B.Hand} A new Hand instance.
+ * Creates and returns a new Chart, the basic strategy table for a set of house
+ * rules. For a multi-deck game with a peek and no early surrender, the chart
+ * for a dealer standing on soft 17 with doubling after splits and no
+ * surrender is the starting point, and the cells which change for hitting
+ * soft 17, no doubling after splits and late surrender are switched over to
+ * match the rules. Any other game gets the chart worked out from expected
+ * values by B.EV.chart.
+ * @param {B.Rules} r The house rules.
+ * @param {number} d The number of decks in the shoe. Defaults to a multi-deck
+ *     shoe.
+ * @return {B.Chart} A new Chart instance.
  * @constructor
  */
-B.Hand = function(g, p) {
-	var bet,
-		cards,
-		fsm,
-		game,
-		player,
-		playerOnly;
+B.Chart = function(r, d) {
+	var decks,
+		rules,
+		tables;
 
 
-	// Validate game instance.
-	if (!g) {
-		throw new Error('InvalidGame');
-	}
+	/**
+	 * The number of decks in the shoe the Chart is for.
+	 * @type {number}
+	 */
+	decks = d || B.Chart.DECKS;
 
 	/**
-     * The current bet amount.
-     * @type {number}
-     */
-	bet = 0;
+	 * The house rules the Chart is for.
+	 * @type {B.Rules}
+	 */
+	rules = r;
 
 
 	/**
-     * The array of cards in the Hand.
-	 * @type {Array.<B.Card>}
-     */
-	cards = [];
+	 * The chart's hard, soft and pairs tables. Each maps a total, or for pairs
+	 * the value of each card, to the code for each dealer up-card from 2 to
+	 * Ace. See B.Chart.CODES.
+	 * @type {{hard: object, soft: object, pairs: object}}
+	 */
+	tables = B.Chart.isExact(rules, decks) ? B.Chart.build(rules) :
+		B.Chart.generate(rules, decks);
 
 
 	/**
-	 * The state machine which controls overall hand logic.
-	 * @type {StateMachine}
+	 * Returns the number of decks in the shoe the Chart is for.
+	 * @return {number} The number of decks.
 	 */
-	fsm = StateMachine.create({
-		initial: 'empty',
-		error: function(evt, from, to, args, code, msg) {
-			var str = 'Hand cannot transition from: ' +
-				from + ' state to: ' + to + ' state. ' + msg;
-			throw new Error('InvalidStateTransition: ' + str);
+	this.getDecks = function() {
+		return decks;
+	};
+
+
+	/**
+	 * Returns the house rules the Chart is for.
+	 * @return {B.Rules} The rules.
+	 */
+	this.getRules = function() {
+		return rules;
+	};
+
+
+	/**
+	 * Returns the chart's hard, soft and pairs tables.
+	 * @return {{hard: object, soft: object, pairs: object}} The tables.
+	 */
+	this.getTables = function() {
+		return tables;
+	};
+
+	return this;
+};
+
+
+/**
+ * The multi-deck basic strategy chart for a dealer who stands on soft 17,
+ * with doubling after a split and no surrender. Rows run across the dealer's
+ * up-card from 2 to Ace. Pairs which shouldn't be split carry the play for
+ * their total.
+ * @type {{hard: object, soft: object, pairs: object}}
+ */
+B.Chart.BASIC = {
+	hard: {
+		4: 'H H H H H H H H H H',
+		5: 'H H H H H H H H H H',
+		6: 'H H H H H H H H H H',
+		7: 'H H H H H H H H H H',
+		8: 'H H H H H H H H H H',
+		9: 'H D D D D H H H H H',
+		10: 'D D D D D D D D H H',
+		11: 'D D D D D D D D D H',
+		12: 'H H S S S H H H H H',
+		13: 'S S S S S H H H H H',
+		14: 'S S S S S H H H H H',
+		15: 'S S S S S H H H H H',
+		16: 'S S S S S H H H H H',
+		17: 'S S S S S S S S S S',
+		18: 'S S S S S S S S S S',
+		19: 'S S S S S S S S S S',
+		20: 'S S S S S S S S S S',
+		21: 'S S S S S S S S S S'
+	},
+	soft: {
+		12: 'H H H H H H H H H H',
+		13: 'H H H D D H H H H H',
+		14: 'H H H D D H H H H H',
+		15: 'H H D D D H H H H H',
+		16: 'H H D D D H H H H H',
+		17: 'H D D D D H H H H H',
+		18: 'S Ds Ds Ds Ds S S H H H',
+		19: 'S S S S S S S S S S',
+		20: 'S S S S S S S S S S',
+		21: 'S S S S S S S S S S'
+	},
+	pairs: {
+		2: 'P P P P P P H H H H',
+		3: 'P P P P P P H H H H',
+		4: 'H H H P P H H H H H',
+		5: 'D D D D D D D D H H',
+		6: 'P P P P P H H H H H',
+		7: 'P P P P P P H H H H',
+		8: 'P P P P P P P P P P',
+		9: 'P P P P P S P P S S',
+		10: 'S S S S S S S S S S',
+		11: 'P P P P P P P P P P'
+	}
+};
+
+
+/**
+ * The actions each code in a chart stands for, the first where the Hand can
+ * take it and otherwise the second.
+ * @enum {Array.<string>}
+ */
+B.Chart.CODES = {
+	H: ['hit'],
+	S: ['stand'],
+	D: ['double', 'hit'],
+	Ds: ['double', 'stand'],
+	P: ['split'],
+	R: ['surrender', 'hit'],
+	Rs: ['surrender', 'stand'],
+	Rp: ['surrender', 'split']
+};
+
+
+/**
+ * The fewest decks the BASIC chart and its VARIANTS hold for, and the number
+ * assumed when a Chart isn't told.
+ * @type {number}
+ */
+B.Chart.DECKS = 4;
+
+
+/**
+ * The cells which change from the BASIC chart under other house rules. Each
+ * cell is a table, a row, a dealer up-card (Aces count 11) and the new code.
+ * @type {Array.<{applies: function(B.Rules): boolean, cells: Array}>}
+ */
+B.Chart.VARIANTS = [
+	{
+		// The dealer hits soft 17.
+		applies: function(rules) {
+			return rules.get('hitSoft17');
 		},
-		events: [
-			// Each hit changes the state to help us know what options are
-			// available. Note that you can't hit() on doubled, the state
-			// we get from using 'double'.
-			{ name: 'hit', from: 'empty', to: 'single' },
-			{ name: 'hit', from: 'single', to: 'pair' },
-			{ name: 'hit', from: 'pair', to: 'hit' },
-			{ name: 'hit', from: 'hit', to: 'hit' },
+		cells: [['hard', 11, 11, 'D'], ['soft', 18, 2, 'Ds'],
+			['soft', 19, 6, 'Ds']]
+	},
+	{
+		// Split Hands may not be doubled, so small pairs split less often.
+		applies: function(rules) {
+			return !rules.get('doubleAfterSplit');
+		},
+		cells: [['pairs', 2, 2, 'H'], ['pairs', 2, 3, 'H'],
+			['pairs', 3, 2, 'H'], ['pairs', 3, 3, 'H'], ['pairs', 4, 5, 'H'],
+			['pairs', 4, 6, 'H'], ['pairs', 6, 2, 'H']]
+	},
+	{
+		// Surrender is allowed.
+		applies: function(rules) {
+			return rules.get('surrender') !== 'none';
+		},
+		cells: [['hard', 15, 10, 'R'], ['hard', 16, 9, 'R'],
+			['hard', 16, 10, 'R'], ['hard', 16, 11, 'R']]
+	},
+	{
+		// Surrender is allowed and the dealer hits soft 17.
+		applies: function(rules) {
+			return rules.get('surrender') !== 'none' &&
+				rules.get('hitSoft17');
+		},
+		cells: [['hard', 15, 11, 'R'], ['hard', 17, 11, 'Rs'],
+			['pairs', 8, 11, 'Rp']]
+	}
+];
 
-			// Stand from opening pair or after a hit. Doubled is already
-			// standing as is 'blackjack'. Surrendered and busted are failure
-			// states, not possible success states.
-			{ name: 'stand', from: ['pair', 'hit'], to: 'standing' },
 
-			// True blackjack only happens with a pair.
-			{ name: 'blackjack', from: 'pair', to: 'blackjack' },
+/**
+ * Returns the hard, soft and pairs tables for a multi-deck game under the
+ * rules given, from the BASIC chart and the VARIANTS which apply.
+ * @param {B.Rules} rules The house rules.
+ * @return {{hard: object, soft: object, pairs: object}} The tables.
+ */
+B.Chart.build = function(rules) {
+	var tables;
+
+	tables = {};
+	['hard', 'soft', 'pairs'].map(function(kind) {
+		var key,
+			rows;
+
+		rows = B.Chart.BASIC[kind];
+		tables[kind] = {};
+		for (key in rows) {
+			if (rows.hasOwnProperty(key)) {
+				tables[kind][key] = rows[key].split(' ');
+			}
+		}
+	});
 
-			// Many events are only legal when the Hand is in the initial
-			// pair state with two cards.
-			{ name: 'split', from: 'pair', to: 'single' },
-			{ name: 'double', from: 'pair', to: 'doubled' },
-			{ name: 'surrender', from: 'pair', to: 'surrendered' },
+	B.Chart.VARIANTS.map(function(variant) {
+		if (variant.applies(rules)) {
+			variant.cells.map(function(cell) {
+				tables[cell[0]][cell[1]][cell[2] - 2] = cell[3];
+			});
+		}
+	});
 
-			// You can bust from hit or doubled states.
-			{ name: 'bust', from: ['doubled', 'hit'], to: 'busted' }
-		]});
+	return tables;
+};
 
-	// Set up 'return false' handlers for states you can't get to for Dealer
-	// Hands.
-	playerOnly = function() {
-		return player !== null && player !== undefined;
-	};
-	fsm.onbeforedouble = playerOnly;
-	fsm.onbeforesplit = playerOnly;
-	fsm.onbeforesurrender = playerOnly;
-	this.canDouble = playerOnly;
-	// NOTE this.canSplit is implemented with more detailed logic.
-	this.canSurrender = playerOnly;
 
-	// Configure a nice debugging log function to observe state transitions.
-	fsm.onchangestate = function(evt, from, to) {
-        if (DEBUG) {
-            log('Hand event: ' + evt + ' from: ' +
-                from + ' to: ' + to + '.');
-        }
-	};
+/**
+ * Returns the hard, soft and pairs tables worked out from expected values for
+ * the rules and number of decks given, working them out only the first time.
+ * @param {B.Rules} rules The house rules.
+ * @param {number} decks The number of decks in the shoe.
+ * @return {{hard: object, soft: object, pairs: object}} The tables.
+ */
+B.Chart.generate = function(rules, decks) {
+	var chart,
+		key;
+
+	key = [decks].concat(Object.keys(B.Rules.DEFAULT).map(function(name) {
+		return rules.get(name);
+	})).join(',');
+
+	if (!B.Chart.generated.hasOwnProperty(key)) {
+		chart = B.EV.chart(rules, decks);
+		B.Chart.generated[key] = {
+			hard: chart.hard,
+			soft: chart.soft,
+			pairs: chart.pairs
+		};
+	}
+
+	return B.Chart.generated[key];
+};
+
+
+/**
+ * Charts worked out from expected values, keyed by deck count and rules, since
+ * each takes most of a second to work out.
+ * @type {Object.<string, {hard: object, soft: object, pairs: object}>}
+ */
+B.Chart.generated = {};
+
+
+/**
+ * Returns true if the BASIC chart and its VARIANTS hold exactly for a game:
+ * a multi-deck shoe, a dealer who peeks for blackjack, and no early surrender.
+ * @param {B.Rules} rules The house rules.
+ * @param {number} decks The number of decks in the shoe.
+ * @return {boolean} True if the hand-written chart applies.
+ */
+B.Chart.isExact = function(rules, decks) {
+	return decks >= B.Chart.DECKS && !rules.get('noHoleCard') &&
+		rules.get('surrender') !== 'early';
+};
+
+
+/**
+ * Returns the action the Chart calls for on a Hand, one the Hand can take
+ * right now. A pair which can't be split again is played on its total.
+ * @param {B.Hand} hand The Hand to play.
+ * @return {string} The action: 'hit', 'stand', 'double', 'split' or
+ *     'surrender'.
+ */
+B.Chart.prototype.advise = function(hand) {
+	var action,
+		code,
+		up;
+
+	// Aces count 11 here, so the up-card runs from 2 to 11.
+	up = hand.getGame().getDealer().getCards()[0].getValue();
+	code = this.lookup(hand, up);
+
+	action = B.Chart.CODES[code].filter(function(choice) {
+		return {
+			hit: true,
+			stand: true,
+			double: hand.canDouble(),
+			split: hand.canSplit(),
+			surrender: hand.canSurrender()
+		}[choice];
+	})[0];
+
+	// Split Aces which may be split again but not hit can only stand.
+	return action === 'hit' && !hand.canHit() ? 'stand' : action;
+};
+
+
+/**
+ * Returns a short name for the Chart's rules, for example 'H17, DAS, late
+ * surrender'.
+ * @return {string} The name.
+ */
+B.Chart.prototype.getName = function() {
+	var rules,
+		surrender;
+
+	rules = this.getRules();
+	surrender = rules.get('surrender');
+
+	return [rules.get('hitSoft17') ? 'H17' : 'S17',
+		rules.get('doubleAfterSplit') ? 'DAS' : 'no DAS',
+		surrender === 'none' ? 'no surrender' : surrender + ' surrender'].
+		join(', ');
+};
+
+
+/**
+ * Returns the code the Chart has for a Hand against a dealer up-card.
+ * @param {B.Hand} hand The Hand.
+ * @param {number} up The value of the dealer's up-card, 2 to 11.
+ * @return {string} The code. See B.Chart.CODES.
+ */
+B.Chart.prototype.lookup = function(hand, up) {
+	var tables;
+
+	tables = this.getTables();
+	if (hand.canSplit()) {
+		return tables.pairs[hand.getCards()[0].getValue()][up - 2];
+	}
+
+	return tables[hand.isSoft() ? 'soft' : 'hard'][hand.getScore()][up - 2];
+};
+
+
+/**
+ * The strategies computer-controlled players can follow, keyed by name. Each
+ * is called with the Hand to play and a B.Random for any chance involved.
+ * @enum {function(B.Hand, B.Random): string}
+ */
+B.Strategies = {
+
+	/**
+	 * Basic strategy, from the B.Chart for the house rules and the number of
+	 * decks in the shoe.
+	 * @param {B.Hand} hand The Hand to play.
+	 * @return {string} The action to take.
+	 */
+	'basic': function(hand) {
+		var game = hand.getGame();
+
+		return new B.Chart(game.getRules(), game.getShoe().getSize()).
+			advise(hand);
+	},
+
+
+	/**
+	 * Never takes a card which could bust the Hand: hard totals stand from 12
+	 * and soft totals hit up to soft 17.
+	 * @param {B.Hand} hand The Hand to play.
+	 * @return {string} The action to take.
+	 */
+	'never-bust': function(hand) {
+		if (hand.isSoft()) {
+			return hand.getScore() < 18 ? 'hit' : 'stand';
+		}
+
+		return hand.getScore() < 12 ? 'hit' : 'stand';
+	},
+
+
+	/**
+	 * Plays the way the house makes the dealer play, hitting to 17 and on
+	 * soft 17 where the dealer does. Never doubles, splits or surrenders.
+	 * @param {B.Hand} hand The Hand to play.
+	 * @return {string} The action to take.
+	 */
+	'mimic-dealer': function(hand) {
+		var score;
+
+		score = hand.getScore();
+		if (score < 17 || (score === 17 && hand.isSoft() &&
+				hand.getGame().getRules().get('hitSoft17'))) {
+			return 'hit';
+		}
+
+		return 'stand';
+	},
+
+
+	/**
+	 * Picks any of the actions open to the Hand at random.
+	 * @param {B.Hand} hand The Hand to play.
+	 * @param {B.Random} random The generator to draw from.
+	 * @return {string} The action to take.
+	 */
+	'random': function(hand, random) {
+		var actions;
+
+		actions = ['hit', 'stand'];
+		if (hand.canDouble()) {
+			actions.push('double');
+		}
+		if (hand.canSplit()) {
+			actions.push('split');
+		}
+		if (hand.canSurrender()) {
+			actions.push('surrender');
+		}
+
+		return actions[Math.floor(random.random() * actions.length)];
+	}
+};
+
 
-	if (DEBUG) {
-		log('Initialized ' + (p ? 'player' : 'dealer') + ' hand state.');
+//  --------------------------------------------------------------------------- 
+//  Companions
+//  --------------------------------------------------------------------------- 
+
+/**
+ * Creates and returns a new Companion, a computer-controlled player sitting
+ * in one of the Game's seats. The Companion follows the Game's events and,
+ * whenever one of its Hands is up, plays it through the same B.Hand methods a
+ * person would use, as the named strategy directs. Companions always decline
+ * insurance, bet the table minimum and leave the table once out of chips.
+ * @param {B.Game} g The game the Companion plays in.
+ * @param {B.Player} p The Player whose seat the Companion plays.
+ * @param {string} name The name of a strategy in B.Strategies.
+ * @return {B.Companion} A new Companion instance.
+ * @constructor
+ */
+B.Companion = function(g, p, name) {
+	var game,
+		handler,
+		player,
+		random,
+		strategy;
+
+	// Validate game instance.
+	if (!g) {
+		throw new Error('InvalidGame');
+	}
+
+	if (!B.Strategies.hasOwnProperty(name)) {
+		throw new Error('InvalidStrategy: ' + name);
 	}
 
 
 	/**
-	 * The game this Hand is a part of.
+	 * The game the Companion plays in.
 	 * @type {B.Game}
 	 */
 	game = g;
 
 
 	/**
-     * The player of the Hand, where funds for the Hand's bets are managed. Note
-	 * that the Hand played on behalf of the Dealer has no player assigned.
-	 * @type {B.Player}
+	 * The Game event listener which schedules the Companion's next move.
+	 * @type {Function}
 	 */
-	player = p;
+	handler = this.schedule.bind(this);
 
 
 	/**
-	 * Returns the current bet amount.
-	 * @return {number}
+	 * The Player whose seat the Companion plays.
+	 * @type {B.Player}
 	 */
-	this.getBet = function() {
-		return bet;
-	};
+	player = p;
 
 
 	/**
-	 * Return the array of Card instances which make up the Hand. Note that the
-	 * array returned is mutable, which is necessary for operations like hit()
-	 * and split() to function. This could be altered for more security.
-	 * @return {Array.<B.Card>} The card array.
+	 * The generator behind any chance in the strategy. It's seeded from the
+	 * Game's seed and the strategy so a seeded Game replays the same way,
+	 * without drawing numbers the shoe would otherwise have used.
+	 * @type {B.Random}
 	 */
-	this.getCards = function() {
-		return cards;
-	};
+	random = new B.Random(game.getRandom().getSeed() + ':' + name);
 
 
 	/**
-     * Returns the state machine which controls the state of the Hand.
-	 * @return {StateMachine} The StateMachine which controls the state of this
-	 *     Hand.
+	 * The name of the strategy being followed.
+	 * @type {string}
 	 */
-	this.getFSM = function() {
-		return fsm;
-	};
+	strategy = name;
 
 
 	/**
-	 * Returns the game this Player is part of.
+	 * Returns the game the Companion plays in.
 	 * @return {B.Game} The game.
 	 */
 	this.getGame = function() {
@@ -875,7 +5356,7 @@ B.Hand = function(g, p) {
 
 
 	/**
-	 * Returns the Player whose holdings are backing this Hand.
+	 * Returns the Player whose seat the Companion plays.
 	 * @return {B.Player} The player.
 	 */
 	this.getPlayer = function() {
@@ -884,1423 +5365,2304 @@ B.Hand = function(g, p) {
 
 
 	/**
-	 * Sets the bet amount for the Hand.
-	 * @param {number} amount The value of the bet.
-	 * @private
+	 * Returns the generator behind any chance in the strategy.
+	 * @return {B.Random} The companion's random number generator.
 	 */
-	this._setBet = function(amount) {
-		bet = amount;
+	this.getRandom = function() {
+		return random;
 	};
 
-	// Connect the various FSM transition hooks to Hand methods.
-	fsm.onpair = this.onpair.bind(this);
 
-    // initial bet amount.
-	if (player) {
-		bet = player.getBet();
-	}
+	/**
+	 * Returns the name of the strategy being followed.
+	 * @return {string} The strategy name.
+	 */
+	this.getStrategy = function() {
+		return strategy;
+	};
+
+
+	/**
+	 * Stops following the Game, as when the Companion's player has left.
+	 */
+	this.retire = function() {
+		B.Companion.EVENTS.map(function(evt) {
+			game.off(evt, handler);
+		});
+	};
+
+
+	/**
+	 * Replaces the strategy's random number generator.
+	 * @param {B.Random} value The new generator.
+	 * @private
+	 */
+	this._setRandom = function(value) {
+		random = value;
+	};
+
+	B.Companion.EVENTS.map(function(evt) {
+		game.on(evt, handler);
+	});
 
 	return this;
 };
 
 
-// Mix in Printable so we can print our card array on demand.
-$.extend(B.Hand.prototype, B.Printable);
+/**
+ * The Game events after which a Companion checks whether it's up.
+ * @type {Array.<string>}
+ */
+B.Companion.EVENTS = ['change', 'surrender', 'buying'];
 
 
 /**
- * A list of the states a Hand can be in which are 'playable', meaning they can
- * still accept new cards or other actions.
- * @type Array.<string>
+ * Rebuilds a Companion from the output of toJSON, picking up its random
+ * numbers where they left off.
+ * @param {object} json The saved companion.
+ * @param {B.Game} game The game the Companion plays in.
+ * @param {B.Player} player The Player whose seat the Companion plays.
+ * @return {B.Companion} A new Companion instance.
  */
-B.Hand.PLAYABLES = ['pair', 'hit'];
+B.Companion.fromJSON = function(json, game, player) {
+	var companion;
+
+	companion = new B.Companion(game, player, json.strategy);
+	companion._setRandom(B.Random.fromJSON(json.random));
+
+	return companion;
+};
 
 
 /**
- * A list of the states a Hand can be in which are 'scoreable', meaning they
- * should be checked during scoring as a possible winning hand.
- * @type Array.<string>
+ * Scheduling state. True while a move is waiting to run.
+ * @type {boolean}
  */
-B.Hand.SCOREABLES = ['standing', 'doubled', 'blackjack'];
+B.Companion.prototype.pending = false;
 
 
 /**
- * This Hand just went over 21. The player immediately loses any bet
- * associated with this Hand and the Hand is marked 'busted'.
+ * Makes the Companion's next move, if it has one to make. Otherwise does
+ * nothing, so it's safe to call after any Game event.
  */
-B.Hand.prototype.bust = function() {
-	var fsm;
+B.Companion.prototype.act = function() {
+	var action,
+		fsm,
+		game,
+		hand,
+		player;
 
-	fsm = this.getFSM();
-	fsm.bust();
+	game = this.getGame();
+	player = this.getPlayer();
 
-	this.getGame().bust(this);
+	// A Companion whose player has left the table is done.
+	if (player.getSeat() === -1) {
+		this.retire();
+		return;
+	}
+
+	fsm = game.getFSM();
+	if (fsm.is('buying')) {
+		if (game.getNextBuyer() === player) {
+			game.leave(player);
+		}
+		return;
+	}
+
+	hand = game.getInsurable()[0];
+	if (hand) {
+		if (hand.getPlayer() === player) {
+			hand.declineInsurance();
+		}
+		return;
+	}
+
+	hand = game.getNextHand();
+	if (!fsm.is('player') || !hand || hand.getPlayer() !== player) {
+		return;
+	}
+
+	// Split Aces which may be split again but not hit can only stand.
+	action = B.Strategies[this.getStrategy()](hand, this.getRandom());
+	if (action === 'hit' && !hand.canHit()) {
+		action = 'stand';
+	}
+
+	if (DEBUG) {
+		log('Seat ' + (player.getSeat() + 1) + ' (' + this.getStrategy() +
+			') plays ' + action + ' on ' + hand.print() + '.');
+	}
+
+	hand[action]();
 };
 
 
 /**
- * Returns true if the Hand is truly splittable, meaning it is a pair of cards
- * which have the same value.
- * @return {boolean} Whether the hand is truly splittable.
+ * Schedules the Companion's next move after the Game's pace, the delay in
+ * milliseconds which lets people at the table follow along.
  */
-B.Hand.prototype.canSplit = function() {
-	var fsm,
-		cards;
+B.Companion.prototype.schedule = function() {
+	var companion;
 
-	// Dealer can't split.
-	if (!this.getPlayer()) {
-		return false;
+	if (this.pending) {
+		return;
 	}
+	this.pending = true;
 
-	fsm = this.getFSM();
-	cards = this.getCards();
+	companion = this;
+	setTimeout(function() {
+		companion.pending = false;
+		companion.act();
+	}, this.getGame().getOptions().pace || 0);
+};
 
-	// If we're in the right state to be able to split the other question is do
-	// we have two Cards of the same index from 1 to 13 ? 
-	if (fsm.can('split')) {
-		if (cards[0].getIndex() === cards[1].getIndex()) {
-			return true;
-		}
-	}
-	return false;
+
+/**
+ * Returns a plain object describing the Companion, suitable for
+ * JSON.stringify.
+ * @return {object} The strategy name and the state of its generator.
+ */
+B.Companion.prototype.toJSON = function() {
+	return {
+		strategy: this.getStrategy(),
+		random: this.getRandom().toJSON()
+	};
 };
 
 
+//  --------------------------------------------------------------------------- 
+//  History
+//  --------------------------------------------------------------------------- 
+
+/*
+ * NOTE:
+ *
+ * Each round is recorded as a plain object, ready for JSON.stringify:
+ *
+ *   {
+ *     round: 12,                      // Counted from the Game's first round.
+ *     started: 1760882602000,         // Times are Date.now() values.
+ *     ended: 1760882611000,
+ *     shoe: {decks, dealt, cut, csm, hash},
+ *     hands: [{seat, wager, bet, from, insurance, cards, score, paid,
+ *         result}],
+ *     dealer: {cards, score},
+ *     actions: [{time, type, hand, ...}]
+ *   }
+ *
+ * A Hand's wager is its opening bet and its bet what it ended up with after
+ * any double. Cards are printed ('K♠'). Each action's hand is the Hand's
+ * index in hands, or null for the dealer. Actions are 'card', 'hit' (with
+ * the card drawn), 'stand', 'double' (with the new amount), 'split' (with the
+ * new Hand's index), 'surrender', 'insurance' (with the amount and decision),
+ * 'peek' (with blackjack true or false), 'blackjack', 'bust' and 'payout'
+ * (with the amount and reason). A Hand's result is 'blackjack', 'win', 'push',
+ * 'surrender', 'bust' or 'lose'.
+ */
+
 /**
- * The bet for this Hand should be doubled and a single card should be added
- * to the Hand. Once the Hand receives that card no additional cards may be
- * added to the Hand.
+ * Creates and returns a new History, which follows a Game's events and keeps
+ * a record of every round played: where the shoe stood, every card dealt,
+ * every decision and when it was made, the bets, insurance and payouts.
+ * @param {B.Game} g The game to record.
+ * @return {B.History} A new History instance.
+ * @constructor
  */
-B.Hand.prototype.double = function() {
-	var fsm,
-		cards,
-		game;
+B.History = function(g) {
+	var count,
+		current,
+		game,
+		handles,
+		history,
+		rounds;
 
-	if (!this.canDouble()) {
-		throw new Error('InvalidOperation: Dealer hand cannot be doubled.');
+	// Validate game instance.
+	if (!g) {
+		throw new Error('InvalidGame');
 	}
 
-	fsm = this.getFSM();
-	fsm.double();
+	history = this;
 
-	// This will throw an exception if the bet isn't supportable.
-	this.increaseBet(this.getBet());
 
-	// Add a card to the receiver and check to see if we busted.
-	game = this.getGame();
-	cards = this.getCards();
-	cards.push(game.getShoe().deal());
-	if (this.getScore() > 21) {
-		this.bust();
-		return;
-	}
+	/**
+	 * The number of rounds recorded so far, including any no longer kept.
+	 * @type {number}
+	 */
+	count = 0;
+
+
+	/**
+	 * The record of the round being played, until it ends.
+	 * @type {object}
+	 */
+	current = null;
+
+
+	/**
+	 * The game being recorded.
+	 * @type {B.Game}
+	 */
+	game = g;
 
-	this.getGame().double(this);
+
+	/**
+	 * The Hands of the round being played, in the order of the record's hands.
+	 * Hands don't serialize, so they're kept out of the record itself.
+	 * @type {Array.<B.Hand>}
+	 */
+	handles = [];
+
+
+	/**
+	 * The records of the rounds played, oldest first.
+	 * @type {Array.<object>}
+	 */
+	rounds = [];
+
+
+	/**
+	 * Returns the number of rounds recorded so far, including any no longer
+	 * kept.
+	 * @return {number} The count.
+	 */
+	this.getCount = function() {
+		return count;
+	};
+
+
+	/**
+	 * Returns the record of the round being played.
+	 * @return {object} The record, or null between rounds.
+	 */
+	this.getCurrent = function() {
+		return current;
+	};
+
+
+	/**
+	 * Returns the game being recorded.
+	 * @return {B.Game} The game.
+	 */
+	this.getGame = function() {
+		return game;
+	};
+
+
+	/**
+	 * Returns the Hands of the round being played.
+	 * @return {Array.<B.Hand>} The Hands, in the order of the record's hands.
+	 */
+	this.getHandles = function() {
+		return handles;
+	};
+
+
+	/**
+	 * Returns the records of the rounds played, oldest first.
+	 * @return {Array.<object>} The records.
+	 */
+	this.getRounds = function() {
+		return rounds;
+	};
+
+
+	/**
+	 * Sets the number of rounds recorded so far.
+	 * @param {number} value The new count.
+	 * @private
+	 */
+	this._setCount = function(value) {
+		count = value;
+	};
+
+
+	/**
+	 * Replaces the record of the round being played, and with it the Hands.
+	 * @param {object} value The new record, or null.
+	 * @private
+	 */
+	this._setCurrent = function(value) {
+		current = value;
+		handles = [];
+	};
+
+	B.History.EVENTS.map(function(evt) {
+		game.on(evt, history.record.bind(history, evt));
+	});
+
+	return this;
+};
+
+
+/**
+ * A Dictionary of default values for the class.
+ * @enum {object}
+ */
+B.History.DEFAULT = {
+	LIMIT: 100			// The most recent 100 rounds are kept.
 };
 
 
 /**
- * Returns the maximum bet for a Hand.
- * @return {number} The maximum bet amount.
+ * The Game events a History records.
+ * @type {Array.<string>}
+ */
+B.History.EVENTS = ['deal', 'card', 'insurance', 'peek', 'blackjack', 'hit',
+	'stand', 'double', 'split', 'surrender', 'bust', 'payout', 'roundEnd'];
+
+
+/**
+ * Returns a line of text describing an action in a round's record.
+ * @param {object} round The round's record.
+ * @param {object} action The action.
+ * @return {string} The description.
  */
-B.Hand.prototype.getMaximumBet = function() {
-	return this.getGame().getMaximumBet();
+B.History.describe = function(round, action) {
+	var who;
+
+	who = B.History.label(round, action.hand);
+
+	switch (action.type) {
+	case 'card':
+		return who + ' is dealt ' + action.card +
+			(action.hole ? ' face down.' : '.');
+	case 'hit':
+		return who + ' draws ' + action.card + '.';
+	case 'stand':
+		return who + ' stands.';
+	case 'double':
+		return who + ' doubles to $' + action.amount + '.';
+	case 'split':
+		return who + ' splits into ' + B.History.label(round, action.split) +
+			'.';
+	case 'surrender':
+		return who + ' surrenders.';
+	case 'insurance':
+		if (action.decision === 'insure') {
+			return who + ' takes insurance for $' + action.amount + '.';
+		}
+		return who + (action.decision === 'evenmoney' ?
+			' takes even money.' : ' declines insurance.');
+	case 'peek':
+		return 'Dealer peeks: ' + (action.blackjack ? 'blackjack.' :
+			'no blackjack.');
+	case 'blackjack':
+		return who + ' has blackjack.';
+	case 'bust':
+		return who + ' busts.';
+	case 'payout':
+		return who + ' is paid $' + action.amount + ' (' + action.reason +
+			').';
+	default:
+		return who + ' ' + action.type + '.';
+	}
 };
 
 
 /**
- * Returns the minimum bet for a Hand. This represents 'table stakes'.
- * @return {number} The minimum bet.
+ * Returns the name a round's record gives one of its Hands, the seat and,
+ * once the seat has split, which of its Hands.
+ * @param {object} round The round's record.
+ * @param {number} index The Hand's index in the record, or null for the
+ *     dealer.
+ * @return {string} The name, for example 'Seat 2' or 'Seat 2 hand 1'.
  */
-B.Hand.prototype.getMinimumBet = function() {
-	return this.getGame().getMinimumBet();
+B.History.label = function(round, index) {
+	var hand,
+		mine;
+
+	if (index === null || index === undefined) {
+		return 'Dealer';
+	}
+
+	hand = round.hands[index];
+	mine = round.hands.filter(function(other) {
+		return other.seat === hand.seat;
+	});
+
+	return 'Seat ' + (hand.seat + 1) + (mine.length > 1 ? ' hand ' +
+		(mine.indexOf(hand) + 1) : '');
 };
 
 
 /**
- * Returns the score of the Hand. When aces are included in the Hand they
- * are counted as 11 unless such a count would cause the Hand to bust, in
- * which case they are counted as 1. NOTE that the current version of this
- * method exposes hole-card values.
- * @return {number} The score.
+ * Returns a round's record as readable text, one line per action.
+ * @param {object} round The round's record.
+ * @return {string} The text.
  */
-B.Hand.prototype.getScore = function() {
-	var s,
-		aces,
-		cards;
-
-	s = 0;
-	aces = 0;
-	cards = this.getCards();
-
-	// Iterate over cards, summing the values of all non-Aces and counting aces.
-	// We'll add Ace values in a second phase.
-	cards.map(function(card) {
-		var value;
+B.History.print = function(round) {
+	var lines,
+		shoe;
 
-		value = card.getValue();
-		if (value === 11) {
-			aces++;
-			return;
+	shoe = round.shoe;
+	lines = ['Round ' + round.round + ', ' +
+		new Date(round.started).toISOString()];
+	lines.push('Shoe: ' + shoe.decks +
+		(shoe.decks === 1 ? ' deck, ' : ' decks, ') +
+		(shoe.csm ? 'continuously shuffled.' : shoe.dealt +
+			' cards dealt, cut card at ' + shoe.cut + '.') +
+		(shoe.hash ? ' Commitment ' + shoe.hash + '.' : ''));
+
+	round.hands.map(function(hand) {
+		if (hand.from === null) {
+			lines.push('Seat ' + (hand.seat + 1) + ' bets $' + hand.wager + '.');
 		}
-		s += value;
 	});
 
-	// Process Aces. The approach here is that if the Ace as an 11 plus any
-	// other Aces as 1's works we keep the 11, otherwise we use 1 for value.
-	while (aces--) {
-		if (s + 11 + aces > 21) {
-			s += 1;
-		} else {
-			s += 11;
-		}
+	round.actions.map(function(action) {
+		lines.push('+' + ((action.time - round.started) / 1000).toFixed(3) +
+			's ' + B.History.describe(round, action));
+	});
+
+	if (round.dealer) {
+		lines.push('Dealer has: ' + round.dealer.cards.join(' ') + ' => ' +
+			round.dealer.score);
 	}
+	round.hands.map(function(hand, i) {
+		lines.push(B.History.label(round, i) + ' has: ' +
+			hand.cards.join(' ') + ' => ' + hand.score + ', $' + hand.bet +
+			(hand.insurance ? ' and $' + hand.insurance + ' insurance' : '') +
+			', ' + hand.result + ', paid $' + hand.paid + '.');
+	});
 
-	return s;
+	return lines.join('\n');
 };
 
 
 /**
- * Returns true if the Hand has at least one hole card, a Card whose value
- * should not be shown or otherwise disclosed.
- * @return {boolean} True if the Hand has a hole card.
+ * Starts the record of a new round. Rounds start with their first card, so
+ * the shoe's position is known, and so a round resumed partway through is
+ * still recorded from there.
+ * @return {object} The new record.
  */
-B.Hand.prototype.hasHoleCards = function() {
-	var cards,
-		i,
-		len;
+B.History.prototype.begin = function() {
+	var commitment,
+		game,
+		round,
+		shoe;
 
-	cards = this.getCards();
-	len = cards.length;
-	for (i = 0; i < len; i++) {
-		if (cards[i].isHoleCard()) {
-			return true;
-		}
-	}
+	game = this.getGame();
+	shoe = game.getShoe();
+	commitment = game.getCommitment();
+
+	this._setCount(this.getCount() + 1);
+
+	// The first card has already left the shoe.
+	round = {
+		round: this.getCount(),
+		started: Date.now(),
+		ended: null,
+		shoe: {
+			decks: shoe.getSize(),
+			dealt: shoe.getSize() * 52 - shoe.getCards().length - 1,
+			cut: shoe.getCut(),
+			csm: shoe.isContinuous(),
+			hash: commitment ? commitment.getHash() : null
+		},
+		hands: [],
+		dealer: null,
+		actions: []
+	};
+	this._setCurrent(round);
 
-	return false;
+	return round;
 };
 
 
 /**
- * Adds a card to the Hand, provided that the current state allows it.
- * @param {B.Card} card The new card to add to the Hand.
+ * Returns the index of a Hand in the current round's record, adding the Hand
+ * the first time it's seen.
+ * @param {B.Hand} hand The Hand.
+ * @param {B.Hand} from The Hand it was split from, if any.
+ * @return {number} The Hand's index, or null for the dealer.
  */
-B.Hand.prototype.hit = function(card) {
-	var c,
-        fsm,
-		cards,
-        game;
+B.History.prototype.index = function(hand, from) {
+	var handles,
+		index;
 
-    game = this.getGame();
-    c = card || game.getShoe().deal();
+	if (hand === this.getGame().getDealer() || !hand.getPlayer()) {
+		return null;
+	}
 
-	cards = this.getCards();
-	cards.push(c);
+	handles = this.getHandles();
+	index = handles.indexOf(hand);
+	if (index !== -1) {
+		return index;
+	}
 
-	fsm = this.getFSM();
-	fsm.hit();
+	handles.push(hand);
+	this.getCurrent().hands.push({
+		seat: hand.getPlayer().getSeat(),
+		wager: hand.getBet(),
+		bet: hand.getBet(),
+		from: from ? handles.indexOf(from) : null,
+		insurance: 0,
+		cards: [],
+		score: null,
+		paid: 0,
+		result: null
+	});
 
-	// With every new card we test and invoke the bust() event if the card
-	// has pushed us over our limit.
-	if (this.getScore() > 21) {
-		this.bust();
-	}
+	return handles.length - 1;
+};
+
+
+/**
+ * Loads rounds saved by toJSON, as when resuming a saved game.
+ * @param {object} json The saved history.
+ */
+B.History.prototype.load = function(json) {
+	var rounds;
 
-    game.renderHands();
+	rounds = this.getRounds();
+	rounds.push.apply(rounds, json.rounds);
+	this._setCount(json.count);
 };
 
 
 /**
- * Increases the amount bet on this Hand. The final amount must not exceed
- * the maximum bet limit for the current Game.
- * @param {number} amount The amount to increase the bet.
+ * Records a Game event in the current round. Registered for each of
+ * B.History.EVENTS, with the event's name ahead of the Game's arguments.
+ * @param {string} type The event.
+ * @param {B.Hand} hand The Hand the event concerns, if any.
  */
-B.Hand.prototype.increaseBet = function(amount) {
-	var player,
-		newBet,
-		bet;
+B.History.prototype.record = function(type, hand) {
+	var action,
+		args,
+		entry,
+		round;
+
+	args = Array.prototype.slice.call(arguments, 2);
+
+	// Every round starts afresh. A round which goes to the buy-in never deals
+	// a card and so never starts.
+	if (type === 'deal') {
+		this._setCurrent(null);
+		return;
+	}
 
-	newBet = this.getBet() + amount;
-	if (newBet > this.getMaximumBet()) {
-		throw new Error('Bet of ' + newBet +  ' exceeds maximum.');
+	if (type === 'roundEnd') {
+		if (this.getCurrent()) {
+			this.settle(hand, args[0]);
+		}
+		return;
 	}
 
-	player = this.getPlayer();
-	if (player.getHoldings() < amount) {
-		throw new Error('Bet of ' + amount + ' exceeds player holdings.');
+	// The cards a Hand draws after its first two go with the hit.
+	if (type === 'card' && hand.getCards().length > 2) {
+		return;
 	}
 
-	// Remove funds from the player and escrow them with the Hand. NOTE we set
-	// the amount negative since the adjustHoldings call is used for both
-	// increasing and decreasing holdings.
-	player.adjustHoldings(amount * -1);
-	this._setBet(newBet);
+	round = this.getCurrent() || this.begin();
+	action = {
+		time: Date.now(),
+		type: type,
+		hand: this.index(hand)
+	};
 
-    this.getGame().renderBet();
+	switch (type) {
+	case 'card':
+	case 'hit':
+		action.card = args[0].getLabel() + args[0].getSymbol();
+		if (args[0].isHoleCard()) {
+			action.hole = true;
+		}
+		break;
+	case 'double':
+		action.amount = hand.getBet();
+		break;
+	case 'split':
+		action.split = this.index(args[0], hand);
+		break;
+	case 'insurance':
+		action.amount = args[0];
+		action.decision = args[1];
+		entry = round.hands[action.hand];
+		entry.insurance = args[0];
+		break;
+	case 'peek':
+		action.blackjack = args[0];
+		break;
+	case 'payout':
+		action.amount = args[0];
+		action.reason = args[1];
+		entry = round.hands[action.hand];
+		entry.paid += args[0];
+		break;
+	}
+
+	round.actions.push(action);
 };
 
 
 /**
- * Officially 'Blackjack' only occurs when there are two cards, an Ace and a
- * card with a value of 10. Other combinations which score 21 are 'twenty-one'
- * but not 'blackjack'. Two blackjacks are a push but blackjack wins over 21.
- * @return {boolean} True if the Hand represents a blackjack.
+ * Completes the current round's record once the round is settled, with every
+ * Hand's cards, score and result, and files it with the rounds played.
+ * @param {Array.<B.Hand>} hands The players' Hands.
+ * @param {B.Hand} dealer The dealer's Hand.
  */
-B.Hand.prototype.isBlackjack = function() {
-	var fsm,
-        cards,
-		bjack;
+B.History.prototype.settle = function(hands, dealer) {
+	var history,
+		print,
+		round,
+		rounds;
 
-    fsm = this.getFSM();
-    if (fsm.current === 'blackjack') {
-        // We check in multiple pathways. Do work once.
-        return true;
-    }
+	history = this;
+	round = this.getCurrent();
 
-	if (DEBUG) {
-		log('Checking ' + (this.getPlayer() ? 'player ' : 'dealer ') +
-            this.print() + ' for blackjack.');
-	}
+	print = function(card) {
+		return card.getLabel() + card.getSymbol();
+	};
 
-	cards = this.getCards();
+	round.ended = Date.now();
+	round.dealer = {
+		cards: dealer.getCards().map(print),
+		score: dealer.getScore()
+	};
 
-	// Two cards and score must equal 21.
-	bjack = cards.length === 2 && this.getScore() === 21;
-	if (bjack) {
-		fsm.blackjack();
-		this.getGame().blackjack(this);
+	hands.map(function(hand) {
+		var entry,
+			index,
+			reasons,
+			state;
+
+		index = history.index(hand);
+		entry = round.hands[index];
+		reasons = round.actions.filter(function(action) {
+			return action.type === 'payout' && action.hand === index;
+		}).map(function(action) {
+			return action.reason;
+		});
+		state = hand.getFSM().current;
+
+		entry.cards = hand.getCards().map(print);
+		entry.score = hand.getScore();
+		entry.bet = hand.getBet();
+
+		if (reasons.indexOf('surrender') !== -1) {
+			entry.result = 'surrender';
+		} else if (reasons.indexOf('win') !== -1) {
+			entry.result = state === 'blackjack' ? 'blackjack' : 'win';
+		} else if (reasons.indexOf('push') !== -1) {
+			entry.result = 'push';
+		} else if (state === 'busted') {
+			entry.result = 'bust';
+		} else {
+			entry.result = 'lose';
+		}
+	});
+
+	rounds = this.getRounds();
+	rounds.push(round);
+	if (rounds.length > B.History.DEFAULT.LIMIT) {
+		rounds.splice(0, rounds.length - B.History.DEFAULT.LIMIT);
 	}
 
-	return bjack;
+	this._setCurrent(null);
 };
 
 
 /**
- * Returns true if the hand is in a state that allows further actions. For
- * example, 'busted', 'doubled', or 'surrendered' are non-playable states while
- * 'pair' and 'hit' are playable.
- * @return {boolean} True if the Hand supports additional cards/actions.
+ * Returns a plain object describing the History, suitable for JSON.stringify.
+ * Only rounds which have ended are kept. A round resumed partway through is
+ * recorded from where it resumed.
+ * @return {object} The count of rounds and the records of those kept.
  */
-B.Hand.prototype.isPlayable = function() {
-	return B.Hand.PLAYABLES.indexOf(this.getFSM().current) !== -1;
+B.History.prototype.toJSON = function() {
+	return {
+		count: this.getCount() - (this.getCurrent() ? 1 : 0),
+		rounds: this.getRounds()
+	};
 };
 
 
 /**
- * True is the Hand is in a state that means it's worth scoring. For example,
- * 'busted' and 'surrendered' are not worth scoring.
- * @return {boolean} True if the Hand is worth scoring.
+ * Returns the rounds kept as readable text, oldest first.
+ * @return {string} The text.
  */
-B.Hand.prototype.isScoreable = function() {
-	return B.Hand.SCOREABLES.indexOf(this.getFSM().current) !== -1;
+B.History.prototype.toText = function() {
+	return this.getRounds().map(B.History.print).join('\n\n');
 };
 
 
+//  --------------------------------------------------------------------------- 
+//  Advisor
+//  --------------------------------------------------------------------------- 
+
 /**
- * Responds to notifications that the Hand has a pair of cards. This state is
- * interesting due to a need to check for blackjack etc.
+ * Creates and returns a new Advisor, which follows a Game's events and, each
+ * time a Hand a person plays is up, works out what basic strategy calls for
+ * from the B.Chart for the Game's rules. Once the player acts the Advisor
+ * notes whether they followed the advice. Hands played by the computer are
+ * left alone.
+ * @param {B.Game} g The game to advise on.
+ * @return {B.Advisor} A new Advisor instance.
+ * @constructor
  */
-B.Hand.prototype.onpair = function() {
-	// Test for blackjack status. This call will notify the Game as
-	// needed if that status is true.
-	this.isBlackjack();
-};
+B.Advisor = function(g) {
+	var advice,
+		advisor,
+		chart,
+		game,
+		stats;
 
+	// Validate game instance.
+	if (!g) {
+		throw new Error('InvalidGame');
+	}
 
-/**
- * Instructs the Hand to pay out. This is invoked on Hands whose score is higher
- * than that of the Dealer's Hand without busting.
- * @param {number} odds A multipler for odds. 3:2 would be 1.5 for example.
- */
-B.Hand.prototype.pay = function(odds) {
-	var player,
-		bet,
-		winnings;
+	advisor = this;
 
-	player = this.getPlayer();
-	if (player) {
-		bet = this.getBet();
-		winnings = bet + (bet * odds);
-		player.adjustHoldings(winnings);
 
-		// Note the use of _print here to leave off score.
-		log('Hand ' + this._print() + ' paying ' + odds +
-			' to 1 odds, or ' + winnings + '.');
-	}
+	/**
+	 * The advice for the Hand in play, if a person is playing it, along with
+	 * the Hand and dealer's up-card as printed when it was given and the
+	 * exact EV of each action open to the Hand, once it's worked out.
+	 * @type {{hand: B.Hand, cards: string, up: string, action: string,
+	 *     ev: object}}
+	 */
+	advice = null;
+
+
+	/**
+	 * The basic strategy chart for the Game's rules.
+	 * @type {B.Chart}
+	 */
+	chart = new B.Chart(g.getRules(), g.getShoe().getSize());
+
+
+	/**
+	 * The game being advised on.
+	 * @type {B.Game}
+	 */
+	game = g;
+
+
+	/**
+	 * How often advice was given and followed, and the last decision made.
+	 * @type {{advised: number, followed: number, last: object}}
+	 */
+	stats = {
+		advised: 0,
+		followed: 0,
+		last: null
+	};
+
+
+	/**
+	 * Returns the advice for the Hand in play.
+	 * @return {{hand: B.Hand, cards: string, up: string, action: string}}
+	 *     The advice, or null when no Hand a person plays is up.
+	 */
+	this.getAdvice = function() {
+		return advice;
+	};
+
+
+	/**
+	 * Returns the basic strategy chart for the Game's rules.
+	 * @return {B.Chart} The chart.
+	 */
+	this.getChart = function() {
+		return chart;
+	};
+
+
+	/**
+	 * Returns the game being advised on.
+	 * @return {B.Game} The game.
+	 */
+	this.getGame = function() {
+		return game;
+	};
+
+
+	/**
+	 * Returns how often advice was given and followed, and the last decision
+	 * made: the Hand as printed, the dealer's up-card, the advice, the action
+	 * taken and whether they matched.
+	 * @return {{advised: number, followed: number, last: object}} The stats.
+	 */
+	this.getStats = function() {
+		return stats;
+	};
+
+
+	/**
+	 * Replaces the advice for the Hand in play.
+	 * @param {object} value The new advice, or null.
+	 * @private
+	 */
+	this._setAdvice = function(value) {
+		advice = value;
+	};
+
+	game.on('change', this.advise.bind(this));
+	B.Advisor.ACTIONS.map(function(action) {
+		game.on(action, advisor.record.bind(advisor, action));
+	});
+
+	return this;
 };
 
 
-// Highjack our mixin version of print so we can augment it.
-B.Hand.prototype._print = B.Hand.prototype.print;
+/**
+ * The Game events which are a player acting on their Hand.
+ * @type {Array.<string>}
+ */
+B.Advisor.ACTIONS = ['hit', 'stand', 'double', 'split', 'surrender'];
+
+
+/**
+ * The Game states in which a Hand can be up for its player to act on.
+ * @type {Array.<string>}
+ */
+B.Advisor.STATES = ['dealing', 'insurance', 'player'];
 
 
 /**
- * Prints the Hand. Hands print their values/suits as well as their score, with
- * the exception that hole cards print as a 'not' or 'null' symbol and the score
- * is likewise disguised to keep from exposing the true value of the hand.
- * @return {string} The print string.
+ * Works out the advice for the Hand in play, if a person is playing it. Called
+ * after every change, so the advice always matches the table.
  */
-B.Hand.prototype.print = function() {
-	return this._print() + ' => ' +
-		(this.hasHoleCards() ? B.Card.HOLE_CARD : this.getScore());
-};
+B.Advisor.prototype.advise = function() {
+	var advice,
+		advisor,
+		game,
+		hand;
 
+	// The Game only moves on to 'player' after the change which finishes the
+	// deal, so advice is worked out as soon as the Hand has its two cards.
+	game = this.getGame();
+	hand = game.getNextHand();
+	if (!hand || hand.getPlayer().isComputer() ||
+			hand.getCards().length < 2 || game.getInsurable().length ||
+			B.Advisor.STATES.indexOf(game.getFSM().current) === -1) {
+		this._setAdvice(null);
+		return;
+	}
 
-/**	
- * The Hand was a tie. No change in holdings, but the current bets are
- * returned to the player's holdings.
- */
-B.Hand.prototype.push = function() {
-	var player,
-		bet;
+	// Advice stands until the player acts on it.
+	advice = this.getAdvice();
+	if (advice && advice.hand === hand) {
+		return;
+	}
 
-	player = this.getPlayer();
-	if (player) {
-		// The bet returns to the player on a tie.
-		bet = this.getBet();
-		player.adjustHoldings(bet);
+	advice = {
+		hand: hand,
+		cards: hand.print(),
+		up: game.getDealer().getCards()[0].print(),
+		action: this.getChart().advise(hand),
+		ev: null
+	};
+	this._setAdvice(advice);
+
+	// Exact EVs can take a second to work out, so they follow the advice
+	// rather than hold it up. A player who acts first goes without them.
+	advisor = this;
+	setTimeout(function() {
+		if (advisor.getAdvice() === advice) {
+			advice.ev = B.EV.hand(hand);
+		}
+	}, 0);
 
-		// Note the use of _print here to leave off score.
-		log('Hand ' + this._print() + ' pushed. Returning ' +
-			'bet of ' + bet + '.');
+	if (DEBUG) {
+		log('Basic strategy: ' + advice.action + ' on ' + advice.cards +
+			' against ' + advice.up + '.');
 	}
 };
 
 
 /**
- * Displays the hand's hole cards, if any. Upon show(), if the hand only has two
- * cards, it is checked for a Blackjack status.
- * @return {B.Hand} The receiver.
+ * Loads the stats saved by toJSON, as when resuming a saved game.
+ * @param {object} json The saved advisor.
  */
-B.Hand.prototype.show = function() {
-	var cards,
-		holes;
-
-	holes = 0;
-	cards = this.getCards();
-
-	cards.map(function(card) {
-		if (card.isHoleCard()) {
-			holes++;
-			card.isHoleCard(false);
-		}
-	});
+B.Advisor.prototype.load = function(json) {
+	var stats;
 
-    return this;
+	stats = this.getStats();
+	stats.advised = json.advised;
+	stats.followed = json.followed;
+	stats.last = json.last;
 };
 
 
 /**
- * Splits the Hand, creating a second Hand with the same player as the owner
- * and one of the two current cards as its first card.
+ * Notes whether the player followed the advice for a Hand once they act on
+ * it. Registered for each of B.Advisor.ACTIONS, with the action ahead of the
+ * Game's arguments. The card a double or a hit draws is part of the action,
+ * not a second one.
+ * @param {string} action The action taken.
+ * @param {B.Hand} hand The Hand acted on.
  */
-B.Hand.prototype.split = function() {
-	var fsm;
+B.Advisor.prototype.record = function(action, hand) {
+	var advice,
+		stats;
 
-	if (!this.canSplit()) {
-		// Simulate consistent error messages with other operations.
-		fsm = this.getFSM();
-		if (!fsm.can('split')) {
-			log('Error: InvalidStateTransition: Hand cannot transition ' +
-				'from: ' + fsm.current + ' state to: single state. ' +
-				'event split inappropriate in current state ' + fsm.current);
-		} else if (!this.getPlayer()) {
-			// Dealer hands can't be split.
-			throw new Error('InvalidOperation: Dealer hand cannot be split.');
-		}
+	advice = this.getAdvice();
+	if (!advice || advice.hand !== hand) {
 		return;
 	}
+	this._setAdvice(null);
 
-	// Request help from the Game, where the new Hand must be registered.
-	this.getGame().split(this);
+	stats = this.getStats();
+	stats.advised++;
+	if (action === advice.action) {
+		stats.followed++;
+	}
+	stats.last = {
+		hand: advice.cards,
+		up: advice.up,
+		advice: advice.action,
+		action: action,
+		followed: action === advice.action,
+		ev: advice.ev
+	};
+
+	if (!stats.last.followed) {
+		log('Basic strategy says ' + advice.action + ' on ' + advice.cards +
+			' against ' + advice.up + '.' + (advice.ev ? ' Exact EVs: ' +
+			B.EV.print(advice.ev) + '.' : ''));
+	}
 };
 
 
 /**
- * Stands, meaning the Hand transitions to a state where no more cards will be
- * accepted.
+ * Returns a plain object describing the Advisor, suitable for JSON.stringify.
+ * @return {object} How often advice was given and followed, and the last
+ *     decision made.
  */
-B.Hand.prototype.stand = function() {
-	var fsm;
-
-	fsm = this.getFSM();
-	fsm.stand();
-
-	this.getGame().stand(this);
+B.Advisor.prototype.toJSON = function() {
+	var stats;
+
+	stats = this.getStats();
+	return {
+		advised: stats.advised,
+		followed: stats.followed,
+		last: stats.last
+	};
 };
 
 
-/**	
- * Surrenders the Hand. The player's holdings are adjusted such that they
- * forfeit half of their current bet.
+//  --------------------------------------------------------------------------- 
+//  Expected Values
+//  --------------------------------------------------------------------------- 
+
+/*
+ * NOTE:
+ *
+ * Expected values are worked out combinatorially over the composition of the
+ * cards left to draw: an Array of counts by rank, where index 1 holds the
+ * Aces, 2 to 9 the pips and 10 every ten-value card. Every EV is per unit of
+ * the Hand's original bet. Where the dealer peeks for blackjack the player
+ * only gets to act once the dealer doesn't have one, so EVs are conditioned
+ * on that. Without a hole card a dealer blackjack can still turn up after the
+ * player has acted, and costs whatever was on the table by then.
+ *
+ * Split Hands are each played out from what's left once the pair is split,
+ * and resplit as though each drew from that same composition. Charts also work
+ * out the dealer's cards from the composition each Hand started with rather
+ * than again after every card it draws, which moves EVs by hundredths of a
+ * percent at most and never changes a chart. B.EV.calculate() and B.EV.hand()
+ * take the time to do it exactly, for a single Hand with the cards actually
+ * left in the shoe.
  */
-B.Hand.prototype.surrender = function() {
-	var fsm,
-		player;
 
-	if (!this.canSurrender()) {
-		throw new Error('InvalidOperation: Dealer hand cannot be surrendered.');
-	}
+B.EV = {
 
-	fsm = this.getFSM();
-	fsm.surrender();
+	/**
+	 * Returns the EV of every action open to a Hand with the given cards,
+	 * against the dealer's up-card, drawing from the composition given.
+	 * @param {Array.<number>} counts The composition left to draw from, not
+	 *     counting the Hand's cards or the up-card.
+	 * @param {Array.<number>} ranks The ranks of the Hand's cards.
+	 * @param {number} up The rank of the dealer's up-card.
+	 * @param {B.Rules} rules The house rules.
+	 * @param {boolean} exact True to work out the dealer's cards again from
+	 *     whatever is left each time the Hand stands, rather than once.
+	 * @return {object} The EV of 'stand', 'hit' and whichever of 'double',
+	 *     'split' and 'surrender' the Hand may take, by action.
+	 */
+	actions: function(counts, ranks, up, rules, exact) {
+		var dealer,
+			dealers,
+			ev,
+			loss,
+			memo,
+			hit,
+			stand,
+			aces,
+			total,
+			split,
+			one,
+			pair,
+			p;
+
+		dealer = B.EV.dealer(counts, up, rules);
+		dealers = {};
+		memo = {};
+
+		// Standing wins on anything the dealer finishes below, or a bust.
+		stand = function(score) {
+			var ev,
+				finish,
+				i,
+				key;
+
+			if (score > 21) {
+				return -1;
+			}
 
-	// Surrendering a Hand should return half the bet to the player.
-	player = this.getPlayer();
-	player.adjustHoldings(this.getBet() / 2.0);
+			finish = dealer;
+			if (exact) {
+				key = counts.join(',');
+				if (!dealers.hasOwnProperty(key)) {
+					dealers[key] = B.EV.dealer(counts, up, rules);
+				}
+				finish = dealers[key];
+			}
 
-	this.getGame().surrender(this);
-};
+			ev = finish.bust;
+			for (i = 17; i <= 21; i++) {
+				ev += (score > i ? 1 : score < i ? -1 : 0) * finish[i];
+			}
+			return ev;
+		};
+
+		// Hitting draws each rank in proportion to what's left, then plays on
+		// as well as possible. The composition alone doesn't say which Hand
+		// drew it after a split, so the total goes into the key too.
+		hit = function(total, aces) {
+			var ev,
+				key,
+				n,
+				r,
+				score;
+
+			key = total + (aces ? 's' : 'h') + counts.join(',');
+			if (memo.hasOwnProperty(key)) {
+				return memo[key];
+			}
 
+			n = B.EV.size(counts);
+			ev = 0;
+			for (r = 1; r <= 10; r++) {
+				if (counts[r]) {
+					ev += counts[r] / n * B.EV.draw(counts, r, function() {
+						score = B.EV.score(total + r, aces || r === 1);
+						if (score > 21) {
+							return -1;
+						}
+						return score === 21 ? stand(score) :
+							Math.max(stand(score), hit(total + r, aces ||
+								r === 1));
+					});
+				}
+			}
 
-//  --------------------------------------------------------------------------- 
-//  Game
-//  --------------------------------------------------------------------------- 
+			memo[key] = ev;
+			return ev;
+		};
+
+		total = ranks.reduce(function(sum, r) {
+			return sum + r;
+		}, 0);
+		aces = ranks.indexOf(1) !== -1;
+
+		ev = {
+			stand: stand(B.EV.score(total, aces)),
+			hit: hit(total, aces)
+		};
+
+		if (ranks.length === 2 && B.EV.doubles(rules,
+				B.EV.score(total, aces))) {
+			ev.double = B.EV.double(counts, total, aces, stand);
+		}
+
+		if (ranks.length === 2 && ranks[0] === ranks[1] &&
+				rules.get('maxSplitHands') > 1) {
+			split = ranks[0];
+
+			// The EV of one of the split Hands once it has drawn a card.
+			one = function(r) {
+				var score;
+
+				score = B.EV.score(split + r, split === 1 || r === 1);
+
+				// Split Aces usually take just the one card.
+				if (split === 1 && !rules.get('hitSplitAces')) {
+					return stand(score);
+				}
+
+				return Math.max(stand(score), hit(split + r, split === 1 ||
+					r === 1), rules.get('doubleAfterSplit') &&
+					B.EV.doubles(rules, score) ?
+						B.EV.double(counts, split + r, split === 1 || r === 1,
+							stand) : -Infinity);
+			};
+
+			// Drawing another of the pair splits again, up to the limit.
+			p = counts[split] / B.EV.size(counts);
+			pair = p ? B.EV.draw(counts, split, one) : 0;
+			ev.split = B.EV.resplit(p, p < 1 ?
+				(B.EV.each(counts, one) - p * pair) / (1 - p) : 0, pair,
+				split === 1 && !rules.get('resplitAces') ? 2 :
+					rules.get('maxSplitHands'));
+		}
+
+		if (ranks.length === 2 && rules.get('surrender') !== 'none') {
+			ev.surrender = -0.5;
+
+			// Early surrender saves half the bet against a blackjack too,
+			// which puts it on the same footing as the peek's other EVs.
+			if (rules.get('surrender') === 'early' &&
+					!rules.get('noHoleCard')) {
+				ev.surrender = (dealer.blackjack - 0.5) /
+					(1 - dealer.blackjack);
+			}
+		}
+
+		// Without a hole card a dealer blackjack takes whatever is on the
+		// table, or just the original bet under original-bets-only rules.
+		if (rules.get('noHoleCard') && dealer.blackjack) {
+			loss = rules.get('originalBetsOnly') ? 1 : 2;
+			Object.keys(ev).map(function(action) {
+				if (action !== 'surrender') {
+					ev[action] = dealer.blackjack * -(action === 'double' ||
+						action === 'split' ? loss : 1) +
+						(1 - dealer.blackjack) * ev[action];
+				}
+			});
+		}
+
+		return ev;
+	},
 
-/**
- * Creates and returns a new Game instance. The Game is responsible for overall
- * flow between dealing, processing the player's Hand(s), and scoring the final
- * result after the dealer's Hand has been filled.
- * @param {object} opts Optional game control parameters. Common keys are
- *	   decks (how many decks), min (minimum bet), max (maximum bet), chips
- *	   (initial player holdings).
- * @return {B.Game} A new Game instance.
- * @constructor
- */
-B.Game = function(opts) {
-	var dealer,
-		decks,
-		fsm,
-		hands,
-		holdings,
-		maxBet,
-		minBet,
-		player,
-		options,
-		shoe;
 
 	/**
-	 * An optional object whose key/value pairs provide configuration data.
-	 * @type {object}
+	 * Returns the exact EV of every action open to a player's cards against
+	 * the dealer's up-card, with the dealer's cards worked out from whatever
+	 * is left to draw each time the player stands. Suits the advisor, or
+	 * looking back over a round from its history.
+	 * @param {Array.<B.Card>} cards The player's cards.
+	 * @param {B.Card} upcard The dealer's up-card.
+	 * @param {Array.<B.Card>} remaining The cards left to draw, including any
+	 *     the player can't see such as the dealer's hole card.
+	 * @param {B.Rules} rules The house rules.
+	 * @return {object} The EV of each action, by action. See B.EV.actions.
 	 */
-	options = opts || {};	// Simplify lookup/defaulting syntax below.
+	calculate: function(cards, upcard, remaining, rules) {
+		return B.EV.actions(B.EV.composition(remaining),
+			cards.map(B.EV.rank), B.EV.rank(upcard), rules, true);
+	},
 
 
 	/**
-	 * The dealer's Hand. We hold this Hand separate for easy comparison with
-	 * player Hands which are kept in the hands[] array.
-	 * @type {B.Hand}
+	 * Returns the basic strategy chart for a set of house rules and a number
+	 * of decks, worked out from the EV of every two-card Hand against every
+	 * up-card in a freshly shuffled shoe. Each row of the chart takes the
+	 * action with the best EV over all the Hands which make its total, weighted
+	 * by how often each is dealt.
+	 * @param {B.Rules} rules The house rules.
+	 * @param {number} decks The number of decks in the shoe.
+	 * @return {{hard: object, soft: object, pairs: object, ev: object,
+	 *     hands: Array.<object>}} The chart's tables, laid out as B.Chart.BASIC
+	 *     is, and the EVs behind them in the same layout. Along with them
+	 *     come the EVs of each two-card Hand against each up-card, with its
+	 *     ranks, the up-card's rank and column, and the chance it's dealt.
 	 */
-	dealer = null;
+	chart: function(rules, decks) {
+		var chart,
+			full,
+			hands,
+			n,
+			sums;
+
+		full = B.EV.shoe(decks);
+		n = B.EV.size(full);
+
+		// Weighted EV sums for each cell, by table, row and up-card.
+		sums = {hard: {}, soft: {}, pairs: {}};
+		hands = [];
+
+		B.EV.UPCARDS.map(function(up, column) {
+			var a,
+				b,
+				counts,
+				weight;
+
+			counts = full.slice();
+			counts[up]--;
+
+			for (a = 1; a <= 10; a++) {
+				for (b = a; b <= 10; b++) {
+					weight = counts[a] * (counts[b] - (a === b ? 1 : 0)) *
+						(a === b ? 1 : 2);
+					if (weight > 0) {
+						hands.push({
+							ranks: [a, b],
+							up: up,
+							column: column,
+							chance: full[up] / n * weight / (n - 1) / (n - 2),
+							ev: B.EV.tally(sums, counts, a, b, up, column,
+								weight, rules)
+						});
+					}
+				}
+			}
+		});
+
+		chart = {hard: {}, soft: {}, pairs: {}, ev: {hard: {}, soft: {},
+			pairs: {}}, hands: hands};
+		Object.keys(sums).map(function(kind) {
+			Object.keys(sums[kind]).map(function(row) {
+				chart.ev[kind][row] = sums[kind][row].map(function(cell) {
+					var ev = {};
+					Object.keys(cell.ev).map(function(action) {
+						ev[action] = cell.ev[action] / cell.weight;
+					});
+					return ev;
+				});
+				chart[kind][row] = chart.ev[kind][row].map(B.EV.code);
+			});
+		});
+
+		// Nothing beats standing on 21.
+		chart.hard[21] = chart.soft[21].map(function() {
+			return 'S';
+		});
+
+		return chart;
+	},
 
 
 	/**
-	 * The number of decks in the Shoe.
-	 * @type {number}
+	 * Returns the B.Chart code for a set of EVs: the best action, along with
+	 * what to do instead where it calls for a double or a surrender.
+	 * @param {object} ev The EV of each action.
+	 * @return {string} The code. See B.Chart.CODES.
 	 */
-	decks = options.decks || B.Game.DEFAULT.DECK_COUNT;
+	code: function(ev) {
+		var best,
+			fallback;
+
+		best = Object.keys(ev).reduce(function(top, action) {
+			return ev[action] > ev[top] ? action : top;
+		}, 'stand');
+
+		fallback = ev.hit > ev.stand ? 'hit' : 'stand';
+
+		switch (best) {
+		case 'double':
+			return fallback === 'hit' ? 'D' : 'Ds';
+		case 'surrender':
+			if (ev.split !== undefined && ev.split > ev[fallback]) {
+				return 'Rp';
+			}
+			return fallback === 'hit' ? 'R' : 'Rs';
+		case 'split':
+			return 'P';
+		default:
+			return best === 'hit' ? 'H' : 'S';
+		}
+	},
 
 
 	/**
-	 * The state machine which embodies the game state and transitions.
-	 * Effectively the game goes from a pregame state to dealing the initial
-	 * hands. From there all player hands are managed until no hands remain
-	 * 'playable'. Once that's true the game moves to the dealer. Before the
-	 * dealer does anything else a player can opt for insurance _iff_ the
-	 * dealer's up-card is an Ace. Otherwise the dealer's hand is managed using
-	 * the rules for stay/hit until the dealer's hand is no longer 'playable'.
-	 * If the dealer doesn't bust a final scoring/payout phase is done and the
-	 * game ends, resetting to allow a new deal to begin or for the entire game
-	 * to be exited.
-     * @type {StateMachine} The newly created/initialized state machine.
+	 * Returns the composition of a set of Cards.
+	 * @param {Array.<B.Card>} cards The cards.
+	 * @return {Array.<number>} The counts by rank.
 	 */
-	fsm = StateMachine.create({
-		initial: 'pregame',
-		error: function(evt, from, to, args, code, msg) {
-			var str = 'Game cannot transition from: ' +
-				from + ' state to: ' + to + ' state. ' + msg;
-			throw new Error('InvalidStateTransition: ' + str);
-		},
-		events: [
-			{ name: 'deal', from: ['pregame', 'postgame'], to: 'dealing' },
+	composition: function(cards) {
+		var counts;
 
-            // Normal flow is players, then dealer.
-			{ name: 'player', from: 'dealing', to: 'player' },
-			{ name: 'dealer', from: 'player', to: 'dealer' },
+		counts = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+		cards.map(function(card) {
+			counts[B.EV.rank(card)]++;
+		});
 
-			// If the player is low on chips before the deal no hands are
-			// dealt and the state moves to 'buying'.
-			{ name: 'buyin', from: 'dealing', to: 'buying' },
+		return counts;
+	},
 
-			// Blackjack for dealer will mean straight to scoring.
-			{ name: 'blackjack', from: 'dealing', to: 'scoring' },
 
-            // Dealer bust takes us straight to scoring.
-			{ name: 'bust', from: 'dealer', to: 'scoring'},
+	/**
+	 * Returns how the dealer finishes against a composition: the chance of
+	 * a blackjack, and the chance of each of 17 to 21 and of a bust when the
+	 * dealer doesn't have one.
+	 * @param {Array.<number>} counts The composition left to draw from.
+	 * @param {number} up The rank of the dealer's up-card.
+	 * @param {B.Rules} rules The house rules.
+	 * @return {object} The chances, keyed 17 to 21, bust and blackjack.
+	 */
+	dealer: function(counts, up, rules) {
+		var chances,
+			draw,
+			h17,
+			key,
+			odds;
+
+		chances = {17: 0, 18: 0, 19: 0, 20: 0, 21: 0, bust: 0, blackjack: 0};
+		h17 = rules.get('hitSoft17');
+
+		draw = function(total, aces, cards, p) {
+			var n,
+				r,
+				score;
+
+			score = B.EV.score(total, aces);
+			if (cards === 2 && score === 21) {
+				chances.blackjack += p;
+				return;
+			}
+			if (score > 21) {
+				chances.bust += p;
+				return;
+			}
+			if (score > 17 || (score === 17 &&
+					!(h17 && aces && total + 10 === 17))) {
+				chances[score] += p;
+				return;
+			}
 
-            // Scoring can happen directly from dealing if either the player or
-            // the dealer has a blackjack.
-			{ name: 'score', from: ['dealing', 'dealer'], to: 'scoring' },
+			n = B.EV.size(counts);
+			for (r = 1; r <= 10; r++) {
+				if (counts[r]) {
+					odds = counts[r] / n;
+					counts[r]--;
+					draw(total + r, aces || r === 1, cards + 1, p * odds);
+					counts[r]++;
+				}
+			}
+		};
 
-            // We can move properly to 'done' once we've scored the game.
-			{ name: 'done', from:
-                ['dealer', 'scoring', 'postgame'], to: 'postgame' },
+		draw(up, up === 1, 1, 1);
 
-            // We can quit from anywhere.
-			{ name: 'quit', from: '*', to: 'exited' }
-		]});
+		// A blackjack settles the round before the player's play counts for
+		// anything, so the rest is what happens when there isn't one.
+		if (chances.blackjack) {
+			for (key in chances) {
+				if (chances.hasOwnProperty(key) && key !== 'blackjack') {
+					chances[key] /= 1 - chances.blackjack;
+				}
+			}
+		}
 
-	// Configure a nice debugging log function to observe state transitions.
-	fsm.onchangestate = function(evt, from, to) {
-        if (DEBUG) {
-            log('Game event: ' + evt + ' from: ' +
-                from + ' to: ' + to + '.');
-        }
-	};
+		return chances;
+	},
 
-	if (DEBUG) {
-		log('Initialized Game state.');
-	}
 
 	/**
-	 * A list of all player Hands currently active.  This is an array to support a
-	 * player having multiple Hands due to splitting.
-	 * @type {Array.<B.Hand>}
+	 * Returns the EV of doubling: one card, at twice the bet.
+	 * @param {Array.<number>} counts The composition left to draw from.
+	 * @param {number} total The Hand's total, counting Aces as 1.
+	 * @param {boolean} aces True if the Hand holds an Ace.
+	 * @param {function(number): number} stand The EV of standing on a score.
+	 * @return {number} The EV.
 	 */
-	hands = [];
+	double: function(counts, total, aces, stand) {
+		return 2 * B.EV.each(counts, function(r) {
+			return stand(B.EV.score(total + r, aces || r === 1));
+		});
+	},
 
 
 	/**
-	 * The default starting holdings for the player.
-	 * @type {number}
+	 * Returns true if the house rules allow doubling on a score.
+	 * @param {B.Rules} rules The house rules.
+	 * @param {number} score The Hand's score.
+	 * @return {boolean} True if the Hand may double.
 	 */
-	holdings = options.chips || B.Game.DEFAULT.HOLDINGS;
+	doubles: function(rules, score) {
+		var totals;
+
+		totals = B.Rules.DOUBLE_ON[rules.get('doubleOn')];
+		return !totals || totals.indexOf(score) !== -1;
+	},
 
 
 	/**
-	 * The maximum bet for this game instance.
-	 * @type {number}
+	 * Runs a function with one card of a rank taken out of the composition,
+	 * putting it back afterwards.
+	 * @param {Array.<number>} counts The composition left to draw from.
+	 * @param {number} r The rank drawn.
+	 * @param {function(number): number} fn The function, given the rank.
+	 * @return {number} The function's result.
 	 */
-	maxBet = options.max || B.Game.DEFAULT.MAXIMUM_BET;
+	draw: function(counts, r, fn) {
+		var result;
 
+		counts[r]--;
+		result = fn(r);
+		counts[r]++;
 
-	/**
-	 * The minimum bet for this game instance.
-	 * @type {number}
-	 */
-	minBet = options.min || B.Game.DEFAULT.MINIMUM_BET;
+		return result;
+	},
 
 
 	/**
-	 * The player for the game.
-	 * @type {B.Player}
+	 * Runs a function once for each rank left to draw, with that card taken
+	 * out of the composition, and returns the results weighted by the chance
+	 * of drawing each rank.
+	 * @param {Array.<number>} counts The composition left to draw from.
+	 * @param {function(number): number} fn The function, given the rank.
+	 * @return {number} The weighted results.
 	 */
-	player = new B.Player(this, holdings);
+	each: function(counts, fn) {
+		var n,
+			r,
+			result;
+
+		n = B.EV.size(counts);
+		result = 0;
+		for (r = 1; r <= 10; r++) {
+			if (counts[r]) {
+				result += counts[r] / n * B.EV.draw(counts, r, fn);
+			}
+		}
+
+		return result;
+	},
 
 
 	/**
-	 * The Shoe used to deal cards for the game.
-	 * @type {B.Shoe}
+	 * Returns the house edge against a player who follows the basic strategy
+	 * chart for a set of house rules to the letter: the share of each
+	 * original bet the house expects to keep, blackjacks included.
+	 * @param {B.Rules} rules The house rules.
+	 * @param {number} decks The number of decks in the shoe.
+	 * @param {object} chart The chart for the same rules and decks, if it's
+	 *     already been worked out. Optional.
+	 * @return {number} The house edge, a fraction of the bet. Negative when
+	 *     the player has the edge.
 	 */
-	shoe = new B.Shoe(decks);
+	edge: function(rules, decks, chart) {
+		var full,
+			n;
+
+		chart = chart || B.EV.chart(rules, decks);
+		full = B.EV.shoe(decks);
+
+		// The cards the dealer's second card comes from.
+		n = B.EV.size(full) - 3;
+
+		return -chart.hands.reduce(function(total, hand) {
+			var a,
+				b,
+				action,
+				blackjack,
+				code;
+
+			a = hand.ranks[0];
+			b = hand.ranks[1];
+
+			blackjack = 0;
+			if (hand.up === 1) {
+				blackjack = (full[10] - (a === 10) - (b === 10)) / n;
+			} else if (hand.up === 10) {
+				blackjack = (full[1] - (a === 1) - (b === 1)) / n;
+			}
 
+			// A blackjack pays unless the dealer has one too.
+			if (a === 1 && b === 10) {
+				return total + hand.chance * (1 - blackjack) *
+					rules.get('payout');
+			}
 
-	/**
-	 * Returns the dealer's Hand.
-	 * @return {B.Hand} The dealer's Hand.
-	 */
-	this.getDealer = function() {
-		return dealer;
-	};
+			if (a === b) {
+				code = chart.pairs[a === 1 ? 11 : a][hand.column];
+			} else if (a === 1) {
+				code = chart.soft[11 + b][hand.column];
+			} else {
+				code = chart.hard[a + b][hand.column];
+			}
+			action = B.Chart.CODES[code].filter(function(choice) {
+				return hand.ev[choice] !== undefined;
+			})[0];
+
+			// Without a hole card the EVs already count a dealer blackjack.
+			if (rules.get('noHoleCard')) {
+				return total + hand.chance * hand.ev[action];
+			}
+
+			return total + hand.chance * (-blackjack +
+				(1 - blackjack) * hand.ev[action]);
+		}, 0);
+	},
 
 
 	/**
-     * Returns the state machine which controls the state of the Hand.
-	 * @return {StateMachine} The StateMachine which controls the state of this
-	 *     Hand.
+	 * Returns the exact EV of every action a Hand in play may take now, from
+	 * the cards left in the Game's Shoe along with any dealt face down, which
+	 * the player hasn't seen either.
+	 * @param {B.Hand} hand The Hand.
+	 * @return {object} The EV of each action the Hand may take, by action,
+	 *     or null if the dealer has no up-card yet.
 	 */
-	this.getFSM = function() {
-		return fsm;
-	};
+	hand: function(hand) {
+		var dealer,
+			ev,
+			game,
+			remaining;
+
+		game = hand.getGame();
+		dealer = game.getDealer();
+		if (!dealer || !dealer.getCards().length) {
+			return null;
+		}
+
+		remaining = game.getShoe().getCards().slice();
+		[dealer].concat(game.getHands()).map(function(other) {
+			other.getCards().map(function(card) {
+				if (card.isHoleCard()) {
+					remaining.push(card);
+				}
+			});
+		});
+
+		ev = B.EV.calculate(hand.getCards().filter(function(card) {
+				return !card.isHoleCard();
+			}), dealer.getCards()[0], remaining, game.getRules());
+
+		if (!hand.canHit()) {
+			delete ev.hit;
+		}
+		if (!hand.canDouble()) {
+			delete ev.double;
+		}
+		if (!hand.canSplit()) {
+			delete ev.split;
+		}
+		if (!hand.canSurrender()) {
+			delete ev.surrender;
+		}
+
+		return ev;
+	},
 
 
 	/**
-	 * Returns the Player's Hands.
-	 * @return {Array.<B.Hand>} The player's Hands.
+	 * Returns a set of EVs as readable text, as percentages of the bet.
+	 * @param {object} ev The EV of each action, by action.
+	 * @return {string} The text, for example 'stand -54.1%, hit -53.4%'.
 	 */
-	this.getHands = function() {
-		return hands;
-	};
+	print: function(ev) {
+		return Object.keys(ev).map(function(action) {
+			return action + ' ' + (ev[action] * 100).toFixed(1) + '%';
+		}).join(', ');
+	},
 
 
 	/**
-	 * Returns the maximum value a player can bet for this game.
-	 * @return {number} The maximum bet.
+	 * Returns the rank of a Card: 1 for an Ace, 10 for any ten-value card.
+	 * @param {B.Card} card The card.
+	 * @return {number} The rank.
 	 */
-	this.getMaximumBet = function() {
-		return maxBet;
-	};
+	rank: function(card) {
+		var value;
+
+		value = card.getValue();
+		return value === 11 ? 1 : value;
+	},
 
 
 	/**
-	 * Returns the minimum value a player can bet for this game.
-	 * @return {number} The minimum bet.
+	 * Returns the EV of splitting a pair, given how a split Hand fares. Each
+	 * Hand draws another of the pair with the same chance, and splits it
+	 * again while there's room for more Hands.
+	 * @param {number} p The chance of drawing another of the pair.
+	 * @param {number} other The EV of a split Hand drawing any other card.
+	 * @param {number} pair The EV of a split Hand drawing another of the
+	 *     pair and playing it out unsplit.
+	 * @param {number} most The most Hands a pair may be split into.
+	 * @return {number} The EV, over all the Hands split off.
 	 */
-	this.getMinimumBet = function() {
-		return minBet;
-	};
+	resplit: function(p, other, pair, most) {
+		var value;
 
+		// The EV still to come with some Hands split off and some of them
+		// still waiting on their second card.
+		value = function(hands, waiting) {
+			if (!waiting) {
+				return 0;
+			}
+			return (1 - p) * (other + value(hands, waiting - 1)) +
+				p * (hands < most ? value(hands + 1, waiting + 1) :
+					pair + value(hands, waiting - 1));
+		};
 
-	/**
-	 * Returns any startup configuration options for the game. Note that the
-	 * options are mutable so they can be modified by callers.
-	 * @return {object} Startup options.
-	 */
-	this.getOptions = function() {
-		return options;
-	};
+		return value(2, 2);
+	},
 
 
 	/**
-	 * Returns the Player.
-	 * @return {B.Player} The player.
+	 * Returns the score of a Hand, counting an Ace as 11 where that doesn't
+	 * bust it.
+	 * @param {number} total The Hand's total, counting Aces as 1.
+	 * @param {boolean} aces True if the Hand holds an Ace.
+	 * @return {number} The score.
 	 */
-	this.getPlayer = function() {
-		return player;
-	};
+	score: function(total, aces) {
+		return aces && total + 10 <= 21 ? total + 10 : total;
+	},
 
 
 	/**
-	 * Returns the shoe being used to deal cards.
-	 * @return {B.Shoe} The game's shoe.
+	 * Returns the composition of a freshly shuffled shoe.
+	 * @param {number} decks The number of decks.
+	 * @return {Array.<number>} The counts by rank.
 	 */
-	this.getShoe = function() {
-		return shoe;
-	};
+	shoe: function(decks) {
+		var cards,
+			i;
+
+		cards = [];
+		for (i = 0; i < decks; i++) {
+			cards = cards.concat(new B.Deck().getCards());
+		}
+
+		return B.EV.composition(cards);
+	},
 
 
 	/**
-	 * Defines the Hand played by the Dealer.
-	 * @param {B.Hand} hand The new Hand for the dealer.
-	 * @return {B.Hand} The new hand.
-	 * @private
+	 * Returns the number of cards in a composition.
+	 * @param {Array.<number>} counts The composition.
+	 * @return {number} The number of cards.
 	 */
-	this._setDealer = function(hand) {
-		dealer = hand;
-		return dealer;
-	};
+	size: function(counts) {
+		var n,
+			r;
 
+		n = 0;
+		for (r = 1; r <= 10; r++) {
+			n += counts[r];
+		}
 
-	// Connect the various FSM transition hooks to game methods.
-	fsm.onafterdealer = this.onafterdealer.bind(this);
-	fsm.onafterdone = this.onafterdone.bind(this);
-
-    player.placeBet(this.getMinimumBet());
+		return n;
+	},
 
-	return this;
-};
 
+	/**
+	 * Adds the EVs of a two-card Hand to the chart cells it belongs to.
+	 * Pairs count towards their own row and, where no other two cards make
+	 * the total, the row for their total as well.
+	 * @param {object} sums The weighted EV sums by table, row and column.
+	 * @param {Array.<number>} counts The shoe without the up-card.
+	 * @param {number} a The rank of the first card.
+	 * @param {number} b The rank of the second card.
+	 * @param {number} up The rank of the dealer's up-card.
+	 * @param {number} column The up-card's column in the chart.
+	 * @param {number} weight How often the Hand is dealt.
+	 * @param {B.Rules} rules The house rules.
+	 * @return {object} The Hand's EVs, by action.
+	 */
+	tally: function(sums, counts, a, b, up, column, weight, rules) {
+		var add,
+			ev,
+			unsplit;
+
+		counts[a]--;
+		counts[b]--;
+		ev = B.EV.actions(counts, [a, b], up, rules);
+		counts[a]++;
+		counts[b]++;
+
+		add = function(kind, row, actions) {
+			var cell;
+
+			sums[kind][row] = sums[kind][row] || B.EV.UPCARDS.map(function() {
+				return {weight: 0, ev: {}};
+			});
+			cell = sums[kind][row][column];
+			cell.weight += weight;
+			Object.keys(actions).map(function(action) {
+				cell.ev[action] = (cell.ev[action] || 0) +
+					weight * actions[action];
+			});
+		};
+
+		if (a === b) {
+			add('pairs', a === 1 ? 11 : a, ev);
+
+			unsplit = {};
+			Object.keys(ev).map(function(action) {
+				if (action !== 'split') {
+					unsplit[action] = ev[action];
+				}
+			});
+
+			// Only a pair makes hard 4 and hard 20, or soft 12.
+			if (a === 1) {
+				add('soft', 12, unsplit);
+			} else if (a === 2 || a === 10) {
+				add('hard', a * 2, unsplit);
+			}
+			return ev;
+		}
 
-/**
- * A Dictionary of default values for the class.
- * @enum {object}
- */
-B.Game.DEFAULT = {
-	DECK_COUNT: 1,			// Default is a single-deck game.
-	HOLDINGS: 500,			// Default is 500 chips.
-	MAXIMUM_BET: 100,		// No more than 100 chips per Hand.
-	MINIMUM_BET: 5,			// 1 chip minimum.
-	PAYOUT_BLACKJACK: 1.5,  // 3:2 on blackjack wins.
-	PAYOUT_INSURED: 2.0,    // 2:1 on insurance.
-	PAYOUT_WINNER: 1.0,     // 1:1 on normal wins.
-	PLAYER_COUNT: 1			// 1 player by default.
+		if (a === 1) {
+			add('soft', 11 + b, ev);
+		} else {
+			add('hard', a + b, ev);
+		}
+		return ev;
+	}
 };
 
 
 /**
- * Invoked when a Hand has a blackjack (Ace and ten-value).
+ * The ranks of the dealer's up-card in the order of a chart's columns, from
+ * 2 to Ace.
+ * @type {Array.<number>}
  */
-B.Game.prototype.blackjack = function(hand) {
-	var prefix,
-        my;
-
-	hand.show();
-
-	if (DEBUG) {
-		prefix = (hand === this.getDealer()) ? 'Dealer' : 'Player';
-		log(prefix + ' Blackjack!: ' + hand.print());
-	}
-
-    my = this;
-
-	// If it's the dealer's hand we show it immediately. Only another hand with
-	// a Blackjack will avoid a loss, and those hands merely tie/push.
-	if (hand === this.getDealer()) {
-		// When it's the dealers hand we move immediately to scoring/payout.	
-		this.getFSM().blackjack();
-        setTimeout(function() {
-		    my.score();
-        }, 0);
+B.EV.UPCARDS = [2, 3, 4, 5, 6, 7, 8, 9, 10, 1];
 
-	} else {
-        // For player hands which transition to blackjack status we may have no
-        // remaining playable hands and need to transition. The tricky part here
-        // is that the dealer's hand is dealt to last, so any true blackjack on
-        // the part of a player hand will cause scoring against an incomplete
-        // dealer hand. We use a setTimeout to let the deal finish first.
-        setTimeout(function() {
-            my.checkHands();
-        }, 0);
-    }
-};
 
+//  --------------------------------------------------------------------------- 
+//  Count Trainer
+//  --------------------------------------------------------------------------- 
 
 /**
- * Invoked when a Hand busts. If the Hand was the dealer's Hand then any active
- * hands remaining are winners. If the Hand was a player's Hand then it is
- * discarded from the Game. If no active player Hands remain the Game ends and
- * the option to deal a new set of Hands is provided.
- * @param {B.Hand} hand The hand which busted.
+ * Creates and returns a new Trainer, which keeps the count of a Game's shoe
+ * with one of the B.Trainer.SYSTEMS and quizzes the player on it. Each card
+ * is counted once it's face up, so the dealer's hole card and face-down
+ * doubles only count when they're shown. Every few rounds the Trainer asks for
+ * the count before it's revealed, and it keeps how often the answers were
+ * right for each shoe.
+ * @param {B.Game} g The game whose shoe is counted.
+ * @param {string} key The counting system, a key of B.Trainer.SYSTEMS. The
+ *     default is 'hi-lo'.
+ * @return {B.Trainer} A new Trainer instance.
+ * @constructor
  */
-B.Game.prototype.bust = function(hand) {
-	var prefix;
+B.Trainer = function(g, key) {
+	var counted,
+		game,
+		last,
+		name,
+		quiz,
+		rounds,
+		running,
+		shoes,
+		system,
+		trainer;
 
-	if (DEBUG) {
-		prefix = (hand === this.getDealer()) ? 'Dealer' : 'Hand';
-		log(prefix + ' busted: ' + hand.print());
+	// Validate game instance.
+	if (!g) {
+		throw new Error('InvalidGame');
 	}
 
-	this.checkHands();
-};
+	name = key || 'hi-lo';
+	if (!B.Trainer.SYSTEMS.hasOwnProperty(name)) {
+		throw new Error('InvalidSystem: ' + name);
+	}
 
+	trainer = this;
 
-/**
- * Checks all player hands to see if any remain playable. If not this method
- * will transition the game to the dealer state.
- */
-B.Game.prototype.checkHands = function() {
-	var fsm,
-		hands,
-		done;
 
-	done = true;
-	hands = this.getHands();
-	hands.map(function(hand) {
-		if (hand.isPlayable()) {
-			done = false;
-		}
-	});
+	/**
+	 * The cards counted since the shoe was last shuffled. A card is only
+	 * dealt once a shoe, so it's counted once however often it's looked at.
+	 * @type {Array.<B.Card>}
+	 */
+	counted = [];
 
-	fsm = this.getFSM();
-	if (done) {
-        // No remaining playable hands. 
-        if (fsm.can('dealer')) {
-            fsm.dealer();
-        } else if (fsm.can('score')) {
-            this.score();
-        }
-	} else {
-        if (fsm.can('player')) {
-            this.play();
-        }
-    }
-};
 
+	/**
+	 * The game whose shoe is counted.
+	 * @type {B.Game}
+	 */
+	game = g;
 
-/**
- * Handles state transition after the initial deal for a new game is done. While
- * the first two cards are being dealt to each player no UI actions are allowed.
- * Once the initial deal has completed the game moves into 'player' mode in
- * which the player's state machine is in control of one or more Hands.
- */
-B.Game.prototype.deal = function() {
-	var fsm,
-        game,
-		dealer,
-		hands,
-		shoe,
-		my;
 
-	fsm = this.getFSM();
-	fsm.deal();
+	/**
+	 * The last quiz answered or missed, with the count it was after.
+	 * @type {object}
+	 */
+	last = null;
 
-    game = this;
 
-    // Update display for fresh visuals.
-    this.renderDeal(function() {
-        // Update the player's holdings display, and the amount of the minimum bet
-        // to support the new hand.
-        d3.select('#holdings .value').text(game.getPlayer().getHoldings());
-        d3.select('#pot .value').text(game.getPlayer().getBet());
-    });
+	/**
+	 * The quiz waiting on an answer, if any, with the count it's after.
+	 * @type {{round: number, running: number, count: number}}
+	 */
+	quiz = null;
 
-	// If the player can't cover the minimum bet we can't continue.
-	if (this.getPlayer().getHoldings() < this.getMinimumBet()) {
-		fsm.buyin();
-		return;
-	}
 
-	// Note we keep using the current shoe, letting it refill on its own when it
-	// empties.	
-	shoe = this.getShoe();
+	/**
+	 * The number of rounds counted.
+	 * @type {number}
+	 */
+	rounds = 0;
 
-	// Clear and/or replace the hands for player and dealer.
-	hands = this.getHands();
-	hands.length = 0;
-	hands.push(new B.Hand(this, this.getPlayer()));
-	dealer = this._setDealer(new B.Hand(this));
 
-	// Now that we have the Hands built we need to deal Cards in the proper
-	// order. One card to each player hand, then to dealer, then one more to
-	// each player, and a hole card to the dealer.
+	/**
+	 * The running count.
+	 * @type {number}
+	 */
+	running = B.Trainer.start(B.Trainer.SYSTEMS[name], g.getShoe().getSize());
 
-	hands.map(function(hand) {
-		hand.hit(shoe.deal());
-	});
-	dealer.hit(shoe.deal());
-	hands.map(function(hand) {
-		hand.hit(shoe.deal());
-	});
-	dealer.hit(shoe.deal(true));	// Hole card.
 
-	// Use a local var to bind 'this' in our callback below.
-	my = this;
+	/**
+	 * How many quizzes were asked and answered right for each shoe, the
+	 * current shoe last.
+	 * @type {Array.<{shoe: number, asked: number, right: number}>}
+	 */
+	shoes = [{shoe: 1, asked: 0, right: 0}];
 
-	// Use an embedded callback here. We need to check the FSM state before we
-	// decide whether to invoke a state transition after rendering.
-	this.renderHands(function() {
-        my.checkHands();
-	});
-};
 
+	/**
+	 * The counting system: its name, whether it's balanced, and its tags.
+	 * @type {{name: string, balanced: boolean, tags: Array.<number>}}
+	 */
+	system = B.Trainer.SYSTEMS[name];
 
-/**
- * Responds to notifications that a Hand doubled.
- * @param {B.Hand} hand The hand which doubled.
- */
-B.Game.prototype.double = function(hand) {
 
-	if (DEBUG) {
-		log('Hand doubled: ' + hand.print());
-	}
+	/**
+	 * Returns the cards counted since the shoe was last shuffled.
+	 * @return {Array.<B.Card>} The cards.
+	 */
+	this.getCounted = function() {
+		return counted;
+	};
 
-	this.checkHands();
-};
 
+	/**
+	 * Returns the game whose shoe is counted.
+	 * @return {B.Game} The game.
+	 */
+	this.getGame = function() {
+		return game;
+	};
 
-/**
- * Returns a handle to the next playable hand in the game. This is a useful way
- * to interact with the hands in order, ignoring those which are complete.
- * @return {B.Hand} The next playable hand.
- */
-B.Game.prototype.getNextHand = function() {
-    var hands,
-        i,
-        len,
-        hand;
 
-    hands = this.getHands();
-    len = hands.length;
-    for (i = 0; i < len; i++) {
-        hand = hands[i];
-        if (hand.isPlayable()) {
-            return hand;
-        }
-    }
+	/**
+	 * Returns the last quiz answered or missed: the count it was after, the
+	 * answers given, if any, and whether they were right.
+	 * @return {{running: number, count: number, answer: object,
+	 *     right: boolean}} The quiz, or null before the first.
+	 */
+	this.getLast = function() {
+		return last;
+	};
+
+
+	/**
+	 * Returns the counting system's key in B.Trainer.SYSTEMS.
+	 * @return {string} The key.
+	 */
+	this.getName = function() {
+		return name;
+	};
 
-    return;
-};
 
+	/**
+	 * Returns the quiz waiting on an answer.
+	 * @return {{round: number, running: number, count: number}} The quiz,
+	 *     or null when there's none.
+	 */
+	this.getQuiz = function() {
+		return quiz;
+	};
 
-/**
- * Responds to state changes into the dealer state. Once we enter this state we
- * play out the dealer's hand according to the 'hit rules' and then score the
- * various Player hands.
- */
-B.Game.prototype.onafterdealer = function() {
-	var dealer,
-		shoe;
 
-	dealer = this.getDealer();
-	dealer.show();
+	/**
+	 * Returns the number of rounds counted.
+	 * @return {number} The rounds.
+	 */
+	this.getRounds = function() {
+		return rounds;
+	};
 
-    // Dealer must play out.
-	shoe = this.getShoe();
-	while (dealer.getScore() < 17) {
-		dealer.hit(shoe.deal());
-	}
 
-    // If the hand busted over the hit() it'll already be on its way to scoring.
-    if (dealer.getScore() <= 21) {
-	    this.score();
-    }
-};
+	/**
+	 * Returns the running count.
+	 * @return {number} The running count.
+	 */
+	this.getRunning = function() {
+		return running;
+	};
 
 
-/**
- * Processes the final done state transition.
- */
-B.Game.prototype.onafterdone = function() {
+	/**
+	 * Returns how many quizzes were asked and answered right for each shoe,
+	 * the current shoe last.
+	 * @return {Array.<{shoe: number, asked: number, right: number}>} The
+	 *     stats by shoe.
+	 */
+	this.getShoes = function() {
+		return shoes;
+	};
 
-    this.renderHands();
-	log('Game over.');
-};
 
+	/**
+	 * Returns the counting system.
+	 * @return {{name: string, balanced: boolean, tags: Array.<number>}} The
+	 *     system.
+	 */
+	this.getSystem = function() {
+		return system;
+	};
 
-/**
- * Transitions the game to the player state. This state remains in effect until
- * all Hands have been played. Then the dealer's hand is played out.
- */
-B.Game.prototype.play = function() {
-	var fsm;
 
-	fsm = this.getFSM();
-	fsm.player();
-};
+	/**
+	 * Replaces the last quiz.
+	 * @param {object} value The quiz.
+	 * @private
+	 */
+	this._setLast = function(value) {
+		last = value;
+	};
 
 
-/**
- * Quits the game, turning off all active controls.
- */
-B.Game.prototype.quit = function() {
-	var fsm,
-        pot;
+	/**
+	 * Replaces the quiz waiting on an answer.
+	 * @param {object} value The quiz, or null.
+	 * @private
+	 */
+	this._setQuiz = function(value) {
+		quiz = value;
+	};
 
-	fsm = this.getFSM();
-	fsm.quit();
 
-    // Put any chips in the pot back in the player's holdings.
-    pot = d3.select('#pot .value').text();
-    d3.select('#pot .value').text('0');
-    this.getPlayer().adjustHoldings(parseInt(pot, 10));
-    d3.select('#holdings .value').text(this.getPlayer().getHoldings());
+	/**
+	 * Replaces the number of rounds counted.
+	 * @param {number} value The rounds.
+	 * @private
+	 */
+	this._setRounds = function(value) {
+		rounds = value;
+	};
+
 
-	// Clear all game state and redisplay the splash screen to support
-	// moving into test() mode or invoking a new game() sequence.
-    this.renderDeal();
+	/**
+	 * Replaces the running count.
+	 * @param {number} value The running count.
+	 * @private
+	 */
+	this._setRunning = function(value) {
+		running = value;
+	};
 
-    // Turn off all button visuals.
-    d3.selectAll('#controls button').attr('off', true);
-    d3.selectAll('#bets button').attr('off', true);
+	game.on('card', this.look.bind(this));
+	game.on('change', this.look.bind(this));
+	game.on('deal', this.miss.bind(this));
+	game.on('shuffle', this.shuffle.bind(this));
+	game.on('roundEnd', function() {
+		trainer.look();
+		trainer.ask();
+	});
 
-    // Disable all click handlers.
-    d3.selectAll('button').on('click', function() {
-        return;
-    });
+	return this;
 };
 
 
 /**
- * Renders new data related to the betting process.
+ * Trainer defaults: how many rounds go by between quizzes, and how many shoes'
+ * stats are kept.
+ * @enum {number}
  */
-B.Game.prototype.renderBet = function() {
-    var game,
-        player;
-
-    game = this;
-    player = game.getPlayer();
-    log('player bet: ' + player.getBet());
-
-    d3.selectAll('#bets button').attr('off', function() {
-        var bet,
-            amount;
-        // If the button amount would violate the rules (over max, money
-        // player doens't have) then it's off.
-        bet = player.getBet();
-        amount = parseInt(this.innerHTML);
-        if ((bet + amount) > player.getHoldings()) {
-            return true;
-        }
-        if ((bet + amount) > game.getMaximumBet()) {
-            return true;
-        }
-        return false;
-    });
-    d3.selectAll('#bets button').on('click', function() {
-        // If the button amount would violate the rules (over max, money
-        // player doens't have) then it should ignore clicks.
-        if (this.attributes.off.value === 'true') {
-            return;
-        }
-        player.increaseBet(parseInt(this.innerHTML, 10));
-    });
-
-    d3.select('#holdings .value').text(player.getHoldings());
-    d3.select('#pot .value').text(player.getBet());
+B.Trainer.DEFAULT = {
+	EVERY: 3,
+	SHOES: 20
 };
 
 
 /**
- * Renders a fresh set of visuals for a fresh deal.
+ * The counting systems, with the tag each rank adds to the running count, by
+ * rank as B.EV.rank gives it: an Ace first, then 2 to 9, then the tens. A
+ * balanced count sums to zero over a deck, so it's divided by the decks left
+ * for a true count. An unbalanced count such as KO is used as it stands.
+ * @type {Object.<string, {name: string, balanced: boolean,
+ *     tags: Array.<number>}>}
  */
-B.Game.prototype.renderDeal = function(callback) {
-
-    // Remove all active cards.
-    d3.selectAll('.card').remove();
-
-    // Clear all current score values.
-    d3.select('#dealer .score').text('');
-    d3.select('#player .score').text('');
+B.Trainer.SYSTEMS = {
+	'hi-lo': {
+		name: 'Hi-Lo',
+		balanced: true,
+		tags: [0, -1, 1, 1, 1, 1, 1, 0, 0, 0, -1]
+	},
+	'ko': {
+		name: 'KO',
+		balanced: false,
+		tags: [0, -1, 1, 1, 1, 1, 1, 1, 0, 0, -1]
+	},
+	'omega-ii': {
+		name: 'Omega II',
+		balanced: true,
+		tags: [0, 0, 1, 1, 2, 2, 2, 1, 0, -1, -2]
+	}
 };
 
 
 /**
- * Renders the Hands being played. This method can be called multiple times as
- * the Hands change during play.
- * @param {Function} callback A function to call when rendering is finished.
+ * Returns the running count a system starts a fresh shoe on. KO starts below
+ * zero by four for each deck past the first, so its count climbs to the same
+ * pivot however many decks are in the shoe.
+ * @param {object} system The counting system.
+ * @param {number} decks The number of decks in the shoe.
+ * @return {number} The starting count.
  */
-B.Game.prototype.renderHands = function(callback) {
-    var dealer,
-        player,
-        game,
-        cards;
-
-    if (DEBUG) {
-        log('Rendering hands.');
-    }
-
-    game = this;
-
-    // Render the dealer's cards.
-    dealer = this.getDealer();
-    d3.select('#dealer').selectAll('div').data(dealer.getCards()).
-        enter().append('div').
-            attr('class', 'card').
-            html(function(d) {
-                if (d.isHoleCard()) {
-                    return '<img src="images/bicycle-cards.png"' +
-                        ' width="100px" height="135px"></img>';
-                } else {
-                    return '<span class="label">' + d.getLabel() + '</span>' +
-                        '<span class="symbol">' + d.getSymbol() + '</span>';
-                }
-            });
-
-    // Until the dealer shows their hand we can skip updating. But once they
-    // show() and turn off hole card hiding we need to update.
-    if (dealer.hasHoleCards()) {
-        d3.select('#dealer .score').text('');
-    } else {
-        d3.select('#dealer').selectAll('.card').data(dealer.getCards()).
-            html(function(d) {
-                return '<span class="label">' + d.getLabel() + '</span>' +
-                    '<span class="symbol">' + d.getSymbol() + '</span>';
-            });
-        d3.select('#dealer img').attr('display', 'none');
-        d3.select('#dealer .score').text(dealer.getScore());
-    }
-
-    // Render the player's cards from an enter() perspective. New cards.
-    player = this.getHands()[0];
-    d3.select('#player').selectAll('div').data(player.getCards()).
-        enter().append('div').
-            attr('class', 'card').
-            html(function(d) {
-                 return '<span class="label">' + d.getLabel() + '</span>' +
-                    '<span class="symbol">' + d.getSymbol() + '</span>';
-            });
-    d3.select('#player .score').text(player.getScore());
-
-    // Refresh display of cards that are not new.
-    d3.select('#player').selectAll('.card').data(player.getCards()).
-        html(function(d) {
-            return '<span class="label">' + d.getLabel() + '</span>' +
-                '<span class="symbol">' + d.getSymbol() + '</span>';
-        });
-
-
-    // Connect hand-specific event handlers.
-    d3.select('#hit').on('click',
-        function() {
-            if (player.isPlayable()) {
-                player.hit();
-            }
-        });
-    d3.select('#stand').on('click',
-        function() {
-            if (player.isPlayable()) {
-                player.stand();
-            }
-        });
-    d3.select('#surrender').on('click',
-        function() {
-            if (player.getFSM().can('surrender')) {
-                player.surrender();
-            }
-        });
-
-    if (player.isPlayable()) {
-        d3.selectAll('#bets button').attr('off', true);
-        // By default the buttons for betting are not active.
-        d3.selectAll('#bets button').on('click', function() {
-            return;
-        });
-    } else {
-        this.renderBet();
-    }
-
-    // Update button states for visible feedback.
-    d3.select('#hit').attr('off', function(d) {
-        return !player.isPlayable();
-    });
-    d3.select('#stand').attr('off', function(d) {
-        return !player.isPlayable();
-    });
-    d3.select('#surrender').attr('off', function(d) {
-        return !player.getFSM().can('surrender');
-    });
-    d3.select('#deal').attr('off', function(d) {
-        return player.isPlayable();
-    });
-
-	if (typeof callback === 'function') {
-		callback();
-	}
+B.Trainer.start = function(system, decks) {
+	return system.balanced ? 0 : 4 - 4 * decks;
 };
 
 
 /**
- * Renders the overall Game table. This method should only be called once.
- * @param {Function} callback A function to call when rendering is finished.
+ * Answers the quiz waiting on an answer. A running count must be exact, and
+ * a true count within half a point, the way it's estimated at the table.
+ * Balanced systems are asked for both.
+ * @param {number} running The running count given.
+ * @param {number} count The true count given. Ignored for unbalanced
+ *     systems.
+ * @return {boolean} True if the answers were right.
  */
-B.Game.prototype.renderTable = function(callback) {
-    var game;
-
-    if (DEBUG) {
-        log('Rendering table.');
-    }
+B.Trainer.prototype.answer = function(running, count) {
+	var balanced,
+		quiz,
+		right;
+
+	quiz = this.getQuiz();
+	if (!quiz) {
+		throw new Error('InvalidOperation: No quiz to answer.');
+	}
 
-    // Display the current table's limits.
-    d3.selectAll('#limits .value').
-        data([this.getMinimumBet(), this.getMaximumBet()]).
-        text(function(d, i) { return d;
-    });
+	balanced = this.getSystem().balanced;
+	right = running === quiz.running &&
+		(!balanced || Math.abs(count - quiz.count) <= 0.5);
 
-    game = this;
+	this.record({
+		running: quiz.running,
+		count: quiz.count,
+		answer: {running: running, count: balanced ? count : null},
+		right: right
+	});
 
-    // Connect game-level event handlers.
-    d3.select('#deal').on('click',
-        function() {
-            game.deal();
-        });
+	return right;
+};
 
-    d3.select('#quit').on('click',
-        function() {
-            game.quit();
-        });
 
-    // Update button states for visible feedback.
-    d3.select('#hit').attr('off', function(d) {
-        return true;
-    });
-    d3.select('#stand').attr('off', function(d) {
-        return true;
-    });
-    d3.select('#surrender').attr('off', function(d) {
-        return true;
-    });
+/**
+ * Counts off a round, and every B.Trainer.DEFAULT.EVERY rounds sets a quiz on
+ * the count as it stands.
+ */
+B.Trainer.prototype.ask = function() {
+	var rounds;
 
-    // Activate the betting buttons for "pre-deal" betting value capture.
-    this.renderBet();
+	rounds = this.getRounds() + 1;
+	this._setRounds(rounds);
 
-	if (typeof callback === 'function') {
-		callback();
+	if (rounds % B.Trainer.DEFAULT.EVERY === 0) {
+		this._setQuiz({
+			round: rounds,
+			running: this.getRunning(),
+			count: this.getTrueCount()
+		});
 	}
 };
 
 
 /**
- * Score each Hand and pay any winners, notify losers, and clean up the round.
+ * Returns the number of decks dealt since the shoe was shuffled, as a player
+ * judges it from the discard tray and the cards on the table.
+ * @return {number} The decks dealt.
  */
-B.Game.prototype.score = function() {
-	var fsm,
-		hands,
-		dealer,
-		house,
-		busted,
-		bjack;
-
-	fsm = this.getFSM();
-    if (fsm.can('score')) {
-	    fsm.score();
-    }
-
-	log('Scoring hands.');
+B.Trainer.prototype.getDealt = function() {
+	var shoe;
 
-	dealer = this.getDealer();
-    dealer.show();
-	house = dealer.getScore();
-	busted = house > 21;
-	bjack = dealer.isBlackjack();
+	shoe = this.getGame().getShoe();
+	return shoe.getSize() - shoe.getCards().length / 52;
+};
 
-    this.renderHands();
 
-    log('Dealer has: ' + dealer.print());
+/**
+ * Returns the number of decks left to play, to the nearest half deck.
+ * @return {number} The decks remaining.
+ */
+B.Trainer.prototype.getDecksRemaining = function() {
+	return Math.max(0.5, Math.round(this.getGame().getShoe().getCards().length /
+		52 * 2) / 2);
+};
 
-	hands = this.getHands();
-	hands.map(function(hand) {
-		var score;
 
-        log('Player has: ' + hand.print());
+/**
+ * Returns the true count: the running count over the decks remaining, to
+ * the nearest half point. Unbalanced counts have none.
+ * @return {number} The true count, or null for an unbalanced system.
+ */
+B.Trainer.prototype.getTrueCount = function() {
+	if (!this.getSystem().balanced) {
+		return null;
+	}
 
-		if (!hand.isScoreable()) {
-			return;
-		}
+	return Math.round(this.getRunning() / this.getDecksRemaining() * 2) / 2;
+};
 
-		if (hand.isBlackjack()) {
-			if (bjack) {
-				hand.push();
-			} else {
-				hand.pay(B.Game.DEFAULT.PAYOUT_BLACKJACK);
-			}
-			return;
-		}
 
-		// All other non-blackjack hands lose if the house has blackjack. We're
-		// only interested in hands that won.
-		if (!bjack) {
-			score = hand.getScore();
-			if (score === house) {
-				hand.push();
-			} else if (busted || (score > house)) {
-				hand.pay(B.Game.DEFAULT.PAYOUT_WINNER);
-			}
-		}
+/**
+ * Loads the count and stats saved by toJSON, as when resuming a saved game.
+ * The cards on the table were counted before the save, so they're marked
+ * counted rather than counted again.
+ * @param {object} json The saved trainer.
+ */
+B.Trainer.prototype.load = function(json) {
+	var counted,
+		shoes;
+
+	this._setRunning(json.running);
+	this._setRounds(json.rounds);
+	this._setQuiz(json.quiz);
+	this._setLast(json.last);
+
+	shoes = this.getShoes();
+	shoes.length = 0;
+	shoes.push.apply(shoes, json.shoes);
+
+	counted = this.getCounted();
+	this.visible().map(function(card) {
+		counted.push(card);
 	});
-
-    // Reset player's initial bet.
-    this.getPlayer().placeBet(this.getMinimumBet());
-
-	// Transition to 'postgame' state.
-	setTimeout(fsm.done.bind(fsm), 0);
 };
 
 
 /**
- * Responds to notifications that a Hand wants to split. NOTE that unlike the
- * other Hand-related notifications, this one uses the Game to do the work.
- * @param {B.Hand} hand The hand which split.
+ * Counts any card on the table which is face up and hasn't been counted yet.
  */
-B.Game.prototype.split = function(hand) {
-	var cards,
-		card,
-		hand2,
-		shoe;
-
-	if (DEBUG) {
-		log('Hand split: ' + hand.print());
-	}
-
-	// Create the new hand and add it to our list.
-	hand2 = new B.Hand(this, hand.getPlayer());
-	this.getHands().push(hand2);
-
-	// Split the cards between the two hands.
-	cards = hand.getCards();
-	card = cards.pop();
-	hand2.getCards().push(card);
-
-	// Set old hand from 'pair' to 'single'
-	hand.getFSM().split();
-	// Set new hand to 'single' from 'empty'.
-	hand2.getFSM().hit();
-
-	// Add a new card to both hands to return them to 'pair' state.
-	shoe = this.getShoe();
-	hand.hit(shoe.deal());
-	hand2.hit(shoe.deal());
+B.Trainer.prototype.look = function() {
+	var counted,
+		running,
+		tags;
+
+	counted = this.getCounted();
+	running = this.getRunning();
+	tags = this.getSystem().tags;
+
+	this.visible().map(function(card) {
+		if (counted.indexOf(card) === -1) {
+			counted.push(card);
+			running += tags[B.EV.rank(card)];
+		}
+	});
 
-	// Once the hands are split and rebuilt we check them. In the off chance
-	// they're both now Blackjack values we'd want to move directly to scoring.
-	this.checkHands();
+	this._setRunning(running);
 };
 
 
 /**
- * Responds to notifications that a Hand is standing pat.
- * @param {B.Hand} hand The hand which is standing pat.
+ * Records a quiz left unanswered when the next round is dealt as a miss.
  */
-B.Game.prototype.stand = function(hand) {
+B.Trainer.prototype.miss = function() {
+	var quiz;
 
-	if (DEBUG) {
-		log('Hand stands: ' + hand.print());
+	quiz = this.getQuiz();
+	if (!quiz) {
+		return;
 	}
 
-	this.checkHands();
-
-    // Render because once a hand stands() it's likely the Dealer will show()
-    // and begin updating their hand.
-    this.renderHands();
+	this.record({
+		running: quiz.running,
+		count: quiz.count,
+		answer: null,
+		right: false
+	});
 };
 
 
 /**
- * Start a new game, triggering initial rendering and dealing to start a Hand.
+ * Records the outcome of a quiz against the current shoe.
+ * @param {object} result The count, the answer given, and whether it was
+ *     right.
  */
-B.Game.prototype.start = function() {
-    var game;
+B.Trainer.prototype.record = function(result) {
+	var shoes;
 
-	log('Game on.');
+	shoes = this.getShoes();
+	shoes[shoes.length - 1].asked++;
+	if (result.right) {
+		shoes[shoes.length - 1].right++;
+	}
 
-    game = this;
+	this._setQuiz(null);
+	this._setLast(result);
 
-	// Render the game table baseline.
-	this.renderTable(function() {
-        // Update the player's holdings display, and the amount of the minimum bet
-        // to support the new hand.
-        d3.select('#holdings .value').text(game.getPlayer().getHoldings());
-        d3.select('#pot .value').text(game.getPlayer().getBet());
-    });
+	if (DEBUG) {
+		log('Count quiz ' + (result.right ? 'right' : 'wrong') +
+			': running ' + result.running + (result.count === null ? '' :
+			', true ' + result.count) + '.');
+	}
 };
 
 
 /**
- * Responds to notifications that a Hand surrenders.
- * @param {B.Hand} hand The hand which surrendered.
+ * Starts the count over for a freshly shuffled shoe, with a new entry in the
+ * stats once the last shoe has been quizzed on. Cards already on the table
+ * when the shoe runs dry mid-round aren't part of the new shoe, so they're
+ * marked counted, even those still face down.
  */
-B.Game.prototype.surrender = function(hand) {
-
-	if (DEBUG) {
-		log('Hand surrenders: ' + hand.print());
+B.Trainer.prototype.shuffle = function() {
+	var counted,
+		current,
+		shoes;
+
+	counted = this.getCounted();
+	counted.length = 0;
+	counted.push.apply(counted, this.table());
+	this._setRunning(B.Trainer.start(this.getSystem(),
+		this.getGame().getShoe().getSize()));
+
+	shoes = this.getShoes();
+	current = shoes[shoes.length - 1];
+	if (current.asked) {
+		shoes.push({shoe: current.shoe + 1, asked: 0, right: 0});
+		if (shoes.length > B.Trainer.DEFAULT.SHOES) {
+			shoes.shift();
+		}
 	}
-
-	this.checkHands();
 };
 
 
-//  --------------------------------------------------------------------------- 
-//  Application Bootstrap
-//  --------------------------------------------------------------------------- 
-
-/*
- * NOTE:
+/**
+ * Returns a plain object describing the Trainer, suitable for JSON.stringify.
+ * @return {object} The system, the count, and the quiz stats.
  */
+B.Trainer.prototype.toJSON = function() {
+	return {
+		system: this.getName(),
+		running: this.getRunning(),
+		rounds: this.getRounds(),
+		quiz: this.getQuiz(),
+		last: this.getLast(),
+		shoes: this.getShoes()
+	};
+};
 
 
 /**
- * Options for configuration of any Game/Test instances.
- * @type {object} 
+ * Returns the cards on the table, face up or down, the dealer's included.
+ * @return {Array.<B.Card>} The cards.
  */
-B.options = null;
+B.Trainer.prototype.table = function() {
+	var cards,
+		game;
 
+	game = this.getGame();
+	cards = [];
 
-/**
- * Initializes the game and starts it.
- * @param {object} options Optional game configuration options.
- */
-B.init = function(options) {
+	game.getHands().concat(game.getDealer() || []).map(function(hand) {
+		cards.push.apply(cards, hand.getCards());
+	});
 
-	DEBUG = window.location.href.toString().match(/#debug|&debug=true/);
-	if (DEBUG) {
-		log('Debugging output enabled.');
-	}
+	return cards;
+};
 
-	// Cache options for use across all Game/Test invocations.
-	B.options = options;
 
-	B.game = new B.Game(B.options);
-	B.game.start();
+/**
+ * Returns the face-up cards on the table, the dealer's included.
+ * @return {Array.<B.Card>} The cards.
+ */
+B.Trainer.prototype.visible = function() {
+	return this.table().filter(function(card) {
+		return !card.isHoleCard();
+	});
 };
 
 
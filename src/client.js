@@ -0,0 +1,414 @@
+/**
+* @fileoverview The browser client for shared tables hosted by server.js. The
+* server runs the Game, so a B.Client holds no Game of its own: it renders the
+* table the server sends after every change and sends the player's requests
+* back over a WebSocket. The server decides what is allowed, so the controls
+* here only reflect what it says the player may do.
+*
+* @author Scott Shattuck (ss)
+*/
+
+/*jslint anon:true, nomen:true, plusplus:true */
+/*globals d3, window */
+
+(function(root) {
+
+'use strict';
+
+//  ---------------------------------------------------------------------------
+//	Setup
+//  ---------------------------------------------------------------------------
+
+var B;			// The game namespace, loaded by blackjack.js.
+
+
+B = root.B;
+
+
+/*
+ * Log via the game namespace so messages reach both console and #log.
+ * @param {String} msg The message to log.
+ */
+function log(msg) {
+	B.log(msg);
+}
+
+//  ---------------------------------------------------------------------------
+//  Client
+//  ---------------------------------------------------------------------------
+
+/**
+ * Creates and returns a new Client instance connected to a shared table.
+ * @param {string} i The id of the table to join.
+ * @param {string} account A token for the player's account, to play with its
+ *     bankroll. Optional.
+ * @return {B.Client} A new Client instance.
+ * @constructor
+ */
+B.Client = function(i, account) {
+	var client,
+		id,
+		socket,
+		state;
+
+	client = this;
+
+
+	/**
+	 * The id of the table joined.
+	 * @type {string}
+	 */
+	id = i;
+
+
+	/**
+	 * The connection to the server.
+	 * @type {WebSocket}
+	 */
+	socket = new root.WebSocket((root.location.protocol === 'https:' ?
+		'wss://' : 'ws://') + root.location.host + '/tables/' +
+		encodeURIComponent(id) + (account ? '?account=' +
+		encodeURIComponent(account) : ''));
+
+
+	/**
+	 * The table as last sent by the server.
+	 * @type {object}
+	 */
+	state = null;
+
+
+	/**
+	 * Returns the id of the table joined.
+	 * @return {string} The id.
+	 */
+	this.getId = function() {
+		return id;
+	};
+
+
+	/**
+	 * Returns the connection to the server.
+	 * @return {WebSocket} The socket.
+	 */
+	this.getSocket = function() {
+		return socket;
+	};
+
+
+	/**
+	 * Returns the table as last sent by the server.
+	 * @return {object} The table.
+	 */
+	this.getState = function() {
+		return state;
+	};
+
+
+	/**
+	 * Replaces the table as last sent by the server.
+	 * @param {object} value The new table.
+	 * @private
+	 */
+	this._setState = function(value) {
+		state = value;
+	};
+
+	socket.onopen = function() {
+		log('Joined table ' + id + '.');
+	};
+	socket.onmessage = function(evt) {
+		var message;
+
+		message = JSON.parse(evt.data);
+		if (message.type === 'error') {
+			log(message.message);
+			return;
+		}
+		client._setState(message);
+		client.render();
+	};
+	socket.onclose = function() {
+		log('Disconnected from table ' + id + '.');
+		d3.selectAll('button').attr('off', true);
+	};
+
+	this.wire();
+
+	return this;
+};
+
+
+/**
+ * The localStorage key under which the player's account token is kept.
+ * @type {string}
+ */
+B.Client.ACCOUNT_KEY = 'blackjack.account';
+
+
+/**
+ * The markup for a card dealt face down.
+ * @type {string}
+ */
+B.Client.BACK = '<img src="images/bicycle-cards.png"' +
+	' width="100px" height="135px"></img>';
+
+
+/**
+ * Returns the markup for a card sent by the server. Face-down cards arrive as
+ * null.
+ * @param {object} d The card, with its label and symbol.
+ * @return {string} The markup.
+ */
+B.Client.face = function(d) {
+    return d ? '<span class="label">' + d.label + '</span>' +
+        '<span class="symbol">' + d.symbol + '</span>' : B.Client.BACK;
+};
+
+
+/**
+ * Returns true if the server says the player may take an action now.
+ * @param {string} action The action, for example 'hit'.
+ * @return {boolean} True if the action is available.
+ */
+B.Client.prototype.can = function(action) {
+	var state;
+
+	state = this.getState();
+	return !!state && !!state.turn && state.turn.seat === state.you &&
+		state.turn.actions.indexOf(action) !== -1;
+};
+
+
+/**
+ * Renders the table as last sent by the server.
+ */
+B.Client.prototype.render = function() {
+    var between,
+        client,
+        mine,
+        me,
+        state,
+        turn,
+        width;
+
+    client = this;
+    state = this.getState();
+    turn = state.turn;
+    mine = !!turn && turn.seat === state.you;
+    between = state.state === 'pregame' || state.state === 'postgame';
+    me = state.players && state.players[state.you];
+
+    d3.select('#player .name').text(state.you === -1 ? 'Table ' +
+        state.table : 'Seat ' + (state.you + 1));
+
+    // Nobody is seated until someone asks for a seat.
+    if (state.state === 'empty') {
+        d3.selectAll('.card').remove();
+        d3.selectAll('.hand').remove();
+        d3.selectAll('div.seat').remove();
+        d3.select('#buyin').attr('open', false);
+        d3.selectAll('#controls button, #bets button').attr('off', true);
+        d3.select('#deal').text('sit').attr('off', false);
+        log(state.waiting ? 'Waiting for a seat.' : 'The table is empty.');
+        return;
+    }
+
+    d3.selectAll('#limits .value').
+        data([state.limits.min, state.limits.max]).
+        text(function(d) {
+            return d;
+        });
+    d3.select('#rules').text(state.rules);
+
+    // The server's own seeds fix each shoe, so there's no client seed to set.
+    d3.select('#fair').style('display', state.fairness ? null : 'none');
+    if (state.fairness) {
+        d3.select('#fair .hash').text(state.fairness.hash);
+        d3.select('#fair .client').property('disabled', true);
+        d3.select('#fair .reveal').text(state.fairness.server ?
+            'last shoe: server ' + state.fairness.server + ' client ' +
+            state.fairness.client : '');
+    }
+
+    // The dealer.
+    d3.select('#dealer').selectAll('div.card').
+        data(state.dealer ? state.dealer.cards : []).
+        call(function(cards) {
+            cards.enter().append('div').
+                attr('class', 'card');
+            cards.exit().remove();
+            cards.html(B.Client.face);
+        });
+    d3.select('#dealer .score').text(state.dealer &&
+        state.dealer.score !== null ? state.dealer.score : '');
+
+    // Every seat's Hands, side by side, with the Hand being waited on
+    // highlighted.
+    width = 100 / (state.hands.length || 1);
+    d3.select('#player').selectAll('div.hand').data(state.hands).
+        call(function(boxes) {
+            boxes.enter().append('div').
+                attr('class', 'hand').
+                append('span').
+                    attr('class', 'tally');
+            boxes.exit().remove();
+
+            boxes.style('left', function(d, i) {
+                    return (i * width) + '%';
+                }).
+                style('width', width + '%').
+                classed('active', function(d, i) {
+                    return !!turn && turn.hand === i;
+                }).
+                classed('doubled', function(d) {
+                    return d.state === 'doubled';
+                });
+
+            boxes.select('.tally').text(function(d) {
+                return '#' + (d.seat + 1) + ' $' + d.bet +
+                    (d.state === 'doubled' ? ' doubled' : '') + ' : ' +
+                    (d.score === null ? B.Card.HOLE_CARD : d.score);
+            });
+
+            boxes.each(function(d) {
+                var cards;
+
+                cards = d3.select(this).selectAll('div.card').data(d.cards);
+                cards.enter().append('div').
+                    attr('class', 'card');
+                cards.exit().remove();
+                cards.html(B.Client.face);
+            });
+        });
+    d3.select('#player .score').text(mine && turn.hand !== -1 ?
+        state.hands[turn.hand].score : '');
+
+    // A bet circle per seat, with this client's seat selected.
+    d3.select('#seats').selectAll('div.seat').data(state.players).
+        call(function(circles) {
+            circles.enter().append('div').
+                attr('class', 'seat');
+            circles.exit().remove();
+
+            circles.style('left', function(d, i) {
+                    return (i * 100 / state.players.length) + '%';
+                }).
+                style('width', (100 / state.players.length) + '%').
+                classed('selected', function(d) {
+                    return d.seat === state.you;
+                }).
+                classed('active', function(d) {
+                    return !!turn && turn.seat === d.seat;
+                }).
+                html(function(d) {
+                    return '<span class="bet">$' + d.bet + '</span>' +
+                        '<span class="holdings">' + (d.name || d.seat + 1) +
+                        ': $' + d.holdings + '</span>';
+                });
+        });
+
+    d3.select('#holdings .value').text(me ? me.holdings : '');
+    d3.select('#pot .value').text(me ? me.bet : '');
+
+    // Bets go in between rounds, within the limits and the player's chips.
+    d3.selectAll('#bets button').attr('off', function() {
+        var amount;
+
+        amount = parseInt(this.innerHTML, 10);
+        return !me || !between || amount > me.holdings ||
+            me.bet + amount > state.limits.max;
+    });
+
+    // Anyone seated may deal between rounds. Anyone else may ask to sit.
+    d3.select('#deal').
+        text(state.you === -1 ? 'sit' : 'deal').
+        attr('off', state.you === -1 ? state.waiting : !between);
+    d3.select('#quit').
+        text('leave').
+        attr('off', !me || !between);
+
+    ['hit', 'stand', 'double', 'split', 'surrender'].map(function(action) {
+        d3.select('#' + action).attr('off', !client.can(action));
+    });
+    d3.select('#surrender').attr('early', mine && turn.kind === 'insurance');
+
+    d3.select('#controls').attr('offer', mine && turn.kind === 'insurance');
+    d3.select('#insure').
+        text(client.can('evenmoney') ? 'even money' : 'insure').
+        attr('off', !client.can('evenmoney') && !client.can('insure'));
+    d3.select('#decline').attr('off', !client.can('decline'));
+
+    d3.select('#buyin').attr('open', mine && turn.kind === 'buying');
+    if (mine && turn.kind === 'buying') {
+        d3.select('#buyin .seat').text('Seat ' + (state.you + 1));
+        d3.select('#buyin .limit').text('$' + state.limits.buyin);
+        d3.select('#buyin .amount').
+            attr('max', state.limits.buyin).
+            property('value', state.limits.buyin);
+    }
+
+    if (state.waiting) {
+        log('Waiting for the round to end to take a seat.');
+    } else if (turn) {
+        log((mine ? 'Your turn' : 'Seat ' + (turn.seat + 1) + ' to act') +
+            ', ' + Math.ceil(turn.remaining / 1000) + 's.');
+    }
+};
+
+
+/**
+ * Sends a request to the server.
+ * @param {object} message The request, with a type and any arguments.
+ */
+B.Client.prototype.send = function(message) {
+	this.getSocket().send(JSON.stringify(message));
+};
+
+
+/**
+ * Connects the page's controls to requests to the server. The server checks
+ * every request, so the controls only need to say what was asked.
+ */
+B.Client.prototype.wire = function() {
+    var client;
+
+    client = this;
+
+    d3.selectAll('#bets button').on('click', function() {
+        if (this.attributes.off && this.attributes.off.value === 'true') {
+            return;
+        }
+        client.send({type: 'bet', amount: parseInt(this.innerHTML, 10)});
+    });
+
+    d3.select('#deal').on('click', function() {
+        var state = client.getState();
+        client.send({type: state && state.you === -1 ? 'sit' : 'deal'});
+    });
+    d3.select('#quit').on('click', function() {
+        client.send({type: 'leave'});
+    });
+
+    ['hit', 'stand', 'double', 'split', 'surrender', 'decline'].map(
+        function(action) {
+            d3.select('#' + action).on('click', function() {
+                client.send({type: action});
+            });
+        });
+    d3.select('#insure').on('click', function() {
+        client.send({type: client.can('evenmoney') ? 'evenmoney' : 'insure'});
+    });
+
+    d3.select('#buyin .buy').on('click', function() {
+        client.send({
+            type: 'buyin',
+            amount: parseInt(d3.select('#buyin .amount').property('value'), 10)
+        });
+    });
+    d3.select('#buyin .leave').on('click', function() {
+        client.send({type: 'leave'});
+    });
+};
+
+}(this));
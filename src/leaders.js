@@ -0,0 +1,207 @@
+/**
+* @fileoverview The leaderboard panel. A B.Leaderboard fetches the rankings
+* server.js rolls up from its players' accounts and renders them with d3, for
+* today, this week or all time. Without a server there are no rankings, so the
+* panel stays hidden.
+*
+* @author Scott Shattuck (ss)
+*/
+
+/*jslint anon:true, nomen:true, plusplus:true */
+/*globals d3, window */
+
+(function(root) {
+
+'use strict';
+
+//  ---------------------------------------------------------------------------
+//	Setup
+//  ---------------------------------------------------------------------------
+
+var B;			// The game namespace, loaded by blackjack.js.
+
+
+B = root.B;
+
+//  ---------------------------------------------------------------------------
+//  Leaderboard
+//  ---------------------------------------------------------------------------
+
+/**
+ * Creates and returns a new Leaderboard instance, which fetches the rankings
+ * now and then every REFRESH milliseconds while the page is open.
+ * @param {string} u The url the rankings are served from. Defaults to
+ *     /leaderboards.
+ * @return {B.Leaderboard} A new Leaderboard instance.
+ * @constructor
+ */
+B.Leaderboard = function(u) {
+	var data,
+		url;
+
+
+	/**
+	 * The rankings as last fetched, by period and board.
+	 * @type {object}
+	 */
+	data = null;
+
+
+	/**
+	 * The url the rankings are served from.
+	 * @type {string}
+	 */
+	url = u || '/leaderboards';
+
+
+	/**
+	 * Returns the rankings as last fetched.
+	 * @return {object} The rankings, or null before the first fetch.
+	 */
+	this.getData = function() {
+		return data;
+	};
+
+
+	/**
+	 * Returns the url the rankings are served from.
+	 * @return {string} The url.
+	 */
+	this.getUrl = function() {
+		return url;
+	};
+
+
+	/**
+	 * Replaces the rankings.
+	 * @param {object} value The new rankings.
+	 * @private
+	 */
+	this._setData = function(value) {
+		data = value;
+	};
+
+	this.wire();
+	this.fetch();
+	root.setInterval(this.fetch.bind(this), B.Leaderboard.REFRESH);
+
+	return this;
+};
+
+
+/**
+ * The boards, in the order shown, with their titles.
+ * @type {Array.<{key: string, title: string}>}
+ */
+B.Leaderboard.BOARDS = [
+	{key: 'bankroll', title: 'Highest bankroll'},
+	{key: 'win', title: 'Biggest win'},
+	{key: 'streak', title: 'Longest streak'},
+	{key: 'blackjacks', title: 'Most blackjacks'}
+];
+
+
+/**
+ * How often the rankings are fetched again, in milliseconds.
+ * @type {number}
+ */
+B.Leaderboard.REFRESH = 60000;
+
+
+/**
+ * The period shown: 'day', 'week' or 'all'.
+ * @type {string}
+ */
+B.Leaderboard.prototype.period = 'day';
+
+
+/**
+ * Fetches the rankings and renders them.
+ */
+B.Leaderboard.prototype.fetch = function() {
+	var leaders;
+
+	leaders = this;
+	d3.json(this.getUrl(), function(json) {
+		leaders._setData(json);
+		leaders.render();
+	});
+};
+
+
+/**
+ * Renders the rankings for the period selected.
+ */
+B.Leaderboard.prototype.render = function() {
+    var boards,
+        data,
+        leaders;
+
+    leaders = this;
+    data = this.getData();
+
+    d3.select('#leaders').style('display', data ? null : 'none');
+    if (!data) {
+        return;
+    }
+
+    d3.selectAll('#leaders .periods button').
+        classed('selected', function() {
+            return this.getAttribute('data-period') === leaders.period;
+        });
+
+    boards = d3.select('#leaders .boards').selectAll('div.board').
+        data(B.Leaderboard.BOARDS);
+    boards.enter().append('div').
+        attr('class', 'board').
+        call(function(board) {
+            board.append('h4');
+            board.append('ol');
+        });
+
+    boards.select('h4').text(function(d) {
+        return d.title;
+    });
+
+    boards.each(function(d) {
+        var rows;
+
+        rows = d3.select(this).select('ol').selectAll('li').
+            data(data[leaders.period].boards[d.key]);
+        rows.enter().append('li');
+        rows.exit().remove();
+        rows.html(function(row) {
+            return '<span class="name"></span><span class="value"></span>';
+        });
+        rows.select('.name').text(function(row) {
+            return row.name;
+        });
+        rows.select('.value').text(function(row) {
+            return d.key === 'bankroll' || d.key === 'win' ?
+                '$' + row.value : row.value;
+        });
+    });
+};
+
+
+/**
+ * Connects the panel's controls: the toggle which opens and closes it, and
+ * the buttons choosing the period.
+ */
+B.Leaderboard.prototype.wire = function() {
+    var leaders;
+
+    leaders = this;
+
+    d3.select('#leaders .toggle').on('click', function() {
+        var panel = d3.select('#leaders');
+        panel.attr('open', panel.attr('open') !== 'true');
+    });
+
+    d3.selectAll('#leaders .periods button').on('click', function() {
+        leaders.period = this.getAttribute('data-period');
+        leaders.render();
+    });
+};
+
+}(this));
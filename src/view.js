@@ -0,0 +1,1395 @@
+/**
+* @fileoverview The browser view for the blackjack engine in blackjack.js. The
+* engine has no knowledge of d3 or the DOM. Instead a B.View subscribes to a
+* B.Game's events and renders the table, wiring the page's controls back to
+* the Game and its Hands.
+*
+* @author Scott Shattuck (ss)
+*/
+
+/*jslint anon:true, nomen:true, plusplus:true */
+/*globals d3, window */
+
+(function(root) {
+
+'use strict';
+
+//  --------------------------------------------------------------------------- 
+//	Setup
+//  --------------------------------------------------------------------------- 
+
+var B;			// The game namespace, loaded by blackjack.js.
+
+
+B = root.B;
+
+
+// Trap uncaught exceptions that might try to slip past us.
+window.onerror = function(msg, url, line) {
+	log('ERROR @ ' + url + '[' + (line || 0) + '] - ' + msg);
+	return true;
+};
+
+
+/*
+ * Log via the game namespace so messages reach both console and #log.
+ * @param {String} msg The message to log.
+ */
+function log(msg) {
+	B.log(msg);
+}
+
+//  --------------------------------------------------------------------------- 
+//  View
+//  --------------------------------------------------------------------------- 
+
+/**
+ * Creates and returns a new View instance. The View subscribes to the Game's
+ * events and renders each change into the page.
+ * @param {B.Game} g The game to render.
+ * @return {B.View} A new View instance.
+ * @constructor
+ */
+B.View = function(g) {
+	var game;
+
+	/**
+	 * The game being rendered.
+	 * @type {B.Game}
+	 */
+	game = g;
+
+
+	/**
+	 * Returns the game being rendered.
+	 * @return {B.Game} The game.
+	 */
+	this.getGame = function() {
+		return game;
+	};
+
+
+	// Subscribe to the Game. Each event maps to the render method which
+	// brings the page up to date.
+	game.on('start', this.renderTable.bind(this));
+	game.on('deal', this.renderDeal.bind(this));
+	game.on('bet', this.renderBet.bind(this));
+	game.on('buying', this.renderBuyIn.bind(this));
+	game.on('buyin', this.renderBuyIn.bind(this));
+	game.on('change', this.renderHands.bind(this));
+	game.on('fairness', this.renderFairness.bind(this));
+	game.on('roundEnd', this.renderHistory.bind(this));
+	game.on('deal', this.renderCount.bind(this));
+	game.on('change', this.renderCount.bind(this));
+	game.on('roundEnd', this.renderCount.bind(this));
+	game.on('leave', this.renderBet.bind(this));
+	game.on('leave', this.renderBuyIn.bind(this));
+	game.on('quit', this.renderQuit.bind(this));
+
+	// Keep a saved copy of the game so closing the tab loses nothing. A
+	// player who quits is done with the game, so the copy goes with them.
+	game.on('bet', this.save.bind(this));
+	game.on('change', this.save.bind(this));
+	game.on('leave', this.save.bind(this));
+	game.on('quit', B.View.forget);
+
+	return this;
+};
+
+
+/**
+ * The localStorage key under which the game is saved.
+ * @type {string}
+ */
+B.View.STORAGE_KEY = 'blackjack.game';
+
+
+/**
+ * The tables of a strategy chart, in the order shown.
+ * @type {Array.<string>}
+ */
+B.View.TABLES = ['hard', 'soft', 'pairs'];
+
+
+/**
+ * The dealer's up-cards heading a strategy chart's columns.
+ * @type {Array.<string>}
+ */
+B.View.UPCARDS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'A'];
+
+
+/**
+ * Downloads text as a file.
+ * @param {string} name The file's name.
+ * @param {string} type The file's MIME type.
+ * @param {string} text The file's contents.
+ */
+B.View.download = function(name, type, text) {
+    var link,
+        url;
+
+    url = root.URL.createObjectURL(new root.Blob([text], {type: type}));
+
+    link = root.document.createElement('a');
+    link.href = url;
+    link.download = name;
+    root.document.body.appendChild(link);
+    link.click();
+    root.document.body.removeChild(link);
+    root.URL.revokeObjectURL(url);
+};
+
+
+/**
+ * Removes any saved game from localStorage.
+ */
+B.View.forget = function() {
+	try {
+		root.localStorage.removeItem(B.View.STORAGE_KEY);
+	} catch (e) {
+		log('Unable to remove saved game: ' + e.message);
+	}
+};
+
+
+/**
+ * Returns the label for a row of a strategy chart: the total for hard and
+ * soft hands, or the pair.
+ * @param {string} table The chart's table: 'hard', 'soft' or 'pairs'.
+ * @param {string} row The row's key in the table.
+ * @return {string} The label.
+ */
+B.View.label = function(table, row) {
+    var card;
+
+    if (table !== 'pairs') {
+        return row;
+    }
+
+    card = row === '11' ? 'A' : row;
+    return card + '/' + card;
+};
+
+
+/**
+ * Returns the game saved in localStorage, if there is one that can resume.
+ * A saved game which fails to load is removed so it can't fail again.
+ * @return {B.Game} The saved game, or null.
+ */
+B.View.restore = function() {
+	var saved;
+
+	try {
+		saved = root.localStorage.getItem(B.View.STORAGE_KEY);
+		if (!saved) {
+			return null;
+		}
+		return B.Game.fromJSON(JSON.parse(saved));
+	} catch (e) {
+		log('Unable to resume saved game: ' + e.message);
+		B.View.forget();
+		return null;
+	}
+};
+
+
+/**
+ * The exact EVs shown in debug mode, with the Hand they're for and the
+ * number of cards it held.
+ * @type {{hand: B.Hand, size: number, ev: object}}
+ */
+B.View.prototype.ev = null;
+
+
+/**
+ * The number of the round shown in the history panel. Null shows the latest.
+ * @type {number}
+ */
+B.View.prototype.round = null;
+
+
+/**
+ * Save state. True while a save is waiting to run.
+ * @type {boolean}
+ */
+B.View.prototype.saving = false;
+
+
+/**
+ * The seat whose bet the betting buttons change, counting from zero.
+ * @type {number}
+ */
+B.View.prototype.seat = 0;
+
+
+/**
+ * The strategy chart for the table's rules, once it's been worked out.
+ * @type {object}
+ */
+B.View.prototype.strategy = null;
+
+
+/**
+ * True while the count trainer's tray overlay, showing the decks dealt and
+ * the decks left, is shown.
+ * @type {boolean}
+ */
+B.View.prototype.tray = false;
+
+
+/**
+ * Downloads the rounds in the game's history, as JSON or as readable text.
+ * @param {string} format Either 'json' or 'text'.
+ */
+B.View.prototype.exportHistory = function(format) {
+    var history;
+
+    history = this.getGame().getHistory();
+
+    if (format === 'json') {
+        B.View.download('blackjack-history.json', 'application/json',
+            JSON.stringify(history.getRounds(), null, 2));
+    } else {
+        B.View.download('blackjack-history.txt', 'text/plain',
+            history.toText());
+    }
+};
+
+
+/**
+ * Downloads the strategy chart for the table's rules, as JSON with the EVs
+ * behind it or as CSV with a row per total.
+ * @param {string} format Either 'json' or 'csv'.
+ */
+B.View.prototype.exportStrategy = function(format) {
+    var chart,
+        game,
+        lines;
+
+    game = this.getGame();
+    chart = this.getStrategy();
+
+    if (format === 'json') {
+        B.View.download('blackjack-strategy.json', 'application/json',
+            JSON.stringify({
+                rules: game.getRules().describe(),
+                decks: game.getShoe().getSize(),
+                hard: chart.hard,
+                soft: chart.soft,
+                pairs: chart.pairs,
+                ev: chart.ev
+            }, null, 2));
+        return;
+    }
+
+    lines = [['table', 'hand'].concat(B.View.UPCARDS).join(',')];
+    B.View.TABLES.map(function(table) {
+        Object.keys(chart[table]).map(function(row) {
+            lines.push([table, B.View.label(table, row)].
+                concat(chart[table][row]).join(','));
+        });
+    });
+
+    B.View.download('blackjack-strategy.csv', 'text/csv',
+        lines.join('\n') + '\n');
+};
+
+
+/**
+ * Returns the Player in the seat selected for betting. If that seat has since
+ * been given up the selection moves to the last seat still taken. Seats the
+ * computer plays bet for themselves, so the first seat a person plays is
+ * selected instead where there is one.
+ * @return {B.Player} The selected player.
+ */
+B.View.prototype.getSelectedPlayer = function() {
+    var players,
+        people;
+
+    players = this.getGame().getPlayers();
+    this.seat = Math.min(this.seat, players.length - 1);
+
+    people = players.filter(function(player) {
+        return !player.isComputer();
+    });
+    if (players[this.seat].isComputer() && people.length) {
+        this.seat = people[0].getSeat();
+    }
+
+    return players[this.seat];
+};
+
+
+/**
+ * Returns the strategy chart for the table's rules and shoe, working it out
+ * the first time it's asked for.
+ * @return {object} The chart. See B.EV.chart.
+ */
+B.View.prototype.getStrategy = function() {
+    var game;
+
+    if (!this.strategy) {
+        game = this.getGame();
+        this.strategy = B.EV.chart(game.getRules(), game.getShoe().getSize());
+    }
+
+    return this.strategy;
+};
+
+
+/**
+ * Renders new data related to the betting process.
+ */
+B.View.prototype.renderBet = function() {
+    var game,
+        player;
+
+    game = this.getGame();
+    player = this.getSelectedPlayer();
+    log('seat ' + (this.seat + 1) + ' bet: ' + player.getBet());
+
+    d3.selectAll('#bets button').attr('off', function() {
+        var bet,
+            amount;
+        // If the button amount would violate the rules (over max, money
+        // player doens't have) then it's off. Computer players bet alone.
+        if (player.isComputer()) {
+            return true;
+        }
+        bet = player.getBet();
+        amount = parseInt(this.innerHTML);
+        if ((bet + amount) > player.getHoldings()) {
+            return true;
+        }
+        if ((bet + amount) > game.getMaximumBet()) {
+            return true;
+        }
+        return false;
+    });
+    d3.selectAll('#bets button').on('click', function() {
+        // If the button amount would violate the rules (over max, money
+        // player doens't have) then it should ignore clicks.
+        if (this.attributes.off.value === 'true' || player.isComputer()) {
+            return;
+        }
+        player.increaseBet(parseInt(this.innerHTML, 10));
+    });
+
+    d3.select('#holdings .value').text(player.getHoldings());
+    d3.select('#pot .value').text(player.getBet());
+
+    this.renderSeats();
+};
+
+
+/**
+ * Renders the buy-in dialog, which is open only while the Game is waiting for
+ * a player to buy more chips or leave the table.
+ */
+B.View.prototype.renderBuyIn = function() {
+    var game,
+        limit,
+        open,
+        player;
+
+    game = this.getGame();
+    open = game.getFSM().is('buying');
+
+    d3.select('#buyin').attr('open', open);
+    if (!open) {
+        return;
+    }
+
+    player = game.getNextBuyer();
+    d3.select('#buyin .seat').text(game.getPlayers().length > 1 ?
+        'Seat ' + (player.getSeat() + 1) : 'Player');
+
+    limit = game.getMaximumBuyIn();
+    d3.select('#buyin .limit').text('$' + limit);
+    d3.select('#buyin .amount').
+        attr('max', limit).
+        property('value', limit);
+
+    d3.select('#buyin .buy').on('click', function() {
+        game.buyIn(parseInt(d3.select('#buyin .amount').property('value'),
+            10));
+    });
+    d3.select('#buyin .leave').on('click', function() {
+        game.leave();
+    });
+
+    // Nothing else can happen at the table until the player decides.
+    d3.select('#deal').attr('off', true);
+};
+
+
+/**
+ * Renders the count trainer's panel, if the game has a trainer: the system
+ * and how the current shoe's quizzes have gone, the quiz waiting on an
+ * answer, and the count the last quiz was after, revealed once it's been
+ * answered. The tray overlay shows the decks remaining as they'd be judged
+ * from the discard tray and the cards on the table.
+ */
+B.View.prototype.renderCount = function() {
+    var last,
+        quiz,
+        shoe,
+        sign,
+        system,
+        trainer;
+
+    trainer = this.getGame().getTrainer();
+    d3.select('#count').style('display', trainer ? 'block' : 'none');
+    if (!trainer) {
+        return;
+    }
+
+    // Counts read with their sign, as they're called at the table.
+    sign = function(value) {
+        return value > 0 ? '+' + value : String(value);
+    };
+
+    system = trainer.getSystem();
+    shoe = trainer.getShoes()[trainer.getShoes().length - 1];
+    quiz = trainer.getQuiz();
+    last = trainer.getLast();
+
+    d3.select('#count .summary').text(system.name + ' \u2022 shoe ' +
+        shoe.shoe + ' \u2022 ' + shoe.right + ' of ' + shoe.asked + ' right' +
+        (shoe.asked ? ' (' + Math.round(shoe.right / shoe.asked * 100) +
+            '%)' : ''));
+
+    d3.select('#count .tray').
+        style('display', this.tray ? 'block' : 'none').
+        text(trainer.getDealt().toFixed(1) + ' decks dealt \u2022 ' +
+            trainer.getDecksRemaining() + ' left');
+    d3.select('#count .toggle').attr('open', this.tray);
+
+    d3.select('#count .quiz').style('display', quiz ? 'block' : 'none');
+    d3.select('#count .quiz .true').
+        style('display', system.balanced ? 'block' : 'none');
+
+    d3.select('#count .result').text(!last || quiz ? '' :
+        (last.right ? 'Right: ' : last.answer ? 'Not quite: ' : 'Missed: ') +
+        'running ' + sign(last.running) + (last.count === null ? '' :
+            ', true ' + sign(last.count)));
+};
+
+
+/**
+ * Renders a fresh set of visuals for a fresh deal.
+ */
+B.View.prototype.renderDeal = function() {
+    var player;
+
+    // Remove all active cards and the containers for any split Hands.
+    d3.selectAll('.card').remove();
+    d3.selectAll('.hand').remove();
+
+    // Clear all current score values.
+    d3.select('#dealer .score').text('');
+    d3.select('#player .score').text('');
+
+    // Update the player's holdings display, and the amount of the minimum bet
+    // to support the new hand.
+    player = this.getSelectedPlayer();
+    d3.select('#holdings .value').text(player.getHoldings());
+    d3.select('#pot .value').text(player.getBet());
+
+    this.renderSeats();
+};
+
+
+/**
+ * Renders the exact EV of each action open to a Hand, best first, worked out
+ * from the cards left in the shoe. The EVs are only worked out again once the
+ * Hand has drawn.
+ * @param {B.Hand} hand The Hand in play, if a person is playing one.
+ */
+B.View.prototype.renderEV = function(hand) {
+    var actions,
+        ev,
+        items;
+
+    ev = null;
+    if (hand && hand.getCards().length >= 2 &&
+            !this.getGame().getInsurable().length) {
+        if (!this.ev || this.ev.hand !== hand ||
+                this.ev.size !== hand.getCards().length) {
+            this.ev = {
+                hand: hand,
+                size: hand.getCards().length,
+                ev: B.EV.hand(hand)
+            };
+        }
+        ev = this.ev.ev;
+    }
+
+    actions = ev ? Object.keys(ev).sort(function(a, b) {
+        return ev[b] - ev[a];
+    }) : [];
+
+    d3.select('#ev').style('display', 'block');
+
+    items = d3.select('#ev').selectAll('li').data(actions);
+    items.enter().append('li');
+    items.exit().remove();
+
+    items.text(function(d) {
+            var single = {};
+            single[d] = ev[d];
+            return B.EV.print(single);
+        }).
+        classed('best', function(d, i) {
+            return i === 0;
+        });
+};
+
+
+/**
+ * Renders the house edge for the table's rules and shoe against a player who
+ * sticks to basic strategy, and what it costs at the minimum bet. Working it
+ * out takes a moment, so the edge follows shortly after the table. A
+ * continuous shuffler doesn't change the edge on a hand, only how many hands
+ * are dealt an hour.
+ */
+B.View.prototype.renderEdge = function() {
+    var view;
+
+    view = this;
+    setTimeout(function() {
+        var edge,
+            game,
+            shoe;
+
+        game = view.getGame();
+        shoe = game.getShoe();
+        edge = B.EV.edge(game.getRules(), shoe.getSize(),
+            view.getStrategy());
+
+        d3.select('#edge .value').text((edge * 100).toFixed(2) + '%');
+        d3.select('#edge .cost').text((edge < 0 ? 'pays the player $' :
+            'costs $') + Math.abs(edge * game.getMinimumBet() * 100).
+                toFixed(2) + ' per 100 hands at $' + game.getMinimumBet() +
+            (shoe.isContinuous() ? ', more hands an hour with a CSM' : ''));
+    }, 0);
+};
+
+
+/**
+ * Renders the provably fair commitment for the current shoe, along with the
+ * seeds of the most recently finished shoe so it can be verified.
+ */
+B.View.prototype.renderFairness = function() {
+    var commitment,
+        game,
+        last,
+        revealed;
+
+    game = this.getGame();
+
+    commitment = game.getCommitment();
+    if (!commitment) {
+        d3.select('#fair').style('display', 'none');
+        return;
+    }
+
+    d3.select('#fair .hash').text(commitment.getHash()).
+        attr('title', 'SHA-256 of this shoe\'s server seed');
+
+    d3.select('#fair .client').
+        property('value', game.getClientSeed()).
+        on('change', function() {
+            game.setClientSeed(this.value);
+        });
+
+    revealed = game.getRevealed();
+    last = revealed[revealed.length - 1];
+    d3.select('#fair .reveal').text(last ? 'last shoe: server ' +
+        last.getServerSeed() + ' client ' + last.getClientSeed() : '');
+};
+
+
+/**
+ * Renders the Hands being played. This method can be called multiple times as
+ * the Hands change during play.
+ */
+B.View.prototype.renderHands = function() {
+    var active,
+        advice,
+        advisor,
+        back,
+        dealer,
+        face,
+        asked,
+        game,
+        hands,
+        boxes,
+        human,
+        mine,
+        offer,
+        playing,
+        seated,
+        width;
+
+    if (B.debug()) {
+        log('Rendering hands.');
+    }
+
+    game = this.getGame();
+
+    // Produces the markup for the face of a card.
+    face = function(d) {
+        return '<span class="label">' + d.getLabel() + '</span>' +
+            '<span class="symbol">' + d.getSymbol() + '</span>';
+    };
+
+    // The markup for a card dealt face down.
+    back = '<img src="images/bicycle-cards.png"' +
+        ' width="100px" height="135px"></img>';
+
+    // Render the dealer's cards.
+    dealer = game.getDealer();
+    d3.select('#dealer').selectAll('div').data(dealer.getCards()).
+        enter().append('div').
+            attr('class', 'card').
+            html(function(d) {
+                return d.isHoleCard() ? back : face(d);
+            });
+
+    // Until the dealer shows their hand we can skip updating. But once they
+    // show() and turn off hole card hiding we need to update.
+    if (dealer.hasHoleCards()) {
+        d3.select('#dealer .score').text('');
+    } else {
+        d3.select('#dealer').selectAll('.card').data(dealer.getCards()).
+            html(face);
+        d3.select('#dealer img').attr('display', 'none');
+        d3.select('#dealer .score').text(dealer.getScore());
+    }
+
+    // Render the player's Hands side by side, one container per Hand, with
+    // the Hand currently in play highlighted. While insurance is on offer the
+    // Hand being asked is the one highlighted, and no Hand can play yet.
+    hands = game.getHands();
+    offer = game.getInsurable()[0];
+    playing = offer ? undefined : game.getNextHand();
+    active = offer || playing;
+    width = 100 / (hands.length || 1);
+
+    // With more than one seat each Hand is labeled with its seat.
+    seated = function(d) {
+        return game.getPlayers().length > 1 ?
+            '#' + (d.getPlayer().getSeat() + 1) + ' ' : '';
+    };
+
+    // Hands played by the computer are shown but can't be acted on here.
+    human = function(hand) {
+        return hand && !hand.getPlayer().isComputer() ? hand : undefined;
+    };
+    asked = human(offer);
+    mine = human(playing);
+
+    boxes = d3.select('#player').selectAll('div.hand').data(hands);
+    boxes.enter().append('div').
+        attr('class', 'hand').
+        append('span').
+            attr('class', 'tally');
+    boxes.exit().remove();
+
+    boxes.style('left', function(d, i) {
+            return (i * width) + '%';
+        }).
+        style('width', width + '%').
+        classed('active', function(d) {
+            return d === active;
+        }).
+        classed('doubled', function(d) {
+            return d.getFSM().current === 'doubled';
+        });
+
+    // A face-down double keeps the Hand's score hidden until it's shown.
+    boxes.select('.tally').text(function(d) {
+        return seated(d) + '$' + d.getBet() +
+            (d.getFSM().current === 'doubled' ? ' doubled' : '') + ' : ' +
+            (d.hasHoleCards() ? B.Card.HOLE_CARD : d.getScore());
+    });
+
+    // Cards are joined per Hand. Splitting removes a card from the original
+    // Hand so we handle exits as well as new cards.
+    boxes.each(function(d) {
+        var cards;
+
+        cards = d3.select(this).selectAll('div.card').data(d.getCards());
+        cards.enter().append('div').
+            attr('class', 'card');
+        cards.exit().remove();
+        cards.html(function(d) {
+            return d.isHoleCard() ? back : face(d);
+        });
+    });
+
+    d3.select('#player .score').text(active ? active.getScore() : '');
+
+    // Chips and pot follow the seat in play, or the seat selected for betting
+    // between rounds.
+    if (active) {
+        d3.select('#player .name').text(seated(active) ?
+            'Seat ' + (active.getPlayer().getSeat() + 1) : 'Player');
+        d3.select('#holdings .value').text(active.getPlayer().getHoldings());
+        d3.select('#pot .value').text(active.getBet());
+    }
+
+    // Connect hand-specific event handlers. The Hand is looked up at the time
+    // of the click so actions always route to the Hand currently in play.
+    d3.select('#hit').on('click',
+        function() {
+            var hand = human(game.getNextHand());
+            if (hand && hand.canHit() && !game.getInsurable().length) {
+                hand.hit();
+            }
+        });
+    d3.select('#stand').on('click',
+        function() {
+            var hand = human(game.getNextHand());
+            if (hand && !game.getInsurable().length) {
+                hand.stand();
+            }
+        });
+    d3.select('#double').on('click',
+        function() {
+            var hand = human(game.getNextHand());
+            if (hand && hand.canDouble() && !game.getInsurable().length) {
+                hand.double();
+            }
+        });
+    d3.select('#split').on('click',
+        function() {
+            var hand = human(game.getNextHand());
+            if (hand && hand.canSplit() && !game.getInsurable().length) {
+                hand.split();
+            }
+        });
+    d3.select('#surrender').on('click',
+        function() {
+            var hand = human(game.getInsurable()[0] || game.getNextHand());
+            if (hand && hand.canSurrender()) {
+                hand.surrender();
+            }
+        });
+
+    // Insurance controls act on the first Hand still waiting to decide. A
+    // blackjack is offered even money rather than insurance.
+    d3.select('#insure').on('click',
+        function() {
+            var hand = human(game.getInsurable()[0]);
+            if (!hand) {
+                return;
+            }
+            if (hand.canEvenMoney()) {
+                hand.evenMoney();
+            } else if (hand.canInsure() &&
+                    hand.getPlayer().getHoldings() >= hand.getBet() / 2) {
+                hand.insure();
+            }
+        });
+    d3.select('#decline').on('click',
+        function() {
+            var hand = human(game.getInsurable()[0]);
+            if (hand) {
+                hand.declineInsurance();
+            }
+        });
+
+    if (active) {
+        d3.selectAll('#bets button').attr('off', true);
+        // By default the buttons for betting are not active.
+        d3.selectAll('#bets button').on('click', function() {
+            return;
+        });
+        this.renderSeats(active.getPlayer());
+    } else {
+        d3.select('#player .name').text('Player');
+        this.renderBet();
+    }
+
+    // Update button states for visible feedback.
+    d3.select('#hit').attr('off', function(d) {
+        return !mine || !mine.canHit();
+    });
+    d3.select('#stand').attr('off', function(d) {
+        return !mine;
+    });
+    d3.select('#double').attr('off', function(d) {
+        return !mine || !mine.canDouble();
+    });
+    d3.select('#split').attr('off', function(d) {
+        return !mine || !mine.canSplit();
+    });
+    d3.select('#surrender').attr('off', function(d) {
+        var hand = asked || mine;
+        return !hand || !hand.canSurrender();
+    });
+    d3.select('#surrender').attr('early', function(d) {
+        return !!asked && asked.canSurrender();
+    });
+    d3.select('#deal').attr('off', function(d) {
+        return !!active;
+    });
+
+    // The insurance controls only show while insurance is on offer.
+    d3.select('#controls').attr('offer', function(d) {
+        return !!asked;
+    });
+    d3.select('#insure').
+        text(asked && asked.canEvenMoney() ? 'even money' : 'insure').
+        attr('off', function(d) {
+            if (!asked || asked.canEvenMoney()) {
+                return !asked;
+            }
+            return !asked.canInsure() ||
+                asked.getPlayer().getHoldings() < asked.getBet() / 2;
+        });
+
+    // With an advisor at the table the move basic strategy calls for is
+    // marked on its button, along with how often the advice was taken.
+    advisor = game.getAdvisor();
+    advice = advisor && advisor.getAdvice();
+    d3.selectAll('#controls button').attr('advised', function(d) {
+        return !!advice && advice.hand === mine && this.id === advice.action;
+    });
+    d3.select('#advice').
+        style('display', advisor ? 'block' : 'none').
+        text(advisor ? 'Basic strategy, ' + advisor.getChart().getName() +
+            (advice ? ': ' + advice.action : '') + ' \u2022 followed ' +
+            advisor.getStats().followed + ' of ' +
+            advisor.getStats().advised : '');
+
+    // In debug mode the exact EVs of the Hand's options are shown as well.
+    if (B.debug()) {
+        this.renderEV(mine);
+    }
+};
+
+
+/**
+ * Renders the history panel: the rounds played, latest first, and the round
+ * selected printed in full. Clicking a round selects it.
+ */
+B.View.prototype.renderHistory = function() {
+    var items,
+        rounds,
+        selected,
+        view;
+
+    view = this;
+    rounds = this.getGame().getHistory().getRounds().slice().reverse();
+    selected = rounds.filter(function(round) {
+        return round.round === view.round;
+    })[0] || rounds[0];
+
+    d3.select('#history').style('display', 'block');
+
+    items = d3.select('#history .rounds').selectAll('li').data(rounds);
+    items.enter().append('li');
+    items.exit().remove();
+
+    items.text(function(d) {
+            var net;
+
+            net = d.hands.reduce(function(total, hand) {
+                return total + hand.paid - hand.bet - hand.insurance;
+            }, 0);
+            return 'Round ' + d.round + ': dealer ' + d.dealer.score + ', ' +
+                (net < 0 ? '-$' + -net : (net > 0 ? '+$' : '$') + net);
+        }).
+        classed('selected', function(d) {
+            return d === selected;
+        }).
+        on('click', function(d) {
+            view.round = d.round;
+            view.renderHistory();
+        });
+
+    d3.select('#history .round').text(selected ?
+        B.History.print(selected) : 'No rounds played yet.');
+};
+
+
+/**
+ * Renders the table once the player has quit, turning off all controls.
+ */
+B.View.prototype.renderQuit = function() {
+    var player;
+
+    player = this.getSelectedPlayer();
+
+	// Clear all game state and redisplay the splash screen to support
+	// moving into test() mode or invoking a new game() sequence.
+    this.renderDeal();
+    d3.select('#buyin').attr('open', false);
+
+    d3.select('#holdings .value').text(player.getHoldings());
+    d3.select('#pot .value').text('0');
+
+    // Turn off all button visuals.
+    d3.selectAll('#controls button').attr('off', true);
+    d3.selectAll('#bets button').attr('off', true);
+
+    // Disable all click handlers, other than the history's and the chart's
+    // so the session can still be looked over and exported.
+    d3.selectAll('button').on('click', function() {
+        return;
+    });
+    this.wireHistory();
+    this.wireStrategy();
+};
+
+
+/**
+ * Renders a bet circle for each seat showing the seat's pending bet. Between
+ * rounds clicking a circle selects that seat for the betting buttons, unless
+ * the computer plays it. During a round the seat in play is highlighted
+ * instead.
+ * @param {B.Player} playing The player whose Hand is in play. Optional.
+ */
+B.View.prototype.renderSeats = function(playing) {
+    var circles,
+        game,
+        view;
+
+    view = this;
+    game = this.getGame();
+
+    circles = d3.select('#seats').selectAll('div.seat').
+        data(game.getPlayers());
+    circles.enter().append('div').
+        attr('class', 'seat');
+    circles.exit().remove();
+
+    circles.style('left', function(d, i) {
+            return (i * 100 / game.getPlayers().length) + '%';
+        }).
+        style('width', (100 / game.getPlayers().length) + '%').
+        classed('selected', function(d, i) {
+            return !playing && i === view.seat;
+        }).
+        classed('active', function(d) {
+            return d === playing;
+        }).
+        classed('computer', function(d) {
+            return d.isComputer();
+        }).
+        html(function(d, i) {
+            return '<span class="bet">$' + d.getBet() + '</span>' +
+                '<span class="holdings">' + (i + 1) + ': $' +
+                d.getHoldings() + (d.isComputer() ?
+                    ' ' + d.companion.getStrategy() : '') + '</span>';
+        }).
+        on('click', function(d, i) {
+            if (playing || d.isComputer() || game.getFSM().is('exited')) {
+                return;
+            }
+            view.seat = i;
+            view.renderBet();
+        });
+};
+
+
+/**
+ * Renders the strategy panel, if it's open: the chart for the table's rules,
+ * a table each for hard totals, soft totals and pairs, with a column for
+ * each dealer up-card. Each cell is colored by its action and carries the
+ * action's EV as its tooltip.
+ */
+B.View.prototype.renderStrategy = function() {
+    var chart,
+        game,
+        rows,
+        tables;
+
+    if (d3.select('#strategy').attr('open') !== 'true') {
+        return;
+    }
+
+    game = this.getGame();
+    chart = this.getStrategy();
+
+    d3.select('#strategy .title').text(game.getRules().describe() + ', ' +
+        game.getShoe().getSize() + ' deck' +
+        (game.getShoe().getSize() === 1 ? '' : 's'));
+
+    tables = d3.select('#strategy .tables').selectAll('table').
+        data(B.View.TABLES);
+    tables.enter().append('table').
+        call(function(table) {
+            table.append('caption');
+            table.append('thead').append('tr');
+            table.append('tbody');
+        });
+
+    tables.select('caption').text(function(d) {
+        return d;
+    });
+
+    tables.select('thead tr').selectAll('th').
+        data([''].concat(B.View.UPCARDS)).
+        enter().append('th').
+        text(function(d) {
+            return d;
+        });
+
+    rows = tables.select('tbody').selectAll('tr').
+        data(function(table) {
+            return Object.keys(chart[table]).map(function(row) {
+                return {table: table, row: row};
+            });
+        });
+    rows.enter().append('tr').
+        append('th');
+    rows.exit().remove();
+
+    rows.select('th').text(function(d) {
+        return B.View.label(d.table, d.row);
+    });
+
+    rows.each(function(d) {
+        var cells;
+
+        cells = d3.select(this).selectAll('td').
+            data(chart[d.table][d.row].map(function(code, i) {
+                return {
+                    code: code,
+                    ev: chart.ev[d.table][d.row] &&
+                        chart.ev[d.table][d.row][i]
+                };
+            }));
+        cells.enter().append('td');
+        cells.exit().remove();
+
+        cells.attr('code', function(cell) {
+                return cell.code;
+            }).
+            attr('title', function(cell) {
+                if (!cell.ev) {
+                    return null;
+                }
+                return B.EV.print(cell.ev);
+            }).
+            text(function(cell) {
+                return cell.code;
+            });
+    });
+};
+
+
+/**
+ * Renders the overall Game table. This method should only be called once.
+ */
+B.View.prototype.renderTable = function() {
+    var game;
+
+    if (B.debug()) {
+        log('Rendering table.');
+    }
+
+    game = this.getGame();
+
+    // Display the current table's limits.
+    d3.selectAll('#limits .value').
+        data([game.getMinimumBet(), game.getMaximumBet()]).
+        text(function(d, i) { return d;
+    });
+
+    // Print the house rules on the felt.
+    d3.select('#rules').text(game.getRules().describe());
+
+    // Publish the shoe's commitment before the first deal.
+    this.renderFairness();
+
+    // Show what the rules cost a player who sticks to basic strategy.
+    this.renderEdge();
+
+    // With a count trainer at the table, show how the count is going.
+    this.wireCount();
+    this.renderCount();
+
+    // In debug mode show the shuffle seed so it can go into bug reports.
+    if (B.debug()) {
+        d3.select('#seed').text('seed=' + game.getRandom().getSeed());
+    }
+
+    // Connect game-level event handlers.
+    d3.select('#deal').on('click',
+        function() {
+            game.deal();
+        });
+
+    d3.select('#quit').on('click',
+        function() {
+            game.quit();
+        });
+
+    // Update button states for visible feedback.
+    d3.select('#hit').attr('off', function(d) {
+        return true;
+    });
+    d3.select('#stand').attr('off', function(d) {
+        return true;
+    });
+    d3.select('#double').attr('off', function(d) {
+        return true;
+    });
+    d3.select('#split').attr('off', function(d) {
+        return true;
+    });
+    d3.select('#surrender').attr('off', function(d) {
+        return true;
+    });
+
+    // Activate the betting buttons for "pre-deal" betting value capture.
+    this.renderBet();
+
+    // A game resumed while out of chips goes straight to the buy-in.
+    this.renderBuyIn();
+
+    // Show the rounds played so far, a resumed game's included.
+    this.wireHistory();
+    this.renderHistory();
+
+    this.wireStrategy();
+};
+
+
+/**
+ * Saves the game to localStorage. Saving waits until the current action has
+ * run its course, and is skipped if the Game is midway through acting on its
+ * own, since it can't resume from there.
+ */
+B.View.prototype.save = function() {
+    var view;
+
+    if (this.saving) {
+        return;
+    }
+    this.saving = true;
+
+    view = this;
+    setTimeout(function() {
+        var game;
+
+        view.saving = false;
+
+        game = view.getGame();
+        if (B.Game.RESUMABLES.indexOf(game.getFSM().current) === -1) {
+            return;
+        }
+
+        try {
+            root.localStorage.setItem(B.View.STORAGE_KEY,
+                JSON.stringify(game));
+        } catch (e) {
+            log('Unable to save game: ' + e.message);
+        }
+    }, 0);
+};
+
+
+/**
+ * Connects the count trainer's controls: the button which checks the answer
+ * to a quiz, and the toggle for the tray overlay.
+ */
+B.View.prototype.wireCount = function() {
+    var view;
+
+    view = this;
+
+    d3.select('#count .answer').on('click', function() {
+        var count,
+            running,
+            trainer;
+
+        trainer = view.getGame().getTrainer();
+        if (!trainer || !trainer.getQuiz()) {
+            return;
+        }
+
+        running = parseInt(d3.select('#count input.running').
+            property('value'), 10);
+        count = parseFloat(d3.select('#count input.true').property('value'));
+        if (isNaN(running) || (trainer.getSystem().balanced && isNaN(count))) {
+            return;
+        }
+
+        trainer.answer(running, count);
+        d3.selectAll('#count input').property('value', '');
+        view.renderCount();
+    });
+
+    d3.select('#count .toggle').on('click', function() {
+        view.tray = !view.tray;
+        view.renderCount();
+    });
+};
+
+
+/**
+ * Connects the history panel's controls: the toggle which opens and closes
+ * it, and the buttons which export the rounds played.
+ */
+B.View.prototype.wireHistory = function() {
+    var view;
+
+    view = this;
+
+    d3.select('#history .toggle').on('click', function() {
+        var panel = d3.select('#history');
+        panel.attr('open', panel.attr('open') !== 'true');
+    });
+
+    d3.selectAll('#history .export button').on('click', function() {
+        view.exportHistory(this.getAttribute('data-format'));
+    });
+};
+
+
+/**
+ * Connects the strategy panel's controls: the toggle which opens and closes
+ * it, and the buttons which export the chart. The chart takes a moment to
+ * work out, so the panel opens first and fills in once it's ready.
+ */
+B.View.prototype.wireStrategy = function() {
+    var view;
+
+    view = this;
+
+    d3.select('#strategy .toggle').on('click', function() {
+        var panel = d3.select('#strategy');
+
+        panel.attr('open', panel.attr('open') !== 'true');
+        if (!view.strategy) {
+            d3.select('#strategy .title').text('Working out the chart...');
+        }
+        setTimeout(function() {
+            view.renderStrategy();
+        }, 0);
+    });
+
+    d3.selectAll('#strategy .export button').on('click', function() {
+        view.exportStrategy(this.getAttribute('data-format'));
+    });
+};
+
+
+//  --------------------------------------------------------------------------- 
+//  Application Bootstrap
+//  --------------------------------------------------------------------------- 
+
+/**
+ * Options for configuration of any Game/Test instances.
+ * @type {object} 
+ */
+B.options = null;
+
+
+/**
+ * Initializes the game and starts it.
+ * @param {object} options Optional game configuration options.
+ */
+B.init = function(options) {
+	var advisor,
+		companions,
+		count,
+		fair,
+		seats,
+		seed,
+		table;
+
+	// Show log messages in the status bar as well as the console.
+	B.log = function(msg) {
+		console.log(msg);
+		d3.select('#log').html(msg);
+	};
+
+	B.debug(window.location.href.toString().match(/#debug|&debug=true/));
+	if (B.debug()) {
+		log('Debugging output enabled.');
+	}
+
+	// Cache options for use across all Game/Test invocations.
+	B.options = options || {};
+
+	// Show the server's leaderboards, if there's a server to ask.
+	B.leaders = new B.Leaderboard();
+
+	// Likewise the account panel, which signs the player in for the tables.
+	B.account = new B.Account();
+
+	// A table=... in the URL joins a shared table on the server, which runs
+	// the Game itself, signed in to the player's account if they have one.
+	table = window.location.href.toString().match(/[?&#]table=([\w\-]+)/);
+	if (table) {
+		B.client = new B.Client(table[1], B.account.getToken());
+		return;
+	}
+
+	// A seed in the URL (?seed=..., &seed=..., or #seed=...) replays the exact
+	// card order from a bug report.
+	seed = window.location.href.toString().match(/[?&#]seed=([^&#]*)/);
+	if (seed) {
+		B.options.seed = decodeURIComponent(seed[1]);
+	}
+
+	// Likewise seats=... sets up a table for several players.
+	seats = window.location.href.toString().match(/[?&#]seats=([1-7])/);
+	if (seats) {
+		B.options.seats = parseInt(seats[1], 10);
+	}
+
+	// And companions=,basic,random seats computer players by seat, with an
+	// empty name for each seat a person plays.
+	companions = window.location.href.toString().
+		match(/[?&#]companions=([^&#]*)/);
+	if (companions) {
+		B.options.companions = decodeURIComponent(companions[1]).split(',').
+			map(function(name) {
+				return name || null;
+			});
+	}
+
+	// And advisor=true has basic strategy advice shown on the controls.
+	advisor = window.location.href.toString().match(/[?&#]advisor=true/);
+	if (advisor) {
+		B.options.advisor = true;
+	}
+
+	// And fair=true deals provably fair shoes, committing to each before it's
+	// dealt.
+	fair = window.location.href.toString().match(/[?&#]fair=true/);
+	if (fair) {
+		B.options.fair = true;
+	}
+
+	// And count=hi-lo, count=ko or count=omega-ii trains card counting.
+	count = window.location.href.toString().match(/[?&#]count=([\w\-]+)/);
+	if (count) {
+		B.options.trainer = count[1];
+	}
+
+	// Pick up a saved game where it left off, unless the URL asks for a
+	// specific card order, table, advisor, trainer or fair shoe.
+	B.game = (!seed && !seats && !companions && !advisor && !count && !fair &&
+		B.View.restore()) ||
+		new B.Game(B.options);
+	B.view = new B.View(B.game);
+
+	// Nothing checks a Game run in the page, so its chips are only for
+	// practice.
+	d3.select('#holdings .practice').style('display', 'block');
+	if (B.debug()) {
+		log('Shuffle seed: ' + B.game.getRandom().getSeed());
+	}
+	B.game.start();
+};
+
+}(this));
@@ -0,0 +1,149 @@
+/**
+* @fileoverview Specs for player accounts: creating them, signing in, the
+* limit on new accounts, and keeping stats across restarts.
+*
+* @author Scott Shattuck (ss)
+*/
+
+/*jslint anon:true, nomen:true, plusplus:true, node:true, stupid:true */
+/*global describe, it, before, after, beforeEach */
+
+'use strict';
+
+var assert = require('assert'),
+	fs = require('fs'),
+	os = require('os'),
+	path = require('path'),
+	Accounts = require('../lib/accounts.js').Accounts,
+	remove = require('./helpers.js').remove;
+
+
+describe('Accounts', function() {
+	var dir,
+		file,
+		iterations;
+
+	before(function() {
+		// Full strength hashing would take most of a second per account.
+		iterations = Accounts.DEFAULT.ITERATIONS;
+		Accounts.DEFAULT.ITERATIONS = 1000;
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-'));
+	});
+
+	after(function() {
+		Accounts.DEFAULT.ITERATIONS = iterations;
+		remove(dir);
+	});
+
+	beforeEach(function() {
+		file = path.join(dir, 'accounts.json');
+		if (fs.existsSync(file)) {
+			fs.unlinkSync(file);
+		}
+	});
+
+	it('creates an account with the starting bankroll', function(done) {
+		var accounts = new Accounts(file);
+
+		accounts.create('alice', 'password1', function(e, created) {
+			assert.ifError(e);
+			assert.equal(created.account.bankroll, Accounts.DEFAULT.BANKROLL);
+			assert.strictEqual(accounts.authenticate(created.token),
+				created.account);
+			assert.equal(accounts.describe(created.account).hash, undefined);
+			accounts.flush(done);
+		});
+	});
+
+	it('rejects a name that is taken or a short password', function(done) {
+		var accounts = new Accounts(file);
+
+		accounts.create('alice', 'password1', function(e) {
+			assert.ifError(e);
+			accounts.create('Alice', 'password2', function(e) {
+				assert.ok(/InvalidOperation/.test(e.message));
+				accounts.create('bob', 'short', function(e) {
+					assert.ok(/InvalidPassword/.test(e.message));
+					accounts.flush(done);
+				});
+			});
+		});
+	});
+
+	it('signs in only with the right password', function(done) {
+		var accounts = new Accounts(file);
+
+		accounts.create('alice', 'password1', function(e) {
+			assert.ifError(e);
+			accounts.login('alice', 'password2', function(e) {
+				assert.ok(/InvalidLogin/.test(e.message));
+				accounts.login('ALICE', 'password1', function(e, session) {
+					assert.ifError(e);
+					assert.equal(session.account.name, 'alice');
+					assert.ok(accounts.authenticate(session.token));
+					accounts.flush(done);
+				});
+			});
+		});
+	});
+
+	it('makes only so many accounts a minute', function(done) {
+		var accounts = new Accounts(file),
+			errors = [],
+			i,
+			n = 0;
+
+		for (i = 0; i <= Accounts.DEFAULT.CREATES; i++) {
+			accounts.create('player' + i, 'password1', function(e) {
+				errors.push(e && e.message.split(':')[0]);
+				if (++n === Accounts.DEFAULT.CREATES + 1) {
+					assert.deepEqual(errors.filter(Boolean), ['InvalidRate']);
+					accounts.flush(done);
+				}
+			});
+		}
+	});
+
+	it('keeps stats and records across a restart', function(done) {
+		var accounts = new Accounts(file);
+
+		accounts.create('alice', 'password1', function(e, created) {
+			assert.ifError(e);
+			accounts.record(created.account, 10, 0, {win: 25}, true);
+			accounts.flush(function(e) {
+				var account;
+
+				assert.ifError(e);
+				account = new Accounts(file).getAccounts().alice;
+				assert.equal(account.stats.hands, 1);
+				assert.equal(account.stats.blackjacks, 1);
+				assert.equal(account.stats.net, 15);
+				assert.equal(account.records.all.win, 15);
+				done();
+			});
+		});
+	});
+
+	it('writes the changes of a round together, a moment later',
+		function(done) {
+			var accounts = new Accounts(file);
+
+			accounts.create('alice', 'password1', function(e, created) {
+				assert.ifError(e);
+				accounts.record(created.account, 10, 0, {win: 20}, false);
+				accounts.record(created.account, 10, 0, {}, false);
+				accounts.settle(created.account, 510);
+				assert.ok(!fs.existsSync(file));
+
+				accounts.save(function(e) {
+					var account;
+
+					assert.ifError(e);
+					account = new Accounts(file).getAccounts().alice;
+					assert.equal(account.stats.hands, 2);
+					assert.equal(account.bankroll, 510);
+					done();
+				});
+			});
+		});
+});
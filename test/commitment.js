@@ -0,0 +1,129 @@
+/**
+* @fileoverview Specs for provably fair shoes: each shoe a Game deals can be
+* rebuilt from its revealed seeds, even one it commits to mid-round.
+*
+* @author Scott Shattuck (ss)
+*/
+
+/*jslint anon:true, nomen:true, plusplus:true, node:true */
+/*global describe, it */
+
+'use strict';
+
+var assert = require('assert'),
+	helpers = require('./helpers.js'),
+	B = helpers.B,
+	round = helpers.round;
+
+
+/**
+ * Returns the cards as text, for comparing one shoe's order with another.
+ * @param {Array.<B.Card>} cards The cards.
+ * @return {Array.<string>} The cards printed.
+ */
+function print(cards) {
+	return cards.map(function(card) {
+		return card.print();
+	});
+}
+
+
+describe('Commitment', function() {
+
+	it('publishes the hash of its server seed', function() {
+		var commitment = new B.Commitment('lucky');
+
+		commitment.reveal();
+		assert.equal(commitment.getHash(),
+			B.sha256(commitment.getServerSeed()));
+	});
+
+	it('keeps the server seed hidden until revealed', function() {
+		var commitment = new B.Commitment('lucky');
+
+		assert.throws(function() {
+			commitment.getServerSeed();
+		}, /InvalidOperation/);
+	});
+
+	it('locks the client seed once the shoe is shuffled', function() {
+		var commitment = new B.Commitment('lucky');
+
+		commitment.setClientSeed('luckier');
+		commitment.lock();
+		assert.throws(function() {
+			commitment.setClientSeed('luckiest');
+		}, /InvalidOperation/);
+	});
+
+	it('rebuilds the shoe a Game dealt', function() {
+		var g = new B.Game({fair: true, decks: 1, clientSeed: 'lucky',
+				chips: 1000, min: 10}),
+			commitment,
+			shoe,
+			verified;
+
+		g.start();
+		g.deal();
+
+		commitment = g.reveal();
+		shoe = g.getShoe();
+		verified = B.Commitment.verify(commitment.getServerSeed(), 'lucky', 1,
+			commitment.getHash());
+
+		// The burn card comes first, then the cards dealt, then the rest.
+		assert.equal(verified.getCards()[0].print(),
+			shoe.getDiscards()[0].print());
+		assert.deepEqual(print(verified.getCards().slice(52 -
+			shoe.getCards().length)), print(shoe.getCards()));
+	});
+
+	it('rejects a server seed which does not match the hash', function() {
+		var commitment = new B.Commitment('lucky');
+
+		assert.throws(function() {
+			B.Commitment.verify('not the seed', 'lucky', 1,
+				commitment.getHash());
+		}, /InvalidServerSeed/);
+	});
+
+	it('commits to a fresh shoe when one runs dry mid-round',
+		function(done) {
+			var g = new B.Game({fair: true, decks: 1, clientSeed: 'lucky',
+					chips: 1000, min: 10}),
+				first,
+				published = [];
+
+			g.on('fairness', function(commitment) {
+				published.push(commitment);
+			});
+			g.start();
+			first = g.getCommitment();
+
+			// Player 10, 2 against a 5 and a 2 in the hole. The shoe is
+			// emptied before the player hits.
+			round(g, [10, 5, 2, 2], function(hand) {
+				if (hand.getCards().length === 2) {
+					g.getShoe().getCards().length = 0;
+					hand.hit();
+				} else {
+					hand.stand();
+				}
+			}, function() {
+				var commitment,
+					verified;
+
+				assert.deepEqual(g.getRevealed(), [first]);
+				assert.notStrictEqual(g.getCommitment(), first);
+				assert.strictEqual(published[published.length - 1],
+					g.getCommitment());
+
+				commitment = g.reveal();
+				verified = B.Commitment.verify(commitment.getServerSeed(),
+					'lucky', 1, commitment.getHash());
+				assert.equal(verified.getCards()[0].print(),
+					g.getShoe().getDiscards()[0].print());
+				done();
+			});
+		});
+});
@@ -0,0 +1,120 @@
+/**
+* @fileoverview Specs for the expected value engine and the strategy charts
+* built from it. Working out a chart or an edge takes a second or so, so
+* those specs allow longer than mocha's default.
+*
+* @author Scott Shattuck (ss)
+*/
+
+/*jslint anon:true, nomen:true, plusplus:true, node:true */
+/*global describe, it */
+
+'use strict';
+
+var assert = require('assert'),
+	helpers = require('./helpers.js'),
+	B = helpers.B;
+
+
+/**
+ * Returns a chart's table with each row joined into a line of codes, the way
+ * B.Chart.BASIC writes them.
+ * @param {object} table The table, by total.
+ * @return {object} The rows, by total.
+ */
+function rows(table) {
+	return Object.keys(table).reduce(function(joined, total) {
+		joined[total] = table[total].join(' ');
+		return joined;
+	}, {});
+}
+
+
+describe('EV', function() {
+
+	it('gives the dealer every outcome once', function() {
+		var chances = B.EV.dealer(B.EV.shoe(6), 6, new B.Rules()),
+			sum;
+
+		sum = Object.keys(chances).reduce(function(total, key) {
+			return total + chances[key];
+		}, 0);
+		assert.ok(Math.abs(sum - 1) < 1e-9);
+		assert.ok(chances.bust > 0.4 && chances.bust < 0.45);
+	});
+
+	it('works out the house edge of a six-deck shoe', function() {
+		var none;
+
+		this.timeout(10000);
+		none = B.EV.edge(new B.Rules({surrender: 'none'}), 6);
+
+		assert.ok(Math.abs(none - 0.0041) < 0.0003);
+		assert.ok(B.EV.edge(new B.Rules(), 6) < none);
+		assert.ok(B.EV.edge(new B.Rules('six-five'), 6) > none + 0.01);
+	});
+
+	it('surrenders 16 against a ten', function() {
+		var cards = new B.Shoe(6).getCards(),
+			ev;
+
+		this.timeout(10000);
+
+		// Take the player's 10, 6 and the dealer's King out of the shoe.
+		[10, 6, 10].map(function(rank) {
+			cards.splice(cards.map(B.EV.rank).indexOf(rank), 1);
+		});
+		ev = B.EV.calculate([new B.Card(10, 1), new B.Card(6, 2)],
+			new B.Card(13, 3), cards, new B.Rules());
+
+		assert.equal(B.EV.code(ev), 'R');
+		assert.equal(ev.surrender, -0.5);
+	});
+
+	it('builds the hand-written chart from scratch', function() {
+		var chart;
+
+		this.timeout(10000);
+		chart = B.EV.chart(new B.Rules({surrender: 'none'}), 6);
+
+		assert.deepEqual(rows(chart.hard), B.Chart.BASIC.hard);
+		assert.deepEqual(rows(chart.pairs), B.Chart.BASIC.pairs);
+
+		// A soft 12 is a pair of Aces, which are always split, so the
+		// hand-written chart doesn't bother doubling it.
+		delete chart.soft[12];
+		Object.keys(chart.soft).map(function(total) {
+			assert.equal(chart.soft[total].join(' '),
+				B.Chart.BASIC.soft[total]);
+		});
+	});
+});
+
+
+describe('Chart', function() {
+
+	it('follows the hand-written chart for a multi-deck shoe', function() {
+		var chart;
+
+		this.timeout(10000);
+		chart = new B.Chart(new B.Rules({surrender: 'none'}), 6);
+
+		assert.deepEqual(rows(chart.getTables().hard), B.Chart.BASIC.hard);
+	});
+
+	it('doubles 11 against an Ace in a single deck', function() {
+		this.timeout(10000);
+
+		// Column 9 is the Ace.
+		assert.equal(new B.Chart(new B.Rules(), 1).getTables().hard[11][9],
+			'D');
+		assert.equal(new B.Chart(new B.Rules(), 6).getTables().hard[11][9],
+			'H');
+	});
+
+	it('surrenders 14 against an Ace under early surrender', function() {
+		this.timeout(10000);
+		assert.equal(new B.Chart(new B.Rules({surrender: 'early'}), 6).
+			getTables().hard[14][9], 'R');
+	});
+});
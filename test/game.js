@@ -0,0 +1,265 @@
+/**
+* @fileoverview Specs for how a Game settles each round under the house rules:
+* the peek, no hole card, blackjack payouts, surrender, and splits.
+*
+* @author Scott Shattuck (ss)
+*/
+
+/*jslint anon:true, nomen:true, plusplus:true, node:true */
+/*global describe, it */
+
+'use strict';
+
+var assert = require('assert'),
+	helpers = require('./helpers.js'),
+	B = helpers.B,
+	chips = helpers.chips,
+	round = helpers.round;
+
+
+/**
+ * Returns a new Game for one person with 1000 chips and a 10 chip bet,
+ * started and ready to deal.
+ * @param {object} rules The house rules, as for B.Rules.
+ * @return {B.Game} The game.
+ */
+function game(rules) {
+	var g;
+
+	g = new B.Game({chips: 1000, min: 10, max: 100, rules: rules});
+	g.start();
+
+	return g;
+}
+
+
+/**
+ * Returns an action for round() which plays every Hand the same way.
+ * @param {string} action The action to take.
+ * @return {function(B.Hand)} The action.
+ */
+function always(action) {
+	return function(hand) {
+		if (!hand.isOffered()) {
+			hand[action]();
+		}
+	};
+}
+
+
+describe('Game', function() {
+
+	describe('with a peek', function() {
+
+		it('takes only the bet when the dealer has blackjack', function(done) {
+			var g = game();
+
+			// Player 9, 7 against the dealer's Ace and King.
+			round(g, [9, 1, 7, 13], always('stand'), function(hands, dealer) {
+				assert.ok(dealer.isBlackjack());
+				assert.equal(chips(g.getPlayer()), 990);
+				done();
+			});
+		});
+
+		it('pays insurance 2:1 against a dealer blackjack', function(done) {
+			var g = game();
+
+			round(g, [9, 1, 7, 13], function(hand) {
+				if (hand.isOffered()) {
+					hand.insure(5);
+				}
+			}, function() {
+				assert.equal(chips(g.getPlayer()), 1000);
+				done();
+			});
+		});
+
+		it('pays a blackjack 3:2', function(done) {
+			var g = game();
+
+			round(g, [1, 9, 13, 7], always('stand'), function() {
+				assert.equal(chips(g.getPlayer()), 1015);
+				done();
+			});
+		});
+
+		it('pays a blackjack 6:5 at a six-five table', function(done) {
+			var g = game('six-five');
+
+			round(g, [1, 9, 13, 7], always('stand'), function() {
+				assert.equal(chips(g.getPlayer()), 1012);
+				done();
+			});
+		});
+	});
+
+	describe('without a hole card', function() {
+
+		it('takes a double when the dealer turns up blackjack', function(done) {
+			var g = game({noHoleCard: true, surrender: 'none'});
+
+			// Player 6, 5 doubles to 21 against the Ace, then the dealer's
+			// second card makes blackjack.
+			round(g, [6, 1, 5, 10, 13], always('double'), function() {
+				assert.equal(chips(g.getPlayer()), 980);
+				done();
+			});
+		});
+
+		it('takes only the original bet under original bets only',
+			function(done) {
+				var g = game({noHoleCard: true, originalBetsOnly: true,
+					surrender: 'none'});
+
+				round(g, [6, 1, 5, 10, 13], always('double'), function() {
+					assert.equal(chips(g.getPlayer()), 990);
+					done();
+				});
+			});
+
+		it('refunds a busted double under original bets only',
+			function(done) {
+				var g = game({noHoleCard: true, originalBetsOnly: true,
+					surrender: 'none'});
+
+				// Player 9, 3 doubles and busts with a King.
+				round(g, [9, 1, 3, 13, 13], always('double'),
+					function(hands) {
+						assert.equal(hands[0].getFSM().current, 'busted');
+						assert.equal(chips(g.getPlayer()), 990);
+						done();
+					});
+			});
+	});
+
+	describe('surrender', function() {
+
+		it('returns half the bet', function(done) {
+			var g = game();
+
+			round(g, [10, 10, 6, 7], always('surrender'), function() {
+				assert.equal(chips(g.getPlayer()), 995);
+				done();
+			});
+		});
+
+		it('is not offered when the rules have none', function(done) {
+			var g = game({surrender: 'none'});
+
+			round(g, [10, 10, 6, 7], function(hand) {
+				assert.ok(!hand.canSurrender());
+				assert.throws(function() {
+					hand.surrender();
+				}, /InvalidOperation/);
+				hand.stand();
+			}, function() {
+				done();
+			});
+		});
+	});
+
+	describe('splits', function() {
+
+		it('plays each Hand with its own bet, doubling after the split',
+			function(done) {
+				var g = game();
+
+				// 8, 8 against a 6 (hole 10). The first 8 draws a 3 and
+				// doubles on a 10, the second draws a 10 and stands, and
+				// the dealer's 16 draws a 10.
+				round(g, [8, 6, 8, 10, 3, 10, 10, 10], function(hand) {
+					if (hand.canSplit()) {
+						hand.split();
+					} else if (hand.getScore() === 11) {
+						hand.double();
+					} else {
+						hand.stand();
+					}
+				}, function(hands) {
+					assert.equal(hands.length, 2);
+					assert.equal(hands[0].getBet(), 20);
+					assert.equal(hands[1].getBet(), 10);
+					assert.equal(chips(g.getPlayer()), 1030);
+					done();
+				});
+			});
+
+		it('may not double after a split without DAS', function(done) {
+			var g = game({doubleAfterSplit: false});
+
+			round(g, [8, 6, 8, 10, 3, 10, 10, 10], function(hand) {
+				if (hand.canSplit()) {
+					hand.split();
+				} else {
+					assert.ok(!hand.canDouble());
+					hand.stand();
+				}
+			}, function() {
+				done();
+			});
+		});
+
+		it('throws when a Hand cannot split', function(done) {
+			var g = game();
+
+			round(g, [9, 6, 7, 10], function(hand) {
+				assert.throws(function() {
+					hand.split();
+				}, /InvalidOperation: Hand cannot be split/);
+				hand.stand();
+			}, function() {
+				done();
+			});
+		});
+	});
+
+	describe('saving', function() {
+
+		it('restores a table a player has left', function(done) {
+			var g = new B.Game({chips: 1000, min: 10, seats: 3});
+
+			g.start();
+
+			// Three players stand on 18 against the dealer's 17.
+			round(g, [10, 10, 10, 9, 8, 8, 8, 8], always('stand'),
+				function() {
+					var json,
+						restored;
+
+					g.leave(g.getPlayers()[1]);
+					json = JSON.parse(JSON.stringify(g));
+					assert.deepEqual(json.seats, [0, 1]);
+
+					restored = B.Game.fromJSON(json);
+					assert.equal(restored.getPlayers().length, 2);
+					assert.deepEqual(restored.getHands().map(function(hand) {
+						return hand.getPlayer().getSeat();
+					}), [0, 1]);
+					assert.equal(chips(restored.getPlayers()[1]), 1010);
+					done();
+				});
+		});
+
+		it('drops Hands an older save kept for a player who left',
+			function() {
+				var g = new B.Game({chips: 1000, min: 10, seats: 2}),
+					json,
+					restored;
+
+				g.start();
+				json = JSON.parse(JSON.stringify(g));
+				json.hands = [new B.Hand(g, g.getPlayers()[0]).toJSON(),
+					new B.Hand(g, g.getPlayers()[1]).toJSON()];
+				json.seats = [-1, 1];
+				json.insurable = [0, 1];
+
+				restored = B.Game.fromJSON(json);
+				assert.equal(restored.getHands().length, 1);
+				assert.strictEqual(restored.getHands()[0].getPlayer(),
+					restored.getPlayers()[1]);
+				assert.deepEqual(restored.getInsurable(),
+					restored.getHands());
+			});
+	});
+});
@@ -0,0 +1,124 @@
+/**
+* @fileoverview Helpers shared by the specs: the engine with its logging
+* quieted, a way to stack a Game's shoe so a round deals known cards, and a
+* way to clean up after the specs which write files.
+*
+* @author Scott Shattuck (ss)
+*/
+
+/*jslint anon:true, nomen:true, plusplus:true, node:true, stupid:true */
+
+'use strict';
+
+var fs = require('fs'),
+	path = require('path'),
+	B = require('../src/blackjack.js');
+
+B.log = function() {};
+
+
+/**
+ * Stacks a shoe so the cards given come out next, in order, ahead of the rest
+ * of the shoe. The shoe is shuffled first and marked shuffled, so nothing is
+ * burned or reshuffled before the stacked cards are dealt.
+ * @param {B.Shoe} shoe The shoe to stack.
+ * @param {Array.<number>} ranks The ranks to deal, 1 for an Ace through 13
+ *     for a King.
+ * @return {B.Shoe} The shoe.
+ */
+function stack(shoe, ranks) {
+	var cards;
+
+	if (!shoe.shuffled) {
+		shoe.shuffle();
+	}
+	shoe.shuffled = true;
+
+	cards = shoe.getCards();
+	cards.unshift.apply(cards, ranks.map(function(rank, i) {
+		return new B.Card(rank, i % 4 + 1);
+	}));
+
+	return shoe;
+}
+
+
+/**
+ * Plays a round of a Game from a stacked shoe. The cards are dealt in table
+ * order: one to each Hand, one to the dealer, a second to each Hand and then
+ * the dealer's hole card, followed by the cards drawn as the round is played.
+ * Each time a person's Hand is up, act is called to play it. Insurance is
+ * declined unless act takes care of it.
+ * @param {B.Game} game The game, started and between rounds.
+ * @param {Array.<number>} ranks The ranks to deal. See stack.
+ * @param {function(B.Hand, B.Game)} act Plays the Hand which is up. Called
+ *     for an insurance offer too, while hand.isOffered() is true.
+ * @param {function(Array.<B.Hand>, B.Hand)} callback Called with the Hands
+ *     and the dealer's Hand once the round is over.
+ */
+function round(game, ranks, act, callback) {
+	var done,
+		tick;
+
+	done = false;
+	game.on('roundEnd', function(hands, dealer) {
+		if (!done) {
+			done = true;
+			callback(hands, dealer);
+		}
+	});
+
+	tick = function() {
+		var hand,
+			offered;
+
+		if (done) {
+			return;
+		}
+
+		offered = game.getInsurable()[0];
+		hand = offered || game.getNextHand();
+		if (hand && (offered || game.getFSM().is('player')) &&
+				!hand.getPlayer().isComputer()) {
+			act(hand, game);
+			if (offered && hand.isOffered()) {
+				hand.declineInsurance();
+			}
+		}
+		setTimeout(tick, 0);
+	};
+
+	stack(game.getShoe(), ranks);
+	game.deal();
+	tick();
+}
+
+
+/**
+ * Returns a player's chips, counting the bet waiting on the next round.
+ * @param {B.Player} player The player.
+ * @return {number} The chips.
+ */
+function chips(player) {
+	return player.getHoldings() + player.getBet();
+}
+
+
+/**
+ * Removes a directory the specs made, along with the files in it. fs.rmSync
+ * would do, but it needs a newer node than the server does.
+ * @param {string} dir The directory.
+ */
+function remove(dir) {
+	fs.readdirSync(dir).forEach(function(file) {
+		fs.unlinkSync(path.join(dir, file));
+	});
+	fs.rmdirSync(dir);
+}
+
+
+exports.B = B;
+exports.chips = chips;
+exports.remove = remove;
+exports.round = round;
+exports.stack = stack;
@@ -0,0 +1,68 @@
+/**
+* @fileoverview Specs for the house rules and their profiles.
+*
+* @author Scott Shattuck (ss)
+*/
+
+/*jslint anon:true, nomen:true, plusplus:true, node:true */
+/*global describe, it */
+
+'use strict';
+
+var assert = require('assert'),
+	helpers = require('./helpers.js'),
+	B = helpers.B;
+
+
+describe('Rules', function() {
+
+	it('defaults to a Vegas Strip shoe game', function() {
+		var rules = new B.Rules();
+
+		Object.keys(B.Rules.DEFAULT).map(function(key) {
+			assert.equal(rules.get(key), B.Rules.DEFAULT[key]);
+		});
+		assert.equal(rules.describe(),
+			'Blackjack pays 3:2 • Dealer stands on all 17s • ' +
+			'late surrender');
+	});
+
+	it('builds every profile', function() {
+		Object.keys(B.Rules.PROFILES).map(function(name) {
+			assert.ok(new B.Rules(name).describe());
+		});
+	});
+
+	it('overrides the defaults with a profile', function() {
+		var rules = new B.Rules('european');
+
+		assert.ok(rules.get('noHoleCard'));
+		assert.equal(rules.get('doubleOn'), '9-11');
+		assert.equal(rules.get('surrender'), 'none');
+		assert.ok(!rules.get('hitSoft17'));
+	});
+
+	it('turns odds into a payout', function() {
+		assert.equal(new B.Rules('six-five').get('payout'), 1.2);
+		assert.equal(new B.Rules({payout: '2:1'}).get('payout'), 2);
+		assert.ok(/pays 6:5/.test(new B.Rules('six-five').describe()));
+	});
+
+	it('rejects rules and values it does not know', function() {
+		assert.throws(function() {
+			return new B.Rules('monte-carlo');
+		}, /InvalidProfile/);
+		assert.throws(function() {
+			return new B.Rules({fiveCardCharlie: true});
+		}, /InvalidRule/);
+		assert.throws(function() {
+			return new B.Rules({surrender: 'always'});
+		}, /InvalidSurrender/);
+		assert.throws(function() {
+			return new B.Rules({doubleOn: '11'});
+		}, /InvalidDoubleOn/);
+		assert.throws(function() {
+			return new B.Rules({payout: '0:1'});
+		}, /InvalidPayout/);
+	});
+});
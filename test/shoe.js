@@ -0,0 +1,125 @@
+/**
+* @fileoverview Specs for the Shoe: sizes, the cut card, burning, and what
+* happens when it runs dry mid-round.
+*
+* @author Scott Shattuck (ss)
+*/
+
+/*jslint anon:true, nomen:true, plusplus:true, node:true */
+/*global describe, it */
+
+'use strict';
+
+var assert = require('assert'),
+	helpers = require('./helpers.js'),
+	B = helpers.B;
+
+
+/**
+ * Returns a card as text, for comparing one shoe's order with another.
+ * @param {B.Card} card The card.
+ * @return {string} The card printed.
+ */
+function print(card) {
+	return card.print();
+}
+
+
+describe('Shoe', function() {
+
+	it('holds 52 cards for each deck', function() {
+		var shoe = new B.Shoe(6);
+
+		assert.equal(shoe.getCards().length, 312);
+	});
+
+	it('rejects sizes it does not come in', function() {
+		assert.throws(function() {
+			return new B.Shoe(3);
+		}, /InvalidSize/);
+		assert.throws(function() {
+			return new B.Shoe(1, {penetration: 1.5});
+		}, /InvalidPenetration/);
+	});
+
+	it('burns a card after each shuffle', function() {
+		var shoe = new B.Shoe(1);
+
+		shoe.deal();
+		assert.equal(shoe.getDiscards().length, 1);
+		assert.equal(shoe.getCards().length, 50);
+	});
+
+	it('needs a shuffle once the cut card comes out', function() {
+		var shoe = new B.Shoe(1, {penetration: 0.5}),
+			i;
+
+		for (i = 0; i < 24; i++) {
+			shoe.deal();
+		}
+		assert.ok(!shoe.needsShuffle());
+		shoe.deal();
+		assert.ok(shoe.needsShuffle());
+
+		shoe.reshuffle();
+		assert.equal(shoe.getCards().length, 52);
+		assert.equal(shoe.getDiscards().length, 0);
+	});
+
+	it('never needs a shuffle as a continuous shuffler', function() {
+		var shoe = new B.Shoe(1, {continuous: true}),
+			i;
+
+		for (i = 0; i < 50; i++) {
+			shoe.deal();
+		}
+		assert.ok(!shoe.needsShuffle());
+		assert.equal(shoe.getDiscards().length, 0);
+	});
+
+	it('deals the discards again when it runs dry', function() {
+		var shoe = new B.Shoe(1),
+			dealt = [],
+			emptied = 0,
+			i;
+
+		shoe.on('empty', function() {
+			emptied++;
+		});
+		for (i = 0; i < 51; i++) {
+			dealt.push(shoe.deal());
+		}
+		shoe.discard(dealt);
+
+		assert.ok(shoe.deal());
+		assert.equal(emptied, 1);
+		assert.equal(shoe.getCards().length, 50);
+	});
+
+	it('lets an empty listener refill it', function() {
+		var shoe = new B.Shoe(1),
+			i;
+
+		shoe.on('empty', function() {
+			shoe.reshuffle();
+		});
+		for (i = 0; i < 52; i++) {
+			shoe.deal();
+		}
+		// The fresh shoe burns a card before dealing.
+		assert.equal(shoe.getCards().length, 50);
+		assert.equal(shoe.getDiscards().length, 1);
+	});
+
+	it('saves and restores the cards left to deal', function() {
+		var shoe = new B.Shoe(2, {random: new B.Random('seed')}),
+			copy;
+
+		shoe.deal();
+		copy = B.Shoe.fromJSON(JSON.parse(JSON.stringify(shoe)));
+
+		assert.deepEqual(copy.getCards().map(print),
+			shoe.getCards().map(print));
+		assert.equal(copy.deal().print(), shoe.deal().print());
+	});
+});
@@ -0,0 +1,211 @@
+/**
+* @fileoverview Specs for the shared tables and the HTTP API in front of them,
+* driven with stand-ins for node's request and response objects.
+*
+* @author Scott Shattuck (ss)
+*/
+
+/*jslint anon:true, nomen:true, plusplus:true, node:true, stupid:true */
+/*global describe, it, before, after */
+
+'use strict';
+
+var assert = require('assert'),
+	events = require('events'),
+	fs = require('fs'),
+	os = require('os'),
+	path = require('path'),
+	api = require('../lib/api.js'),
+	Accounts = require('../lib/accounts.js').Accounts,
+	Tables = require('../lib/tables.js').Tables,
+	// Requiring the helpers quiets the engine the tables run.
+	remove = require('./helpers.js').remove;
+
+
+/**
+ * Calls back once a condition holds, checking every few milliseconds.
+ * @param {function(): boolean} condition The condition.
+ * @param {function()} callback Called once it holds.
+ */
+function until(condition, callback) {
+	if (condition()) {
+		return callback();
+	}
+	setTimeout(until, 5, condition, callback);
+}
+
+
+/**
+ * Makes a request of the API middleware and calls back with the response.
+ * Requests the middleware passes along get a 404 with no body.
+ * @param {function} middleware The middleware. See api.routes.
+ * @param {string} method The HTTP method.
+ * @param {string} url The url.
+ * @param {string} token The bearer token, if any.
+ * @param {object} data The JSON body, if any.
+ * @param {function(number, object)} callback Called with the status and the
+ *     parsed body.
+ */
+function request(middleware, method, url, token, data, callback) {
+	var req,
+		res;
+
+	req = new events.EventEmitter();
+	req.method = method;
+	req.url = url;
+	req.headers = token ? {authorization: 'Bearer ' + token} : {};
+	req.setEncoding = function() {};
+
+	res = {
+		headers: {},
+		setHeader: function(name, value) {
+			this.headers[name] = value;
+		},
+		writeHead: function(status) {
+			this.statusCode = status;
+		},
+		end: function(text) {
+			callback(this.statusCode, JSON.parse(text));
+		}
+	};
+
+	middleware(req, res, function() {
+		callback(404, null);
+	});
+
+	setTimeout(function() {
+		if (data) {
+			req.emit('data', JSON.stringify(data));
+		}
+		req.emit('end');
+	}, 0);
+}
+
+
+describe('Tables', function() {
+
+	it('has no table until one is opened', function() {
+		var tables = new Tables({turn: 10});
+
+		assert.strictEqual(tables.get('felt'), null);
+		assert.strictEqual(tables.open('felt'), tables.get('felt'));
+		assert.strictEqual(tables.open('felt'), tables.get('felt'));
+	});
+
+	it('closes a table once its last client leaves', function(done) {
+		var tables = new Tables({turn: 10}),
+			table = tables.open('felt'),
+			client;
+
+		client = table.join(null);
+		until(function() {
+			return table.getGame();
+		}, function() {
+			assert.strictEqual(client.player.getGame(), table.getGame());
+			table.part(client);
+			until(function() {
+				return !tables.get('felt');
+			}, function() {
+				assert.strictEqual(table.getGame(), null);
+				done();
+			});
+		});
+	});
+});
+
+
+describe('API', function() {
+	var accounts,
+		dir,
+		iterations,
+		middleware,
+		tables;
+
+	before(function() {
+		iterations = Accounts.DEFAULT.ITERATIONS;
+		Accounts.DEFAULT.ITERATIONS = 1000;
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-'));
+		accounts = new Accounts(path.join(dir, 'accounts.json'));
+		tables = new Tables({turn: 10, idle: 50}, accounts);
+		middleware = api.routes(tables, accounts);
+	});
+
+	after(function(done) {
+		Accounts.DEFAULT.ITERATIONS = iterations;
+		accounts.flush(function() {
+			remove(dir);
+			done();
+		});
+	});
+
+	it('has no table to show until someone joins', function(done) {
+		request(middleware, 'GET', '/tables/felt', null, null,
+			function(status, body) {
+				assert.equal(status, 404);
+				assert.ok(/InvalidTable/.test(body.message));
+				assert.strictEqual(tables.get('felt'), null);
+				done();
+			});
+	});
+
+	it('closes a table once a player who left goes quiet', function(done) {
+		request(middleware, 'POST', '/tables/felt/join', null, null,
+			function(status, body) {
+				var token = body.token;
+
+				assert.equal(status, 201);
+				assert.ok(body.table);
+				request(middleware, 'POST', '/tables/felt/leave', token, null,
+					function(status) {
+						// Having left, the player still watches until they
+						// stop asking after the table.
+						assert.equal(status, 200);
+						assert.ok(tables.get('felt'));
+						until(function() {
+							return !tables.get('felt');
+						}, done);
+					});
+			});
+	});
+
+	it('passes along actions it does not know', function(done) {
+		request(middleware, 'POST', '/tables/felt/cheat', null, null,
+			function(status, body) {
+				assert.equal(status, 404);
+				assert.strictEqual(body, null);
+				done();
+			});
+	});
+
+	it('creates accounts and signs players in', function(done) {
+		request(middleware, 'POST', '/accounts', null,
+			{name: 'alice', password: 'password1'}, function(status, body) {
+				var token = body.token;
+
+				assert.equal(status, 201);
+				assert.equal(body.account.name, 'alice');
+				request(middleware, 'POST', '/accounts/login', null,
+					{name: 'alice', password: 'password2'},
+					function(status, body) {
+						assert.equal(status, 401);
+						assert.ok(/InvalidLogin/.test(body.message));
+						request(middleware, 'GET', '/accounts/me', token, null,
+							function(status, body) {
+								assert.equal(status, 200);
+								assert.equal(body.bankroll,
+									Accounts.DEFAULT.BANKROLL);
+								done();
+							});
+					});
+			});
+	});
+
+	it('turns away a player who is not signed in', function(done) {
+		request(middleware, 'GET', '/accounts/me', null, null,
+			function(status, body) {
+				assert.equal(status, 401);
+				assert.ok(/InvalidToken/.test(body.message));
+				done();
+			});
+	});
+});
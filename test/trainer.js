@@ -0,0 +1,113 @@
+/**
+* @fileoverview Specs for the count trainer: what it counts, when, and the
+* quizzes it sets.
+*
+* @author Scott Shattuck (ss)
+*/
+
+/*jslint anon:true, nomen:true, plusplus:true, node:true */
+/*global describe, it */
+
+'use strict';
+
+var assert = require('assert'),
+	helpers = require('./helpers.js'),
+	B = helpers.B,
+	round = helpers.round;
+
+
+/**
+ * Returns a new six-deck Game for one person with a Trainer keeping its
+ * count.
+ * @param {string} system The counting system. See B.Trainer.SYSTEMS.
+ * @return {{game: B.Game, trainer: B.Trainer}} The game and trainer.
+ */
+function train(system) {
+	var g;
+
+	g = new B.Game({chips: 1000, min: 10, decks: 6});
+	g.start();
+
+	return {game: g, trainer: new B.Trainer(g, system)};
+}
+
+
+describe('Trainer', function() {
+
+	it('starts an unbalanced count below zero for a shoe', function() {
+		assert.equal(train('ko').trainer.getRunning(), -20);
+		assert.equal(train('hi-lo').trainer.getRunning(), 0);
+	});
+
+	it('rejects systems it does not know', function() {
+		assert.throws(function() {
+			return new B.Trainer(new B.Game(), 'wonging');
+		}, /InvalidSystem/);
+	});
+
+	it('counts the hole card only once it is turned up', function(done) {
+		var t = train('hi-lo');
+
+		// Player 10, 2 stands against a 5 and a 2 in the hole. The dealer
+		// draws a 9 and a 4.
+		round(t.game, [10, 5, 2, 2, 9, 4], function(hand) {
+			assert.equal(t.trainer.getRunning(), 1);
+			hand.stand();
+		}, function() {
+			assert.equal(t.trainer.getRunning(), 3);
+			assert.equal(t.trainer.getTrueCount(), 0.5);
+			done();
+		});
+	});
+
+	it('marks the cards on the table counted for a fresh shoe',
+		function(done) {
+			var t = train('hi-lo');
+
+			round(t.game, [10, 5, 2, 2, 9, 4], function(hand) {
+				hand.stand();
+			}, function() {
+				t.trainer.shuffle();
+				t.trainer.look();
+				assert.equal(t.trainer.getRunning(), 0);
+				done();
+			});
+		});
+
+	it('judges the decks left to the half deck', function() {
+		var t = train('hi-lo'),
+			cards = t.game.getShoe().getCards();
+
+		cards.length = 100;
+		assert.equal(t.trainer.getDecksRemaining(), 2);
+		assert.equal(t.trainer.getDealt(), 6 - 100 / 52);
+
+		cards.length = 10;
+		assert.equal(t.trainer.getDecksRemaining(), 0.5);
+	});
+
+	it('takes a true count within half a point', function() {
+		var t = train('hi-lo');
+
+		assert.throws(function() {
+			t.trainer.answer(0, 0);
+		}, /InvalidOperation/);
+
+		t.trainer.ask();
+		t.trainer.ask();
+		assert.equal(t.trainer.getQuiz(), null);
+		t.trainer.ask();
+		assert.deepEqual(t.trainer.getQuiz(), {round: 3, running: 0,
+			count: 0});
+
+		assert.ok(t.trainer.answer(0, 0.5));
+		assert.equal(t.trainer.getShoes()[0].right, 1);
+		assert.equal(t.trainer.getQuiz(), null);
+
+		t.trainer.ask();
+		t.trainer.ask();
+		t.trainer.ask();
+		assert.ok(!t.trainer.answer(0, 1));
+		assert.equal(t.trainer.getShoes()[0].asked, 2);
+	});
+});
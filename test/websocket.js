@@ -0,0 +1,143 @@
+/**
+* @fileoverview Specs for the WebSocket framing, fed frames through a stand-in
+* for the connection.
+*
+* @author Scott Shattuck (ss)
+*/
+
+/*jslint anon:true, nomen:true, plusplus:true, bitwise:true, node:true */
+/*global describe, it */
+
+'use strict';
+
+var assert = require('assert'),
+	events = require('events'),
+	websocket = require('../lib/websocket.js'),
+	OPCODES = websocket.OPCODES,
+	Socket = websocket.Socket;
+
+
+/**
+ * Returns a stand-in for a connection which keeps what's written to it.
+ * @return {events.EventEmitter} The connection.
+ */
+function connection() {
+	var stream;
+
+	stream = new events.EventEmitter();
+	stream.written = [];
+	stream.write = function(data) {
+		stream.written.push(data);
+	};
+	stream.end = function() {
+		stream.ended = true;
+	};
+
+	return stream;
+}
+
+
+/**
+ * Builds a frame the way a client sends it, masked unless told otherwise.
+ * @param {number} opcode The frame's opcode.
+ * @param {boolean} fin True if this is the final frame of a message.
+ * @param {Buffer} payload The payload.
+ * @param {boolean} unmasked True to leave the frame unmasked.
+ * @return {Buffer} The frame.
+ */
+function frame(opcode, fin, payload, unmasked) {
+	var header,
+		i,
+		mask,
+		masked;
+
+	if (payload.length < 126) {
+		header = Buffer.alloc(2);
+		header[1] = payload.length;
+	} else {
+		header = Buffer.alloc(4);
+		header[1] = 126;
+		header.writeUInt16BE(payload.length, 2);
+	}
+	header[0] = (fin ? 0x80 : 0) | opcode;
+
+	if (unmasked) {
+		return Buffer.concat([header, payload]);
+	}
+
+	header[1] |= 0x80;
+	mask = Buffer.from([1, 2, 3, 4]);
+	masked = Buffer.alloc(payload.length);
+	for (i = 0; i < payload.length; i++) {
+		masked[i] = payload[i] ^ mask[i % 4];
+	}
+
+	return Buffer.concat([header, mask, masked]);
+}
+
+
+/**
+ * Returns the status code of the close frame written to a connection, if any.
+ * @param {events.EventEmitter} stream The connection.
+ * @return {number} The code, or undefined.
+ */
+function closed(stream) {
+	var last;
+
+	last = stream.written[stream.written.length - 1];
+	if (stream.ended && last && (last[0] & 0x0F) === OPCODES.CLOSE) {
+		return last.readUInt16BE(2);
+	}
+}
+
+
+describe('Socket', function() {
+
+	it('puts a fragmented message back together', function() {
+		var stream = connection(),
+			socket = new Socket(stream),
+			messages = [];
+
+		socket.on('message', function(text) {
+			messages.push(text);
+		});
+		stream.emit('data', frame(OPCODES.TEXT, false, Buffer.from('hel')));
+
+		// A ping may arrive between the fragments.
+		stream.emit('data', frame(OPCODES.PING, true, Buffer.from('?')));
+		stream.emit('data', frame(OPCODES.CONTINUATION, true,
+			Buffer.from('lo')));
+
+		assert.deepEqual(messages, ['hello']);
+		assert.equal(stream.written[0][0] & 0x0F, OPCODES.PONG);
+	});
+
+	it('closes on a frame that is not masked', function() {
+		var stream = connection(),
+			socket = new Socket(stream);
+
+		socket.receive(frame(OPCODES.TEXT, true, Buffer.from('hi'), true));
+		assert.equal(closed(stream), 1002);
+	});
+
+	it('closes on a fragmented control frame', function() {
+		var stream = connection(),
+			socket = new Socket(stream);
+
+		socket.receive(frame(OPCODES.PING, false, Buffer.from('?')));
+		assert.equal(closed(stream), 1002);
+		assert.ok(socket.isClosed());
+	});
+
+	it('closes on a message too big to take, however it is split',
+		function() {
+			var stream = connection(),
+				socket = new Socket(stream),
+				chunk = Buffer.alloc(60000, 'x');
+
+			socket.receive(frame(OPCODES.TEXT, false, chunk));
+			assert.equal(closed(stream), undefined);
+			socket.receive(frame(OPCODES.CONTINUATION, true, chunk));
+			assert.equal(closed(stream), 1009);
+		});
+});